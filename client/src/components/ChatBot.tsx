@@ -1,8 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 import * as Sentry from '@sentry/react';
-import { ChatMessage } from '../types';
-import { productAPI } from '../services/api';
+import { AnalysisStreamEvent, AnalysisSummary, ChatMessage } from '../types';
+import { productAPI, historyAPI } from '../services/api';
 import ProductCard from './ProductCard';
 import LoadingSpinner from './LoadingSpinner';
 
@@ -139,11 +139,37 @@ const SampleUrlButton = styled.button`
   }
 `;
 
+const HistoryButton = styled(SampleUrlButton)<{ $failed: boolean }>`
+  color: ${props => props.$failed ? '#ff4757' : '#667eea'};
+  max-width: 16rem;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const describeProgress = (event: AnalysisStreamEvent, tokenCount: number): string => {
+  switch (event.stage) {
+    case 'validated':
+      return `Recognized ${event.store} product. Starting analysis...`;
+    case 'scraping':
+      return `Fetching product page from ${event.store}...`;
+    case 'scraped':
+      return `Found "${event.title}". Sending to the AI model...`;
+    case 'llm_started':
+      return `Waiting for ${event.provider} model response...`;
+    case 'token':
+      return `AI is writing the analysis (${tokenCount} chunks received)...`;
+    default:
+      return 'Analyzing product...';
+  }
+};
+
 const ChatBot: React.FC = () => {
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [inputUrl, setInputUrl] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [sampleUrls, setSampleUrls] = useState<string[]>([]);
+  const [recentAnalyses, setRecentAnalyses] = useState<AnalysisSummary[]>([]);
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
   useEffect(() => {
@@ -167,6 +193,7 @@ const ChatBot: React.FC = () => {
     };
 
     loadSampleUrls();
+    loadRecentAnalyses();
 
     // Welcome message
     addMessage({
@@ -179,6 +206,11 @@ const ChatBot: React.FC = () => {
     scrollToBottom();
   }, [messages]);
 
+  const loadRecentAnalyses = async () => {
+    const history = await historyAPI.listAnalyses({ limit: 5 });
+    setRecentAnalyses(history.analyses);
+  };
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -229,8 +261,17 @@ const ChatBot: React.FC = () => {
       setInputUrl('');
       setIsLoading(true);
 
-      // Track the API call
-      const response = await productAPI.analyzeProduct(urlToAnalyze);
+      // Stream the analysis so the loading message shows live progress
+      let tokenCount = 0;
+      const response = await productAPI.analyzeProductStream(urlToAnalyze, (event) => {
+        if (event.stage === 'token') {
+          tokenCount++;
+        }
+        const progressText = describeProgress(event, tokenCount);
+        setMessages(prev => prev.map(msg =>
+          msg.id === loadingMessageId ? { ...msg, content: progressText } : msg
+        ));
+      });
       
       // Remove loading message
       setMessages(prev => prev.filter(msg => msg.id !== loadingMessageId));
@@ -294,6 +335,43 @@ const ChatBot: React.FC = () => {
       });
     } finally {
       setIsLoading(false);
+      loadRecentAnalyses();
+    }
+  };
+
+  // Replay a stored analysis as if it had just been run
+  const handleHistoryClick = async (summary: AnalysisSummary) => {
+    Sentry.addBreadcrumb({
+      message: `History entry reloaded: ${summary.id}`,
+      category: 'ui.click',
+      level: 'info',
+      data: { store: summary.store, success: summary.success }
+    });
+
+    const record = await historyAPI.getAnalysis(summary.id);
+    if (!record) {
+      addMessage({
+        type: 'bot',
+        content: 'That analysis is no longer available.',
+        error: true
+      });
+      loadRecentAnalyses();
+      return;
+    }
+
+    addMessage({ type: 'user', content: record.url });
+    if (record.success && record.data) {
+      addMessage({
+        type: 'bot',
+        content: `Here's the analysis of "${record.data.basic_info.title}" from ${new Date(record.created_at).toLocaleString()}:`,
+        data: record.data
+      });
+    } else {
+      addMessage({
+        type: 'bot',
+        content: `This analysis failed on ${new Date(record.created_at).toLocaleString()}: ${record.error_message || record.error_code}`,
+        error: true
+      });
     }
   };
 
@@ -375,6 +453,25 @@ const ChatBot: React.FC = () => {
             ))}
           </SampleUrlsList>
         </SampleUrlsContainer>
+
+        {recentAnalyses.length > 0 && (
+          <SampleUrlsContainer>
+            <SampleUrlsTitle>Recent analyses:</SampleUrlsTitle>
+            <SampleUrlsList>
+              {recentAnalyses.map((summary) => (
+                <HistoryButton
+                  key={summary.id}
+                  $failed={!summary.success}
+                  title={summary.url}
+                  onClick={() => handleHistoryClick(summary)}
+                  disabled={isLoading}
+                >
+                  {summary.title || `${summary.store || new URL(summary.url).hostname} (${summary.error_code || 'failed'})`}
+                </HistoryButton>
+              ))}
+            </SampleUrlsList>
+          </SampleUrlsContainer>
+        )}
         
         <InputWrapper>
           <UrlInput
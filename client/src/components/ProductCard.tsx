@@ -156,6 +156,12 @@ const MetaRow = styled.div`
   }
 `;
 
+const formatSpan = (hours: number) => {
+  if (hours < 1) return 'under an hour';
+  if (hours < 48) return `${Math.round(hours)} hours`;
+  return `${Math.round(hours / 24)} days`;
+};
+
 interface ProductCardProps {
   product: ProductAnalysis;
   onClose?: () => void;
@@ -180,6 +186,12 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, onClose }) => {
     return stars.join('');
   };
 
+  const priceHistory = product.price_analysis.history;
+
+  const fabricatedFields = Object.entries(product.field_provenance || {})
+    .filter(([, source]) => source === 'fabricated')
+    .map(([field]) => field);
+
   return (
     <CardContainer>
       <CardHeader>
@@ -201,7 +213,16 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, onClose }) => {
           </PriceContainer>
           {product.price_analysis.is_good_deal && (
             <div style={{ color: '#48bb78', fontSize: '0.9rem', fontWeight: '600' }}>
-              Great deal! Price is {((product.basic_info.original_price - product.basic_info.current_price) / product.basic_info.original_price * 100).toFixed(0)}% below original
+              {priceHistory?.source === 'observed'
+                ? `Great deal! Lowest price we've seen (${priceHistory.observation_count} observations)`
+                : `Great deal! Price is ${((product.basic_info.original_price - product.basic_info.current_price) / product.basic_info.original_price * 100).toFixed(0)}% below original`}
+            </div>
+          )}
+          {priceHistory && (
+            <div style={{ color: '#718096', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+              {priceHistory.source === 'observed'
+                ? `Price range $${product.price_analysis.lowest_price_7d.toFixed(2)}–$${product.price_analysis.highest_price_7d.toFixed(2)} from ${priceHistory.observation_count} observations over ${formatSpan(priceHistory.span_hours)}`
+                : 'Not enough price history yet; 7-day trend is synthetic'}
             </div>
           )}
         </Section>
@@ -246,6 +267,15 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, onClose }) => {
             <span>Analysis Time:</span>
             <span>{product.analysis_metadata.total_duration_ms}ms</span>
           </MetaRow>
+          {product.analysis_metadata.cache && (
+            <MetaRow>
+              <span>Cache:</span>
+              <span>
+                {product.analysis_metadata.cache.status}
+                {' '}(scrape {product.analysis_metadata.cache.scrape}, LLM {product.analysis_metadata.cache.llm})
+              </span>
+            </MetaRow>
+          )}
           <MetaRow>
             <span>LLM Processing:</span>
             <span>{product.llm_metadata.processing_time_ms}ms</span>
@@ -254,6 +284,28 @@ const ProductCard: React.FC<ProductCardProps> = ({ product, onClose }) => {
             <span>Confidence:</span>
             <span>{(product.llm_metadata.confidence_score * 100).toFixed(1)}%</span>
           </MetaRow>
+          <MetaRow>
+            <span>Tokens:</span>
+            <span>
+              {product.llm_metadata.token_count}
+              {product.llm_metadata.token_source === 'estimate' ? ' (est.)' : ''}
+            </span>
+          </MetaRow>
+          {product.field_provenance && (
+            <MetaRow>
+              <span>Synthetic Fields:</span>
+              <span title={fabricatedFields.join(', ')}>
+                {fabricatedFields.length}
+                {product.llm_metadata.schema_valid === false ? ' • schema invalid' : ''}
+              </span>
+            </MetaRow>
+          )}
+          {product.llm_metadata.cost_usd !== undefined && (
+            <MetaRow>
+              <span>LLM Cost:</span>
+              <span>${product.llm_metadata.cost_usd.toFixed(6)}</span>
+            </MetaRow>
+          )}
         </MetaInfo>
       </CardBody>
     </CardContainer>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
-import { SimulationStatus } from '../types';
+import { LoadProfile, SimulationStatus } from '../types';
 import { simulatorAPI } from '../services/api';
 import LoadingSpinner from './LoadingSpinner';
 
@@ -67,6 +67,26 @@ const Input = styled.input`
   }
 `;
 
+const Select = styled.select`
+  width: 100%;
+  border: 2px solid #e1e5e9;
+  border-radius: 0.5rem;
+  padding: 0.75rem;
+  font-size: 1rem;
+  background: white;
+
+  &:focus {
+    outline: none;
+    border-color: #764ba2;
+  }
+`;
+
+const Hint = styled.div`
+  margin-top: 0.5rem;
+  font-size: 0.8rem;
+  color: #718096;
+`;
+
 const ButtonGroup = styled.div`
   display: flex;
   gap: 0.75rem;
@@ -192,28 +212,85 @@ const InfoText = styled.div`
   line-height: 1.4;
 `;
 
+const SimulationList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+`;
+
+const SimulationRow = styled.button<{ selected: boolean }>`
+  display: flex;
+  justify-content: space-between;
+  gap: 0.5rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid ${props => props.selected ? '#667eea' : '#e2e8f0'};
+  border-radius: 0.5rem;
+  background: ${props => props.selected ? 'rgba(102, 126, 234, 0.1)' : 'white'};
+  font-size: 0.85rem;
+  color: #2d3748;
+  text-align: left;
+  cursor: pointer;
+`;
+
+const BehaviorRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  gap: 0.5rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 0.5rem;
+  font-size: 0.85rem;
+  color: #2d3748;
+`;
+
 const Simulator: React.FC = () => {
   const [sessions, setSessions] = useState(50);
   const [delay, setDelay] = useState(1000);
-  const [status, setStatus] = useState<SimulationStatus>({ isRunning: false });
+  const [name, setName] = useState('');
+  const [seed, setSeed] = useState('');
+  const [profiles, setProfiles] = useState<LoadProfile[]>([]);
+  const [profileName, setProfileName] = useState('');
+  const [simulations, setSimulations] = useState<SimulationStatus[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
   const [isStarting, setIsStarting] = useState(false);
 
+  const refreshSimulations = async () => {
+    const response = await simulatorAPI.listSimulations();
+    setSimulations(response.simulations);
+  };
+
   useEffect(() => {
-    // Poll simulation status
-    const interval = setInterval(async () => {
-      const currentStatus = await simulatorAPI.getSimulationStatus();
-      setStatus(currentStatus);
-    }, 2000);
+    // Poll all simulations; the selected one is shown in detail
+    refreshSimulations();
+    const interval = setInterval(refreshSimulations, 2000);
 
     return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    simulatorAPI.listLoadProfiles().then(response => setProfiles(response.profiles));
+  }, []);
+
+  const selectedProfile = profiles.find(p => p.name === profileName);
+
+  // Follow the newest run until the user picks one
+  const status: SimulationStatus =
+    simulations.find(s => s.simulationId === selectedId) || simulations[0] || { isRunning: false };
+
   const handleStart = async () => {
     setIsStarting(true);
     try {
-      const response = await simulatorAPI.startSimulation({ sessions, delay });
-      if (response.success) {
-        setStatus({ ...status, isRunning: true });
+      const response = await simulatorAPI.startSimulation({
+        sessions,
+        delay,
+        name: name.trim() || undefined,
+        seed: seed.trim() || undefined,
+        profile: profileName || undefined
+      });
+      if (response.success && response.simulationId) {
+        setSelectedId(response.simulationId);
+        setName('');
+        refreshSimulations();
       } else {
         console.error('Failed to start simulation:', response.error);
       }
@@ -226,9 +303,9 @@ const Simulator: React.FC = () => {
 
   const handleStop = async () => {
     try {
-      const response = await simulatorAPI.stopSimulation();
+      const response = await simulatorAPI.stopSimulation(status.simulationId);
       if (response.success) {
-        setStatus({ ...status, isRunning: false });
+        refreshSimulations();
       }
     } catch (error) {
       console.error('Error stopping simulation:', error);
@@ -244,15 +321,50 @@ const Simulator: React.FC = () => {
       <SimulatorBody>
         <Section>
           <SectionTitle>Simulation Controls</SectionTitle>
+          <FormGroup>
+            <Label>Name (optional)</Label>
+            <Input
+              type="text"
+              maxLength={100}
+              value={name}
+              placeholder="e.g. baseline-run"
+              onChange={(e) => setName(e.target.value)}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label>Seed (optional)</Label>
+            <Input
+              type="text"
+              maxLength={100}
+              value={seed}
+              placeholder="e.g. 42 to replay a run"
+              onChange={(e) => setSeed(e.target.value)}
+            />
+          </FormGroup>
+          <FormGroup>
+            <Label>Load Profile</Label>
+            <Select value={profileName} onChange={(e) => setProfileName(e.target.value)}>
+              <option value="">None (fixed delay between sessions)</option>
+              {profiles.map((profile) => (
+                <option key={profile.name} value={profile.name}>{profile.name}</option>
+              ))}
+            </Select>
+            {selectedProfile && (
+              <Hint>
+                {selectedProfile.description} (~{selectedProfile.expectedSessions} sessions
+                over {Math.round(selectedProfile.durationMs / 1000)}s)
+              </Hint>
+            )}
+          </FormGroup>
           <FormGroup>
             <Label>Number of Sessions</Label>
             <Input
               type="number"
               min="1"
               max="1000"
-              value={sessions}
+              disabled={!!selectedProfile}
+              value={selectedProfile ? selectedProfile.expectedSessions : sessions}
               onChange={(e) => setSessions(parseInt(e.target.value) || 1)}
-              disabled={status.isRunning}
             />
           </FormGroup>
           <FormGroup>
@@ -262,15 +374,15 @@ const Simulator: React.FC = () => {
               min="100"
               max="10000"
               step="100"
+              disabled={!!selectedProfile}
               value={delay}
               onChange={(e) => setDelay(parseInt(e.target.value) || 1000)}
-              disabled={status.isRunning}
             />
           </FormGroup>
           <ButtonGroup>
             <Button
               onClick={handleStart}
-              disabled={status.isRunning || isStarting}
+              disabled={isStarting}
               variant="primary"
             >
               {isStarting ? <LoadingSpinner text="Starting..." /> : 'Start Simulation'}
@@ -286,12 +398,12 @@ const Simulator: React.FC = () => {
         </Section>
 
         <Section>
-          <SectionTitle>Status</SectionTitle>
+          <SectionTitle>Status{status.name ? `: ${status.name}` : ''}</SectionTitle>
           <StatusCard isRunning={status.isRunning}>
             <StatusIndicator isRunning={status.isRunning}>
               <StatusDot isRunning={status.isRunning} />
               <StatusText isRunning={status.isRunning}>
-                {status.isRunning ? 'Running' : 'Stopped'}
+                {status.isRunning ? 'Running' : status.status === 'completed' ? 'Completed' : 'Stopped'}
               </StatusText>
             </StatusIndicator>
             
@@ -306,6 +418,12 @@ const Simulator: React.FC = () => {
                 <div style={{ fontSize: '0.9rem', color: '#4a5568' }}>
                   {status.progress.percentage}% complete
                 </div>
+                {status.config?.profile && (
+                  <Hint>
+                    {status.config.profile.name} profile • {status.progress.currentRate ?? 0} sessions/s
+                    {status.progress.skippedArrivals ? ` • ${status.progress.skippedArrivals} arrivals skipped` : ''}
+                  </Hint>
+                )}
               </>
             )}
           </StatusCard>
@@ -331,10 +449,63 @@ const Simulator: React.FC = () => {
                 <StatValue>{status.statistics.avgResponseTime}ms</StatValue>
                 <StatLabel>Avg Response Time</StatLabel>
               </StatCard>
+              {status.statistics.latency && (
+                <>
+                  <StatCard>
+                    <StatValue>{status.statistics.latency.overall.p95}ms</StatValue>
+                    <StatLabel>p95 Response Time</StatLabel>
+                  </StatCard>
+                  <StatCard>
+                    <StatValue>{status.statistics.latency.overall.p99}ms</StatValue>
+                    <StatLabel>p99 Response Time</StatLabel>
+                  </StatCard>
+                </>
+              )}
             </Stats>
           </Section>
         )}
 
+        {status.statistics?.byBehavior && (
+          <Section>
+            <SectionTitle>By Behavior</SectionTitle>
+            <SimulationList>
+              {Object.entries(status.statistics.byBehavior)
+                .filter(([, stats]) => stats.sessions > 0)
+                .map(([key, stats]) => (
+                  <BehaviorRow key={key}>
+                    <span>{stats.name}</span>
+                    <span>
+                      {stats.sessions} sessions • {stats.successfulRequests}/{stats.totalRequests} ok
+                      {stats.abandonedSessions > 0 && ` • ${stats.abandonedSessions} abandoned`}
+                      {' • '}{stats.avgResponseTime}ms avg
+                      {stats.p95ResponseTime !== undefined && ` • ${stats.p95ResponseTime}ms p95`}
+                    </span>
+                  </BehaviorRow>
+                ))}
+            </SimulationList>
+          </Section>
+        )}
+
+        {simulations.length > 1 && (
+          <Section>
+            <SectionTitle>Simulations</SectionTitle>
+            <SimulationList>
+              {simulations.map((simulation) => (
+                <SimulationRow
+                  key={simulation.simulationId}
+                  selected={simulation.simulationId === status.simulationId}
+                  onClick={() => setSelectedId(simulation.simulationId || null)}
+                >
+                  <span>{simulation.name}</span>
+                  <span>
+                    {simulation.status} • {simulation.statistics?.totalRequests ?? 0} requests
+                  </span>
+                </SimulationRow>
+              ))}
+            </SimulationList>
+          </Section>
+        )}
+
         <InfoBox>
           <InfoTitle>About the Simulator</InfoTitle>
           <InfoText>
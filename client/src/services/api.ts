@@ -2,19 +2,31 @@ import axios, { AxiosResponse } from 'axios';
 import * as Sentry from '@sentry/react';
 import {
   AnalyzeResponse,
+  AnalysisStage,
+  AnalysisStreamEvent,
+  AnalysisHistoryQuery,
+  AnalysisHistoryResponse,
+  AnalysisRecord,
+  PriceHistoryResponse,
   StoresResponse,
   SimulationRequest,
   SimulationStatus,
+  SimulationsResponse,
+  SimulationStartResponse,
+  LoadProfilesResponse,
   ApiResponse
 } from '../types';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+// Needed for mutating requests once the server has API keys configured
+const API_KEY = process.env.REACT_APP_API_KEY;
 
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 60000, // 60 second timeout for LLM requests
   headers: {
     'Content-Type': 'application/json',
+    ...(API_KEY && { 'X-API-Key': API_KEY }),
   },
 });
 
@@ -98,6 +110,68 @@ export const productAPI = {
     }
   },
 
+  /**
+   * Analyze a product URL over Server-Sent Events, reporting stage progress
+   * and LLM token chunks as they arrive. Resolves with the same shape as analyzeProduct.
+   */
+  analyzeProductStream: async (
+    url: string,
+    onProgress: (event: AnalysisStreamEvent) => void
+  ): Promise<AnalyzeResponse> => {
+    Sentry.setContext('product_analysis', {
+      url: url,
+      store: new URL(url).hostname,
+      initiated_from: 'frontend',
+      streaming: true
+    });
+
+    let streamUrl = `${API_BASE_URL}/analyze/stream?url=${encodeURIComponent(url)}`;
+    // EventSource can't send X-API-Key, so trade the key for a short-lived stream token
+    if (API_KEY) {
+      try {
+        const response = await api.post<{ token: string }>('/analyze/stream-token');
+        streamUrl += `&token=${encodeURIComponent(response.data.token)}`;
+      } catch (error: any) {
+        return {
+          success: false,
+          error: error.response?.data?.error || 'Could not authorize the analysis stream',
+          code: error.response?.data?.code || 'NETWORK_ERROR'
+        };
+      }
+    }
+
+    return new Promise((resolve) => {
+      const source = new EventSource(streamUrl);
+      const stages: AnalysisStage[] = ['validated', 'scraping', 'scraped', 'llm_started', 'token'];
+
+      stages.forEach((stage) => {
+        source.addEventListener(stage, (event) => {
+          onProgress({ stage, ...JSON.parse((event as MessageEvent).data) });
+        });
+      });
+
+      source.addEventListener('analysis_complete', (event) => {
+        source.close();
+        resolve(JSON.parse((event as MessageEvent).data));
+      });
+
+      source.addEventListener('analysis_error', (event) => {
+        source.close();
+        resolve(JSON.parse((event as MessageEvent).data));
+      });
+
+      // Transport failure; auth, rate limit and validation errors arrive as analysis_error
+      source.onerror = () => {
+        source.close();
+        resolve({
+          success: false,
+          error: 'Lost connection to the analysis stream',
+          code: 'NETWORK_ERROR'
+        });
+      };
+    });
+  },
+
   /**
    * Get list of supported stores
    */
@@ -114,6 +188,18 @@ export const productAPI = {
     }
   },
 
+  /**
+   * Get every observed price for a product (id from analysis data.product_id)
+   */
+  getPriceHistory: async (productId: string): Promise<PriceHistoryResponse | null> => {
+    try {
+      const response: AxiosResponse<PriceHistoryResponse> = await api.get(`/products/${productId}/price-history`);
+      return response.data;
+    } catch (error) {
+      return null;
+    }
+  },
+
   /**
    * Get demo sample URLs
    */
@@ -133,16 +219,57 @@ export const productAPI = {
   }
 };
 
+export const historyAPI = {
+  /**
+   * List past analyses, newest first
+   */
+  listAnalyses: async (query: AnalysisHistoryQuery = {}): Promise<AnalysisHistoryResponse> => {
+    try {
+      const response: AxiosResponse<AnalysisHistoryResponse> = await api.get('/analyses', { params: query });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to load analysis history:', error);
+      return { total: 0, limit: query.limit || 50, offset: query.offset || 0, analyses: [] };
+    }
+  },
+
+  /**
+   * Get a stored analysis, including its full product data
+   */
+  getAnalysis: async (id: string): Promise<AnalysisRecord | null> => {
+    try {
+      const response: AxiosResponse<AnalysisRecord> = await api.get(`/analyses/${id}`);
+      return response.data;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Delete a stored analysis
+   */
+  deleteAnalysis: async (id: string): Promise<boolean> => {
+    try {
+      await api.delete(`/analyses/${id}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
 export const simulatorAPI = {
   /**
    * Start a simulation
    */
-  startSimulation: async (params: SimulationRequest): Promise<ApiResponse<any>> => {
+  startSimulation: async (params: SimulationRequest): Promise<SimulationStartResponse> => {
     try {
       const response = await api.post('/simulate/start', params);
       
       Sentry.addBreadcrumb({
-        message: `Started simulation: ${params.sessions} sessions`,
+        message: params.profile
+          ? `Started simulation: ${params.profile} load profile`
+          : `Started simulation: ${params.sessions} sessions`,
         category: 'user.action',
         level: 'info'
       });
@@ -158,14 +285,14 @@ export const simulatorAPI = {
   },
 
   /**
-   * Stop the current simulation
+   * Stop a simulation by id, or every running simulation when no id is given
    */
-  stopSimulation: async (): Promise<ApiResponse<any>> => {
+  stopSimulation: async (simulationId?: string): Promise<ApiResponse<any>> => {
     try {
-      const response = await api.post('/simulate/stop');
+      const response = await api.post(simulationId ? `/simulate/${simulationId}/stop` : '/simulate/stop');
       
       Sentry.addBreadcrumb({
-        message: 'Stopped simulation',
+        message: simulationId ? `Stopped simulation ${simulationId}` : 'Stopped all simulations',
         category: 'user.action',
         level: 'info'
       });
@@ -181,11 +308,11 @@ export const simulatorAPI = {
   },
 
   /**
-   * Get simulation status
+   * Get a simulation's status, or the most recent simulation's when no id is given
    */
-  getSimulationStatus: async (): Promise<SimulationStatus> => {
+  getSimulationStatus: async (simulationId?: string): Promise<SimulationStatus> => {
     try {
-      const response = await api.get('/simulate/status');
+      const response = await api.get(simulationId ? `/simulate/${simulationId}/status` : '/simulate/status');
       return response.data;
     } catch (error: any) {
       return {
@@ -193,8 +320,32 @@ export const simulatorAPI = {
         statistics: undefined
       };
     }
+  },
+
+  /**
+   * List running and recently finished simulations
+   */
+  listSimulations: async (): Promise<SimulationsResponse> => {
+    try {
+      const response: AxiosResponse<SimulationsResponse> = await api.get('/simulations');
+      return response.data;
+    } catch (error: any) {
+      return { simulations: [], running: 0, total: 0 };
+    }
+  },
+
+  /**
+   * List the load profiles a simulation can be started with
+   */
+  listLoadProfiles: async (): Promise<LoadProfilesResponse> => {
+    try {
+      const response: AxiosResponse<LoadProfilesResponse> = await api.get('/simulate/profiles');
+      return response.data;
+    } catch (error: any) {
+      return { profiles: [] };
+    }
   }
 };
 
-const apiService = { productAPI, simulatorAPI };
+const apiService = { productAPI, historyAPI, simulatorAPI };
 export default apiService;
\ No newline at end of file
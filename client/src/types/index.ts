@@ -1,3 +1,7 @@
+// Where a field's value came from: the model, the product page, computed from
+// other fields, or synthetic filler
+export type FieldProvenance = 'llm' | 'scraped' | 'derived' | 'fabricated';
+
 // Types for product analysis
 export interface ProductAnalysis {
   basic_info: {
@@ -27,6 +31,13 @@ export interface ProductAnalysis {
     lowest_price_7d: number;
     highest_price_7d: number;
     is_good_deal: boolean;
+    history?: {
+      source: 'observed' | 'synthetic';
+      observation_count: number;
+      first_observed_at: string | null;
+      last_observed_at: string | null;
+      span_hours: number;
+    };
   };
   features: string[];
   value_metrics: {
@@ -36,13 +47,25 @@ export interface ProductAnalysis {
     popularity_score: number;
     recommendation: string;
   };
+  field_provenance?: { [field: string]: FieldProvenance };
   extracted_at: string;
   llm_metadata: {
+    provider?: string;
     model_used: string;
+    fallback_used?: boolean;
+    fallback_reason?: 'circuit_open' | null;
+    retries?: number;
     processing_time_ms: number;
     timestamp: string;
     confidence_score: number;
     token_count: number;
+    schema_valid?: boolean;
+    repair_attempts?: number;
+    validation_errors?: string[];
+    prompt_tokens?: number;
+    completion_tokens?: number;
+    token_source?: 'provider' | 'estimate';
+    cost_usd?: number;
   };
   store: string;
   url: string;
@@ -50,8 +73,20 @@ export interface ProductAnalysis {
     scraping_duration_ms: number;
     llm_processing_duration_ms: number;
     total_duration_ms: number;
+    prompt_tokens?: number;
+    completion_tokens?: number;
+    total_tokens?: number;
+    token_source?: 'provider' | 'estimate';
+    cost_usd?: number;
+    analysis_id?: string;
+    cache?: {
+      status: 'hit' | 'partial' | 'miss';
+      scrape: 'hit' | 'miss';
+      llm: 'hit' | 'miss';
+    };
     timestamp: string;
   };
+  product_id?: string;
 }
 
 // API Response types
@@ -64,6 +99,93 @@ export interface ApiResponse<T> {
 
 export interface AnalyzeResponse extends ApiResponse<ProductAnalysis> {}
 
+// Progress events emitted by GET /analyze/stream
+export type AnalysisStage =
+  | 'validated'
+  | 'scraping'
+  | 'scraped'
+  | 'llm_started'
+  | 'token';
+
+export interface AnalysisStreamEvent {
+  stage: AnalysisStage;
+  elapsed_ms: number;
+  store?: string;
+  title?: string;
+  provider?: string;
+  text?: string;
+}
+
+// Observed prices (GET /products/:id/price-history)
+export interface PriceObservation {
+  price: number;
+  observed_at: string;
+}
+
+export interface PriceHistoryResponse {
+  product_id: string;
+  canonical_url: string;
+  store: string | null;
+  title: string | null;
+  summary: {
+    observation_count: number;
+    first_observed_at: string | null;
+    last_observed_at: string | null;
+    span_hours: number;
+    lowest_price: number | null;
+    highest_price: number | null;
+    average_price: number | null;
+  };
+  observations: PriceObservation[];
+}
+
+// Analysis history (GET /analyses)
+export interface AnalysisSummary {
+  id: string;
+  created_at: string;
+  url: string;
+  store: string | null;
+  source: 'api' | 'stream' | 'compare';
+  success: boolean;
+  http_status: number;
+  error_code: string | null;
+  provider: string | null;
+  model: string | null;
+  title: string | null;
+  current_price: number | null;
+  timings: {
+    scraping_duration_ms: number | null;
+    llm_processing_duration_ms: number | null;
+    total_duration_ms: number | null;
+  };
+}
+
+export interface AnalysisRecord extends AnalysisSummary {
+  tenant?: string;
+  error_message: string | null;
+  metadata: { trace_id?: string | null; total_duration_ms?: number };
+  data: ProductAnalysis | null;
+}
+
+export interface AnalysisHistoryQuery {
+  store?: string;
+  model?: string;
+  provider?: string;
+  error_code?: string;
+  success?: boolean;
+  from?: string;
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface AnalysisHistoryResponse {
+  total: number;
+  limit: number;
+  offset: number;
+  analyses: AnalysisSummary[];
+}
+
 export interface Store {
   name: string;
   domain: string;
@@ -76,26 +198,122 @@ export interface StoresResponse extends ApiResponse<{ stores: Store[]; total: nu
 export interface SimulationRequest {
   sessions: number;
   delay: number;
+  name?: string;
+  // Load profile name; when set it replaces sessions/delay pacing
+  profile?: string;
+  // Replays the same sessions, URLs, delays and injected errors
+  seed?: string;
+}
+
+export interface LoadProfile {
+  name: string;
+  description: string;
+  type: 'ramp' | 'spike' | 'soak' | 'step' | 'stages';
+  // Session arrival rates per second, interpolated linearly over each stage
+  stages: Array<{ durationMs: number; from: number; to: number }>;
+  durationMs: number;
+  expectedSessions: number;
+  requestsPerSession: number | null;
+  behaviorMix: { [behavior: string]: number } | null;
+}
+
+export interface LoadProfilesResponse {
+  profiles: LoadProfile[];
 }
 
 export interface SimulationStatus {
   isRunning: boolean;
   simulationId?: string;
+  name?: string;
+  tenant?: string;
+  status?: 'running' | 'completed' | 'stopped' | 'failed';
   startTime?: string;
+  endTime?: string | null;
+  config?: {
+    sessions: number;
+    delay: number;
+    profile?: LoadProfile | null;
+    seed?: string | number | null;
+  };
   progress?: {
     completed: number;
     total: number;
     percentage: number;
+    arrivals?: number;
+    skippedArrivals?: number;
+    currentRate?: number | null;
   };
   statistics?: {
+    durationMs?: number;
+    completedSessions?: number;
+    failedSessions?: number;
     totalRequests: number;
     successfulRequests: number;
     failedRequests: number;
     avgResponseTime: number;
     errorBreakdown: { [key: string]: number };
+    byBehavior?: { [behaviorKey: string]: BehaviorStatistics };
+    latency?: {
+      overall: LatencySummary;
+      byStore: { [store: string]: LatencySummary };
+      byBehavior: { [behaviorKey: string]: LatencySummary };
+      byOutcome: { [outcome in 'success' | 'error' | 'abandoned']?: LatencySummary };
+    };
+    sessionDurations?: LatencySummary;
+    peakThroughput?: number;
+    timeSeries?: ThroughputPoint[];
   };
 }
 
+// Response times in ms; histogram buckets count values up to `le` (null = above the last bound)
+export interface LatencySummary {
+  count: number;
+  min: number;
+  max: number;
+  mean: number;
+  p50: number;
+  p90: number;
+  p95: number;
+  p99: number;
+  histogram: Array<{ le: number | null; count: number }>;
+}
+
+// One second of simulated traffic
+export interface ThroughputPoint {
+  timestamp: string;
+  requests: number;
+  errors: number;
+  errorRate: number;
+  avgResponseTime: number;
+}
+
+export interface BehaviorStatistics {
+  name: string;
+  sessions: number;
+  completedSessions: number;
+  failedSessions: number;
+  // Sessions that ended because the user stopped waiting (abandonAfterMs)
+  abandonedSessions: number;
+  totalRequests: number;
+  successfulRequests: number;
+  failedRequests: number;
+  retries: number;
+  avgResponseTime: number;
+  p95ResponseTime?: number;
+}
+
+export interface SimulationStartResponse extends ApiResponse<never> {
+  simulationId?: string;
+  name?: string;
+  startTime?: string;
+}
+
+export interface SimulationsResponse {
+  simulations: SimulationStatus[];
+  running: number;
+  total: number;
+}
+
 // Message types for chat
 export interface ChatMessage {
   id: string;
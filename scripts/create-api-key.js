@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Create an API key for a tenant: `npm run api-key -- <tenant> [name]`.
+// Only the key's hash is stored (API_KEYS_FILE or data/api_keys.json), so the key is printed once.
+require('dotenv').config();
+
+const apiKeyService = require('../server/services/apiKeyService');
+
+const [tenant, name = null] = process.argv.slice(2);
+if (!tenant) {
+  console.error('Usage: npm run api-key -- <tenant> [name]');
+  process.exit(2);
+}
+
+try {
+  const apiKey = apiKeyService.createKey(tenant, name);
+  console.log(`Created API key for tenant "${tenant}" in ${apiKeyService.getKeysFile()}:\n\n  ${apiKey}\n`);
+  console.log('Send it as X-API-Key or Authorization: Bearer. It cannot be shown again.');
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(error.code === 'INVALID_TENANT' ? 2 : 1);
+}
@@ -0,0 +1,63 @@
+const cacheService = require('../services/cacheService');
+const { Sentry } = require('../middleware/sentry');
+
+const getCacheStats = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('cache.stats');
+    transaction.setTag('operation_type', 'metadata_request');
+  }
+
+  res.json(cacheService.getStats());
+};
+
+// DELETE /cache?layer=scrape|llm&url= — both filters optional; no filters empties every layer
+const purgeCache = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('cache.purge');
+    transaction.setTag('operation_type', 'cache_control');
+  }
+
+  const { layer, url } = req.query;
+
+  if (layer && !cacheService.listLayers().includes(layer)) {
+    return res.status(400).json({
+      error: `Unknown cache layer: ${layer}`,
+      code: 'INVALID_CACHE_LAYER',
+      layers: cacheService.listLayers()
+    });
+  }
+
+  if (url) {
+    try {
+      new URL(url);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        code: 'INVALID_URL'
+      });
+    }
+  }
+
+  const purged = cacheService.purge({ layer, url });
+
+  Sentry.addBreadcrumb({
+    message: `Cache purged: ${purged} entries`,
+    category: 'cache',
+    level: 'info',
+    data: { layer: layer || 'all', url: url || null }
+  });
+
+  res.json({
+    success: true,
+    purged: purged,
+    layer: layer || 'all',
+    url: url || null
+  });
+};
+
+module.exports = {
+  getCacheStats,
+  purgeCache
+};
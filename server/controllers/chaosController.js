@@ -0,0 +1,199 @@
+const chaosService = require('../services/chaosService');
+const incidentService = require('../services/incidentService');
+const { Sentry } = require('../middleware/sentry');
+
+const getTransaction = () =>
+  (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+
+const sendValidationError = (res, error) => res.status(400).json({
+  error: error.message,
+  code: error.code
+});
+
+// GET /chaos — configured and effective fault injection per stage, scenarios and presets
+const getChaos = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.get');
+    transaction.setTag('operation_type', 'metadata_request');
+  }
+
+  res.json(chaosService.getState());
+};
+
+// PUT /chaos — partial update, e.g. { stages: { scraping: { errorRate: 0.3 } } }
+const updateChaos = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.update');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  let state;
+  try {
+    state = chaosService.updateConfig(req.body);
+  } catch (error) {
+    if (error.code !== 'INVALID_CHAOS_CONFIG') throw error;
+    return sendValidationError(res, error);
+  }
+
+  Sentry.addBreadcrumb({
+    message: 'Chaos config updated',
+    category: 'chaos',
+    level: 'warning',
+    data: { stages: Object.keys(req.body.stages || {}), enabled: state.enabled }
+  });
+
+  res.json(state);
+};
+
+// DELETE /chaos — back to the env defaults and cancel every scenario
+const resetChaos = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.reset');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  Sentry.addBreadcrumb({
+    message: 'Chaos config reset',
+    category: 'chaos',
+    level: 'info'
+  });
+
+  res.json(chaosService.reset());
+};
+
+// POST /chaos/scenarios — { preset | stages, durationSeconds, startInSeconds?, name? }
+const scheduleScenario = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.scenario.schedule');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  try {
+    const scenario = chaosService.scheduleScenario(req.body || {});
+    res.status(201).json({
+      success: true,
+      scenario: scenario
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_CHAOS_PRESET') {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code !== 'INVALID_CHAOS_CONFIG') throw error;
+    sendValidationError(res, error);
+  }
+};
+
+// DELETE /chaos/scenarios/:id — cancel a scheduled or active scenario
+const cancelScenario = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.scenario.cancel');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  try {
+    res.json({
+      success: true,
+      scenario: chaosService.cancelScenario(req.params.id)
+    });
+  } catch (error) {
+    if (error.code !== 'SCENARIO_NOT_FOUND') throw error;
+    res.status(404).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+// GET /chaos/incidents — scheduler settings, incident patterns and recent incidents
+const getIncidents = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.incidents.get');
+    transaction.setTag('operation_type', 'metadata_request');
+  }
+
+  res.json(incidentService.getState());
+};
+
+// PUT /chaos/incidents — { enabled?, peakHourSlowdown?, checkIntervalSeconds? }
+const updateIncidents = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.incidents.update');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  try {
+    res.json(incidentService.configure(req.body));
+  } catch (error) {
+    if (error.code !== 'INVALID_INCIDENT') throw error;
+    sendValidationError(res, error);
+  }
+};
+
+// POST /chaos/incidents — start { pattern, durationSeconds?, peakErrorRate? } now
+const triggerIncident = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.incidents.trigger');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  try {
+    res.status(201).json({
+      success: true,
+      incident: incidentService.trigger(req.body || {})
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_INCIDENT_PATTERN') {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code !== 'INVALID_INCIDENT') throw error;
+    sendValidationError(res, error);
+  }
+};
+
+// DELETE /chaos/incidents/:id — end an active incident early
+const resolveIncident = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('chaos.incidents.resolve');
+    transaction.setTag('operation_type', 'chaos_control');
+  }
+
+  try {
+    res.json({
+      success: true,
+      incident: incidentService.resolve(req.params.id)
+    });
+  } catch (error) {
+    if (error.code !== 'INCIDENT_NOT_FOUND') throw error;
+    res.status(404).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+module.exports = {
+  getChaos,
+  updateChaos,
+  resetChaos,
+  scheduleScenario,
+  cancelScenario,
+  getIncidents,
+  updateIncidents,
+  triggerIncident,
+  resolveIncident
+};
@@ -0,0 +1,106 @@
+const historyService = require('../services/historyService');
+const { Sentry } = require('../middleware/sentry');
+
+const getTransaction = () => (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+const QUERY_PARAMS = ['store', 'model', 'provider', 'error_code', 'success', 'from', 'to', 'limit', 'offset'];
+
+// GET /analyses?store=&model=&provider=&error_code=&success=&from=&to=&limit=&offset=
+const listAnalyses = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('history.list');
+    transaction.setTag('operation_type', 'history_query');
+  }
+
+  // Repeated parameters (?store=a&store=b) parse as arrays or objects
+  const repeated = QUERY_PARAMS.filter(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+  if (repeated.length > 0) {
+    return res.status(400).json({
+      error: `Query parameters must appear once: ${repeated.join(', ')}`,
+      code: 'INVALID_QUERY'
+    });
+  }
+
+  const { store, model, provider, error_code: errorCode, success, from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return res.status(400).json({
+      error: 'from and to must be valid dates',
+      code: 'INVALID_DATE_RANGE'
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  const result = historyService.listAnalyses({
+    tenant: req.tenant.id,
+    store,
+    model,
+    provider,
+    errorCode,
+    success: success === undefined ? undefined : success === 'true',
+    from,
+    to,
+    limit,
+    offset
+  });
+
+  if (transaction) {
+    transaction.setMeasurement('history_results', result.analyses.length);
+  }
+
+  res.json(result);
+};
+
+const getAnalysis = (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('history.get');
+    transaction.setTag('operation_type', 'history_query');
+  }
+
+  const record = historyService.getAnalysis(req.params.id, req.tenant.id);
+  if (!record) {
+    return res.status(404).json({
+      error: 'Analysis not found',
+      code: 'ANALYSIS_NOT_FOUND'
+    });
+  }
+
+  res.json(record);
+};
+
+const deleteAnalysis = async (req, res) => {
+  const transaction = getTransaction();
+  if (transaction) {
+    transaction.setName('history.delete');
+    transaction.setTag('operation_type', 'history_mutation');
+  }
+
+  const deleted = await historyService.deleteAnalysis(req.params.id, req.tenant.id);
+  if (!deleted) {
+    return res.status(404).json({
+      error: 'Analysis not found',
+      code: 'ANALYSIS_NOT_FOUND'
+    });
+  }
+
+  Sentry.addBreadcrumb({
+    message: 'Analysis deleted from history',
+    category: 'history',
+    level: 'info',
+    data: { analysis_id: req.params.id }
+  });
+
+  res.json({ success: true, id: req.params.id });
+};
+
+module.exports = {
+  listAnalyses,
+  getAnalysis,
+  deleteAnalysis
+};
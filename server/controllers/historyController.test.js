@@ -0,0 +1,113 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-controller-test-'));
+process.env.HISTORY_FILE = path.join(tmpDir, 'analyses.jsonl');
+process.env.API_KEYS_FILE = path.join(tmpDir, 'api_keys.json');
+
+const apiKeyService = require('../services/apiKeyService');
+const historyService = require('../services/historyService');
+
+const analysis = (store, provider, model) => ({
+  store,
+  status: 200,
+  data: { llm_metadata: { provider, model_used: model }, basic_info: { title: `${store} product` } }
+});
+
+describe('/api/analyses', () => {
+  let server;
+  let baseUrl;
+  const keys = {};
+
+  const get = async (pathAndQuery, tenant = 'acme') => {
+    const res = await fetch(`${baseUrl}/api${pathAndQuery}`, { headers: { 'X-API-Key': keys[tenant] } });
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    keys.acme = apiKeyService.createKey('acme');
+    keys.globex = apiKeyService.createKey('globex');
+
+    historyService.recordAnalysis({ url: 'https://www.amazon.com/dp/1', tenant: 'acme', ...analysis('Amazon', 'openai', 'gpt-4o-mini') });
+    historyService.recordAnalysis({ url: 'https://www.bestbuy.com/site/2', tenant: 'acme', ...analysis('Best Buy', 'mock', 'mock-v1') });
+    historyService.recordAnalysis({
+      url: 'https://www.amazon.com/dp/3',
+      tenant: 'acme',
+      store: 'Amazon',
+      status: 504,
+      error: Object.assign(new Error('LLM timed out'), { code: 'LLM_TIMEOUT' })
+    });
+    historyService.recordAnalysis({ url: 'https://www.amazon.com/dp/4', tenant: 'globex', ...analysis('Amazon', 'openai', 'gpt-4o-mini') });
+
+    const app = express();
+    // Stands in for the Sentry request middleware, which sets the tenant
+    app.use((req, res, next) => {
+      req.tenant = apiKeyService.identifyTenant(req);
+      next();
+    });
+    app.use('/api', require('../routes/api'));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('lists only the caller\'s analyses, newest first', async () => {
+    const { status, body } = await get('/analyses');
+    assert.equal(status, 200);
+    assert.equal(body.total, 3);
+    assert.deepEqual(body.analyses.map(a => a.url), [
+      'https://www.amazon.com/dp/3',
+      'https://www.bestbuy.com/site/2',
+      'https://www.amazon.com/dp/1'
+    ]);
+
+    const { body: other } = await get('/analyses', 'globex');
+    assert.deepEqual(other.analyses.map(a => a.url), ['https://www.amazon.com/dp/4']);
+  });
+
+  test('filters by store (any case), model, provider, error code and outcome', async () => {
+    const urls = async (query) => (await get(`/analyses?${query}`)).body.analyses.map(a => a.url);
+
+    assert.deepEqual(await urls('store=amazon'), ['https://www.amazon.com/dp/3', 'https://www.amazon.com/dp/1']);
+    assert.deepEqual(await urls('model=mock-v1'), ['https://www.bestbuy.com/site/2']);
+    assert.deepEqual(await urls('provider=openai'), ['https://www.amazon.com/dp/1']);
+    assert.deepEqual(await urls('error_code=LLM_TIMEOUT'), ['https://www.amazon.com/dp/3']);
+    assert.deepEqual(await urls('success=false'), ['https://www.amazon.com/dp/3']);
+    assert.deepEqual(await urls('store=amazon&success=true'), ['https://www.amazon.com/dp/1']);
+  });
+
+  test('pages with limit and offset', async () => {
+    const { body } = await get('/analyses?limit=1&offset=1');
+    assert.equal(body.total, 3);
+    assert.deepEqual(body.analyses.map(a => a.url), ['https://www.bestbuy.com/site/2']);
+  });
+
+  test('rejects repeated query parameters and invalid dates', async () => {
+    const repeated = await get('/analyses?store=amazon&store=best%20buy&model=a&model=b');
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.code, 'INVALID_QUERY');
+    assert.match(repeated.body.error, /store, model/);
+
+    assert.equal((await get('/analyses?provider[x]=openai')).body.code, 'INVALID_QUERY');
+    assert.equal((await get('/analyses?from=yesterday')).body.code, 'INVALID_DATE_RANGE');
+  });
+
+  test('hides other tenants\' analyses from get and delete', async () => {
+    const [{ id }] = (await get('/analyses', 'globex')).body.analyses;
+
+    assert.equal((await get(`/analyses/${id}`)).status, 404);
+    const deleted = await fetch(`${baseUrl}/api/analyses/${id}`, { method: 'DELETE', headers: { 'X-API-Key': keys.acme } });
+    assert.equal(deleted.status, 404);
+
+    assert.equal((await get(`/analyses/${id}`, 'globex')).status, 200);
+  });
+});
@@ -0,0 +1,28 @@
+const metricsService = require('../services/metricsService');
+const { Sentry } = require('../middleware/sentry');
+
+// GET /metrics — Prometheus text format, or OpenMetrics when the scraper asks for it
+const getMetrics = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('metrics.scrape');
+    transaction.setTag('operation_type', 'metadata_request');
+  }
+
+  if (!metricsService.isEnabled()) {
+    return res.status(404).json({
+      error: 'Metrics are disabled',
+      code: 'METRICS_DISABLED'
+    });
+  }
+
+  // Prometheus sends `application/openmetrics-text;version=...`, which req.accepts() won't match
+  const openMetrics = (req.get('Accept') || '').includes('application/openmetrics-text');
+  const { contentType, body } = metricsService.render({ openMetrics });
+  res.set('Content-Type', contentType);
+  res.send(body);
+};
+
+module.exports = {
+  getMetrics
+};
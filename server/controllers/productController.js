@@ -1,8 +1,42 @@
 const llmService = require('../services/llmService');
 const scrapingService = require('../services/scrapingService');
-const { simulateDelay, simulateError, logPerformanceMetric } = require('../utils/demoUtils');
+const historyService = require('../services/historyService');
+const priceHistoryService = require('../services/priceHistoryService');
+const cacheService = require('../services/cacheService');
+const chaosService = require('../services/chaosService');
+const rateLimitService = require('../services/rateLimitService');
+const metricsService = require('../services/metricsService');
+const apiKeyService = require('../services/apiKeyService');
+const { getExtractor } = require('../services/extractors');
+const { createLogger } = require('../utils/logger');
+const { getProductId, canonicalizeProductUrl } = require('../utils/urlUtils');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { logPerformanceMetric } = require('../utils/demoUtils');
 const { Sentry, createSpan, finishSpan } = require('../middleware/sentry');
 
+const log = createLogger('product');
+
+const COMPARE_MIN_URLS = 2;
+const COMPARE_MAX_URLS = 10;
+// Products scraped and parsed at once per comparison
+const COMPARE_CONCURRENCY = Math.max(1, parseInt(process.env.COMPARE_CONCURRENCY || '3'));
+
+// Side-by-side table columns, in display order
+const COMPARE_COLUMNS = [
+  { key: 'rank', label: 'Rank' },
+  { key: 'title', label: 'Product' },
+  { key: 'store', label: 'Store' },
+  { key: 'current_price', label: 'Price' },
+  { key: 'original_price', label: 'Original price' },
+  { key: 'discount_percent', label: 'Discount' },
+  { key: 'average_rating', label: 'Rating' },
+  { key: 'total_reviews', label: 'Reviews' },
+  { key: 'free_shipping', label: 'Free shipping' },
+  { key: 'shipping_days', label: 'Delivery (days)' },
+  { key: 'value_score', label: 'Value score' },
+  { key: 'comparison_score', label: 'Comparison score' }
+];
+
 const SUPPORTED_STORES = [
   { name: 'Amazon', domain: 'amazon.com', supported: true },
   { name: 'eBay', domain: 'ebay.com', supported: true },
@@ -16,230 +50,778 @@ const SUPPORTED_STORES = [
   { name: 'AliExpress', domain: 'aliexpress.com', supported: true }
 ];
 
-const analyzeProduct = async (req, res) => {
-  const startTime = Date.now();
-  const { url } = req.body;
-  
-  // Start main Sentry transaction
-  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
-  if (transaction) {
-    transaction.setName('product.analyze');
-    transaction.setTag('operation_type', 'product_analysis');
-  }
-  
-  try {
-    // Validate URL
-    if (!url) {
-      const error = new Error('URL is required');
-      error.code = 'MISSING_URL';
-      Sentry.captureException(error, {
-        tags: {
-          error_type: 'validation_error',
-          step: 'url_validation'
-        }
-      });
-      return res.status(400).json({
+// Validate the analysis request; returns { parsedUrl, store } or a 400 { status, body }
+const validateAnalysisRequest = (url, provider) => {
+  if (!url) {
+    const error = new Error('URL is required');
+    error.code = 'MISSING_URL';
+    Sentry.captureException(error, {
+      tags: {
+        error_type: 'validation_error',
+        step: 'url_validation'
+      }
+    });
+    return {
+      status: 400,
+      body: {
         error: 'URL is required',
         code: 'MISSING_URL'
-      });
-    }
+      }
+    };
+  }
 
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-    } catch (error) {
-      Sentry.captureException(error, {
-        tags: {
-          error_type: 'url_parse_error',
-          step: 'url_validation'
-        },
-        extra: { invalid_url: url }
-      });
-      return res.status(400).json({
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    Sentry.captureException(error, {
+      tags: {
+        error_type: 'url_parse_error',
+        step: 'url_validation'
+      },
+      extra: { invalid_url: url }
+    });
+    return {
+      status: 400,
+      body: {
         error: 'Invalid URL format',
         code: 'INVALID_URL'
-      });
-    }
+      }
+    };
+  }
 
-    // Check if store is supported
-    const store = SUPPORTED_STORES.find(s => 
-      parsedUrl.hostname.includes(s.domain) || 
-      parsedUrl.hostname.includes(s.domain.replace('.com', ''))
-    );
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    return {
+      status: 400,
+      body: {
+        error: 'Only http and https URLs can be analyzed',
+        code: 'INVALID_URL'
+      }
+    };
+  }
 
-    if (!store) {
-      Sentry.captureMessage('Unsupported store attempted', {
-        level: 'warning',
-        tags: {
-          store_domain: parsedUrl.hostname,
-          error_type: 'unsupported_store'
-        },
-        extra: {
-          url: url,
-          supported_stores: SUPPORTED_STORES.map(s => s.name)
-        }
-      });
-      return res.status(400).json({
+  // Check if store is supported: the host must be one of the store's domains
+  // (amazon.co.uk, shop.myshopify.com, ...) or a subdomain of one. Unlisted
+  // storefronts (e.g. Shopify on a custom domain) can be allowed and are handled
+  // by the generic schema.org extractor.
+  const extractor = getExtractor(parsedUrl.hostname);
+  let store = SUPPORTED_STORES.find(s => extractor.domains.includes(s.domain));
+
+  if (!store && process.env.ALLOW_UNLISTED_STORES === 'true') {
+    store = { name: parsedUrl.hostname.replace(/^www\./, ''), domain: parsedUrl.hostname, supported: true, generic: true };
+  }
+
+  if (!store) {
+    Sentry.captureMessage('Unsupported store attempted', {
+      level: 'warning',
+      tags: {
+        store_domain: parsedUrl.hostname,
+        error_type: 'unsupported_store'
+      },
+      extra: {
+        url: url,
+        supported_stores: SUPPORTED_STORES.map(s => s.name)
+      }
+    });
+    return {
+      status: 400,
+      body: {
         error: 'Unsupported store',
         code: 'UNSUPPORTED_STORE',
         supportedStores: SUPPORTED_STORES.map(s => s.name)
-      });
+      }
+    };
+  }
+
+  // Optional per-request LLM provider override
+  if (provider && !llmService.getProvider(provider)) {
+    return {
+      status: 400,
+      body: {
+        error: `Unknown LLM provider: ${provider}`,
+        code: 'UNSUPPORTED_PROVIDER',
+        providers: llmService.listProviders().map(p => p.name)
+      }
+    };
+  }
+
+  return { parsedUrl, store };
+};
+
+// Scrape + LLM steps for one product, each behind its own cache layer (see
+// cacheService), with spans under `parentSpan`. `emit(event, payload)` reports stage
+// progress and `onToken(chunk)` receives LLM output as it streams.
+const analyzeUrl = async ({ url, parsedUrl, store, provider, parentSpan, emit = () => {}, onToken }) => {
+  // Create initial processing span
+  const initSpan = createSpan(parentSpan, {
+    op: 'product.initialize',
+    description: 'Initialize product analysis'
+  });
+  
+  try {
+    await chaosService.injectLatency('init');
+    chaosService.injectError('init');
+  } catch (error) {
+    if (initSpan) {
+      initSpan.setStatus('internal_error');
     }
+    finishSpan(initSpan, { store_name: store.name, error_code: error.code });
+    throw error;
+  }
 
-    // Add store context to Sentry
-    Sentry.setTag('store_name', store.name);
-    Sentry.setTag('store_domain', store.domain);
-    Sentry.setContext('product_analysis', {
-      url: url,
-      store: store.name,
-      domain: store.domain
-    });
+  finishSpan(initSpan, {
+    store_name: store.name,
+    url_valid: true
+  });
 
-    // Create initial processing span
-    const initSpan = createSpan(transaction, {
-      op: 'product.initialize',
-      description: 'Initialize product analysis'
-    });
-    
-    await simulateDelay('initial_processing');
-    simulateError('scraping_failure', 0.1); // 10% chance of error
+  log.info('Starting product analysis', { url, store: store.name });
 
-    finishSpan(initSpan, {
-      store_name: store.name,
-      url_valid: true
+  // Step 1: Scrape the product page with Sentry span
+  emit('scraping', { store: store.name });
+  const scrapingStartTime = Date.now();
+  const scrapingSpan = createSpan(parentSpan, {
+    op: 'scraping.fetch',
+    description: `Scrape product data from ${store.name}`
+  });
+  
+  if (scrapingSpan) {
+    scrapingSpan.setTag('store_name', store.name);
+    scrapingSpan.setTag('scraping_target', parsedUrl.hostname);
+  }
+  
+  let scrapeResult;
+  try {
+    scrapeResult = await cacheService.getOrLoad(
+      'scrape',
+      cacheService.buildKey(url),
+      parentSpan,
+      () => scrapingService.scrapeProductPage(url)
+    );
+  } catch (error) {
+    if (scrapingSpan) {
+      scrapingSpan.setStatus('internal_error');
+    }
+    finishSpan(scrapingSpan, {
+      scraping_duration_ms: Date.now() - scrapingStartTime,
+      scraping_success: false,
+      error_code: error.code
     });
+    throw error;
+  }
+  const { value: rawProductData, hit: scrapeCacheHit } = scrapeResult;
+  const scrapingDuration = Date.now() - scrapingStartTime;
+  metricsService.observe('analysis_stage_duration_seconds', scrapingDuration / 1000, {
+    stage: 'scrape',
+    store: store.name,
+    cache: scrapeCacheHit ? 'hit' : 'miss'
+  });
+  
+  finishSpan(scrapingSpan, {
+    scraping_duration_ms: scrapingDuration,
+    product_title: rawProductData.title,
+    scraping_success: true,
+    cache_hit: scrapeCacheHit
+  });
+  // Every freshly scraped live price is a real observation for this product's
+  // history; mock pages carry randomized prices and would fake a trend
+  const observedPrice = !scrapeCacheHit && rawProductData.scrapingMetadata.mode !== 'mock';
+  const productId = observedPrice ? priceHistoryService.recordPrice({
+    url,
+    store: store.name,
+    title: rawProductData.title,
+    price: parseFloat(String(rawProductData.price || '').replace(/[^0-9.]/g, ''))
+  }) : getProductId(url);
+  const priceHistory = priceHistoryService.getRecentHistory(productId, 7);
 
-    console.log(`Starting product analysis for: ${url}`);
+  emit('scraped', {
+    title: rawProductData.title,
+    price: rawProductData.price,
+    scraping_duration_ms: scrapingDuration,
+    cached: scrapeCacheHit
+  });
 
-    // Step 1: Scrape the product page with Sentry span
-    const scrapingStartTime = Date.now();
-    const scrapingSpan = createSpan(transaction, {
-      op: 'scraping.fetch',
-      description: `Scrape product data from ${store.name}`
-    });
-    
-    if (scrapingSpan) {
-      scrapingSpan.setTag('store_name', store.name);
-      scrapingSpan.setTag('scraping_target', parsedUrl.hostname);
+  // Step 2: Use LLM to parse and structure the data (llmService owns the
+  // gen_ai.invoke_agent span, so a cache hit records none)
+  const llmStartTime = Date.now();
+
+  // LLM results are cached per product, provider and scraped content, so a
+  // re-scrape that sees a new price or title never gets an older analysis.
+  // Scrape metadata (timestamps, durations) changes every time, so it stays out.
+  const providerName = llmService.resolveProvider(provider).name;
+  const scrapeDigest = cacheService.digest({ ...rawProductData, scrapingMetadata: undefined });
+  emit('llm_started', { provider: providerName });
+  const { value: structuredData, hit: llmCacheHit } = await cacheService.getOrLoad(
+    'llm',
+    cacheService.buildKey(url, providerName, scrapeDigest),
+    parentSpan,
+    async () => {
+      await chaosService.injectLatency('llm_analysis');
+      return llmService.parseProductData(rawProductData, url, {
+        provider,
+        onToken,
+        priceHistory,
+        parentSpan
+      });
+    }
+  );
+  const llmDuration = Date.now() - llmStartTime;
+  metricsService.observe('analysis_stage_duration_seconds', llmDuration / 1000, {
+    stage: 'llm',
+    store: store.name,
+    cache: llmCacheHit ? 'hit' : 'miss'
+  });
+
+  // A cached result costs nothing for this request
+  const requestUsage = llmCacheHit
+    ? { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 }
+    : {
+      prompt_tokens: structuredData.llm_metadata.prompt_tokens,
+      completion_tokens: structuredData.llm_metadata.completion_tokens,
+      total_tokens: structuredData.llm_metadata.token_count,
+      cost_usd: structuredData.llm_metadata.cost_usd
+    };
+  const cacheStatus = scrapeCacheHit && llmCacheHit ? 'hit' : (scrapeCacheHit || llmCacheHit ? 'partial' : 'miss');
+
+  return { structuredData, productId, scrapingDuration, llmDuration, scrapeCacheHit, llmCacheHit, requestUsage, cacheStatus };
+};
+
+// Response `data` for one analyzed product
+const buildAnalysisData = (result, { url, store, startTime }) => ({
+  ...result.structuredData,
+  store: store.name,
+  url: url,
+  product_id: result.productId,
+  analysis_metadata: {
+    scraping_duration_ms: result.scrapingDuration,
+    llm_processing_duration_ms: result.llmDuration,
+    total_duration_ms: Date.now() - startTime,
+    ...result.requestUsage,
+    token_source: result.structuredData.llm_metadata.token_source,
+    cache: {
+      status: result.cacheStatus,
+      scrape: result.scrapeCacheHit ? 'hit' : 'miss',
+      llm: result.llmCacheHit ? 'hit' : 'miss'
+    },
+    timestamp: new Date().toISOString()
+  }
+});
+
+// Analysis pipeline shared by the JSON and streaming endpoints; returns the
+// response `data` object and records it in history
+const runAnalysisPipeline = async ({ url, parsedUrl, store, provider, source, tenant, transaction, startTime, emit, onToken }) => {
+  // Add store context to Sentry
+  Sentry.setTag('store_name', store.name);
+  Sentry.setTag('store_domain', store.domain);
+  Sentry.setContext('product_analysis', {
+    url: url,
+    store: store.name,
+    domain: store.domain
+  });
+
+  const result = await analyzeUrl({ url, parsedUrl, store, provider, parentSpan: transaction, emit, onToken });
+  const { structuredData, scrapingDuration, llmDuration, scrapeCacheHit, llmCacheHit, requestUsage, cacheStatus } = result;
+
+  const totalDuration = Date.now() - startTime;
+
+  // Add final metrics to transaction
+  if (transaction) {
+    transaction.setMeasurement('total_duration_ms', totalDuration);
+    transaction.setMeasurement('scraping_duration_ms', scrapingDuration);
+    transaction.setMeasurement('llm_duration_ms', llmDuration);
+    transaction.setMeasurement('product_price', structuredData.basic_info.current_price);
+    transaction.setMeasurement('product_rating', structuredData.reviews.average_rating);
+    transaction.setMeasurement('confidence_score', structuredData.llm_metadata.confidence_score);
+    transaction.setMeasurement('llm_prompt_tokens', requestUsage.prompt_tokens);
+    transaction.setMeasurement('llm_completion_tokens', requestUsage.completion_tokens);
+    transaction.setMeasurement('llm_cost_usd', requestUsage.cost_usd);
+    if (!llmCacheHit && structuredData.llm_metadata.time_to_first_token_ms !== undefined) {
+      transaction.setMeasurement('llm_time_to_first_token_ms', structuredData.llm_metadata.time_to_first_token_ms);
     }
     
-    const rawProductData = await scrapingService.scrapeProductPage(url);
-    const scrapingDuration = Date.now() - scrapingStartTime;
-    
-    finishSpan(scrapingSpan, {
-      scraping_duration_ms: scrapingDuration,
-      product_title: rawProductData.title,
-      scraping_success: true
+    transaction.setTag('product_category', structuredData.basic_info.category);
+    transaction.setTag('llm_provider', structuredData.llm_metadata.provider);
+    transaction.setTag('price_history_source', structuredData.price_analysis.history.source);
+    transaction.setMeasurement('price_history_observations', structuredData.price_analysis.history.observation_count);
+    transaction.setTag('has_discount', structuredData.price_analysis.is_good_deal);
+    transaction.setTag('free_shipping', structuredData.shipping.is_free);
+    transaction.setTag('analysis_success', true);
+    transaction.setTag('cache.scrape', scrapeCacheHit ? 'hit' : 'miss');
+    transaction.setTag('cache.llm', llmCacheHit ? 'hit' : 'miss');
+    transaction.setTag('cache_status', cacheStatus);
+  }
+
+  // Log performance metric
+  logPerformanceMetric('product_analysis', startTime, true);
+
+  const data = buildAnalysisData(result, { url, store, startTime });
+
+  const record = historyService.recordAnalysis({
+    url,
+    store: store.name,
+    source,
+    tenant,
+    status: 200,
+    data,
+    metadata: { trace_id: transaction ? transaction.traceId : null }
+  });
+  data.analysis_metadata.analysis_id = record.id;
+
+  return data;
+};
+
+// Different status codes based on error type
+const getErrorStatus = (error) => {
+  if (error.code === 'SCRAPING_FAILED') {
+    return 502;
+  } else if (error.code === 'LLM_TIMEOUT') {
+    return 504;
+  } else if (error.code === 'RATE_LIMITED') {
+    return 429;
+  }
+  return 500;
+};
+
+// Report a pipeline failure and map it to { status, body }
+const handleAnalysisError = (error, { url, store, source, tenant, transaction, startTime }) => {
+  log.error('Product analysis failed', { url, error });
+  
+  // Capture error in Sentry with rich context
+  Sentry.captureException(error, {
+    tags: {
+      error_type: error.code || 'analysis_failed',
+      step: 'product_analysis'
+    },
+    extra: {
+      url: url,
+      duration_before_error: Date.now() - startTime,
+      error_details: error.message
+    },
+    level: 'error'
+  });
+  
+  // Update transaction with error status
+  if (transaction) {
+    transaction.setTag('analysis_success', false);
+    transaction.setTag('error_type', error.code || 'analysis_failed');
+    transaction.setStatus('internal_error');
+  }
+
+  // Log performance metric for failed request
+  logPerformanceMetric('product_analysis', startTime, false, error);
+  
+  const body = {
+    success: false,
+    error: error.message,
+    code: error.code || 'ANALYSIS_FAILED',
+    duration_ms: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  };
+
+  const status = getErrorStatus(error);
+
+  const record = historyService.recordAnalysis({
+    url,
+    store: store ? store.name : null,
+    source,
+    tenant,
+    status,
+    error,
+    metadata: {
+      trace_id: transaction ? transaction.traceId : null,
+      total_duration_ms: body.duration_ms
+    }
+  });
+  body.analysis_id = record.id;
+  
+  return { status, body };
+};
+
+const analyzeProduct = async (req, res) => {
+  const startTime = Date.now();
+  const { url, provider } = req.body;
+  
+  // Start main Sentry transaction
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('product.analyze');
+    transaction.setTag('operation_type', 'product_analysis');
+  }
+  
+  let store;
+  try {
+    const validation = validateAnalysisRequest(url, provider);
+    if (validation.status) {
+      return res.status(validation.status).json(validation.body);
+    }
+    store = validation.store;
+
+    const data = await runAnalysisPipeline({
+      url,
+      provider,
+      parsedUrl: validation.parsedUrl,
+      store,
+      source: 'api',
+      tenant: req.tenant.id,
+      transaction,
+      startTime
     });
 
-    // Step 2: Use LLM to parse and structure the data with Sentry span
-    const llmStartTime = Date.now();
-    const llmSpan = createSpan(transaction, {
-      op: 'llm.inference',
-      description: 'Process product data with LLM'
+    if (req.rateLimitClient) {
+      rateLimitService.recordUsage(req.rateLimitClient.id, data.analysis_metadata);
+    }
+
+    // Response with parsed product data
+    res.json({
+      success: true,
+      data: data
     });
-    
-    if (llmSpan) {
-      llmSpan.setTag('llm_operation', 'product_parsing');
-      llmSpan.setTag('store_name', store.name);
+
+  } catch (error) {
+    const { status, body } = handleAnalysisError(error, { url, store, source: 'api', tenant: req.tenant.id, transaction, startTime });
+    // Pass on how long an upstream LLM rate limit asked us to wait
+    if (status === 429 && error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
     }
-    
-    await simulateDelay('llm_processing');
-    
-    const structuredData = await llmService.parseProductData(rawProductData, url);
-    const llmDuration = Date.now() - llmStartTime;
-
-    finishSpan(llmSpan, {
-      llm_processing_time_ms: llmDuration,
-      confidence_score: structuredData.llm_metadata.confidence_score,
-      token_count: structuredData.llm_metadata.token_count,
-      llm_model: structuredData.llm_metadata.model_used
+    res.status(status).json(body);
+  }
+};
+
+// Trade the caller's API key for a short-lived token to open the stream with (EventSource can't send headers)
+const createStreamToken = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('product.analyze.stream_token');
+    transaction.setTag('operation_type', 'auth');
+  }
+
+  // Keyless callers don't need a token: the stream is open to them whenever keys aren't enforced
+  if (!req.tenant.authenticated) {
+    return res.status(401).json({
+      error: 'An API key is required (X-API-Key or Authorization: Bearer)',
+      code: 'API_KEY_REQUIRED'
     });
+  }
+
+  const { token, expiresAt } = apiKeyService.createStreamToken(req.tenant);
+  res.json({ token: token, expires_at: expiresAt });
+};
+
+// Server-Sent Events variant of analyzeProduct: GET /analyze/stream?url=&token=
+const analyzeProductStream = async (req, res) => {
+  const startTime = Date.now();
+  const { url, provider } = req.query;
+
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('product.analyze.stream');
+    transaction.setTag('operation_type', 'product_analysis');
+    transaction.setTag('streaming', true);
+  }
+
+  const validation = validateAnalysisRequest(url, provider);
+  if (validation.status) {
+    return res.status(validation.status).json(validation.body);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let clientClosed = false;
+  req.on('close', () => {
+    clientClosed = true;
+  });
+
+  let tokenChunks = 0;
+  const emit = (event, payload = {}) => {
+    if (event === 'token') tokenChunks++;
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify({ ...payload, elapsed_ms: Date.now() - startTime })}\n\n`);
+  };
+
+  emit('validated', { url: url, store: validation.store.name });
 
-    const totalDuration = Date.now() - startTime;
+  try {
+    const data = await runAnalysisPipeline({
+      url,
+      provider,
+      parsedUrl: validation.parsedUrl,
+      store: validation.store,
+      source: 'stream',
+      tenant: req.tenant.id,
+      transaction,
+      startTime,
+      emit,
+      onToken: (chunk) => emit('token', { text: chunk })
+    });
 
-    // Add final metrics to transaction
     if (transaction) {
-      transaction.setMeasurement('total_duration_ms', totalDuration);
-      transaction.setMeasurement('scraping_duration_ms', scrapingDuration);
-      transaction.setMeasurement('llm_duration_ms', llmDuration);
-      transaction.setMeasurement('product_price', structuredData.basic_info.current_price);
-      transaction.setMeasurement('product_rating', structuredData.reviews.average_rating);
-      transaction.setMeasurement('confidence_score', structuredData.llm_metadata.confidence_score);
-      
-      transaction.setTag('product_category', structuredData.basic_info.category);
-      transaction.setTag('has_discount', structuredData.price_analysis.is_good_deal);
-      transaction.setTag('free_shipping', structuredData.shipping.is_free);
-      transaction.setTag('analysis_success', true);
+      transaction.setMeasurement('stream_token_chunks', tokenChunks);
     }
+    if (req.rateLimitClient) {
+      rateLimitService.recordUsage(req.rateLimitClient.id, data.analysis_metadata);
+    }
+
+    // Same payload shape as POST /analyze
+    emit('analysis_complete', { success: true, data: data });
+  } catch (error) {
+    const { status, body } = handleAnalysisError(error, {
+      url,
+      store: validation.store,
+      source: 'stream',
+      tenant: req.tenant.id,
+      transaction,
+      startTime
+    });
+    emit('analysis_error', { ...body, status: status });
+  }
 
-    // Log performance metric
-    logPerformanceMetric('product_analysis', startTime, true);
+  if (clientClosed && transaction) {
+    transaction.setTag('client_disconnected', true);
+  }
+  res.end();
+};
 
-    // Response with parsed product data
-    const response = {
-      success: true,
-      data: {
-        ...structuredData,
-        store: store.name,
-        url: url,
-        analysis_metadata: {
-          scraping_duration_ms: scrapingDuration,
-          llm_processing_duration_ms: llmDuration,
-          total_duration_ms: totalDuration,
-          timestamp: new Date().toISOString()
-        }
-      }
-    };
+// Scrape and parse one compared product inside its own `compare.product` span. Runs
+// in a separate async context so concurrent products don't share an active span.
+// Failures are returned, not thrown, so the other products can still be compared.
+const analyzeComparedProduct = ({ url, parsedUrl, store, provider, tenant, index, traceId }) => Sentry.runWithAsyncContext(() => Sentry.startSpan({
+  op: 'compare.product',
+  name: `Analyze product ${index + 1} (${store.name})`
+}, async (span) => {
+  const startTime = Date.now();
+  if (span) {
+    span.setTag('store_name', store.name);
+    span.setData('url', url);
+  }
 
-    res.json(response);
+  try {
+    const result = await analyzeUrl({ url, parsedUrl, store, provider, parentSpan: span });
+    const data = buildAnalysisData(result, { url, store, startTime });
+    const record = historyService.recordAnalysis({
+      url,
+      store: store.name,
+      source: 'compare',
+      tenant,
+      status: 200,
+      data,
+      metadata: { trace_id: traceId }
+    });
+    data.analysis_metadata.analysis_id = record.id;
 
+    if (span) span.setData('cache_status', result.cacheStatus);
+    return { url, success: true, data };
   } catch (error) {
-    console.error('❌ Product analysis error:', error);
-    
-    // Capture error in Sentry with rich context
+    log.warn('Compared product failed', { url, index, error });
+    if (span) span.setStatus('internal_error');
     Sentry.captureException(error, {
       tags: {
         error_type: error.code || 'analysis_failed',
-        step: 'product_analysis'
+        step: 'product_comparison'
       },
-      extra: {
-        url: url,
-        duration_before_error: Date.now() - startTime,
-        error_details: error.message
-      },
-      level: 'error'
+      extra: { url: url, product_index: index }
     });
-    
-    // Update transaction with error status
-    if (transaction) {
-      transaction.setTag('analysis_success', false);
-      transaction.setTag('error_type', error.code || 'analysis_failed');
-      transaction.setStatus('internal_error');
-    }
 
-    // Log performance metric for failed request
-    logPerformanceMetric('product_analysis', startTime, false, error);
-    
-    const errorResponse = {
+    const status = getErrorStatus(error);
+    const record = historyService.recordAnalysis({
+      url,
+      store: store.name,
+      source: 'compare',
+      tenant,
+      status,
+      error,
+      metadata: { trace_id: traceId, total_duration_ms: Date.now() - startTime }
+    });
+    return {
+      url,
       success: false,
+      status,
       error: error.message,
       code: error.code || 'ANALYSIS_FAILED',
-      duration_ms: Date.now() - startTime,
-      timestamp: new Date().toISOString()
+      analysis_id: record.id
     };
+  }
+}));
+
+// POST /compare { urls: [2-10 product URLs], provider? } — analyze every product
+// (COMPARE_CONCURRENCY at a time), then rank them with one LLM comparison prompt
+const compareProducts = async (req, res) => {
+  const startTime = Date.now();
+  const { urls, provider } = req.body;
+
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('product.compare');
+    transaction.setTag('operation_type', 'product_comparison');
+  }
 
-    // Different status codes based on error type
-    if (error.code === 'SCRAPING_FAILED') {
-      return res.status(502).json(errorResponse);
-    } else if (error.code === 'LLM_TIMEOUT') {
-      return res.status(504).json(errorResponse);
-    } else if (error.code === 'RATE_LIMITED') {
-      return res.status(429).json(errorResponse);
+  if (!Array.isArray(urls) || urls.length < COMPARE_MIN_URLS || urls.length > COMPARE_MAX_URLS ||
+    urls.some(url => typeof url !== 'string')) {
+    return res.status(400).json({
+      error: `urls must be a list of ${COMPARE_MIN_URLS} to ${COMPARE_MAX_URLS} product URLs`,
+      code: 'INVALID_COMPARE_URLS'
+    });
+  }
+
+  const targets = [];
+  for (const [index, url] of urls.entries()) {
+    const validation = validateAnalysisRequest(url, provider);
+    if (validation.status) {
+      return res.status(validation.status).json({ ...validation.body, url: url, index: index });
     }
-    
-    res.status(500).json(errorResponse);
+    targets.push({ url, parsedUrl: validation.parsedUrl, store: validation.store });
+  }
+
+  const canonicalUrls = targets.map(target => canonicalizeProductUrl(target.url));
+  if (new Set(canonicalUrls).size !== canonicalUrls.length) {
+    return res.status(400).json({
+      error: 'Each URL must be a different product',
+      code: 'DUPLICATE_COMPARE_URLS'
+    });
+  }
+
+  if (transaction) {
+    transaction.setTag('compare.stores', Array.from(new Set(targets.map(target => target.store.name))).sort().join(','));
+    transaction.setMeasurement('compare_product_count', targets.length);
+  }
+
+  const analyses = await mapWithConcurrency(targets, COMPARE_CONCURRENCY, (target, index) => analyzeComparedProduct({
+    ...target,
+    provider,
+    tenant: req.tenant.id,
+    index,
+    traceId: transaction ? transaction.traceId : null
+  }));
+  const analysisDuration = Date.now() - startTime;
+
+  const analyzed = analyses.filter(analysis => analysis.success);
+  const failed = analyses
+    .filter(analysis => !analysis.success)
+    .map(({ url, error, code, status, analysis_id }) => ({ url, error, code, status, analysis_id }));
+  const productUsage = analyzed.reduce((sum, analysis) => ({
+    total_tokens: sum.total_tokens + analysis.data.analysis_metadata.total_tokens,
+    cost_usd: sum.cost_usd + analysis.data.analysis_metadata.cost_usd
+  }), { total_tokens: 0, cost_usd: 0 });
+
+  const fail = (status, body) => {
+    if (transaction) {
+      transaction.setTag('analysis_success', false);
+      transaction.setTag('error_type', body.code);
+      transaction.setStatus('internal_error');
+    }
+    if (req.rateLimitClient) {
+      rateLimitService.recordUsage(req.rateLimitClient.id, productUsage);
+    }
+    logPerformanceMetric('product_comparison', startTime, false, { code: body.code, message: body.error });
+    res.status(status).json({
+      success: false,
+      ...body,
+      failed: failed,
+      duration_ms: Date.now() - startTime
+    });
+  };
+
+  if (analyzed.length < COMPARE_MIN_URLS) {
+    // Surface the first product failure's status (e.g. 429 when rate limited upstream)
+    return fail(failed[0].status, {
+      error: `Only ${analyzed.length} of ${targets.length} products could be analyzed; at least ${COMPARE_MIN_URLS} are needed to compare`,
+      code: 'INSUFFICIENT_PRODUCTS'
+    });
+  }
+
+  let comparison;
+  const comparisonStartTime = Date.now();
+  try {
+    comparison = await llmService.compareProducts(analyzed.map(analysis => analysis.data), { provider });
+  } catch (error) {
+    log.error('Product comparison failed', { error });
+    return fail(getErrorStatus(error), { error: error.message, code: error.code || 'COMPARISON_FAILED' });
+  }
+  const comparisonDuration = Date.now() - comparisonStartTime;
+
+  const ranking = comparison.ranking.map((entry, position) => {
+    const product = analyzed[entry.product].data;
+    return {
+      rank: position + 1,
+      url: product.url,
+      title: product.basic_info.title,
+      store: product.store,
+      score: entry.score,
+      reason: entry.reason
+    };
+  });
+  const table = {
+    columns: COMPARE_COLUMNS,
+    rows: comparison.ranking.map((entry, position) => {
+      const product = analyzed[entry.product].data;
+      return {
+        rank: position + 1,
+        title: product.basic_info.title,
+        store: product.store,
+        url: product.url,
+        current_price: product.basic_info.current_price,
+        original_price: product.basic_info.original_price,
+        discount_percent: product.basic_info.discount_percent,
+        average_rating: product.reviews.average_rating,
+        total_reviews: product.reviews.total_reviews,
+        free_shipping: product.shipping.is_free,
+        shipping_days: product.shipping.estimated_days,
+        value_score: product.value_metrics.overall_score,
+        comparison_score: entry.score
+      };
+    })
+  };
+  const recommended = analyzed[comparison.recommendation.product].data;
+
+  const totalUsage = {
+    total_tokens: productUsage.total_tokens + comparison.llm_metadata.token_count,
+    cost_usd: productUsage.cost_usd + comparison.llm_metadata.cost_usd
+  };
+  if (req.rateLimitClient) {
+    rateLimitService.recordUsage(req.rateLimitClient.id, totalUsage);
   }
+
+  const totalDuration = Date.now() - startTime;
+  if (transaction) {
+    transaction.setMeasurement('total_duration_ms', totalDuration);
+    transaction.setMeasurement('compare_analysis_duration_ms', analysisDuration);
+    transaction.setMeasurement('compare_llm_duration_ms', comparisonDuration);
+    transaction.setMeasurement('compare_failed_count', failed.length);
+    transaction.setMeasurement('llm_cost_usd', totalUsage.cost_usd);
+    transaction.setTag('compare.ranking_source', comparison.llm_metadata.ranking_source);
+    transaction.setTag('analysis_success', true);
+  }
+  logPerformanceMetric('product_comparison', startTime, true);
+
+  res.json({
+    success: true,
+    data: {
+      recommendation: {
+        url: recommended.url,
+        title: recommended.basic_info.title,
+        store: recommended.store,
+        summary: comparison.recommendation.summary
+      },
+      ranking: ranking,
+      table: table,
+      products: analyzed.map(analysis => analysis.data),
+      failed: failed,
+      llm_metadata: comparison.llm_metadata,
+      comparison_metadata: {
+        requested: targets.length,
+        compared: analyzed.length,
+        concurrency: COMPARE_CONCURRENCY,
+        analysis_duration_ms: analysisDuration,
+        comparison_duration_ms: comparisonDuration,
+        total_duration_ms: totalDuration,
+        ...totalUsage,
+        timestamp: new Date().toISOString()
+      }
+    }
+  });
 };
 
 const getSupportedStores = (req, res) => {
@@ -262,7 +844,59 @@ const getSupportedStores = (req, res) => {
   });
 };
 
+// GET /products/:id/price-history?from=&to= — every observed price for a product
+const getPriceHistory = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('product.price_history');
+    transaction.setTag('operation_type', 'history_query');
+  }
+
+  const history = priceHistoryService.getPriceHistory(req.params.id, {
+    from: req.query.from,
+    to: req.query.to
+  });
+  if (!history) {
+    return res.status(404).json({
+      error: 'No price history for this product',
+      code: 'PRODUCT_NOT_FOUND'
+    });
+  }
+
+  res.json(history);
+};
+
+const getLLMProviders = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('llm.providers.list');
+    transaction.setTag('operation_type', 'metadata_request');
+  }
+
+  res.json({
+    providers: llmService.listProviders(),
+    default: llmService.resolveProvider().name,
+    circuit_breakers: llmService.getCircuitBreakers()
+  });
+};
+
+const getLLMUsage = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('llm.usage.stats');
+    transaction.setTag('operation_type', 'metadata_request');
+  }
+
+  res.json(llmService.getUsageStats());
+};
+
 module.exports = {
   analyzeProduct,
-  getSupportedStores
+  analyzeProductStream,
+  createStreamToken,
+  compareProducts,
+  getSupportedStores,
+  getPriceHistory,
+  getLLMProviders,
+  getLLMUsage
 };
\ No newline at end of file
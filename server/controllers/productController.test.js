@@ -0,0 +1,179 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'product-controller-test-'));
+process.env.HISTORY_FILE = path.join(tmpDir, 'analyses.jsonl');
+process.env.PRICE_HISTORY_FILE = path.join(tmpDir, 'price_history.jsonl');
+process.env.API_KEYS_FILE = path.join(tmpDir, 'api_keys.json');
+process.env.RATE_LIMIT_BURST = '5';
+process.env.RATE_LIMIT_PER_SECOND = '0.001';
+delete process.env.SCRAPING_MODE;
+
+const apiKeyService = require('../services/apiKeyService');
+const chaosService = require('../services/chaosService');
+
+// GET a Server-Sent Events URL and collect its events as { event, data }
+const getEvents = (baseUrl, pathAndQuery) => new Promise((resolve, reject) => {
+  http.get(`${baseUrl}${pathAndQuery}`, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({
+      status: res.statusCode,
+      headers: res.headers,
+      events: body.split('\n\n').filter(Boolean).map(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        return { event: fields.event, data: JSON.parse(fields.data) };
+      })
+    }));
+  }).on('error', reject);
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  chaosService.updateConfig({ enabled: false });
+  const app = express();
+  app.use(express.json());
+  // Stands in for the Sentry request middleware, which sets the tenant
+  app.use((req, res, next) => {
+    req.tenant = apiKeyService.identifyTenant(req);
+    next();
+  });
+  app.use('/api', require('../routes/api'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  chaosService.reset();
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('GET /api/analyze/stream', () => {
+  let streamToken;
+
+  const streamPath = (url, token = streamToken) =>
+    `/api/analyze/stream?url=${encodeURIComponent(url)}&provider=mock${token ? `&token=${token}` : ''}`;
+
+  before(() => {
+    ({ token: streamToken } = apiKeyService.createStreamToken({ id: 'acme', authenticated: true }));
+  });
+
+  test('emits the stages in order and ends with the full analysis', async () => {
+    const { status, headers, events } = await getEvents(baseUrl, streamPath('https://www.amazon.com/dp/B08N5WRWNW'));
+    assert.equal(status, 200);
+    assert.match(headers['content-type'], /^text\/event-stream/);
+
+    const stages = events.map(e => e.event).filter((event, index, all) => event !== 'token' || all[index - 1] !== 'token');
+    assert.deepEqual(stages, ['validated', 'scraping', 'scraped', 'llm_started', 'token', 'analysis_complete']);
+
+    const [validated] = events;
+    assert.deepEqual({ url: validated.data.url, store: validated.data.store }, { url: 'https://www.amazon.com/dp/B08N5WRWNW', store: 'Amazon' });
+    events.slice(1).forEach((e, index) => assert.ok(e.data.elapsed_ms >= events[index].data.elapsed_ms));
+
+    const { data: final } = events[events.length - 1];
+    assert.equal(final.success, true);
+    assert.equal(final.data.store, 'Amazon');
+    assert.ok(final.data.basic_info.title);
+    assert.equal(typeof final.data.basic_info.current_price, 'number');
+    assert.equal(final.data.llm_metadata.provider, 'mock');
+  });
+
+  test('sends validation failures as an analysis_error event', async () => {
+    const { status, events } = await getEvents(baseUrl, streamPath('https://shop.attacker.net/p/1'));
+    assert.equal(status, 200);
+    assert.deepEqual(events.map(e => e.event), ['analysis_error']);
+    assert.equal(events[0].data.code, 'UNSUPPORTED_STORE');
+    assert.equal(events[0].data.status, 400);
+    assert.ok(events[0].data.error);
+  });
+
+  test('sends a bad stream token as an analysis_error event', async () => {
+    const { events } = await getEvents(baseUrl, streamPath('https://www.amazon.com/dp/B08N5WRWNW', 'forged.token'));
+    assert.deepEqual(events.map(e => e.event), ['analysis_error']);
+    assert.equal(events[0].data.code, 'INVALID_STREAM_TOKEN');
+    assert.equal(events[0].data.status, 401);
+  });
+
+  test('requires a key or stream token', async () => {
+    const { events } = await getEvents(baseUrl, streamPath('https://www.amazon.com/dp/B08N5WRWNW', null));
+    assert.deepEqual(events.map(e => e.event), ['analysis_error']);
+    assert.equal(events[0].data.code, 'API_KEY_REQUIRED');
+    assert.equal(events[0].data.status, 401);
+  });
+
+  test('sends rate limit rejections as an analysis_error event, keeping Retry-After', async () => {
+    let response;
+    for (let i = 0; i < 10; i++) {
+      response = await getEvents(baseUrl, streamPath('https://shop.attacker.net/p/1'));
+      if (response.events[0].data.code === 'RATE_LIMITED') break;
+    }
+    assert.equal(response.status, 200);
+    assert.equal(response.events[0].event, 'analysis_error');
+    assert.equal(response.events[0].data.status, 429);
+    assert.ok(response.events[0].data.retry_after_seconds > 0);
+    assert.ok(Number(response.headers['retry-after']) > 0);
+  });
+});
+
+describe('POST /api/compare', () => {
+  // Each test gets its own tenant, so its own rate limit bucket
+  const compare = async (tenant, body) => {
+    const res = await fetch(`${baseUrl}/api/compare`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKeyService.createKey(tenant) },
+      body: JSON.stringify({ provider: 'mock', ...body })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  test('takes 2 to 10 product URLs', async () => {
+    const amazon = (id) => `https://www.amazon.com/dp/B0000000${id}`;
+    const invalid = [undefined, amazon(1), [amazon(1)], Array.from({ length: 11 }, (_, i) => amazon(i + 10)), [amazon(1), 42]];
+    for (const [index, urls] of invalid.entries()) {
+      const { status, body } = await compare(`compare-count-${index}`, { urls });
+      assert.equal(status, 400);
+      assert.equal(body.code, 'INVALID_COMPARE_URLS');
+    }
+  });
+
+  test('points at the URL that fails validation', async () => {
+    const { status, body } = await compare('compare-store', {
+      urls: ['https://www.amazon.com/dp/B08N5WRWNW', 'https://shop.attacker.net/p/1']
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNSUPPORTED_STORE');
+    assert.equal(body.index, 1);
+    assert.equal(body.url, 'https://shop.attacker.net/p/1');
+  });
+
+  test('rejects the same product listed twice', async () => {
+    const { status, body } = await compare('compare-duplicate', {
+      urls: ['https://www.amazon.com/dp/B08N5WRWNW', 'https://www.amazon.com/Wireless-Headphones/dp/B08N5WRWNW?ref=sr_1_1']
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'DUPLICATE_COMPARE_URLS');
+  });
+
+  test('ranks every product once, best first', async () => {
+    const urls = ['https://www.amazon.com/dp/B08N5WRWNW', 'https://www.bestbuy.com/site/smartphone/12345.p', 'https://www.walmart.com/ip/tv-55-4k/123456'];
+    const { status, body } = await compare('compare-rank', { urls });
+    assert.equal(status, 200);
+    const { ranking, table, recommendation, comparison_metadata: metadata } = body.data;
+
+    assert.deepEqual(ranking.map(entry => entry.rank), [1, 2, 3]);
+    assert.deepEqual(ranking.map(entry => entry.url).sort(), [...urls].sort());
+    ranking.slice(1).forEach((entry, index) => assert.ok(entry.score <= ranking[index].score));
+    assert.deepEqual(table.rows.map(row => row.url), ranking.map(entry => entry.url));
+    assert.equal(recommendation.url, ranking[0].url);
+    assert.deepEqual({ requested: metadata.requested, compared: metadata.compared }, { requested: 3, compared: 3 });
+  });
+});
@@ -1,7 +1,11 @@
 const simulatorService = require('../services/simulatorService');
+const loadProfileService = require('../services/loadProfileService');
+const behaviorService = require('../services/behaviorService');
+const apiKeyService = require('../services/apiKeyService');
 const { Sentry, createSpan, finishSpan } = require('../middleware/sentry');
+const { createLogger } = require('../utils/logger');
 
-let currentSimulation = null;
+const log = createLogger('simulator');
 
 const startSimulation = async (req, res) => {
   // Start Sentry transaction for simulation
@@ -12,26 +16,29 @@ const startSimulation = async (req, res) => {
   }
 
   try {
-    const { sessions = 50, delay = 1000 } = req.body;
-    
-    if (currentSimulation && currentSimulation.isRunning) {
-      Sentry.captureMessage('Simulation start attempted while already running', {
-        level: 'warning',
-        tags: {
-          simulation_status: 'already_running',
-          requested_sessions: sessions
-        }
-      });
-      
-      return res.status(400).json({
-        error: 'Simulation already running',
-        code: 'SIMULATION_IN_PROGRESS'
-      });
+    const { delay = 1000, name, behaviorMix, seed } = req.body;
+
+    // A load profile (registered name or inline definition) sets the arrival
+    // rate and duration; sessions is then the number the profile expects to start
+    let profile = null;
+    if (req.body.profile !== undefined) {
+      try {
+        profile = loadProfileService.resolveProfile(req.body.profile);
+      } catch (error) {
+        return res.status(error.code === 'UNKNOWN_LOAD_PROFILE' ? 404 : 400).json({
+          error: error.message,
+          code: error.code
+        });
+      }
     }
+    const sessions = profile ? profile.expectedSessions : (req.body.sessions ?? 50);
 
     // Validate parameters
     if (sessions < 1 || sessions > 1000) {
-      const error = new Error('Sessions must be between 1 and 1000');
+      const message = profile
+        ? `Load profile would start ${sessions} sessions; at most 1000 are allowed`
+        : 'Sessions must be between 1 and 1000';
+      const error = new Error(message);
       error.code = 'INVALID_SESSIONS_COUNT';
       
       Sentry.captureException(error, {
@@ -42,7 +49,7 @@ const startSimulation = async (req, res) => {
       });
       
       return res.status(400).json({
-        error: 'Sessions must be between 1 and 1000',
+        error: message,
         code: 'INVALID_SESSIONS_COUNT'
       });
     }
@@ -64,14 +71,39 @@ const startSimulation = async (req, res) => {
       });
     }
 
-    console.log(`Starting simulation: ${sessions} sessions with ${delay}ms delay`);
+    if (behaviorMix !== undefined && (!behaviorMix || typeof behaviorMix !== 'object' || Array.isArray(behaviorMix))) {
+      return res.status(400).json({
+        error: 'behaviorMix must map behavior keys to weights',
+        code: 'INVALID_BEHAVIOR_MIX'
+      });
+    }
+
+    if (seed !== undefined && seed !== null && !(['string', 'number'].includes(typeof seed) && String(seed).length <= 100)) {
+      return res.status(400).json({
+        error: 'Seed must be a string or number of at most 100 characters',
+        code: 'INVALID_SEED'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+      return res.status(400).json({
+        error: 'Name must be a non-empty string of at most 100 characters',
+        code: 'INVALID_SIMULATION_NAME'
+      });
+    }
+
+    log.info(profile
+      ? `Starting simulation: ${profile.name} load profile (~${sessions} sessions over ${profile.durationMs / 1000}s)`
+      : `Starting simulation: ${sessions} sessions with ${delay}ms delay`, { sessions, delay, profile: profile ? profile.name : null });
     
     // Add simulation context to Sentry
     Sentry.setTag('simulation_sessions', sessions.toString());
     Sentry.setTag('simulation_delay', delay.toString());
+    Sentry.setTag('load_profile', profile ? profile.name : 'none');
     Sentry.setContext('simulation_config', {
       sessions: sessions,
       delay: delay,
+      profile: profile ? profile.name : null,
       startTime: new Date().toISOString()
     });
 
@@ -80,15 +112,49 @@ const startSimulation = async (req, res) => {
       description: `Initialize simulation with ${sessions} sessions`
     });
     
-    currentSimulation = await simulatorService.startSimulation({
-      sessions,
-      delay
-    });
+    let simulation;
+    try {
+      simulation = await simulatorService.startSimulation({
+        sessions,
+        delay,
+        name,
+        profile,
+        behaviorMix,
+        seed,
+        tenant: req.tenant.id,
+        // Simulated users call the API with the caller's key
+        apiKey: apiKeyService.getRequestKey(req)
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_BEHAVIOR_MIX') {
+        finishSpan(simulationSpan, { sessions_count: sessions, invalid_behavior_mix: true });
+        return res.status(400).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+      if (error.code !== 'SIMULATION_LIMIT_REACHED') throw error;
+
+      finishSpan(simulationSpan, { sessions_count: sessions, limit_reached: true });
+      Sentry.captureMessage('Simulation start rejected: concurrency limit reached', {
+        level: 'warning',
+        tags: {
+          simulation_status: 'limit_reached',
+          requested_sessions: sessions
+        }
+      });
+
+      return res.status(409).json({
+        error: error.message,
+        code: 'SIMULATION_LIMIT_REACHED'
+      });
+    }
 
     finishSpan(simulationSpan, {
-      simulation_id: currentSimulation.id,
+      simulation_id: simulation.id,
       sessions_count: sessions,
-      delay_ms: delay
+      delay_ms: delay,
+      load_profile: profile ? profile.name : null
     });
 
     // Add breadcrumb for simulation start
@@ -97,7 +163,8 @@ const startSimulation = async (req, res) => {
       category: 'simulation',
       level: 'info',
       data: {
-        simulationId: currentSimulation.id,
+        simulationId: simulation.id,
+        name: simulation.name,
         sessions: sessions,
         delay: delay
       }
@@ -105,15 +172,18 @@ const startSimulation = async (req, res) => {
 
     res.json({
       success: true,
-      simulationId: currentSimulation.id,
+      simulationId: simulation.id,
+      name: simulation.name,
       sessions: sessions,
       delay: delay,
-      startTime: currentSimulation.startTime,
+      profile: profile,
+      seed: simulation.seed,
+      startTime: simulation.startTime,
       message: 'Simulation started'
     });
 
   } catch (error) {
-    console.error('Failed to start simulation:', error);
+    log.error('Failed to start simulation', { error });
     
     Sentry.captureException(error, {
       tags: {
@@ -134,6 +204,7 @@ const startSimulation = async (req, res) => {
   }
 };
 
+// POST /simulate/:id/stop. The legacy POST /simulate/stop (no id) stops every running simulation of the caller's tenant.
 const stopSimulation = async (req, res) => {
   const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
   if (transaction) {
@@ -141,55 +212,76 @@ const stopSimulation = async (req, res) => {
     transaction.setTag('operation_type', 'simulation_control');
   }
 
-  try {
-    if (!currentSimulation || !currentSimulation.isRunning) {
-      Sentry.captureMessage('Stop simulation attempted when no simulation running', {
-        level: 'warning',
-        tags: {
-          simulation_status: 'not_running'
-        }
-      });
-      
-      return res.status(400).json({
-        error: 'No simulation is currently running',
-        code: 'NO_SIMULATION_RUNNING'
-      });
-    }
+  const simulationIds = req.params.id
+    ? [req.params.id]
+    : simulatorService.listSimulations(req.tenant.id).filter(s => s.isRunning).map(s => s.simulationId);
 
-    const simulationId = currentSimulation.id;
-    const stopSpan = createSpan(transaction, {
-      op: 'simulation.stop',
-      description: `Stop simulation ${simulationId}`
+  if (simulationIds.length === 0) {
+    Sentry.captureMessage('Stop simulation attempted when no simulation running', {
+      level: 'warning',
+      tags: {
+        simulation_status: 'not_running'
+      }
     });
 
-    const result = await simulatorService.stopSimulation(simulationId);
-    
-    finishSpan(stopSpan, {
-      simulation_id: simulationId,
-      final_statistics: result.statistics
+    return res.status(400).json({
+      error: 'No simulation is currently running',
+      code: 'NO_SIMULATION_RUNNING'
     });
+  }
 
-    // Add breadcrumb for simulation stop
-    Sentry.addBreadcrumb({
-      message: `Stopped simulation ${simulationId}`,
-      category: 'simulation',
-      level: 'info',
-      data: {
-        simulationId: simulationId,
-        statistics: result.statistics
-      }
-    });
+  try {
+    const stopped = [];
+    for (const simulationId of simulationIds) {
+      const stopSpan = createSpan(transaction, {
+        op: 'simulation.stop',
+        description: `Stop simulation ${simulationId}`
+      });
+
+      const result = await simulatorService.stopSimulation(simulationId, req.tenant.id);
+      
+      finishSpan(stopSpan, {
+        simulation_id: simulationId,
+        final_statistics: result.statistics
+      });
 
-    currentSimulation = null;
+      // Add breadcrumb for simulation stop
+      Sentry.addBreadcrumb({
+        message: `Stopped simulation ${simulationId}`,
+        category: 'simulation',
+        level: 'info',
+        data: {
+          simulationId: simulationId,
+          statistics: result.statistics
+        }
+      });
+
+      stopped.push({ simulationId, statistics: result.statistics });
+    }
 
     res.json({
       success: true,
-      message: 'Simulation stopped',
-      statistics: result.statistics
+      message: stopped.length === 1 ? 'Simulation stopped' : `${stopped.length} simulations stopped`,
+      simulationId: stopped[0].simulationId,
+      statistics: stopped[0].statistics,
+      stopped: stopped
     });
 
   } catch (error) {
-    console.error('Failed to stop simulation:', error);
+    if (error.code === 'SIMULATION_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === 'SIMULATION_NOT_RUNNING') {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    log.error('Failed to stop simulation', { error });
     
     Sentry.captureException(error, {
       tags: {
@@ -206,6 +298,7 @@ const stopSimulation = async (req, res) => {
   }
 };
 
+// GET /simulate/:id/status. The legacy GET /simulate/status (no id) reports the most recent simulation.
 const getSimulationStatus = (req, res) => {
   const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
   if (transaction) {
@@ -213,14 +306,21 @@ const getSimulationStatus = (req, res) => {
     transaction.setTag('operation_type', 'simulation_status');
   }
 
-  if (!currentSimulation) {
+  const simulationId = req.params.id || simulatorService.getLatestSimulationId(req.tenant.id);
+  const status = simulationId ? simulatorService.getSimulationStatus(simulationId, req.tenant.id) : null;
+
+  if (!status) {
+    if (req.params.id) {
+      return res.status(404).json({
+        error: 'Simulation not found',
+        code: 'SIMULATION_NOT_FOUND'
+      });
+    }
     return res.json({
       isRunning: false,
       statistics: null
     });
   }
-
-  const status = simulatorService.getSimulationStatus(currentSimulation.id);
   
   // Add current simulation metrics to Sentry
   if (status.statistics && transaction) {
@@ -228,18 +328,124 @@ const getSimulationStatus = (req, res) => {
     transaction.setMeasurement('simulation_successful_requests', status.statistics.successfulRequests);
     transaction.setMeasurement('simulation_failed_requests', status.statistics.failedRequests);
     transaction.setMeasurement('simulation_avg_response_time', status.statistics.avgResponseTime);
+    transaction.setMeasurement('simulation_p95_response_time', status.statistics.latency.overall.p95);
+    transaction.setMeasurement('simulation_p99_response_time', status.statistics.latency.overall.p99);
   }
   
+  res.json(status);
+};
+
+// GET /simulations — the tenant's running simulations and recently finished ones with final statistics
+const listSimulations = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('simulation.list');
+    transaction.setTag('operation_type', 'simulation_status');
+  }
+
+  const simulations = simulatorService.listSimulations(req.tenant.id);
+
   res.json({
-    isRunning: currentSimulation.isRunning,
-    simulationId: currentSimulation.id,
-    startTime: currentSimulation.startTime,
-    ...status
+    simulations: simulations,
+    running: simulations.filter(s => s.isRunning).length,
+    total: simulations.length
   });
 };
 
+// GET /simulate/profiles — load profiles that POST /simulate/start accepts by name
+const listLoadProfiles = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('simulation.profiles');
+    transaction.setTag('operation_type', 'simulation_status');
+  }
+
+  res.json({
+    profiles: loadProfileService.listProfiles()
+  });
+};
+
+// GET /simulate/behaviors — shared personas plus the caller's tenant's own
+const listBehaviors = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('simulation.behaviors.list');
+    transaction.setTag('operation_type', 'simulation_status');
+  }
+
+  res.json({
+    behaviors: behaviorService.listBehaviors(req.tenant.id)
+  });
+};
+
+// POST /simulate/behaviors — add a persona for the caller's tenant, or replace its
+// own one with the same key. Registrations last until restart; put permanent,
+// shared ones in USER_BEHAVIORS_DIR.
+const registerBehavior = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('simulation.behaviors.register');
+    transaction.setTag('operation_type', 'simulation_control');
+  }
+
+  try {
+    const { behavior, created } = behaviorService.registerBehavior(req.body, req.tenant.id);
+
+    Sentry.addBreadcrumb({
+      message: `${created ? 'Registered' : 'Replaced'} simulator behavior ${behavior.key}`,
+      category: 'simulation',
+      level: 'info'
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created: created,
+      behavior: behavior
+    });
+  } catch (error) {
+    if (error.code === 'SHARED_BEHAVIOR') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    if (error.code !== 'INVALID_BEHAVIOR') throw error;
+    res.status(400).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+};
+
+// DELETE /simulate/behaviors/:key — only the caller's tenant's own personas
+const removeBehavior = (req, res) => {
+  const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+  if (transaction) {
+    transaction.setName('simulation.behaviors.remove');
+    transaction.setTag('operation_type', 'simulation_control');
+  }
+
+  try {
+    behaviorService.removeBehavior(req.params.key, req.tenant.id);
+    res.json({
+      success: true,
+      key: req.params.key
+    });
+  } catch (error) {
+    if (error.code === 'BEHAVIOR_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'SHARED_BEHAVIOR') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    throw error;
+  }
+};
+
 module.exports = {
   startSimulation,
   stopSimulation,
-  getSimulationStatus
+  getSimulationStatus,
+  listSimulations,
+  listLoadProfiles,
+  listBehaviors,
+  registerBehavior,
+  removeBehavior
 };
\ No newline at end of file
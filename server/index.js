@@ -24,6 +24,14 @@ try {
 
 // Import Sentry configuration
 const { setupSentry, errorHandler } = require('./middleware/sentry');
+const { seededRandom } = require('./middleware/seededRandom');
+const { authenticate } = require('./middleware/auth');
+const { requestContext } = require('./middleware/requestContext');
+const { createLogger } = require('./utils/logger');
+const metricsController = require('./controllers/metricsController');
+const apiKeyService = require('./services/apiKeyService');
+
+const log = createLogger('server');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -43,11 +51,16 @@ app.use(helmet({
   },
 }));
 
-// Relax CORS for local dev/demo and avoid NODE_ENV-dependent blocking
-app.use(cors());
+// Open CORS for local dev/demo unless CORS_ORIGINS lists the allowed origins
+app.use(cors(process.env.CORS_ORIGINS
+  ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) }
+  : undefined));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext());
+app.use(seededRandom());
+app.use('/api', authenticate());
 
 // API Routes
 app.use('/api', require('./routes/api'));
@@ -61,6 +74,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint; outside /api so scrapers need no API key
+app.get('/metrics', metricsController.getMetrics);
+
 // Serve static files from React build (in production)
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
@@ -75,7 +91,7 @@ app.use(errorHandler());
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  log.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl });
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -88,8 +104,22 @@ app.use('*', (req, res) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
+  log.info(`Server running on port ${PORT}`, {
+    port: Number(PORT),
+    health: `http://localhost:${PORT}/health`,
+    metrics: `http://localhost:${PORT}/metrics`
+  });
+
+  if (!apiKeyService.isEnforced()) {
+    log.warn('AUTH_ENABLED=false: the API is open. Anyone who can reach it may start simulations, change fault injection and purge the cache. Use this only for local demos', {
+      cors_origins: process.env.CORS_ORIGINS || '*'
+    });
+  } else if (apiKeyService.getKeyCount() === 0) {
+    log.warn(`No API keys in ${apiKeyService.getKeysFile()}: mutating /api routes will refuse every request. Create one with \`npm run api-key -- <tenant>\`, or set AUTH_ENABLED=false for a local demo`);
+  }
+  if (!process.env.CORS_ORIGINS) {
+    log.warn('CORS_ORIGINS is not set: any origin may call the API');
+  }
 });
 
 module.exports = app;
\ No newline at end of file
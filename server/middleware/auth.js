@@ -0,0 +1,54 @@
+const { Sentry } = require('./sentry');
+const apiKeyService = require('../services/apiKeyService');
+
+const reject = (res, code, message) => {
+  Sentry.setTag('auth.rejected', code);
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({
+    error: message,
+    code: code
+  });
+};
+
+// Refuse requests that present an unknown API key (req.tenant is set by the Sentry request middleware)
+const authenticate = () => (req, res, next) => {
+  if (req.tenant && req.tenant.invalidKey && apiKeyService.isEnforced()) {
+    return reject(res, 'INVALID_API_KEY', 'Invalid API key');
+  }
+  next();
+};
+
+// Mutating endpoints: require a valid key unless AUTH_ENABLED=false
+const requireApiKey = () => (req, res, next) => {
+  if (apiKeyService.isEnforced() && !(req.tenant && req.tenant.authenticated)) {
+    return reject(res, 'API_KEY_REQUIRED', 'An API key is required (X-API-Key or Authorization: Bearer)');
+  }
+  next();
+};
+
+// EventSource can't send headers, so the SSE route also takes the short-lived
+// token from POST /api/analyze/stream-token as `?token=`. Runs before requireApiKey.
+const acceptStreamToken = () => (req, res, next) => {
+  if (!req.query.token || (req.tenant && req.tenant.authenticated)) {
+    return next();
+  }
+  const tenant = apiKeyService.verifyStreamToken(req.query.token);
+  if (!tenant) {
+    return reject(res, 'INVALID_STREAM_TOKEN', 'Stream token is invalid or expired');
+  }
+  req.tenant = tenant;
+  Sentry.setUser({
+    id: tenant.id,
+    ip_address: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  Sentry.setTag('tenant', tenant.id);
+  Sentry.setTag('tenant.authenticated', true);
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireApiKey,
+  acceptStreamToken
+};
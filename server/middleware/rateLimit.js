@@ -0,0 +1,73 @@
+const { Sentry } = require('./sentry');
+const rateLimitService = require('../services/rateLimitService');
+
+const reject = (res, { client, code, reason, message, retryAfterMs }) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+
+  Sentry.setTag('rate_limited', true);
+  Sentry.setTag('rate_limit.reason', reason);
+  Sentry.setTag('rate_limit.client_type', client.type);
+  Sentry.addBreadcrumb({
+    message: `Request rejected: ${reason}`,
+    category: 'rate_limit',
+    level: 'warning',
+    data: { client: client.id, retry_after_seconds: retryAfterSeconds }
+  });
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: message,
+    code: code,
+    retry_after_seconds: retryAfterSeconds
+  });
+};
+
+/**
+ * Token-bucket rate limit and daily LLM quota per client (tenant, otherwise
+ * IP, or a simulation run by this server, with a nested bucket per
+ * X-Simulator-Session). Sets X-RateLimit-*
+ * headers and answers 429 with Retry-After when either is exhausted. The controller charges LLM usage to
+ * `req.rateLimitClient` once an analysis completes.
+ */
+const rateLimit = () => (req, res, next) => {
+  if (!rateLimitService.isEnabled()) {
+    return next();
+  }
+
+  const client = rateLimitService.identifyClient(req);
+  req.rateLimitClient = client;
+
+  const quota = rateLimitService.checkQuota(client.id);
+  if (quota) {
+    return reject(res, {
+      client,
+      code: 'QUOTA_EXCEEDED',
+      reason: `quota_${quota.scope}_${quota.metric}`,
+      message: `Daily ${quota.scope === 'global' ? 'global ' : ''}LLM ${quota.metric === 'tokens' ? 'token' : 'cost'} quota of ${quota.limit} exceeded`,
+      retryAfterMs: quota.retryAfterMs
+    });
+  }
+
+  const bucket = rateLimitService.take(client.buckets);
+  res.set({
+    'X-RateLimit-Limit': String(bucket.limit),
+    'X-RateLimit-Remaining': String(bucket.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(bucket.resetMs / 1000))
+  });
+  if (!bucket.allowed) {
+    return reject(res, {
+      client,
+      code: 'RATE_LIMITED',
+      reason: 'rate',
+      message: 'Rate limit exceeded - too many requests',
+      retryAfterMs: bucket.retryAfterMs
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,32 @@
+const { v4: uuidv4 } = require('uuid');
+const { Sentry } = require('./sentry');
+const { runWithLogContext } = require('../utils/logger');
+
+// Caller-supplied ids are only trusted when they look like ids
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Gives every request an id (the caller's X-Request-Id, else a new UUID),
+ * echoed in the X-Request-Id response header and tagged `request_id` in Sentry.
+ * Log lines written while handling the request carry it as `request_id`, and
+ * requests from a traffic simulation (X-Simulation-Id) also carry `simulation_id`.
+ */
+const requestContext = () => (req, res, next) => {
+  const requestedId = req.get('X-Request-Id');
+  req.id = requestedId && VALID_ID.test(requestedId) ? requestedId : uuidv4();
+  res.set('X-Request-Id', req.id);
+  Sentry.setTag('request_id', req.id);
+
+  const fields = { request_id: req.id };
+  const simulationId = req.get('X-Simulation-Id');
+  if (simulationId && VALID_ID.test(simulationId)) {
+    fields.simulation_id = simulationId;
+    Sentry.setTag('simulation_id', simulationId);
+  }
+
+  runWithLogContext(fields, next);
+};
+
+module.exports = {
+  requestContext
+};
@@ -0,0 +1,24 @@
+const { Sentry } = require('./sentry');
+const { createRandom, runWithRandom } = require('../utils/random');
+
+const MAX_SEED_LENGTH = 200;
+
+/**
+ * Requests carrying an X-Simulation-Seed header draw their demo delays, injected
+ * errors and mock data from a generator seeded with it, so a replayed simulation
+ * meets the same conditions. SEEDED_REQUESTS_ENABLED=false ignores the header.
+ */
+const seededRandom = () => (req, res, next) => {
+  const seed = req.get('X-Simulation-Seed');
+  if (!seed || seed.length > MAX_SEED_LENGTH || process.env.SEEDED_REQUESTS_ENABLED === 'false') {
+    return next();
+  }
+
+  Sentry.setTag('simulation_seeded', true);
+  Sentry.setContext('random_seed', { seed });
+  runWithRandom(createRandom(seed), next);
+};
+
+module.exports = {
+  seededRandom
+};
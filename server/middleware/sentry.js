@@ -1,5 +1,11 @@
 const Sentry = require('@sentry/node');
 const { ProfilingIntegration } = require('@sentry/profiling-node');
+const apiKeyService = require('../services/apiKeyService');
+const { isSinkEnabled } = require('../services/metricsSinks');
+const { setupSpanExporters } = require('../services/spanExporters');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('sentry');
 
 // Sentry configuration and middleware
 const setupSentry = (app) => {
@@ -26,6 +32,11 @@ const setupSentry = (app) => {
       // Enable Context Lines for better error reporting
       new Sentry.Integrations.ContextLines(),
     ],
+
+    // Sentry metrics are only aggregated when METRICS_SINKS includes "sentry"
+    _experiments: {
+      metricsAggregator: isSinkEnabled('sentry')
+    },
     
     // Configure beforeSend hook for custom error processing
     beforeSend(event, hint) {
@@ -42,7 +53,7 @@ const setupSentry = (app) => {
       
       // Log errors in development
       if (process.env.NODE_ENV === 'development') {
-        console.error('Sentry Error:', event.exception || event.message);
+        log.debug('Sending Sentry event', { event_id: event.event_id, exception: event.exception || event.message });
       }
       
       return event;
@@ -65,6 +76,9 @@ const setupSentry = (app) => {
     }
   });
 
+  // Also send finished transactions to an OpenTelemetry collector when one is configured
+  setupSpanExporters(Sentry.getCurrentHub().getClient());
+
   // RequestHandler creates a separate execution context for each incoming request
   app.use(Sentry.Handlers.requestHandler());
   
@@ -73,11 +87,15 @@ const setupSentry = (app) => {
 
   // Custom middleware for request context enhancement
   app.use((req, res, next) => {
-    // Add user context if available
+    // The API key's tenant is the Sentry user; keyless requests are the public tenant
+    req.tenant = apiKeyService.identifyTenant(req);
     Sentry.setUser({
+      id: req.tenant.id,
       ip_address: req.ip,
       userAgent: req.get('user-agent')
     });
+    Sentry.setTag('tenant', req.tenant.id);
+    Sentry.setTag('tenant.authenticated', req.tenant.authenticated);
     
     // Add request context
     Sentry.setTag('request.method', req.method);
@@ -97,16 +115,17 @@ const setupSentry = (app) => {
     next();
   });
 
-  console.log('Sentry initialized successfully');
-  console.log(`Environment: ${process.env.SENTRY_ENVIRONMENT || 'development'}`);
-  console.log(`Traces Sample Rate: 100%`);
-  console.log(`Profiles Sample Rate: 100%`);
+  log.info('Sentry initialized', {
+    environment: process.env.SENTRY_ENVIRONMENT || 'development',
+    traces_sample_rate: 1.0,
+    profiles_sample_rate: 1.0
+  });
 };
 
-// Helper function to create custom spans
+// Helper function to create custom spans (exported to Sentry and any spanExporters)
 const createSpan = (transaction, spanData) => {
   if (!transaction) {
-    console.warn('No active transaction for span:', spanData.op);
+    log.debug('No active transaction for span', { op: spanData.op });
     return null;
   }
   
@@ -118,25 +137,53 @@ const createSpan = (transaction, spanData) => {
   return span;
 };
 
-// Helper function to add LLM monitoring spans
-const createLLMSpan = (transaction, operation, model, input = null) => {
-  const span = createSpan(transaction, {
-    op: `llm.${operation}`,
-    description: `LLM ${operation} with ${model}`
+// Prompts and responses can hold scraped page content, so they are only put on
+// spans when OTEL_INSTRUMENTATION_GENAI_CAPTURE_MESSAGE_CONTENT=true
+const MAX_CAPTURED_CONTENT_LENGTH = 10000;
+
+const truncateContent = (text) => (text.length > MAX_CAPTURED_CONTENT_LENGTH
+  ? `${text.slice(0, MAX_CAPTURED_CONTENT_LENGTH)}…[truncated ${text.length - MAX_CAPTURED_CONTENT_LENGTH} chars]`
+  : text);
+
+// Helper function to add LLM spans following the gen_ai semantic conventions:
+// op `gen_ai.<operation>` (chat, invoke_agent, ...) named "<operation> <agent or model>".
+// `attributes` adds further gen_ai.* data such as gen_ai.system or gen_ai.agent.name.
+const createLLMSpan = (parent, operation, model, attributes = {}) => {
+  const span = createSpan(parent, {
+    op: `gen_ai.${operation}`,
+    description: `${operation} ${attributes['gen_ai.agent.name'] || model}`
   });
-  
+
   if (span) {
-    span.setTag('llm.model', model);
-    span.setTag('llm.operation', operation);
-    
-    if (input) {
-      span.setData('llm.input_length', typeof input === 'string' ? input.length : JSON.stringify(input).length);
-    }
+    span.setData('gen_ai.operation.name', operation);
+    span.setData('gen_ai.request.model', model);
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) span.setData(key, value);
+    });
   }
-  
+
   return span;
 };
 
+// Token counts as gen_ai.usage.* ({ prompt_tokens, completion_tokens } from tokenUtils.resolveUsage)
+const setLLMUsage = (span, usage) => {
+  if (!span || !usage) return;
+  span.setData('gen_ai.usage.input_tokens', usage.prompt_tokens);
+  span.setData('gen_ai.usage.output_tokens', usage.completion_tokens);
+  span.setData('gen_ai.usage.total_tokens', usage.prompt_tokens + usage.completion_tokens);
+};
+
+// Prompt (as chat messages) and response text, when content capture is turned on
+const setLLMContent = (span, { prompt, response }) => {
+  if (!span || process.env.OTEL_INSTRUMENTATION_GENAI_CAPTURE_MESSAGE_CONTENT !== 'true') return;
+  if (prompt !== undefined) {
+    span.setData('gen_ai.request.messages', JSON.stringify([{ role: 'user', content: truncateContent(prompt) }]));
+  }
+  if (response !== undefined) {
+    span.setData('gen_ai.response.text', truncateContent(response));
+  }
+};
+
 // Helper function to finish spans with metrics
 const finishSpan = (span, data = {}) => {
   if (!span) return;
@@ -168,6 +215,8 @@ module.exports = {
   setupSentry,
   createSpan,
   createLLMSpan,
+  setLLMUsage,
+  setLLMContent,
   finishSpan,
   errorHandler,
   Sentry
@@ -0,0 +1,27 @@
+/**
+ * EventSource can't read the body of an error response, so on an SSE route a
+ * JSON error sent before the stream opens (401 from auth, 429 from rateLimit,
+ * 400 from validation) is delivered as an `analysis_error` event with status
+ * 200 instead. The event carries the original `status`; Retry-After and the
+ * other headers already set are kept.
+ */
+const streamErrors = () => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || res.headersSent) {
+      return json(body);
+    }
+    const status = res.statusCode;
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(`event: analysis_error\ndata: ${JSON.stringify({ success: false, ...body, status: status })}\n\n`);
+    return res;
+  };
+  next();
+};
+
+module.exports = {
+  streamErrors
+};
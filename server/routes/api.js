@@ -4,14 +4,59 @@ const router = express.Router();
 // Import controllers
 const productController = require('../controllers/productController');
 const simulatorController = require('../controllers/simulatorController');
+const historyController = require('../controllers/historyController');
+const cacheController = require('../controllers/cacheController');
+const chaosController = require('../controllers/chaosController');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireApiKey, acceptStreamToken } = require('../middleware/auth');
+const { streamErrors } = require('../middleware/streamErrors');
+
+// Mutating routes need an API key once keys are configured, and so does the
+// SSE stream. EventSource can't send headers, so the stream also accepts a
+// short-lived `?token=` obtained with the key from POST /analyze/stream-token.
+// Its auth, rate limit and validation errors arrive as analysis_error events.
 
 // Product analysis routes
-router.post('/analyze', productController.analyzeProduct);
+router.post('/analyze', requireApiKey(), rateLimit(), productController.analyzeProduct);
+router.post('/analyze/stream-token', requireApiKey(), productController.createStreamToken);
+router.get('/analyze/stream', streamErrors(), acceptStreamToken(), requireApiKey(), rateLimit(), productController.analyzeProductStream);
+router.post('/compare', requireApiKey(), rateLimit(), productController.compareProducts);
 router.get('/supported-stores', productController.getSupportedStores);
+router.get('/products/:id/price-history', productController.getPriceHistory);
+router.get('/llm/providers', productController.getLLMProviders);
+router.get('/llm/usage', productController.getLLMUsage);
+
+// Analysis history routes
+router.get('/analyses', historyController.listAnalyses);
+router.get('/analyses/:id', historyController.getAnalysis);
+router.delete('/analyses/:id', requireApiKey(), historyController.deleteAnalysis);
+
+// Analysis cache routes
+router.get('/cache', cacheController.getCacheStats);
+router.delete('/cache', requireApiKey(), cacheController.purgeCache);
+
+// Fault injection routes
+router.get('/chaos', chaosController.getChaos);
+router.put('/chaos', requireApiKey(), chaosController.updateChaos);
+router.delete('/chaos', requireApiKey(), chaosController.resetChaos);
+router.post('/chaos/scenarios', requireApiKey(), chaosController.scheduleScenario);
+router.delete('/chaos/scenarios/:id', requireApiKey(), chaosController.cancelScenario);
+router.get('/chaos/incidents', chaosController.getIncidents);
+router.put('/chaos/incidents', requireApiKey(), chaosController.updateIncidents);
+router.post('/chaos/incidents', requireApiKey(), chaosController.triggerIncident);
+router.delete('/chaos/incidents/:id', requireApiKey(), chaosController.resolveIncident);
 
 // Simulator routes
-router.post('/simulate/start', simulatorController.startSimulation);
-router.post('/simulate/stop', simulatorController.stopSimulation);
+router.post('/simulate/start', requireApiKey(), simulatorController.startSimulation);
+router.get('/simulations', simulatorController.listSimulations);
+router.get('/simulate/profiles', simulatorController.listLoadProfiles);
+router.get('/simulate/behaviors', simulatorController.listBehaviors);
+router.post('/simulate/behaviors', requireApiKey(), simulatorController.registerBehavior);
+router.delete('/simulate/behaviors/:key', requireApiKey(), simulatorController.removeBehavior);
+router.post('/simulate/:id/stop', requireApiKey(), simulatorController.stopSimulation);
+router.get('/simulate/:id/status', simulatorController.getSimulationStatus);
+// Id-less forms act on every running simulation (stop) or the latest one (status)
+router.post('/simulate/stop', requireApiKey(), simulatorController.stopSimulation);
 router.get('/simulate/status', simulatorController.getSimulationStatus);
 
 // Demo data routes for testing
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('api_keys');
+
+const DEFAULT_KEYS_FILE = path.join(__dirname, '../../data/api_keys.json');
+const TENANT_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+// Requests without a (valid) key belong to this tenant
+const PUBLIC_TENANT = 'public';
+// Stream tokens stand in for the key on EventSource requests, so they expire quickly
+const STREAM_TOKEN_TTL_SECONDS = parseInt(process.env.STREAM_TOKEN_TTL_SECONDS || '60');
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// API keys from a local JSON store, each mapped to a tenant. Only SHA-256
+// hashes are written; hand-edited entries may carry a plain `key` instead.
+// Authentication is enforced unless AUTH_ENABLED=false, even before the first key
+// exists, so a fresh deploy doesn't start open.
+class ApiKeyService {
+  constructor() {
+    this.filePath = process.env.API_KEYS_FILE || DEFAULT_KEYS_FILE;
+    this.entries = [];
+    this.keys = new Map();
+    // Signs stream and simulation tokens; set STREAM_TOKEN_SECRET when several
+    // instances must accept each other's tokens
+    this.tokenSecret = process.env.STREAM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const { keys = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      keys.forEach((entry, index) => {
+        const hash = entry.key_sha256 || (entry.key && hashKey(entry.key));
+        if (!hash || !TENANT_PATTERN.test(entry.tenant || '')) {
+          log.warn(`Skipping API key #${index + 1}: needs a tenant and a key or key_sha256`, { file: this.filePath });
+          return;
+        }
+        this.entries.push(entry);
+        this.keys.set(hash, { tenant: entry.tenant, name: entry.name || null });
+      });
+      log.info(`Loaded ${this.keys.size} API keys`, { file: this.filePath });
+    } catch (error) {
+      log.error('Failed to load API keys', { file: this.filePath, error });
+    }
+  }
+
+  isEnforced() {
+    return process.env.AUTH_ENABLED !== 'false';
+  }
+
+  // API key from X-API-Key or Authorization: Bearer
+  getRequestKey(req) {
+    const authorization = req.get('Authorization') || '';
+    return req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+  }
+
+  /**
+   * Tenant for a request: { id, authenticated, keyName }. A key that matches
+   * nothing is flagged `invalidKey` and the request stays public.
+   */
+  identifyTenant(req) {
+    const apiKey = this.getRequestKey(req);
+    if (!apiKey) {
+      return { id: PUBLIC_TENANT, authenticated: false };
+    }
+    const match = this.keys.get(hashKey(apiKey));
+    if (!match) {
+      return { id: PUBLIC_TENANT, authenticated: false, invalidKey: true };
+    }
+    return { id: match.tenant, authenticated: true, keyName: match.name };
+  }
+
+  signToken(payload) {
+    return crypto.createHmac('sha256', this.tokenSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Short-lived token for an authenticated tenant, sent as `?token=` where a
+   * header can't be (EventSource). Signed rather than stored: `<payload>.<hmac>`.
+   */
+  createStreamToken(tenant) {
+    const expiresAt = Date.now() + STREAM_TOKEN_TTL_SECONDS * 1000;
+    const payload = Buffer.from(JSON.stringify({ tenant: tenant.id, name: tenant.keyName || null, exp: expiresAt })).toString('base64url');
+    return { token: `${payload}.${this.signToken(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Tenant for a valid, unexpired stream token, otherwise null
+  verifyStreamToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.signToken(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+      const { tenant, name, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (typeof exp !== 'number' || exp <= Date.now()) return null;
+      return { id: tenant, authenticated: true, keyName: name };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // X-Simulation-Token for requests from a simulation this server runs (see rateLimitService)
+  createSimulationToken(simulationId) {
+    return `${simulationId}.${this.signToken(`simulation:${simulationId}`)}`;
+  }
+
+  // Simulation id for a valid simulation token, otherwise null
+  verifySimulationToken(token) {
+    const separator = String(token || '').lastIndexOf('.');
+    if (separator <= 0) return null;
+    const simulationId = token.slice(0, separator);
+    const expected = Buffer.from(this.signToken(`simulation:${simulationId}`));
+    const actual = Buffer.from(token.slice(separator + 1));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? simulationId : null;
+  }
+
+  // Generate a key for `tenant`, store its hash and return the key (shown only once)
+  createKey(tenant, name = null) {
+    if (!TENANT_PATTERN.test(tenant || '')) {
+      const error = new Error('Tenant must be 1-50 letters, digits, "_" or "-"');
+      error.code = 'INVALID_TENANT';
+      throw error;
+    }
+
+    const apiKey = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+    const entry = {
+      tenant: tenant,
+      name: name,
+      key_sha256: hashKey(apiKey),
+      created_at: new Date().toISOString()
+    };
+    this.entries.push(entry);
+    this.keys.set(entry.key_sha256, { tenant, name });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ keys: this.entries }, null, 2) + '\n', { mode: 0o600 });
+    return apiKey;
+  }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+  PUBLIC_TENANT,
+  isEnforced: apiKeyService.isEnforced.bind(apiKeyService),
+  getRequestKey: apiKeyService.getRequestKey.bind(apiKeyService),
+  identifyTenant: apiKeyService.identifyTenant.bind(apiKeyService),
+  createKey: apiKeyService.createKey.bind(apiKeyService),
+  createStreamToken: apiKeyService.createStreamToken.bind(apiKeyService),
+  verifyStreamToken: apiKeyService.verifyStreamToken.bind(apiKeyService),
+  createSimulationToken: apiKeyService.createSimulationToken.bind(apiKeyService),
+  verifySimulationToken: apiKeyService.verifySimulationToken.bind(apiKeyService),
+  getKeysFile: () => apiKeyService.filePath,
+  getKeyCount: () => apiKeyService.keys.size
+};
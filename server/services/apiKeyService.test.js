@@ -0,0 +1,35 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.API_KEYS_FILE = path.join(os.tmpdir(), `api-keys-test-${process.pid}-missing.json`);
+const apiKeyService = require('./apiKeyService');
+
+describe('stream tokens', () => {
+  const tenant = { id: 'acme', authenticated: true, keyName: 'web app' };
+
+  test('a fresh token identifies its tenant as authenticated', () => {
+    const { token, expiresAt } = apiKeyService.createStreamToken(tenant);
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    assert.deepEqual(apiKeyService.verifyStreamToken(token), { id: 'acme', authenticated: true, keyName: 'web app' });
+  });
+
+  test('rejects tampered, truncated and missing tokens', () => {
+    const { token } = apiKeyService.createStreamToken(tenant);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ tenant: 'other', name: null, exp: Date.now() + 60000 })).toString('base64url');
+
+    assert.equal(apiKeyService.verifyStreamToken(`${forged}.${signature}`), null);
+    assert.equal(apiKeyService.verifyStreamToken(`${payload}.${signature.slice(1)}`), null);
+    assert.equal(apiKeyService.verifyStreamToken(payload), null);
+    assert.equal(apiKeyService.verifyStreamToken(undefined), null);
+  });
+
+  test('rejects expired tokens', (t) => {
+    const { token } = apiKeyService.createStreamToken(tenant);
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 61000);
+    assert.equal(apiKeyService.verifyStreamToken(token), null);
+  });
+});
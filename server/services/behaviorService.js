@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('behaviors');
+
+const BUILT_IN_BEHAVIORS_DIR = path.join(__dirname, '../../simulator/behaviors');
+const BEHAVIOR_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const BACKOFF_STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+const RETRY_DEFAULTS = {
+  probability: 0.5,
+  maxAttempts: 3,
+  backoff: 'fixed',
+  baseDelayMs: 1000,
+  maxDelayMs: 10000,
+  jitter: false
+};
+const DEFAULT_ABANDON_AFTER_MS = 30000;
+
+const invalidBehavior = (message) => {
+  const error = new Error(`Invalid behavior: ${message}`);
+  error.code = 'INVALID_BEHAVIOR';
+  return error;
+};
+
+const requireNumber = (value, field, { min = 0, max = Infinity } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw invalidBehavior(`"${field}" must be a number between ${min} and ${max}`);
+  }
+  return value;
+};
+
+const requireRange = (range, field) => {
+  if (!range || typeof range !== 'object') {
+    throw invalidBehavior(`"${field}" must be { min, max }`);
+  }
+  const min = requireNumber(range.min, `${field}.min`, { min: field === 'sessionLength' ? 1 : 0 });
+  const max = requireNumber(range.max, `${field}.max`, { min });
+  return { min, max };
+};
+
+// Simulated user personas: session shape, think time, which URLs they open,
+// how they retry failures and how long they wait before abandoning a request.
+// Built-ins come from simulator/behaviors, more from USER_BEHAVIORS_DIR or the API.
+// Personas registered through the API belong to the caller's tenant: other
+// tenants don't see them, and no tenant can replace or remove the shared ones.
+class BehaviorService {
+  constructor() {
+    this.behaviors = new Map();
+    // tenant id -> Map of that tenant's personas
+    this.tenantBehaviors = new Map();
+
+    [BUILT_IN_BEHAVIORS_DIR, process.env.USER_BEHAVIORS_DIR]
+      .filter(Boolean)
+      .forEach(dir => this.loadDirectory(dir));
+  }
+
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      log.warn(`User behavior directory not found: ${dir}`, { dir });
+      return;
+    }
+    fs.readdirSync(dir)
+      .filter(file => BEHAVIOR_EXTENSIONS.includes(path.extname(file)))
+      .sort()
+      .forEach(file => {
+        try {
+          this.loadBehaviorFile(path.join(dir, file)).forEach(behavior => this.behaviors.set(behavior.key, behavior));
+        } catch (error) {
+          log.error(`Skipping user behavior ${file}`, { file, error });
+        }
+      });
+  }
+
+  // Read one persona (key defaults to the file name) or a list of personas
+  loadBehaviorFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const definition = path.extname(filePath) === '.json' ? JSON.parse(text) : yaml.load(text);
+    if (Array.isArray(definition)) {
+      return definition.map(behavior => this.compileBehavior(behavior));
+    }
+    return [this.compileBehavior({
+      key: path.basename(filePath, path.extname(filePath)),
+      ...definition
+    })];
+  }
+
+  /**
+   * Validate a persona definition and fill in defaults. Throws an
+   * INVALID_BEHAVIOR error describing the first problem found.
+   */
+  compileBehavior(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw invalidBehavior('expected an object');
+    }
+    if (typeof definition.key !== 'string' || !/^[a-z0-9_-]{1,50}$/.test(definition.key)) {
+      throw invalidBehavior('"key" must be 1-50 lowercase letters, digits, "_" or "-"');
+    }
+
+    const urls = definition.urls === undefined ? null : definition.urls;
+    if (urls !== null && (!Array.isArray(urls) || urls.length === 0 || urls.some(url => !/^https?:\/\//.test(url)))) {
+      throw invalidBehavior('"urls" must be a non-empty list of http(s) URLs');
+    }
+
+    const retry = { ...RETRY_DEFAULTS, ...(definition.retry || {}) };
+    requireNumber(retry.probability, 'retry.probability', { max: 1 });
+    requireNumber(retry.maxAttempts, 'retry.maxAttempts', { min: 1, max: 20 });
+    requireNumber(retry.baseDelayMs, 'retry.baseDelayMs');
+    requireNumber(retry.maxDelayMs, 'retry.maxDelayMs', { min: retry.baseDelayMs });
+    if (!BACKOFF_STRATEGIES.includes(retry.backoff)) {
+      throw invalidBehavior(`"retry.backoff" must be one of ${BACKOFF_STRATEGIES.join(', ')}`);
+    }
+
+    return {
+      key: definition.key,
+      name: String(definition.name || definition.key),
+      description: definition.description || '',
+      weight: requireNumber(definition.weight === undefined ? 1 : definition.weight, 'weight'),
+      sessionLength: requireRange(definition.sessionLength, 'sessionLength'),
+      requestDelay: requireRange(definition.requestDelay, 'requestDelay'),
+      urls: urls,
+      retry: {
+        probability: retry.probability,
+        maxAttempts: Math.floor(retry.maxAttempts),
+        backoff: retry.backoff,
+        baseDelayMs: retry.baseDelayMs,
+        maxDelayMs: retry.maxDelayMs,
+        jitter: Boolean(retry.jitter)
+      },
+      abandonAfterMs: requireNumber(
+        definition.abandonAfterMs === undefined ? DEFAULT_ABANDON_AFTER_MS : definition.abandonAfterMs,
+        'abandonAfterMs',
+        { min: 100, max: 300000 }
+      )
+    };
+  }
+
+  /**
+   * Add or replace a persona, for `tenant` only when given, otherwise shared by
+   * everyone. A tenant can't reuse a shared persona's key. Running simulations
+   * keep the personas they started with. Returns `{ behavior, created }`.
+   */
+  registerBehavior(definition, tenant = null) {
+    const behavior = this.compileBehavior(definition);
+    if (tenant !== null && this.behaviors.has(behavior.key)) {
+      throw this.sharedBehaviorError(behavior.key);
+    }
+
+    const registry = tenant === null ? this.behaviors : this.tenantRegistry(tenant, true);
+    const created = !registry.has(behavior.key);
+    registry.set(behavior.key, behavior);
+    return { behavior, created };
+  }
+
+  // Remove one of `tenant`'s personas (a shared one when tenant is null)
+  removeBehavior(key, tenant = null) {
+    if (tenant !== null && this.behaviors.has(key)) {
+      throw this.sharedBehaviorError(key);
+    }
+
+    const registry = tenant === null ? this.behaviors : this.tenantRegistry(tenant);
+    if (!registry || !registry.has(key)) {
+      const error = new Error(`Unknown behavior: ${key}`);
+      error.code = 'BEHAVIOR_NOT_FOUND';
+      throw error;
+    }
+    if (registry === this.behaviors && this.behaviors.size === 1) {
+      const error = new Error('At least one behavior must remain registered');
+      error.code = 'LAST_BEHAVIOR';
+      throw error;
+    }
+    registry.delete(key);
+  }
+
+  tenantRegistry(tenant, create = false) {
+    if (create && !this.tenantBehaviors.has(tenant)) {
+      this.tenantBehaviors.set(tenant, new Map());
+    }
+    return this.tenantBehaviors.get(tenant) || null;
+  }
+
+  sharedBehaviorError(key) {
+    const error = new Error(`Behavior ${key} is shared by every tenant and can't be changed through the API`);
+    error.code = 'SHARED_BEHAVIOR';
+    return error;
+  }
+
+  // A shared persona, or one of `tenant`'s
+  getBehavior(key, tenant = null) {
+    const own = tenant === null ? null : this.tenantRegistry(tenant);
+    return this.behaviors.get(key) || (own && own.get(key)) || null;
+  }
+
+  // Shared personas followed by `tenant`'s own
+  listBehaviors(tenant = null) {
+    const own = tenant === null ? null : this.tenantRegistry(tenant);
+    return [...this.behaviors.values(), ...(own ? own.values() : [])];
+  }
+
+  // Wait before retry number `attempt` (1 = first retry), capped at maxDelayMs
+  getRetryDelay(retry, attempt, random = Math.random) {
+    const multiplier = {
+      fixed: 1,
+      linear: attempt,
+      exponential: 2 ** (attempt - 1)
+    }[retry.backoff];
+    const delay = Math.min(retry.baseDelayMs * multiplier, retry.maxDelayMs);
+    // Jitter spreads retries from many users over [delay/2, delay)
+    return Math.round(retry.jitter ? delay / 2 + random() * delay / 2 : delay);
+  }
+}
+
+const behaviorService = new BehaviorService();
+
+module.exports = {
+  loadBehaviorFile: behaviorService.loadBehaviorFile.bind(behaviorService),
+  registerBehavior: behaviorService.registerBehavior.bind(behaviorService),
+  removeBehavior: behaviorService.removeBehavior.bind(behaviorService),
+  getBehavior: behaviorService.getBehavior.bind(behaviorService),
+  listBehaviors: behaviorService.listBehaviors.bind(behaviorService),
+  getRetryDelay: behaviorService.getRetryDelay.bind(behaviorService)
+};
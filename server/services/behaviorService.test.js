@@ -0,0 +1,137 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const behaviorService = require('./behaviorService');
+
+const persona = (key, overrides = {}) => ({
+  key,
+  sessionLength: { min: 1, max: 3 },
+  requestDelay: { min: 100, max: 200 },
+  ...overrides
+});
+
+describe('persona registration', () => {
+  test('loads the shipped personas', () => {
+    assert.deepEqual(
+      behaviorService.listBehaviors().map(b => b.key).sort(),
+      ['casual_user', 'impatient_user', 'quick_browser', 'thorough_researcher']
+    );
+    const researcher = behaviorService.getBehavior('thorough_researcher');
+    assert.equal(researcher.name, 'Thorough Researcher');
+    assert.equal(researcher.retry.backoff, 'exponential');
+  });
+
+  test('fills in defaults for optional fields', () => {
+    const { behavior, created } = behaviorService.registerBehavior(persona('minimal'), 'defaults');
+    assert.equal(created, true);
+    assert.deepEqual(behavior, {
+      key: 'minimal',
+      name: 'minimal',
+      description: '',
+      weight: 1,
+      sessionLength: { min: 1, max: 3 },
+      requestDelay: { min: 100, max: 200 },
+      urls: null,
+      retry: { probability: 0.5, maxAttempts: 3, backoff: 'fixed', baseDelayMs: 1000, maxDelayMs: 10000, jitter: false },
+      abandonAfterMs: 30000
+    });
+  });
+
+  test('replaces a persona registered again under the same key', () => {
+    behaviorService.registerBehavior(persona('window_shopper', { weight: 1 }), 'replace');
+    const { behavior, created } = behaviorService.registerBehavior(persona('window_shopper', { weight: 3 }), 'replace');
+    assert.equal(created, false);
+    assert.equal(behavior.weight, 3);
+    assert.equal(behaviorService.getBehavior('window_shopper', 'replace').weight, 3);
+  });
+
+  test('rejects invalid definitions', () => {
+    const invalid = {
+      'not an object': ['casual'],
+      'bad key': persona('Has Spaces'),
+      'missing sessionLength': { key: 'x', requestDelay: { min: 0, max: 1 } },
+      'empty session': persona('x', { sessionLength: { min: 0, max: 2 } }),
+      'inverted range': persona('x', { requestDelay: { min: 500, max: 100 } }),
+      'negative weight': persona('x', { weight: -1 }),
+      'empty url pool': persona('x', { urls: [] }),
+      'non-http url': persona('x', { urls: ['ftp://example.com/item'] }),
+      'probability over 1': persona('x', { retry: { probability: 1.5 } }),
+      'unknown backoff': persona('x', { retry: { backoff: 'random' } }),
+      'max delay under base': persona('x', { retry: { baseDelayMs: 5000, maxDelayMs: 1000 } }),
+      'abandon too soon': persona('x', { abandonAfterMs: 50 })
+    };
+    Object.entries(invalid).forEach(([problem, definition]) => {
+      assert.throws(() => behaviorService.registerBehavior(definition, 'invalid'), { code: 'INVALID_BEHAVIOR' }, problem);
+    });
+    assert.deepEqual(behaviorService.listBehaviors('invalid'), behaviorService.listBehaviors());
+  });
+
+  test('loads a list of personas from one file', () => {
+    const file = path.join(os.tmpdir(), `behaviors-test-${process.pid}.yaml`);
+    fs.writeFileSync(file, [
+      '- key: bulk_buyer',
+      '  sessionLength: { min: 2, max: 4 }',
+      '  requestDelay: { min: 100, max: 300 }',
+      '  urls: [https://www.walmart.com/ip/item/1]',
+      '- key: returner',
+      '  sessionLength: { min: 1, max: 1 }',
+      '  requestDelay: { min: 0, max: 0 }'
+    ].join('\n'));
+    try {
+      const behaviors = behaviorService.loadBehaviorFile(file);
+      assert.deepEqual(behaviors.map(b => b.key), ['bulk_buyer', 'returner']);
+      assert.deepEqual(behaviors[0].urls, ['https://www.walmart.com/ip/item/1']);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
+
+describe('getRetryDelay', () => {
+  const retry = (backoff, jitter = false) => ({ backoff, baseDelayMs: 1000, maxDelayMs: 5000, jitter });
+
+  test('grows per strategy up to maxDelayMs', () => {
+    assert.deepEqual([1, 2, 3, 4].map(n => behaviorService.getRetryDelay(retry('fixed'), n)), [1000, 1000, 1000, 1000]);
+    assert.deepEqual([1, 2, 3, 4].map(n => behaviorService.getRetryDelay(retry('linear'), n)), [1000, 2000, 3000, 4000]);
+    assert.deepEqual([1, 2, 3, 4].map(n => behaviorService.getRetryDelay(retry('exponential'), n)), [1000, 2000, 4000, 5000]);
+  });
+
+  test('jitter spreads the wait over the upper half', () => {
+    assert.equal(behaviorService.getRetryDelay(retry('linear', true), 2, () => 0), 1000);
+    assert.equal(behaviorService.getRetryDelay(retry('linear', true), 2, () => 0.5), 1500);
+  });
+});
+
+describe('tenant personas', () => {
+  test('are visible and usable only by the tenant that registered them', () => {
+    const { created } = behaviorService.registerBehavior(persona('acme_buyer'), 'acme');
+    assert.equal(created, true);
+
+    assert.equal(behaviorService.getBehavior('acme_buyer', 'acme').key, 'acme_buyer');
+    assert.equal(behaviorService.getBehavior('acme_buyer', 'globex'), null);
+    assert.equal(behaviorService.getBehavior('acme_buyer'), null);
+    assert.ok(behaviorService.listBehaviors('acme').some(b => b.key === 'acme_buyer'));
+    assert.ok(!behaviorService.listBehaviors('globex').some(b => b.key === 'acme_buyer'));
+    // Shared personas come first for everyone
+    assert.deepEqual(behaviorService.listBehaviors('globex'), behaviorService.listBehaviors());
+  });
+
+  test('two tenants can use the same key without touching each other', () => {
+    behaviorService.registerBehavior(persona('bargain_hunter', { weight: 1 }), 'acme');
+    behaviorService.registerBehavior(persona('bargain_hunter', { weight: 5 }), 'globex');
+
+    behaviorService.removeBehavior('bargain_hunter', 'globex');
+    assert.equal(behaviorService.getBehavior('bargain_hunter', 'acme').weight, 1);
+    assert.throws(() => behaviorService.removeBehavior('bargain_hunter', 'globex'), { code: 'BEHAVIOR_NOT_FOUND' });
+  });
+
+  test('cannot replace or remove shared personas', () => {
+    const builtIn = behaviorService.getBehavior('casual_user');
+    assert.throws(() => behaviorService.registerBehavior(persona('casual_user'), 'acme'), { code: 'SHARED_BEHAVIOR' });
+    assert.throws(() => behaviorService.removeBehavior('casual_user', 'acme'), { code: 'SHARED_BEHAVIOR' });
+    assert.equal(behaviorService.getBehavior('casual_user'), builtIn);
+  });
+});
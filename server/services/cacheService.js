@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { createSpan, finishSpan } = require('../middleware/sentry');
+const { canonicalizeProductUrl } = require('../utils/urlUtils');
+const metricsService = require('./metricsService');
+
+// Cache layers in front of the analysis pipeline: raw scrape results and LLM
+// results expire independently. Keys start with the canonical product URL.
+const LAYER_DEFAULTS = {
+  scrape: { ttlEnv: 'CACHE_SCRAPE_TTL_SECONDS', ttlSeconds: 600 },
+  llm: { ttlEnv: 'CACHE_LLM_TTL_SECONDS', ttlSeconds: 3600 }
+};
+
+// In-memory TTL cache with least-recently-used eviction per layer
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES || '500');
+    this.layers = {};
+
+    Object.entries(LAYER_DEFAULTS).forEach(([name, config]) => {
+      this.layers[name] = {
+        ttlMs: parseInt(process.env[config.ttlEnv] || String(config.ttlSeconds)) * 1000,
+        entries: new Map(),
+        hits: 0,
+        misses: 0,
+        evictions: 0
+      };
+    });
+  }
+
+  getLayer(name) {
+    const layer = this.layers[name];
+    if (!layer) {
+      throw new Error(`Unknown cache layer: ${name}`);
+    }
+    return layer;
+  }
+
+  // Cache key for a product URL, optionally qualified (e.g. by LLM provider and input digest)
+  buildKey(url, ...qualifiers) {
+    return [canonicalizeProductUrl(url), ...qualifiers.filter(Boolean)].join('|');
+  }
+
+  // Short digest of a JSON-serializable value, for keying results by their inputs
+  digest(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+  }
+
+  get(layerName, key) {
+    const layer = this.getLayer(layerName);
+    const entry = layer.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) layer.entries.delete(key);
+      layer.misses++;
+      metricsService.increment('cache_requests_total', { layer: layerName, result: 'miss' });
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    layer.entries.delete(key);
+    layer.entries.set(key, entry);
+    layer.hits++;
+    metricsService.increment('cache_requests_total', { layer: layerName, result: 'hit' });
+    return structuredClone(entry.value);
+  }
+
+  set(layerName, key, value) {
+    const layer = this.getLayer(layerName);
+    if (layer.ttlMs <= 0) return;
+
+    layer.entries.delete(key);
+    layer.entries.set(key, {
+      value: structuredClone(value),
+      expiresAt: Date.now() + layer.ttlMs,
+      storedAt: Date.now()
+    });
+
+    while (layer.entries.size > this.maxEntries) {
+      layer.entries.delete(layer.entries.keys().next().value);
+      layer.evictions++;
+    }
+  }
+
+  /**
+   * Return the cached value for `key`, or run `loader` and cache its result.
+   * Both steps get `cache.get` / `cache.put` spans so hit and miss latency can be
+   * compared in Sentry. Resolves to `{ value, hit }`; loader errors are not cached.
+   */
+  async getOrLoad(layerName, key, transaction, loader) {
+    if (!this.enabled) {
+      return { value: await loader(), hit: false };
+    }
+
+    const getSpan = createSpan(transaction, {
+      op: 'cache.get',
+      description: key
+    });
+    const cached = this.get(layerName, key);
+    finishSpan(getSpan, {
+      'cache.key': key,
+      'cache.layer': layerName,
+      'cache.hit': cached !== undefined
+    });
+
+    if (cached !== undefined) {
+      return { value: cached, hit: true };
+    }
+
+    const value = await loader();
+
+    const putSpan = createSpan(transaction, {
+      op: 'cache.put',
+      description: key
+    });
+    this.set(layerName, key, value);
+    finishSpan(putSpan, {
+      'cache.key': key,
+      'cache.layer': layerName,
+      'cache.ttl': this.getLayer(layerName).ttlMs / 1000
+    });
+
+    return { value, hit: false };
+  }
+
+  /**
+   * Remove entries from one layer (or all), optionally only those for one
+   * product URL. Returns the number of entries removed.
+   */
+  purge({ layer, url } = {}) {
+    const layerNames = layer ? [layer] : Object.keys(this.layers);
+    const canonicalUrl = url ? canonicalizeProductUrl(url) : null;
+    let purged = 0;
+
+    layerNames.forEach(name => {
+      const { entries } = this.getLayer(name);
+      Array.from(entries.keys()).forEach(key => {
+        if (!canonicalUrl || key === canonicalUrl || key.startsWith(`${canonicalUrl}|`)) {
+          entries.delete(key);
+          purged++;
+        }
+      });
+    });
+
+    return purged;
+  }
+
+  getStats() {
+    const layers = {};
+    Object.entries(this.layers).forEach(([name, layer]) => {
+      const lookups = layer.hits + layer.misses;
+      layers[name] = {
+        ttl_seconds: layer.ttlMs / 1000,
+        entries: layer.entries.size,
+        hits: layer.hits,
+        misses: layer.misses,
+        hit_rate: lookups > 0 ? parseFloat((layer.hits / lookups).toFixed(3)) : 0,
+        evictions: layer.evictions
+      };
+    });
+
+    return {
+      enabled: this.enabled,
+      max_entries_per_layer: this.maxEntries,
+      layers
+    };
+  }
+
+  listLayers() {
+    return Object.keys(this.layers);
+  }
+}
+
+const cacheService = new CacheService();
+
+module.exports = {
+  buildKey: cacheService.buildKey.bind(cacheService),
+  digest: cacheService.digest.bind(cacheService),
+  getOrLoad: cacheService.getOrLoad.bind(cacheService),
+  purge: cacheService.purge.bind(cacheService),
+  getStats: cacheService.getStats.bind(cacheService),
+  listLayers: cacheService.listLayers.bind(cacheService)
+};
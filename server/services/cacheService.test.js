@@ -0,0 +1,90 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CACHE_MAX_ENTRIES = '2';
+process.env.CACHE_SCRAPE_TTL_SECONDS = '10';
+const cacheService = require('./cacheService');
+
+const URL_A = 'https://www.amazon.com/Headphones/dp/B08N5WRWNW?tag=aff-20';
+const URL_B = 'https://www.walmart.com/ip/tv/123456';
+const URL_C = 'https://www.target.com/p/bedding-set/-/A-12345678';
+
+// Resolves to the loader's result and whether the cache answered instead
+const load = (layer, key, value) => cacheService.getOrLoad(layer, key, null, async () => value);
+
+describe('buildKey', () => {
+  test('starts with the canonical URL and appends qualifiers', () => {
+    assert.equal(cacheService.buildKey(URL_A), 'https://amazon.com/dp/B08N5WRWNW');
+    assert.equal(cacheService.buildKey(URL_A, 'mock', 'abc123'), 'https://amazon.com/dp/B08N5WRWNW|mock|abc123');
+    assert.equal(cacheService.buildKey('https://amazon.com/dp/B08N5WRWNW#top', 'mock'), cacheService.buildKey(URL_A, 'mock'));
+  });
+
+  test('digests the same content to the same key part', () => {
+    const digest = cacheService.digest({ title: 'Headphones', price: '$199.99' });
+    assert.match(digest, /^[0-9a-f]{16}$/);
+    assert.equal(cacheService.digest({ title: 'Headphones', price: '$199.99' }), digest);
+    assert.notEqual(cacheService.digest({ title: 'Headphones', price: '$179.99' }), digest);
+    assert.equal(cacheService.digest({ title: 'Headphones', price: '$199.99', scrapingMetadata: undefined }), digest);
+  });
+});
+
+describe('getOrLoad', () => {
+  test('serves later lookups of any link to the product from the cache', async () => {
+    cacheService.purge();
+    assert.deepEqual(await load('scrape', cacheService.buildKey(URL_A), { price: 1 }), { value: { price: 1 }, hit: false });
+    assert.deepEqual(
+      await load('scrape', cacheService.buildKey('https://amazon.com/dp/B08N5WRWNW'), { price: 2 }),
+      { value: { price: 1 }, hit: true }
+    );
+  });
+
+  test('misses once scraped content changes the LLM key', async () => {
+    cacheService.purge();
+    const keyFor = (scraped) => cacheService.buildKey(URL_A, 'mock', cacheService.digest(scraped));
+    await load('llm', keyFor({ price: '$199.99' }), 'analysis at 199.99');
+    assert.equal((await load('llm', keyFor({ price: '$179.99' }), 'analysis at 179.99')).value, 'analysis at 179.99');
+    assert.equal((await load('llm', keyFor({ price: '$199.99' }), 'unused')).hit, true);
+  });
+
+  test('expires entries after the layer TTL', async (t) => {
+    cacheService.purge();
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    await load('scrape', cacheService.buildKey(URL_A), 'first');
+
+    Date.now.mock.mockImplementation(() => now + 9999);
+    assert.equal((await load('scrape', cacheService.buildKey(URL_A), 'second')).hit, true);
+    Date.now.mock.mockImplementation(() => now + 10000);
+    assert.deepEqual(await load('scrape', cacheService.buildKey(URL_A), 'second'), { value: 'second', hit: false });
+  });
+
+  test('evicts the least recently used entry past CACHE_MAX_ENTRIES', async () => {
+    cacheService.purge();
+    await load('scrape', cacheService.buildKey(URL_A), 'a');
+    await load('scrape', cacheService.buildKey(URL_B), 'b');
+    await load('scrape', cacheService.buildKey(URL_A), 'unused');
+    await load('scrape', cacheService.buildKey(URL_C), 'c');
+
+    assert.equal((await load('scrape', cacheService.buildKey(URL_A), 'unused')).hit, true);
+    assert.equal((await load('scrape', cacheService.buildKey(URL_B), 'b again')).hit, false);
+  });
+
+  test('does not cache loader errors', async () => {
+    cacheService.purge();
+    const key = cacheService.buildKey(URL_B);
+    await assert.rejects(cacheService.getOrLoad('scrape', key, null, async () => { throw new Error('blocked'); }), /blocked/);
+    assert.equal((await load('scrape', key, 'ok')).hit, false);
+  });
+});
+
+describe('purge', () => {
+  test('removes every entry for one product, whatever its qualifiers', async () => {
+    cacheService.purge();
+    await load('scrape', cacheService.buildKey(URL_A), 'page');
+    await load('llm', cacheService.buildKey(URL_A, 'mock', 'abc123'), 'analysis');
+    await load('llm', cacheService.buildKey(URL_B, 'mock', 'def456'), 'other analysis');
+
+    assert.equal(cacheService.purge({ url: 'https://amazon.com/dp/B08N5WRWNW' }), 2);
+    assert.equal(cacheService.purge({ layer: 'llm' }), 1);
+  });
+});
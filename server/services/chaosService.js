@@ -0,0 +1,422 @@
+const { v4: uuidv4 } = require('uuid');
+const { Sentry } = require('../middleware/sentry');
+const { createDemoError } = require('../utils/demoUtils');
+const { nextRandom } = require('../utils/random');
+const incidentService = require('./incidentService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('chaos');
+
+// Where faults can be injected in the analysis pipeline
+const STAGES = ['init', 'scraping', 'llm_network', 'llm_analysis', 'llm_parsing'];
+const ERROR_TYPES = ['scraping_failure', 'llm_timeout', 'rate_limited', 'parsing_error', 'network_error', 'authentication_error'];
+const DISTRIBUTIONS = ['uniform', 'fixed', 'normal', 'lognormal'];
+const MAX_LATENCY_MS = 120000;
+const MAX_SCENARIO_SECONDS = 24 * 60 * 60;
+const ENDED_SCENARIO_HISTORY = 20;
+
+// Ready-made scenarios for POST /api/chaos/scenarios { preset }
+const PRESETS = {
+  llm_outage: {
+    description: 'Every LLM call times out',
+    stages: { llm_network: { errorRate: 1, errors: { llm_timeout: 1 } } }
+  },
+  llm_degraded: {
+    description: 'Slow LLM analysis and parsing with occasional timeouts',
+    stages: {
+      llm_network: { errorRate: 0.2, errors: { llm_timeout: 1 } },
+      llm_analysis: { slow: { probability: 0.8, min: 4000, max: 10000 } },
+      llm_parsing: { slow: { probability: 0.8, min: 3000, max: 8000 } }
+    }
+  },
+  scraping_outage: {
+    description: 'Product pages cannot be fetched',
+    stages: { scraping: { errorRate: 1, errors: { scraping_failure: 3, network_error: 1 } } }
+  },
+  rate_limit_storm: {
+    description: 'Half of all analyses are rate limited',
+    stages: { init: { errorRate: 0.5, errors: { rate_limited: 1 } } }
+  }
+};
+
+const invalidConfig = (message) => {
+  const error = new Error(`Invalid chaos config: ${message}`);
+  error.code = 'INVALID_CHAOS_CONFIG';
+  return error;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const requireNumber = (value, field, { min = 0, max = Infinity } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw invalidConfig(`"${field}" must be a number between ${min} and ${max}`);
+  }
+  return value;
+};
+
+// Legacy env knobs become the startup defaults, so an unconfigured server behaves as before
+const buildDefaultConfig = () => {
+  // ERROR_RATE_PERCENT=0 means no injected errors; only an unset or invalid value falls back to 10%
+  const errorRatePercent = parseFloat(process.env.ERROR_RATE_PERCENT);
+  const errorRate = Number.isFinite(errorRatePercent) ? errorRatePercent / 100 : 0.1;
+  const env = (name, fallback) => parseFloat(process.env[name] || fallback);
+  return {
+    enabled: process.env.CHAOS_ENABLED !== 'false',
+    extraLatencyMs: parseInt(process.env.ARTIFICIAL_LATENCY_MS) || 0,
+    stages: {
+      init: {
+        errorRate: 0.1 * errorRate,
+        errors: { scraping_failure: 1 },
+        latency: { distribution: 'uniform', min: 500, max: 2000 },
+        slow: null
+      },
+      scraping: {
+        errorRate: 0.08 * errorRate,
+        errors: { scraping_failure: 1 },
+        latency: { distribution: 'uniform', min: 500, max: 2000 },
+        slow: null
+      },
+      llm_network: {
+        errorRate: 0,
+        errors: { llm_timeout: 1 },
+        latency: { distribution: 'uniform', min: 800, max: 2500 },
+        slow: null
+      },
+      llm_analysis: {
+        errorRate: 0,
+        errors: { llm_timeout: 1 },
+        latency: { distribution: 'uniform', min: 500, max: 2000 },
+        slow: {
+          probability: env('LLM_SLOW_ANALYSIS_PROB', '0.25'),
+          min: env('LLM_SLOW_ANALYSIS_MIN_MS', '2000'),
+          max: env('LLM_SLOW_ANALYSIS_MAX_MS', '6000')
+        }
+      },
+      llm_parsing: {
+        errorRate: 0,
+        errors: { parsing_error: 1 },
+        latency: { distribution: 'uniform', min: 200, max: 800 },
+        slow: {
+          probability: env('LLM_SLOW_PARSING_PROB', '0.15'),
+          min: env('LLM_SLOW_PARSING_MIN_MS', '1500'),
+          max: env('LLM_SLOW_PARSING_MAX_MS', '4000')
+        }
+      }
+    }
+  };
+};
+
+// Runtime fault injection: per-stage error rates, error types and latency,
+// changed through /api/chaos without a restart, plus scheduled scenarios that
+// override stages for a time window (e.g. a two-minute LLM outage)
+class ChaosService {
+  constructor() {
+    this.config = buildDefaultConfig();
+    this.scenarios = [];
+  }
+
+  validateLatency(latency, field) {
+    if (!isObject(latency)) throw invalidConfig(`"${field}" must be an object`);
+    const distribution = latency.distribution || 'uniform';
+    const ms = (name, options) => requireNumber(latency[name], `${field}.${name}`, { max: MAX_LATENCY_MS, ...options });
+
+    switch (distribution) {
+      case 'uniform': {
+        const min = ms('min');
+        return { distribution, min, max: ms('max', { min }) };
+      }
+      case 'fixed':
+        return { distribution, ms: ms('ms') };
+      case 'normal':
+        return { distribution, mean: ms('mean'), stddev: ms('stddev') };
+      case 'lognormal':
+        return { distribution, median: ms('median'), sigma: requireNumber(latency.sigma, `${field}.sigma`, { max: 3 }) };
+      default:
+        throw invalidConfig(`"${field}.distribution" must be one of ${DISTRIBUTIONS.join(', ')}`);
+    }
+  }
+
+  // Validate a partial stage config; only the given fields are returned
+  validateStage(stage, update) {
+    if (!isObject(update)) throw invalidConfig(`"stages.${stage}" must be an object`);
+    const field = (name) => `stages.${stage}.${name}`;
+    const validated = {};
+
+    if (update.errorRate !== undefined) {
+      validated.errorRate = requireNumber(update.errorRate, field('errorRate'), { max: 1 });
+    }
+    if (update.errors !== undefined) {
+      const entries = isObject(update.errors) ? Object.entries(update.errors) : [];
+      if (entries.length === 0 || entries.some(([type, weight]) => !ERROR_TYPES.includes(type) || !(weight > 0))) {
+        throw invalidConfig(`"${field('errors')}" must map error types (${ERROR_TYPES.join(', ')}) to positive weights`);
+      }
+      validated.errors = update.errors;
+    }
+    if (update.latency !== undefined) {
+      validated.latency = update.latency === null ? null : this.validateLatency(update.latency, field('latency'));
+    }
+    if (update.slow !== undefined) {
+      if (update.slow === null) {
+        validated.slow = null;
+      } else {
+        if (!isObject(update.slow)) throw invalidConfig(`"${field('slow')}" must be { probability, min, max }`);
+        const min = requireNumber(update.slow.min, field('slow.min'), { max: MAX_LATENCY_MS });
+        validated.slow = {
+          probability: requireNumber(update.slow.probability, field('slow.probability'), { max: 1 }),
+          min: min,
+          max: requireNumber(update.slow.max, field('slow.max'), { min, max: MAX_LATENCY_MS })
+        };
+      }
+    }
+
+    const unknown = Object.keys(update).filter(key => !['errorRate', 'errors', 'latency', 'slow'].includes(key));
+    if (unknown.length > 0) throw invalidConfig(`unknown field "${field(unknown[0])}"`);
+    return validated;
+  }
+
+  validateStages(stages) {
+    if (!isObject(stages)) throw invalidConfig('"stages" must be an object');
+    const validated = {};
+    Object.entries(stages).forEach(([stage, update]) => {
+      if (!STAGES.includes(stage)) {
+        throw invalidConfig(`unknown stage "${stage}"; stages: ${STAGES.join(', ')}`);
+      }
+      validated[stage] = this.validateStage(stage, update);
+    });
+    return validated;
+  }
+
+  /**
+   * Merge a partial config ({ enabled, extraLatencyMs, stages: { stage: fields } })
+   * into the current one. Validates everything before applying anything.
+   */
+  updateConfig(update) {
+    if (!isObject(update)) throw invalidConfig('expected an object');
+    const stages = update.stages !== undefined ? this.validateStages(update.stages) : {};
+    if (update.enabled !== undefined && typeof update.enabled !== 'boolean') {
+      throw invalidConfig('"enabled" must be a boolean');
+    }
+    const extraLatencyMs = update.extraLatencyMs !== undefined
+      ? requireNumber(update.extraLatencyMs, 'extraLatencyMs', { max: MAX_LATENCY_MS })
+      : this.config.extraLatencyMs;
+
+    this.config.enabled = update.enabled !== undefined ? update.enabled : this.config.enabled;
+    this.config.extraLatencyMs = extraLatencyMs;
+    Object.entries(stages).forEach(([stage, fields]) => {
+      this.config.stages[stage] = { ...this.config.stages[stage], ...fields };
+    });
+    return this.getState();
+  }
+
+  // Back to the env defaults, cancelling every scenario and incident
+  reset() {
+    this.config = buildDefaultConfig();
+    this.scenarios = [];
+    incidentService.reset();
+    return this.getState();
+  }
+
+  /**
+   * Schedule stage overrides for `durationSeconds`, starting now or after
+   * `startInSeconds`. Overrides come from a named `preset` and/or `stages`.
+   */
+  scheduleScenario({ preset, name, stages, durationSeconds, startInSeconds = 0 } = {}) {
+    if (preset !== undefined && !PRESETS[preset]) {
+      const error = new Error(`Unknown chaos preset: ${preset}; presets: ${Object.keys(PRESETS).join(', ')}`);
+      error.code = 'UNKNOWN_CHAOS_PRESET';
+      throw error;
+    }
+    if (preset === undefined && stages === undefined) {
+      throw invalidConfig('a scenario needs a "preset" or "stages"');
+    }
+    requireNumber(durationSeconds, 'durationSeconds', { min: 1, max: MAX_SCENARIO_SECONDS });
+    requireNumber(startInSeconds, 'startInSeconds', { max: MAX_SCENARIO_SECONDS });
+
+    const presetStages = preset ? this.validateStages(PRESETS[preset].stages) : {};
+    const customStages = stages !== undefined ? this.validateStages(stages) : {};
+    const merged = { ...presetStages };
+    Object.entries(customStages).forEach(([stage, fields]) => {
+      merged[stage] = { ...merged[stage], ...fields };
+    });
+
+    const startsAt = Date.now() + startInSeconds * 1000;
+    const scenario = {
+      id: uuidv4(),
+      name: String(name || preset || 'custom'),
+      preset: preset || null,
+      stages: merged,
+      startsAt: startsAt,
+      endsAt: startsAt + durationSeconds * 1000,
+      cancelledAt: null
+    };
+    this.scenarios.push(scenario);
+
+    Sentry.addBreadcrumb({
+      message: `Chaos scenario ${scenario.name} scheduled`,
+      category: 'chaos',
+      level: 'warning',
+      data: { id: scenario.id, stages: Object.keys(merged), startsAt: new Date(startsAt).toISOString(), durationSeconds }
+    });
+
+    return this.describeScenario(scenario);
+  }
+
+  cancelScenario(id) {
+    const scenario = this.scenarios.find(s => s.id === id);
+    if (!scenario || this.getScenarioStatus(scenario) === 'ended') {
+      const error = new Error(`No scheduled or active chaos scenario ${id}`);
+      error.code = 'SCENARIO_NOT_FOUND';
+      throw error;
+    }
+    scenario.cancelledAt = Date.now();
+    return this.describeScenario(scenario);
+  }
+
+  getScenarioStatus(scenario, now = Date.now()) {
+    if (scenario.cancelledAt || now >= scenario.endsAt) return 'ended';
+    return now >= scenario.startsAt ? 'active' : 'scheduled';
+  }
+
+  describeScenario(scenario) {
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      preset: scenario.preset,
+      status: this.getScenarioStatus(scenario),
+      stages: scenario.stages,
+      startsAt: new Date(scenario.startsAt).toISOString(),
+      endsAt: new Date(scenario.cancelledAt || scenario.endsAt).toISOString(),
+      cancelled: Boolean(scenario.cancelledAt)
+    };
+  }
+
+  // Keep only the most recent ended scenarios
+  pruneScenarios() {
+    const ended = this.scenarios.filter(s => this.getScenarioStatus(s) === 'ended');
+    const drop = new Set(ended.slice(0, Math.max(0, ended.length - ENDED_SCENARIO_HISTORY)));
+    if (drop.size > 0) {
+      this.scenarios = this.scenarios.filter(s => !drop.has(s));
+    }
+  }
+
+  // Base stage config with active scenario overrides applied in start order,
+  // then any active incident on the stage
+  getEffectiveStage(stage) {
+    const now = Date.now();
+    const active = this.scenarios.filter(s => s.stages[stage] && this.getScenarioStatus(s, now) === 'active');
+    const effective = active.reduce(
+      (config, scenario) => ({ ...config, ...scenario.stages[stage], scenario: scenario.name }),
+      { ...this.config.stages[stage], scenario: null, incident: null }
+    );
+    const incident = incidentService.getStageOverride(stage);
+    return incident ? { ...effective, ...incident } : effective;
+  }
+
+  getState() {
+    this.pruneScenarios();
+    const effective = {};
+    STAGES.forEach(stage => { effective[stage] = this.getEffectiveStage(stage); });
+
+    return {
+      enabled: this.config.enabled,
+      extraLatencyMs: this.config.extraLatencyMs,
+      stages: this.config.stages,
+      effective: effective,
+      scenarios: this.scenarios.map(scenario => this.describeScenario(scenario)),
+      presets: Object.entries(PRESETS).map(([key, preset]) => ({ key, ...preset })),
+      errorTypes: ERROR_TYPES
+    };
+  }
+
+  sampleLatency(latency) {
+    switch (latency.distribution) {
+      case 'fixed':
+        return latency.ms;
+      case 'normal':
+      case 'lognormal': {
+        // Box-Muller standard normal
+        const z = Math.sqrt(-2 * Math.log(1 - nextRandom())) * Math.cos(2 * Math.PI * nextRandom());
+        const ms = latency.distribution === 'normal'
+          ? latency.mean + z * latency.stddev
+          : latency.median * Math.exp(latency.sigma * z);
+        return Math.min(MAX_LATENCY_MS, Math.max(0, ms));
+      }
+      default:
+        return nextRandom() * (latency.max - latency.min) + latency.min;
+    }
+  }
+
+  async sleep(operation, ms) {
+    const delay = Math.floor(ms);
+    log.debug(`Simulating ${operation} delay`, { operation, delay_ms: delay });
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return delay;
+  }
+
+  tagScenario(stageConfig) {
+    if (stageConfig.scenario) {
+      Sentry.setTag('chaos.scenario', stageConfig.scenario);
+    }
+    if (stageConfig.incident) {
+      Sentry.setTag('chaos.incident', stageConfig.incident);
+    }
+  }
+
+  /**
+   * Baseline latency for `stage`, scaled by the peak-hour multiplier, plus the
+   * global extra latency. Resolves to the milliseconds waited (0 when fault
+   * injection is disabled).
+   */
+  async injectLatency(stage) {
+    if (!this.config.enabled) return 0;
+    const stageConfig = this.getEffectiveStage(stage);
+    this.tagScenario(stageConfig);
+    const base = stageConfig.latency
+      ? Math.min(MAX_LATENCY_MS, this.sampleLatency(stageConfig.latency) * incidentService.getLatencyMultiplier())
+      : 0;
+    return this.sleep(stage, base + this.config.extraLatencyMs);
+  }
+
+  // Occasional extra latency on top of the baseline; resolves to the ms added (0 if none)
+  async injectSlowdown(stage) {
+    if (!this.config.enabled) return 0;
+    const stageConfig = this.getEffectiveStage(stage);
+    const { slow } = stageConfig;
+    if (!slow || nextRandom() >= slow.probability) return 0;
+    this.tagScenario(stageConfig);
+    return this.sleep(`${stage}_slow`, nextRandom() * (slow.max - slow.min) + slow.min);
+  }
+
+  // Throw one of the stage's error types with its configured probability
+  injectError(stage) {
+    if (!this.config.enabled) return;
+    const stageConfig = this.getEffectiveStage(stage);
+    if (nextRandom() >= stageConfig.errorRate) return;
+
+    const entries = Object.entries(stageConfig.errors);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = nextRandom() * total;
+    const [errorType] = entries.find(([, weight]) => (roll -= weight) < 0) || entries[0];
+
+    this.tagScenario(stageConfig);
+    const error = createDemoError(errorType);
+    error.chaosStage = stage;
+    error.chaosScenario = stageConfig.scenario;
+    error.chaosIncident = stageConfig.incident;
+    log.debug(`Injecting ${errorType} error at ${stage}`, { stage, error_type: errorType, error_code: error.code });
+    throw error;
+  }
+}
+
+const chaosService = new ChaosService();
+
+module.exports = {
+  updateConfig: chaosService.updateConfig.bind(chaosService),
+  reset: chaosService.reset.bind(chaosService),
+  scheduleScenario: chaosService.scheduleScenario.bind(chaosService),
+  cancelScenario: chaosService.cancelScenario.bind(chaosService),
+  getState: chaosService.getState.bind(chaosService),
+  injectLatency: chaosService.injectLatency.bind(chaosService),
+  injectSlowdown: chaosService.injectSlowdown.bind(chaosService),
+  injectError: chaosService.injectError.bind(chaosService)
+};
@@ -0,0 +1,44 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const chaosService = require('./chaosService');
+
+const stageErrorRates = () => {
+  const { stages } = chaosService.getState();
+  return { init: stages.init.errorRate, scraping: stages.scraping.errorRate };
+};
+
+describe('default chaos config', () => {
+  const original = process.env.ERROR_RATE_PERCENT;
+  afterEach(() => {
+    if (original === undefined) delete process.env.ERROR_RATE_PERCENT;
+    else process.env.ERROR_RATE_PERCENT = original;
+    chaosService.reset();
+  });
+
+  test('ERROR_RATE_PERCENT=0 turns injected errors off', () => {
+    process.env.ERROR_RATE_PERCENT = '0';
+    chaosService.reset();
+    assert.deepEqual(stageErrorRates(), { init: 0, scraping: 0 });
+    for (let i = 0; i < 200; i++) {
+      chaosService.injectError('init');
+      chaosService.injectError('scraping');
+    }
+  });
+
+  test('scales the per-stage rates by ERROR_RATE_PERCENT', () => {
+    process.env.ERROR_RATE_PERCENT = '50';
+    chaosService.reset();
+    assert.deepEqual(stageErrorRates(), { init: 0.05, scraping: 0.04 });
+  });
+
+  test('falls back to 10% when unset or not a number', () => {
+    for (const value of [undefined, '', 'lots']) {
+      if (value === undefined) delete process.env.ERROR_RATE_PERCENT;
+      else process.env.ERROR_RATE_PERCENT = value;
+      chaosService.reset();
+      const rates = stageErrorRates();
+      assert.ok(Math.abs(rates.init - 0.01) < 1e-12, `init rate for ${value}`);
+      assert.ok(Math.abs(rates.scraping - 0.008) < 1e-12, `scraping rate for ${value}`);
+    }
+  });
+});
@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'AliExpress',
+  domains: ['aliexpress.com'],
+  selectors: {
+    title: ['h1[data-pl="product-title"]', '.product-title-text'],
+    price: ['.product-price-current', '[class*="price--current"]', '.uniform-banner-box-price'],
+    originalPrice: ['.product-price-original', '[class*="price--original"]'],
+    rating: ['.overview-rating-average', '[class*="reviewer--rating"] strong'],
+    reviewCount: ['.product-reviewer-reviews', '[class*="reviewer--reviews"]'],
+    availability: ['.product-quantity-tip', '[class*="quantity--info"]'],
+    shipping: ['.dynamic-shipping-line', '[class*="dynamic-shipping"]'],
+    image: ['.magnifier-image', '[class*="magnifier--image"]'],
+    description: ['.product-description', '#product-description'],
+    features: ['.product-prop .property-item', '[class*="specification--prop"]'],
+    category: ['.breadcrumb a', '[class*="breadcrumb"] a']
+  }
+});
@@ -0,0 +1,25 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Amazon',
+  domains: ['amazon.com', 'amazon.co.uk', 'amazon.de'],
+  selectors: {
+    title: ['#productTitle', '#title'],
+    price: [
+      '#corePrice_feature_div .a-price .a-offscreen',
+      '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen',
+      '#priceblock_dealprice',
+      '#priceblock_ourprice',
+      '.a-price .a-offscreen'
+    ],
+    originalPrice: ['.a-price.a-text-price .a-offscreen', '#listPrice', '.priceBlockStrikePriceString'],
+    rating: ['#acrPopover .a-icon-alt', 'span[data-hook="rating-out-of-text"]', 'i.a-icon-star span.a-icon-alt'],
+    reviewCount: ['#acrCustomerReviewText', 'span[data-hook="total-review-count"]'],
+    availability: ['#availability span', '#availability'],
+    shipping: ['#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE', '#deliveryBlockMessage', '#delivery-message'],
+    image: ['#landingImage', '#imgBlkFront'],
+    description: ['#productDescription'],
+    features: ['#feature-bullets li span.a-list-item'],
+    category: ['#wayfinding-breadcrumbs_feature_div li a']
+  }
+});
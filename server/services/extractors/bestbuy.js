@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Best Buy',
+  domains: ['bestbuy.com'],
+  selectors: {
+    title: ['.sku-title h1', 'h1.heading-5'],
+    price: ['.priceView-customer-price span[aria-hidden="true"]', '.priceView-hero-price span'],
+    originalPrice: ['.pricing-price__regular-price', '.priceView-previous-price'],
+    rating: ['.ugc-c-review-average', '.c-ratings-reviews .visually-hidden'],
+    reviewCount: ['.c-reviews .c-reviews-v4', '.ugc-c-review-count'],
+    availability: ['.fulfillment-add-to-cart-button button'],
+    shipping: ['.fulfillment-fulfillment-summary', '[data-testid="shipping-fulfillment"]'],
+    image: ['.primary-image', '.shop-media-gallery img'],
+    description: ['.product-description', '.overview-accordion-content-wrapper'],
+    features: ['.features-list .feature h4', '.features-list li'],
+    category: ['.c-breadcrumbs-list-item a']
+  }
+});
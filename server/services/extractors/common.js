@@ -0,0 +1,98 @@
+// Shared helpers for the per-store product page extractors
+
+// Raw product fields every extractor returns (the shape buildPrompt expects)
+const PRODUCT_FIELDS = [
+  'title', 'price', 'originalPrice', 'rating', 'reviewCount', 'availability',
+  'shipping', 'imageUrl', 'description', 'features', 'category'
+];
+
+const cleanText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+// First non-empty text among a list of CSS selectors
+const firstText = ($, selectors = []) => {
+  for (const selector of selectors) {
+    const text = cleanText($(selector).first().text());
+    if (text) return text;
+  }
+  return '';
+};
+
+// First non-empty attribute among a list of CSS selectors
+const firstAttr = ($, selectors = [], attr) => {
+  for (const selector of selectors) {
+    const value = cleanText($(selector).first().attr(attr));
+    if (value) return value;
+  }
+  return '';
+};
+
+// Texts of every element matched by the first selector that matches anything
+const allText = ($, selectors = [], limit = 10) => {
+  for (const selector of selectors) {
+    const texts = $(selector)
+      .map((i, el) => cleanText($(el).text()))
+      .get()
+      .filter(Boolean);
+    if (texts.length) return texts.slice(0, limit);
+  }
+  return [];
+};
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value || '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+};
+
+// "$1,299.99", "US $12.99", "199.99" or 199.99 -> "$199.99"
+const formatPrice = (value) => {
+  const amount = parseNumber(value);
+  return Number.isFinite(amount) ? `$${amount.toFixed(2)}` : '';
+};
+
+// "4.3 out of 5 stars" -> "4.3"
+const formatRating = (value) => {
+  const rating = parseNumber(value);
+  return Number.isFinite(rating) && rating >= 0 && rating <= 5 ? String(rating) : '';
+};
+
+// "2,847 ratings" -> "2,847"
+const formatCount = (value) => {
+  const count = parseNumber(value);
+  return Number.isFinite(count) ? Math.round(count).toLocaleString('en-US') : '';
+};
+
+// Fill fields the selectors missed from fallback sources, recording which source was used
+const applyFallbacks = (data, sources) => {
+  const result = { ...data };
+  const fallbacksUsed = {};
+
+  PRODUCT_FIELDS.forEach(field => {
+    const missing = Array.isArray(result[field]) ? result[field].length === 0 : !result[field];
+    if (!missing) return;
+
+    for (const [sourceName, source] of Object.entries(sources)) {
+      const value = source[field];
+      if (Array.isArray(value) ? value.length : value) {
+        result[field] = value;
+        fallbacksUsed[field] = sourceName;
+        break;
+      }
+    }
+  });
+
+  return { data: result, fallbacksUsed };
+};
+
+module.exports = {
+  PRODUCT_FIELDS,
+  cleanText,
+  firstText,
+  firstAttr,
+  allText,
+  parseNumber,
+  formatPrice,
+  formatRating,
+  formatCount,
+  applyFallbacks
+};
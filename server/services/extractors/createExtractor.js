@@ -0,0 +1,36 @@
+const { firstText, firstAttr, allText, formatPrice, formatRating, formatCount, applyFallbacks } = require('./common');
+const { readStructuredData } = require('./schemaOrg');
+
+/**
+ * Build a store extractor from CSS selector lists.
+ * Selectors run first; JSON-LD, microdata and OpenGraph fill whatever they miss.
+ * @param {object} config - { name, domains, selectors, transform }
+ */
+const createExtractor = ({ name, domains, selectors = {}, transform }) => ({
+  name,
+  domains,
+  extract($, url) {
+    const fromSelectors = {
+      title: firstText($, selectors.title),
+      price: formatPrice(firstText($, selectors.price) || firstAttr($, selectors.priceAttr, 'content')),
+      originalPrice: formatPrice(firstText($, selectors.originalPrice)),
+      rating: formatRating(firstText($, selectors.rating) || firstAttr($, selectors.ratingAttr, selectors.ratingAttrName || 'content')),
+      reviewCount: formatCount(firstText($, selectors.reviewCount)),
+      availability: firstText($, selectors.availability),
+      shipping: firstText($, selectors.shipping),
+      imageUrl: firstAttr($, selectors.image, 'src'),
+      description: firstText($, selectors.description),
+      features: allText($, selectors.features),
+      category: allText($, selectors.category).join(' > ')
+    };
+
+    const { data, fallbacksUsed } = applyFallbacks(fromSelectors, readStructuredData($));
+
+    return {
+      data: transform ? transform(data, $, url) : data,
+      fallbacksUsed
+    };
+  }
+});
+
+module.exports = createExtractor;
@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'eBay',
+  domains: ['ebay.com'],
+  selectors: {
+    title: ['h1.x-item-title__mainTitle span', '#itemTitle'],
+    price: ['.x-price-primary span.ux-textspans', '#prcIsum', '#mm-saleDscPrc'],
+    originalPrice: ['.x-additional-info .ux-textspans--STRIKETHROUGH', '#orgPrc'],
+    rating: ['.ux-summary__start--rating .ux-textspans', '.reviews-star-rating'],
+    reviewCount: ['.ux-summary__count .ux-textspans', '.reviews-header .count'],
+    availability: ['.x-quantity__availability .ux-textspans', '#qtySubTxt'],
+    shipping: ['.ux-labels-values--shipping .ux-labels-values__values-content span', '#fshippingCost'],
+    image: ['.ux-image-carousel-item.active img', '#icImg'],
+    description: ['.x-item-description-child', '#desc_div'],
+    features: ['.ux-layout-section-evo__item .ux-labels-values__values-content span'],
+    category: ['nav.breadcrumbs li a span', '.seo-breadcrumb-text span']
+  }
+});
@@ -0,0 +1,20 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Etsy',
+  domains: ['etsy.com'],
+  selectors: {
+    title: ['h1[data-buy-box-listing-title]', 'h1'],
+    price: ['[data-buy-box-region="price"] p.wt-text-title-larger', '[data-buy-box-region="price"] .wt-text-title-03'],
+    originalPrice: ['[data-buy-box-region="price"] .wt-text-strikethrough'],
+    ratingAttr: ['input[name="initial-rating"]'],
+    ratingAttrName: 'value',
+    reviewCount: ['#same-listing-reviews-tab span.wt-badge', '[data-reviews-total]'],
+    availability: ['[data-selector="listing-page-quantity"] label', '.wt-text-brick'],
+    shipping: ['[data-estimated-delivery]', '#shipping-variant-div'],
+    image: ['[data-carousel-first-image] img', '.listing-page-image-carousel-component img'],
+    description: ['[data-product-details-description-text-content]', '#wt-content-toggle-product-details-read-more p'],
+    features: ['#product-details-content-toggle li', '[data-product-details-highlights] li'],
+    category: ['[aria-label="Breadcrumb"] a', '.wt-action-group__item-container a']
+  }
+});
@@ -0,0 +1,228 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { getExtractor, genericExtractor } = require('./index');
+
+// Saved product pages, trimmed to the markup each store's selectors look for
+const loadFixture = (name) => cheerio.load(fs.readFileSync(path.join(__dirname, '__fixtures__', `${name}.html`), 'utf8'));
+
+const STORE_CASES = [
+  {
+    fixture: 'amazon',
+    url: 'https://www.amazon.com/dp/B08N5WRWNW',
+    extractor: 'Amazon',
+    expected: {
+      title: 'Wireless Noise-Cancelling Headphones',
+      price: '$199.99',
+      originalPrice: '$249.99',
+      rating: '4.3',
+      reviewCount: '2,847',
+      availability: 'In Stock',
+      shipping: 'FREE delivery Tuesday, June 4',
+      imageUrl: 'https://m.media-amazon.com/images/I/61headphones.jpg',
+      description: 'Premium wireless headphones with active noise cancellation.',
+      features: ['Active Noise Cancellation', '30-hour battery life', 'Fast charging over USB-C'],
+      category: 'Electronics > Headphones'
+    }
+  },
+  {
+    fixture: 'ebay',
+    url: 'https://www.ebay.com/itm/1234567890',
+    extractor: 'eBay',
+    expected: {
+      title: 'Apple AirPods Pro (2nd Generation)',
+      price: '$189.00',
+      originalPrice: '$249.00',
+      rating: '4.8',
+      reviewCount: '1,204',
+      availability: 'More than 10 available',
+      shipping: 'Free Standard Shipping',
+      imageUrl: 'https://i.ebayimg.com/images/g/airpods/s-l1600.jpg',
+      description: 'Brand new and sealed. Ships within one business day.',
+      features: ['Apple', 'Active Noise Cancellation'],
+      category: 'Consumer Electronics > Headphones'
+    }
+  },
+  {
+    fixture: 'walmart',
+    url: 'https://www.walmart.com/ip/smart-tv/123456',
+    extractor: 'Walmart',
+    expected: {
+      title: 'Smart TV 55-inch 4K Ultra HD',
+      price: '$449.00',
+      originalPrice: '$599.00',
+      rating: '4.2',
+      reviewCount: '1,523',
+      availability: 'In stock',
+      shipping: 'Free shipping, arrives in 2 days',
+      imageUrl: 'https://i5.walmartimages.com/seo/smart-tv-55.jpeg',
+      description: '55-inch Smart TV with 4K Ultra HD resolution. 4K Ultra HD HDR support Three HDMI ports',
+      features: ['4K Ultra HD', 'HDR support', 'Three HDMI ports'],
+      category: 'Electronics > TVs'
+    }
+  },
+  {
+    fixture: 'target',
+    url: 'https://www.target.com/p/bedding-set/-/A-12345678',
+    extractor: 'Target',
+    expected: {
+      title: 'Organic Cotton Bedding Set',
+      price: '$89.99',
+      originalPrice: '$119.99',
+      rating: '4.6',
+      reviewCount: '892',
+      availability: 'In stock',
+      shipping: 'In stock Free shipping on orders $35+',
+      imageUrl: 'https://target.scene7.com/is/image/Target/bedding-set',
+      description: '100% organic cotton bedding set with two pillowcases.',
+      features: ['Material: 100% Organic Cotton', 'Care: Machine Washable'],
+      category: 'Home > Bedding'
+    }
+  },
+  {
+    fixture: 'bestbuy',
+    url: 'https://www.bestbuy.com/site/laptop/6500000.p',
+    extractor: 'Best Buy',
+    expected: {
+      title: '15" Laptop 16GB Memory 512GB SSD',
+      price: '$1299.99',
+      originalPrice: '$1499.99',
+      rating: '4.7',
+      reviewCount: '3,512',
+      availability: 'Add to Cart',
+      shipping: 'Free shipping. Get it by Fri, Jun 7',
+      imageUrl: 'https://pisces.bbystatic.com/image2/laptop-15.jpg',
+      description: 'Thin and light laptop with an all-day battery.',
+      features: ['16GB of memory', '512GB SSD'],
+      category: 'Computers & Tablets > Laptops'
+    }
+  },
+  {
+    fixture: 'homedepot',
+    url: 'https://www.homedepot.com/p/drill-kit/300000000',
+    extractor: 'Home Depot',
+    expected: {
+      title: '20V Cordless Drill Kit',
+      price: '$129.00',
+      originalPrice: '$159.00',
+      rating: '4.5',
+      reviewCount: '1,018',
+      availability: 'In Stock',
+      shipping: 'Free delivery tomorrow',
+      imageUrl: 'https://images.thdstatic.com/productImages/drill-kit.jpg',
+      description: 'Compact drill kit with two batteries and a charger.',
+      features: ['Two 2.0Ah batteries', 'LED work light'],
+      category: 'Tools > Drills'
+    }
+  },
+  {
+    fixture: 'lowes',
+    url: 'https://www.lowes.com/pd/gas-grill/5000000',
+    extractor: 'Lowes',
+    expected: {
+      title: 'Stainless Steel Gas Grill',
+      price: '$398.00',
+      originalPrice: '$449.00',
+      rating: '4.4',
+      reviewCount: '652',
+      availability: 'In Stock',
+      shipping: 'Free Delivery',
+      imageUrl: 'https://mobileimages.lowes.com/productimages/gas-grill.jpg',
+      description: 'Four burners and a side burner. Four stainless steel burners Electronic ignition',
+      features: ['Four stainless steel burners', 'Electronic ignition'],
+      category: 'Outdoor Living > Grills'
+    }
+  },
+  {
+    fixture: 'etsy',
+    url: 'https://www.etsy.com/listing/123456789/ceramic-mug',
+    extractor: 'Etsy',
+    expected: {
+      title: 'Handmade Ceramic Mug',
+      price: '$42.00',
+      originalPrice: '$56.00',
+      rating: '4.9',
+      reviewCount: '2,311',
+      availability: 'Only 3 left',
+      shipping: 'Arrives by Jun 10-14',
+      imageUrl: 'https://i.etsystatic.com/ceramic-mug.jpg',
+      description: 'Wheel-thrown stoneware mug, glazed by hand.',
+      features: ['Handmade', 'Dishwasher safe'],
+      category: 'Home & Living > Kitchen & Dining'
+    }
+  },
+  {
+    // Dawn has no rating markup, so rating and review count come from its JSON-LD
+    fixture: 'shopify',
+    url: 'https://example-shop.myshopify.com/products/linen-pillow',
+    extractor: 'Shopify',
+    expected: {
+      title: 'Linen Throw Pillow',
+      price: '$38.00',
+      originalPrice: '$48.00',
+      rating: '4.7',
+      reviewCount: '128',
+      availability: 'Add to cart',
+      shipping: 'Tax included. Shipping calculated at checkout.',
+      imageUrl: '//example-shop.myshopify.com/cdn/shop/products/linen-pillow.jpg',
+      description: 'Stonewashed linen cover with a feather insert. 100% linen Removable cover',
+      features: ['100% linen', 'Removable cover'],
+      category: 'Home Decor > Pillows'
+    },
+    fallbacksUsed: { rating: 'json_ld', reviewCount: 'json_ld' }
+  },
+  {
+    fixture: 'aliexpress',
+    url: 'https://www.aliexpress.com/item/1005000000000000.html',
+    extractor: 'AliExpress',
+    expected: {
+      title: 'Mechanical Keyboard 87 Keys',
+      price: '$23.99',
+      originalPrice: '$39.98',
+      rating: '4.8',
+      reviewCount: '3,456',
+      availability: '5,321 pieces available',
+      shipping: 'Free Shipping',
+      imageUrl: 'https://ae01.alicdn.com/kf/keyboard-87.jpg',
+      description: 'Hot-swappable mechanical keyboard with RGB backlight.',
+      features: ['Switch: Red', 'Connection: USB-C'],
+      category: 'Computer & Office > Keyboards'
+    }
+  }
+];
+
+describe('store extractors', () => {
+  STORE_CASES.forEach(({ fixture, url, extractor: extractorName, expected, fallbacksUsed = {} }) => {
+    test(`${extractorName} reads every field from its product page`, () => {
+      const extractor = getExtractor(new URL(url).hostname);
+      assert.equal(extractor.name, extractorName);
+
+      const result = extractor.extract(loadFixture(fixture), url);
+      assert.deepEqual(result.data, expected);
+      assert.deepEqual(result.fallbacksUsed, fallbacksUsed);
+    });
+  });
+
+  test('a page without product markup yields no title or price', () => {
+    const $ = cheerio.load('<html><body><h2>Enter the characters you see below</h2></body></html>');
+    const { data } = getExtractor('www.amazon.com').extract($, 'https://www.amazon.com/dp/B08N5WRWNW');
+    assert.equal(data.title, '');
+    assert.equal(data.price, '');
+  });
+});
+
+describe('getExtractor', () => {
+  test('matches store domains and their subdomains', () => {
+    assert.equal(getExtractor('amazon.co.uk').name, 'Amazon');
+    assert.equal(getExtractor('SMILE.AMAZON.COM').name, 'Amazon');
+    assert.equal(getExtractor('my-store.myshopify.com').name, 'Shopify');
+  });
+
+  test('does not match hosts that merely contain a store name', () => {
+    assert.equal(getExtractor('amazon.attacker.net'), genericExtractor);
+    assert.equal(getExtractor('notamazon.com'), genericExtractor);
+    assert.equal(getExtractor('target.internal'), genericExtractor);
+  });
+});
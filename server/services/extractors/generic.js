@@ -0,0 +1,9 @@
+const createExtractor = require('./createExtractor');
+
+// Store-agnostic extractor: no selectors, so every field comes from schema.org
+// JSON-LD/microdata or OpenGraph tags. Covers Shopify-style storefronts and
+// any other site that publishes structured product data.
+module.exports = createExtractor({
+  name: 'Generic',
+  domains: []
+});
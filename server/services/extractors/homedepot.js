@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Home Depot',
+  domains: ['homedepot.com'],
+  selectors: {
+    title: ['h1.product-details__title', 'h1.sui-h4-bold', 'h1'],
+    price: ['.price-format__main-price', '[data-testid="price"]', '.price'],
+    originalPrice: ['.price-detailed__was-price .u__strike', '.price-detailed__was-price'],
+    rating: ['.ratings-reviews__accordion-subheader .ratings-and-reviews__average', '[data-component="ratings:RatingsReviews"] .stars--c43xm'],
+    reviewCount: ['.product-details__review-count', '.ratings-reviews__accordion-subheader span'],
+    availability: ['.fulfillment__wrapper .u__text--success', '[data-testid="fulfillment-availability"]'],
+    shipping: ['.fulfillment__wrapper .fulfillment-tile__text', '[data-testid="fulfillment-delivery"]'],
+    image: ['.mediagallery__mainimage img'],
+    description: ['.desktop-product-overview', '[data-component="product-details:ProductOverview"]'],
+    features: ['.salient-points li', '.product-overview__bullets li'],
+    category: ['.breadcrumbs__link', 'nav[aria-label="Breadcrumb"] a']
+  }
+});
@@ -0,0 +1,28 @@
+const genericExtractor = require('./generic');
+const { hostMatchesDomain } = require('../../utils/urlUtils');
+
+// One extractor per store in SUPPORTED_STORES
+const STORE_EXTRACTORS = [
+  require('./amazon'),
+  require('./ebay'),
+  require('./walmart'),
+  require('./target'),
+  require('./bestbuy'),
+  require('./homedepot'),
+  require('./lowes'),
+  require('./etsy'),
+  require('./shopify'),
+  require('./aliexpress')
+];
+
+const getExtractor = (hostname) => {
+  return STORE_EXTRACTORS.find(extractor =>
+    extractor.domains.some(domain => hostMatchesDomain(hostname, domain))
+  ) || genericExtractor;
+};
+
+module.exports = {
+  STORE_EXTRACTORS,
+  genericExtractor,
+  getExtractor
+};
@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Lowes',
+  domains: ['lowes.com'],
+  selectors: {
+    title: ['h1.product-brand-description', '[data-testid="product-title"]', 'h1'],
+    price: ['[data-testid="main-price"]', '.main-price', '.final-price'],
+    originalPrice: ['[data-testid="was-price"]', '.was-price'],
+    rating: ['[data-testid="average-rating"]', '.avgrating'],
+    reviewCount: ['[data-testid="review-count"]', '.reviews-count'],
+    availability: ['[data-testid="fulfillment-availability"]'],
+    shipping: ['[data-testid="fulfillment-delivery"]', '.delivery-tile'],
+    image: ['.product-image img', '[data-testid="product-image"] img'],
+    description: ['.romance-description', '[data-testid="product-description"]'],
+    features: ['.romance-description li', '[data-testid="product-features"] li'],
+    category: ['.breadcrumbs a', 'nav[aria-label="breadcrumb"] a']
+  }
+});
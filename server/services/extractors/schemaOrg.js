@@ -0,0 +1,174 @@
+const { cleanText, parseNumber, formatPrice, formatRating, formatCount } = require('./common');
+
+// Readers for schema.org Product data (JSON-LD, microdata) and OpenGraph meta tags.
+// Each returns the raw product fields buildPrompt expects, leaving unknown fields empty.
+
+// "https://schema.org/InStock" -> "In Stock"
+const formatAvailability = (value) => {
+  if (!value) return '';
+  return String(value).split('/').pop().replace(/([a-z])([A-Z])/g, '$1 $2');
+};
+
+// Flatten JSON-LD payloads (arrays, @graph) into a list of nodes
+const flattenJsonLd = (payload) => {
+  if (!payload || typeof payload !== 'object') return [];
+  if (Array.isArray(payload)) return payload.flatMap(flattenJsonLd);
+  if (payload['@graph']) return flattenJsonLd(payload['@graph']);
+  return [payload];
+};
+
+const hasType = (node, type) => {
+  const types = Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']];
+  return types.some(t => t === type || t === `schema:${type}` || t === `http://schema.org/${type}` || t === `https://schema.org/${type}`);
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const textValue = (value) => {
+  if (!value) return '';
+  if (typeof value === 'string') return cleanText(value);
+  return cleanText(value.name || value['@id'] || '');
+};
+
+// Current and list price from an Offer / AggregateOffer, including priceSpecification
+const readOfferPrices = (offer) => {
+  const specs = toArray(offer.priceSpecification);
+  const isListPrice = (spec) => /StrikethroughPrice|ListPrice|SRP/i.test(String(spec.priceType || ''));
+  const listSpec = specs.find(isListPrice);
+  const saleSpec = specs.find(spec => !isListPrice(spec));
+
+  return {
+    price: formatPrice(offer.price ?? saleSpec?.price ?? offer.lowPrice),
+    originalPrice: formatPrice(listSpec?.price ?? (offer.highPrice !== offer.lowPrice ? offer.highPrice : undefined))
+  };
+};
+
+// OfferShippingDetails -> "FREE shipping, arrives in 2-5 days"
+const readShippingDetails = (offer) => {
+  const details = toArray(offer.shippingDetails)[0];
+  if (!details) return '';
+
+  const rate = details.shippingRate || {};
+  const cost = parseNumber(rate.value ?? rate.price);
+  const parts = [];
+  if (Number.isFinite(cost)) {
+    parts.push(cost === 0 ? 'FREE shipping' : `${formatPrice(cost)} shipping`);
+  }
+
+  const transit = details.deliveryTime?.transitTime;
+  if (transit && (transit.minValue !== undefined || transit.maxValue !== undefined)) {
+    const range = [transit.minValue, transit.maxValue].filter(v => v !== undefined);
+    parts.push(`arrives in ${[...new Set(range)].join('-')} days`);
+  }
+
+  return parts.join(', ');
+};
+
+// Pick the Product node, descending into ProductGroup variants (Shopify, etc.)
+const findProductNode = (nodes) => {
+  const product = nodes.find(node => hasType(node, 'Product'));
+  if (product) return product;
+
+  const group = nodes.find(node => hasType(node, 'ProductGroup'));
+  if (!group) return null;
+  const variant = toArray(group.hasVariant)[0] || {};
+  return { ...variant, ...group, offers: variant.offers || group.offers };
+};
+
+const readJsonLdProduct = ($) => {
+  const nodes = $('script[type="application/ld+json"]')
+    .map((i, el) => {
+      try {
+        return flattenJsonLd(JSON.parse($(el).contents().text()));
+      } catch (_) {
+        return [];
+      }
+    })
+    .get();
+
+  const product = findProductNode(nodes);
+  if (!product) return {};
+
+  const offer = toArray(product.offers)[0] || {};
+  const rating = product.aggregateRating || {};
+  const image = toArray(product.image)[0];
+  const breadcrumb = nodes.find(node => hasType(node, 'BreadcrumbList'));
+  const breadcrumbCategory = breadcrumb
+    ? toArray(breadcrumb.itemListElement).map(item => textValue(item.item || item)).filter(Boolean).join(' > ')
+    : '';
+
+  return {
+    title: cleanText(product.name),
+    ...readOfferPrices(offer),
+    rating: formatRating(rating.ratingValue),
+    reviewCount: formatCount(rating.reviewCount ?? rating.ratingCount),
+    availability: formatAvailability(offer.availability),
+    shipping: readShippingDetails(offer),
+    imageUrl: typeof image === 'string' ? image : image?.url || image?.contentUrl || '',
+    description: cleanText(product.description),
+    features: toArray(product.additionalProperty)
+      .map(prop => [textValue(prop.name), textValue(prop.value)].filter(Boolean).join(': '))
+      .filter(Boolean),
+    category: textValue(product.category) || breadcrumbCategory
+  };
+};
+
+// schema.org Product in HTML microdata (itemscope/itemprop)
+const readMicrodataProduct = ($) => {
+  const scope = $('[itemscope][itemtype*="schema.org/Product"]').first();
+  if (!scope.length) return {};
+
+  const prop = (name, root = scope) => {
+    const el = root.find(`[itemprop="${name}"]`).first();
+    if (!el.length) return '';
+    return cleanText(el.attr('content') || el.attr('href') || el.attr('src') || el.text());
+  };
+
+  const offer = scope.find('[itemprop="offers"]').first();
+  const offerRoot = offer.length ? offer : scope;
+  const rating = scope.find('[itemprop="aggregateRating"]').first();
+  const ratingRoot = rating.length ? rating : scope;
+
+  return {
+    title: prop('name'),
+    price: formatPrice(prop('price', offerRoot) || prop('lowPrice', offerRoot)),
+    originalPrice: formatPrice(prop('highPrice', offerRoot)),
+    rating: formatRating(prop('ratingValue', ratingRoot)),
+    reviewCount: formatCount(prop('reviewCount', ratingRoot) || prop('ratingCount', ratingRoot)),
+    availability: formatAvailability(prop('availability', offerRoot)),
+    imageUrl: prop('image'),
+    description: prop('description'),
+    category: prop('category')
+  };
+};
+
+// OpenGraph / product meta tags (Facebook catalog and Shopify themes)
+const readOpenGraph = ($) => {
+  const meta = (property) => cleanText(
+    $(`meta[property="${property}"]`).attr('content') || $(`meta[name="${property}"]`).attr('content')
+  );
+
+  return {
+    title: meta('og:title'),
+    price: formatPrice(meta('product:sale_price:amount') || meta('product:price:amount') || meta('og:price:amount')),
+    originalPrice: meta('product:sale_price:amount') ? formatPrice(meta('product:price:amount')) : '',
+    availability: formatAvailability(meta('product:availability') || meta('og:availability')),
+    imageUrl: meta('og:image'),
+    description: meta('og:description') || meta('description'),
+    category: meta('product:category')
+  };
+};
+
+// All structured-data sources, in fallback priority order
+const readStructuredData = ($) => ({
+  json_ld: readJsonLdProduct($),
+  microdata: readMicrodataProduct($),
+  open_graph: readOpenGraph($)
+});
+
+module.exports = {
+  readJsonLdProduct,
+  readMicrodataProduct,
+  readOpenGraph,
+  readStructuredData
+};
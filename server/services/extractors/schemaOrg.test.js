@@ -0,0 +1,114 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { readJsonLdProduct, readMicrodataProduct, readOpenGraph } = require('./schemaOrg');
+const { genericExtractor } = require('./index');
+
+const loadFixture = (name) => cheerio.load(fs.readFileSync(path.join(__dirname, '__fixtures__', `${name}.html`), 'utf8'));
+
+describe('readJsonLdProduct', () => {
+  test('reads a Product from an @graph, skipping invalid JSON-LD blocks', () => {
+    assert.deepEqual(readJsonLdProduct(loadFixture('schema-org-json-ld')), {
+      title: 'Trail Running Shoes',
+      price: '$119.95',
+      originalPrice: '$149.95',
+      rating: '4.6',
+      reviewCount: '1,289',
+      availability: 'Limited Availability',
+      shipping: 'FREE shipping, arrives in 2-5 days',
+      imageUrl: 'https://outfitters.example/img/trail-shoes.jpg',
+      description: 'Lightweight trail shoes with a grippy outsole.',
+      features: ['Drop: 6 mm', 'Weight: 280 g'],
+      category: 'Footwear > Running'
+    });
+  });
+
+  test('uses the first variant of a ProductGroup for offers and image', () => {
+    const product = readJsonLdProduct(loadFixture('schema-org-product-group'));
+    assert.equal(product.title, 'Merino Crew Sweater');
+    assert.equal(product.price, '$79.00');
+    assert.equal(product.originalPrice, '$99.00');
+    assert.equal(product.availability, 'In Stock');
+    assert.equal(product.imageUrl, 'https://sweaters.example/cdn/merino-navy.jpg');
+    assert.equal(product.category, 'Apparel > Sweaters');
+  });
+
+  test('returns nothing for a page without a Product', () => {
+    assert.deepEqual(readJsonLdProduct(loadFixture('schema-org-opengraph')), {});
+  });
+});
+
+describe('readMicrodataProduct', () => {
+  test('reads itemprop values from the Product scope and its Offer and AggregateRating', () => {
+    assert.deepEqual(readMicrodataProduct(loadFixture('schema-org-microdata')), {
+      title: 'Cast Iron Skillet 12"',
+      price: '$34.90',
+      originalPrice: '',
+      rating: '4.8',
+      reviewCount: '5,102',
+      availability: 'In Stock',
+      imageUrl: 'https://kitchen.example/img/skillet-12.jpg',
+      description: 'Pre-seasoned cast iron skillet for stovetop and oven.',
+      category: 'Kitchen > Cookware'
+    });
+  });
+});
+
+describe('readOpenGraph', () => {
+  test('treats product:price:amount as the list price when a sale price is present', () => {
+    assert.deepEqual(readOpenGraph(loadFixture('schema-org-opengraph')), {
+      title: 'Ceramic Pour-Over Set',
+      price: '$48.00',
+      originalPrice: '$64.00',
+      availability: 'in stock',
+      imageUrl: 'https://coffee.example/cdn/pour-over.jpg',
+      description: 'Dripper, carafe and two cups.',
+      category: 'Coffee > Brewing'
+    });
+  });
+});
+
+describe('generic extractor', () => {
+  test('fills every field from the structured data source that has it', () => {
+    const { data, fallbacksUsed } = genericExtractor.extract(loadFixture('schema-org-microdata'), 'https://kitchen.example/p/skillet');
+    assert.equal(data.title, 'Cast Iron Skillet 12"');
+    assert.equal(data.price, '$34.90');
+    assert.equal(data.shipping, '');
+    assert.deepEqual(data.features, []);
+    assert.deepEqual(fallbacksUsed, {
+      title: 'microdata',
+      price: 'microdata',
+      rating: 'microdata',
+      reviewCount: 'microdata',
+      availability: 'microdata',
+      imageUrl: 'microdata',
+      description: 'microdata',
+      category: 'microdata'
+    });
+  });
+
+  test('prefers JSON-LD over microdata over OpenGraph', () => {
+    const $ = cheerio.load(`
+      <html><head>
+        <meta property="og:title" content="OpenGraph title">
+        <meta property="product:price:amount" content="30.00">
+        <meta property="og:image" content="https://shop.example/og.jpg">
+        <script type="application/ld+json">{"@type": "Product", "name": "JSON-LD title"}</script>
+      </head><body>
+        <div itemscope itemtype="http://schema.org/Product">
+          <span itemprop="name">Microdata title</span>
+          <div itemprop="offers" itemscope itemtype="http://schema.org/Offer"><span itemprop="price">20.00</span></div>
+        </div>
+      </body></html>
+    `);
+    const { data, fallbacksUsed } = genericExtractor.extract($, 'https://shop.example/p/1');
+    assert.equal(data.title, 'JSON-LD title');
+    assert.equal(data.price, '$20.00');
+    assert.equal(data.imageUrl, 'https://shop.example/og.jpg');
+    assert.equal(fallbacksUsed.title, 'json_ld');
+    assert.equal(fallbacksUsed.price, 'microdata');
+    assert.equal(fallbacksUsed.imageUrl, 'open_graph');
+  });
+});
@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+// Dawn and most Shopify themes; storefronts on custom domains reach this
+// extractor only through the registry's fallback
+module.exports = createExtractor({
+  name: 'Shopify',
+  domains: ['shopify.com', 'myshopify.com'],
+  selectors: {
+    title: ['.product__title h1', 'h1.product__title', 'h1.product-single__title', 'h1.product-title'],
+    price: ['.price__sale .price-item--sale', '.price-item--regular', '.product__price', '.product-single__price'],
+    originalPrice: ['.price__sale s.price-item--regular', '.product__price--compare', '.product-single__price--compare'],
+    availability: ['.product-form__submit span', '.product-form__buttons button'],
+    shipping: ['.product__tax', '.product__policies'],
+    image: ['.product__media img', '.product-single__photo img'],
+    description: ['.product__description', '.product-single__description'],
+    features: ['.product__description li', '.product-single__description li'],
+    category: ['.breadcrumbs a', 'nav.breadcrumb a']
+  }
+});
@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Target',
+  domains: ['target.com'],
+  selectors: {
+    title: ['h1[data-test="product-title"]', 'h1'],
+    price: ['[data-test="product-price"]'],
+    originalPrice: ['[data-test="product-regular-price"] span', '[data-test="product-regular-price"]'],
+    rating: ['[data-test="rating-value"]', '[data-test="ratings"] span'],
+    reviewCount: ['[data-test="rating-count"]'],
+    availability: ['[data-test="fulfillment-cell-shipping"] span', '[data-test="orderPickupMessage"]'],
+    shipping: ['[data-test="fulfillment-cell-shipping"]', '[data-test="shippingBlock"]'],
+    image: ['[data-test="product-image"] img', 'picture img'],
+    description: ['[data-test="item-details-description"]'],
+    features: ['[data-test="item-details-specifications"] > div', '[data-test="item-highlights"] li'],
+    category: ['[data-test="@web/Breadcrumbs/BreadcrumbLink"]']
+  }
+});
@@ -0,0 +1,19 @@
+const createExtractor = require('./createExtractor');
+
+module.exports = createExtractor({
+  name: 'Walmart',
+  domains: ['walmart.com'],
+  selectors: {
+    title: ['h1[itemprop="name"]', '#main-title', 'h1'],
+    price: ['span[itemprop="price"]', '[data-testid="price-wrap"] [itemprop="price"]'],
+    originalPrice: ['[data-testid="strike-through-price"]', '.strike-through'],
+    rating: ['.rating-number', '[itemprop="ratingValue"]'],
+    reviewCount: ['[itemprop="ratingCount"]', 'a[data-testid="item-review-section-link"]'],
+    availability: ['[data-testid="add-to-cart-section"] .b', '[data-testid="fulfillment-badge"]'],
+    shipping: ['[data-automation-id="fulfillment-shipping-text"]', '[data-testid="fulfillment-shipping-text"]'],
+    image: ['[data-testid="hero-image"] img', 'img[data-testid="media-thumbnail"]'],
+    description: ['[data-testid="product-description-content"]', '#product-description-section'],
+    features: ['[data-testid="product-description-content"] li', '#product-description-section li'],
+    category: ['nav[aria-label="breadcrumb"] li a']
+  }
+});
@@ -0,0 +1,148 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const JsonlFile = require('../utils/jsonlFile');
+const { PUBLIC_TENANT } = require('./apiKeyService');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('history');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '../../data/analyses.jsonl');
+
+// Analysis history persisted as a JSON-lines file: one record per line, appended
+// as analyses finish, held in memory for queries and compacted on delete/trim.
+// Every record belongs to a tenant and is only visible to that tenant.
+class HistoryService {
+  constructor() {
+    this.enabled = process.env.HISTORY_ENABLED !== 'false';
+    this.file = new JsonlFile(process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE, 'analysis history');
+    this.maxRecords = parseInt(process.env.HISTORY_MAX_RECORDS || '5000');
+    this.records = new Map();
+
+    if (this.enabled) {
+      this.file.readAll().forEach(record => this.records.set(record.id, record));
+      if (this.records.size > 0) {
+        log.info(`Loaded ${this.records.size} analyses`, { file: this.file.filePath });
+      }
+    }
+  }
+
+  rewriteFile() {
+    return this.file.rewrite(Array.from(this.records.values()));
+  }
+
+  /**
+   * Store a finished analysis. Returns the record immediately; the file write
+   * happens in the background so a disk problem never fails the request.
+   */
+  recordAnalysis({ url, store, data, error, status, source, tenant = PUBLIC_TENANT, metadata = {} }) {
+    const record = {
+      id: uuidv4(),
+      created_at: new Date().toISOString(),
+      tenant: tenant,
+      url: url,
+      store: store || null,
+      source: source || 'api',
+      success: !error,
+      http_status: status,
+      error_code: error ? (error.code || 'ANALYSIS_FAILED') : null,
+      error_message: error ? error.message : null,
+      provider: data?.llm_metadata?.provider || null,
+      model: data?.llm_metadata?.model_used || null,
+      timings: {
+        scraping_duration_ms: data?.analysis_metadata?.scraping_duration_ms ?? null,
+        llm_processing_duration_ms: data?.analysis_metadata?.llm_processing_duration_ms ?? null,
+        total_duration_ms: data?.analysis_metadata?.total_duration_ms ?? metadata.total_duration_ms ?? null
+      },
+      metadata: metadata,
+      data: data || null
+    };
+
+    if (!this.enabled) return record;
+
+    this.records.set(record.id, record);
+
+    // Trim in batches (10% over the cap) so a full history doesn't mean a rewrite per analysis
+    if (this.records.size > this.maxRecords * 1.1) {
+      // Drop the oldest records (Map preserves insertion order)
+      const excess = this.records.size - this.maxRecords;
+      Array.from(this.records.keys()).slice(0, excess).forEach(id => this.records.delete(id));
+      this.rewriteFile();
+    } else {
+      this.file.append(record);
+    }
+
+    return record;
+  }
+
+  summarize(record) {
+    return {
+      id: record.id,
+      created_at: record.created_at,
+      url: record.url,
+      store: record.store,
+      source: record.source,
+      success: record.success,
+      http_status: record.http_status,
+      error_code: record.error_code,
+      provider: record.provider,
+      model: record.model,
+      title: record.data?.basic_info?.title || null,
+      current_price: record.data?.basic_info?.current_price ?? null,
+      timings: record.timings
+    };
+  }
+
+  listAnalyses({ tenant = PUBLIC_TENANT, store, model, provider, errorCode, success, from, to, limit = 50, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = Array.from(this.records.values())
+      .filter(record => {
+        if (this.tenantOf(record) !== tenant) return false;
+        if (store && (record.store || '').toLowerCase() !== store.toLowerCase()) return false;
+        if (model && record.model !== model) return false;
+        if (provider && record.provider !== provider) return false;
+        if (errorCode && record.error_code !== errorCode) return false;
+        if (success !== undefined && record.success !== success) return false;
+        const createdAt = new Date(record.created_at).getTime();
+        if (fromTime && createdAt < fromTime) return false;
+        if (toTime && createdAt > toTime) return false;
+        return true;
+      })
+      .reverse(); // Newest first
+
+    return {
+      total: matches.length,
+      limit: limit,
+      offset: offset,
+      analyses: matches.slice(offset, offset + limit).map(record => this.summarize(record))
+    };
+  }
+
+  // Records written before tenants existed belong to the public tenant
+  tenantOf(record) {
+    return record.tenant || PUBLIC_TENANT;
+  }
+
+  // Another tenant's analysis is reported as missing
+  getAnalysis(id, tenant = PUBLIC_TENANT) {
+    const record = this.records.get(id);
+    return record && this.tenantOf(record) === tenant ? record : null;
+  }
+
+  async deleteAnalysis(id, tenant = PUBLIC_TENANT) {
+    if (!this.getAnalysis(id, tenant)) return false;
+    this.records.delete(id);
+    await this.rewriteFile();
+    return true;
+  }
+}
+
+const historyService = new HistoryService();
+
+module.exports = {
+  recordAnalysis: historyService.recordAnalysis.bind(historyService),
+  listAnalyses: historyService.listAnalyses.bind(historyService),
+  getAnalysis: historyService.getAnalysis.bind(historyService),
+  deleteAnalysis: historyService.deleteAnalysis.bind(historyService)
+};
@@ -0,0 +1,296 @@
+const { v4: uuidv4 } = require('uuid');
+const { Sentry } = require('../middleware/sentry');
+const {
+  getErrorScenario,
+  getPerformanceMultiplier,
+  getOperationLatency,
+  addVariation
+} = require('../utils/demoUtils');
+const { nextRandom } = require('../utils/random');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('incidents');
+
+const MAX_INCIDENT_SECONDS = 60 * 60;
+const ENDED_INCIDENT_HISTORY = 20;
+
+/**
+ * Incident patterns. Each one drives a single pipeline stage; its error rate
+ * follows `shape` over the incident (a wave rises and falls, a burst hits
+ * almost at once and tails off) and peaks at `peakErrorRate`.
+ */
+const PATTERNS = {
+  llm_timeout_storm: {
+    description: 'LLM calls time out in a sudden burst (504 LLM_TIMEOUT)',
+    stage: 'llm_network',
+    errors: { llm_timeout: 1 },
+    peakErrorRate: 0.7,
+    durationSeconds: 120,
+    shape: 'burst',
+    latencyProfile: 'llm_inference'
+  },
+  rate_limit_wave: {
+    description: 'Rate limiting builds up and recedes (429 RATE_LIMITED)',
+    stage: 'init',
+    errors: { rate_limited: 1 },
+    peakErrorRate: 0.6,
+    durationSeconds: 90,
+    shape: 'wave',
+    latencyProfile: 'api_request'
+  },
+  network_issues: {
+    description: 'Product pages fail to load (502 SCRAPING_FAILED, 503 NETWORK_ERROR)',
+    stage: 'scraping',
+    errors: { scraping_failure: 3, network_error: 1 },
+    peakErrorRate: 0.4,
+    durationSeconds: 150,
+    shape: 'wave',
+    latencyProfile: 'web_scraping'
+  },
+  parsing_errors: {
+    description: 'Model output cannot be parsed (422 PARSING_FAILED)',
+    stage: 'llm_parsing',
+    errors: { parsing_error: 1 },
+    peakErrorRate: 0.25,
+    durationSeconds: 60,
+    shape: 'wave',
+    latencyProfile: 'data_parsing'
+  }
+};
+
+// getErrorScenario() error types -> the pattern that produces them
+const ERROR_PATTERNS = {
+  rate_limited: 'rate_limit_wave',
+  llm_timeout: 'llm_timeout_storm',
+  scraping_failure: 'network_issues',
+  network_error: 'network_issues',
+  parsing_error: 'parsing_errors'
+};
+
+const SHAPES = {
+  wave: progress => Math.sin(Math.PI * progress),
+  burst: progress => Math.min(1, progress / 0.05, (1 - progress) / 0.3)
+};
+
+const invalidIncident = (message) => {
+  const error = new Error(`Invalid incident: ${message}`);
+  error.code = 'INVALID_INCIDENT';
+  return error;
+};
+
+const buildDefaultConfig = () => ({
+  enabled: process.env.INCIDENTS_ENABLED === 'true',
+  peakHourSlowdown: process.env.PEAK_HOUR_SLOWDOWN === 'true',
+  checkIntervalSeconds: parseInt(process.env.INCIDENT_CHECK_INTERVAL_SECONDS) || 60
+});
+
+const isPeakHour = () => {
+  const hour = new Date().getHours();
+  return hour >= 9 && hour <= 17;
+};
+
+// Time-based incidents on top of the chaos config: a scheduler rolls
+// getErrorScenario() every check interval and starts the matching pattern,
+// and peak-hour slowdowns scale injected latency by getPerformanceMultiplier()
+class IncidentService {
+  constructor() {
+    this.config = buildDefaultConfig();
+    this.incidents = [];
+    this.timer = null;
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.config.enabled) {
+      this.timer = setInterval(() => this.tick(), this.config.checkIntervalSeconds * 1000);
+      this.timer.unref();
+    }
+  }
+
+  // One scheduler check: at most one automatic incident runs at a time
+  tick() {
+    if (this.getActiveIncidents().some(incident => incident.source === 'scheduler')) return null;
+
+    const scenario = getErrorScenario();
+    if (nextRandom() >= scenario.probability) return null;
+
+    const errorType = scenario.errors[Math.floor(nextRandom() * scenario.errors.length)];
+    return this.trigger({ pattern: ERROR_PATTERNS[errorType] }, { source: 'scheduler', errorScenario: scenario.name });
+  }
+
+  configure(update) {
+    if (update === null || typeof update !== 'object' || Array.isArray(update)) {
+      throw invalidIncident('expected an object');
+    }
+    ['enabled', 'peakHourSlowdown'].forEach(field => {
+      if (update[field] !== undefined && typeof update[field] !== 'boolean') {
+        throw invalidIncident(`"${field}" must be a boolean`);
+      }
+    });
+    const { checkIntervalSeconds } = update;
+    if (checkIntervalSeconds !== undefined &&
+        (!Number.isInteger(checkIntervalSeconds) || checkIntervalSeconds < 5 || checkIntervalSeconds > 3600)) {
+      throw invalidIncident('"checkIntervalSeconds" must be an integer between 5 and 3600');
+    }
+
+    ['enabled', 'peakHourSlowdown', 'checkIntervalSeconds'].forEach(field => {
+      if (update[field] !== undefined) this.config[field] = update[field];
+    });
+    this.schedule();
+    return this.getState();
+  }
+
+  /**
+   * Start an incident now. Duration and peak error rate default to the
+   * pattern's, varied by ±25% / ±20% so repeated incidents differ.
+   */
+  trigger({ pattern, durationSeconds, peakErrorRate } = {}, { source = 'manual', errorScenario = null } = {}) {
+    const definition = PATTERNS[pattern];
+    if (!definition) {
+      const error = new Error(`Unknown incident pattern: ${pattern}; patterns: ${Object.keys(PATTERNS).join(', ')}`);
+      error.code = 'UNKNOWN_INCIDENT_PATTERN';
+      throw error;
+    }
+    if (durationSeconds !== undefined &&
+        (typeof durationSeconds !== 'number' || durationSeconds < 1 || durationSeconds > MAX_INCIDENT_SECONDS)) {
+      throw invalidIncident(`"durationSeconds" must be a number between 1 and ${MAX_INCIDENT_SECONDS}`);
+    }
+    if (peakErrorRate !== undefined && (typeof peakErrorRate !== 'number' || peakErrorRate < 0 || peakErrorRate > 1)) {
+      throw invalidIncident('"peakErrorRate" must be a number between 0 and 1');
+    }
+
+    const duration = durationSeconds !== undefined ? durationSeconds : Math.round(addVariation(definition.durationSeconds, 0.25));
+    const startsAt = Date.now();
+    const incident = {
+      id: uuidv4(),
+      pattern: pattern,
+      stage: definition.stage,
+      source: source,
+      errorScenario: errorScenario,
+      peakErrorRate: peakErrorRate !== undefined ? peakErrorRate : Math.min(1, addVariation(definition.peakErrorRate, 0.2)),
+      startsAt: startsAt,
+      endsAt: startsAt + duration * 1000,
+      resolvedAt: null
+    };
+    this.incidents.push(incident);
+    this.pruneIncidents();
+
+    log.info(`Incident ${pattern} started on ${incident.stage}`, { incident_id: incident.id, pattern, stage: incident.stage, duration_s: duration, source });
+    Sentry.addBreadcrumb({
+      message: `Incident ${pattern} started`,
+      category: 'incident',
+      level: 'warning',
+      data: { id: incident.id, stage: incident.stage, source, errorScenario, durationSeconds: duration }
+    });
+
+    return this.describeIncident(incident);
+  }
+
+  resolve(id) {
+    const incident = this.incidents.find(i => i.id === id);
+    if (!incident || !this.isActive(incident)) {
+      const error = new Error(`No active incident ${id}`);
+      error.code = 'INCIDENT_NOT_FOUND';
+      throw error;
+    }
+    incident.resolvedAt = Date.now();
+    return this.describeIncident(incident);
+  }
+
+  // Back to the env defaults, ending every incident
+  reset() {
+    this.incidents = [];
+    this.config = buildDefaultConfig();
+    this.schedule();
+  }
+
+  isActive(incident, now = Date.now()) {
+    return !incident.resolvedAt && now >= incident.startsAt && now < incident.endsAt;
+  }
+
+  getActiveIncidents(now = Date.now()) {
+    return this.incidents.filter(incident => this.isActive(incident, now));
+  }
+
+  getErrorRate(incident, now = Date.now()) {
+    const progress = (now - incident.startsAt) / (incident.endsAt - incident.startsAt);
+    const shape = SHAPES[PATTERNS[incident.pattern].shape];
+    return incident.peakErrorRate * Math.max(0, shape(progress));
+  }
+
+  /**
+   * Stage fields the latest active incident on `stage` overrides, or null.
+   * Incident latency uses the pattern's operation profile from getOperationLatency().
+   */
+  getStageOverride(stage) {
+    const now = Date.now();
+    const incident = this.getActiveIncidents(now).filter(i => i.stage === stage).pop();
+    if (!incident) return null;
+
+    const definition = PATTERNS[incident.pattern];
+    const { min, max } = getOperationLatency(definition.latencyProfile);
+    return {
+      errorRate: this.getErrorRate(incident, now),
+      errors: definition.errors,
+      latency: { distribution: 'uniform', min, max },
+      incident: incident.pattern
+    };
+  }
+
+  // Injected latency multiplier: slower in peak hours, ±20% otherwise
+  getLatencyMultiplier() {
+    return this.config.peakHourSlowdown ? getPerformanceMultiplier() : 1;
+  }
+
+  describeIncident(incident) {
+    const active = this.isActive(incident);
+    return {
+      id: incident.id,
+      pattern: incident.pattern,
+      stage: incident.stage,
+      source: incident.source,
+      errorScenario: incident.errorScenario,
+      status: active ? 'active' : 'ended',
+      peakErrorRate: incident.peakErrorRate,
+      currentErrorRate: active ? this.getErrorRate(incident) : 0,
+      startsAt: new Date(incident.startsAt).toISOString(),
+      endsAt: new Date(incident.resolvedAt || incident.endsAt).toISOString(),
+      resolved: Boolean(incident.resolvedAt)
+    };
+  }
+
+  pruneIncidents() {
+    const ended = this.incidents.filter(incident => !this.isActive(incident));
+    const drop = new Set(ended.slice(0, Math.max(0, ended.length - ENDED_INCIDENT_HISTORY)));
+    if (drop.size > 0) {
+      this.incidents = this.incidents.filter(incident => !drop.has(incident));
+    }
+  }
+
+  getState() {
+    this.pruneIncidents();
+    return {
+      ...this.config,
+      peakHours: isPeakHour(),
+      incidents: this.incidents.map(incident => this.describeIncident(incident)),
+      patterns: Object.entries(PATTERNS).map(([key, pattern]) => ({ key, ...pattern }))
+    };
+  }
+}
+
+const incidentService = new IncidentService();
+
+module.exports = {
+  configure: incidentService.configure.bind(incidentService),
+  trigger: incidentService.trigger.bind(incidentService),
+  resolve: incidentService.resolve.bind(incidentService),
+  reset: incidentService.reset.bind(incidentService),
+  tick: incidentService.tick.bind(incidentService),
+  getState: incidentService.getState.bind(incidentService),
+  getStageOverride: incidentService.getStageOverride.bind(incidentService),
+  getLatencyMultiplier: incidentService.getLatencyMultiplier.bind(incidentService)
+};
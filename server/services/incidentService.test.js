@@ -0,0 +1,71 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const incidentService = require('./incidentService');
+const { createDemoError } = require('../utils/demoUtils');
+
+// Error rate on the incident's stage `fraction` of the way through it
+const rateAt = (incident, fraction) => {
+  const startsAt = Date.parse(incident.startsAt);
+  Date.now.mock.mockImplementation(() => startsAt + fraction * (Date.parse(incident.endsAt) - startsAt));
+  const override = incidentService.getStageOverride(incident.stage);
+  return override ? override.errorRate : 0;
+};
+
+describe('incident error rates', () => {
+  afterEach(() => incidentService.reset());
+
+  test('a wave rises to its peak halfway through and falls back', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const incident = incidentService.trigger({ pattern: 'rate_limit_wave', durationSeconds: 100, peakErrorRate: 0.6 });
+
+    assert.equal(rateAt(incident, 0), 0);
+    assert.ok(Math.abs(rateAt(incident, 0.25) - 0.6 * Math.SQRT1_2) < 1e-9);
+    assert.equal(rateAt(incident, 0.5), 0.6);
+    assert.ok(rateAt(incident, 0.75) < 0.6);
+    assert.ok(rateAt(incident, 0.99) < 0.02);
+    assert.equal(rateAt(incident, 1), 0);
+  });
+
+  test('a burst hits its peak almost at once and tails off', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const incident = incidentService.trigger({ pattern: 'llm_timeout_storm', durationSeconds: 100, peakErrorRate: 0.8 });
+
+    assert.ok(Math.abs(rateAt(incident, 0.025) - 0.4) < 1e-9);
+    assert.equal(rateAt(incident, 0.05), 0.8);
+    assert.equal(rateAt(incident, 0.7), 0.8);
+    assert.ok(Math.abs(rateAt(incident, 0.85) - 0.4) < 1e-9);
+    assert.equal(rateAt(incident, 1), 0);
+  });
+
+  test('resolving an incident ends its override', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 30000);
+    const incident = incidentService.trigger({ pattern: 'parsing_errors', durationSeconds: 60, peakErrorRate: 0.5 });
+    Date.now.mock.mockImplementation(() => now + 60000);
+    assert.ok(incidentService.getStageOverride('llm_parsing').errorRate > 0);
+
+    incidentService.resolve(incident.id);
+    assert.equal(incidentService.getStageOverride('llm_parsing'), null);
+    assert.throws(() => incidentService.resolve(incident.id), { code: 'INCIDENT_NOT_FOUND' });
+  });
+
+  test('rejects unknown patterns and out-of-range settings', () => {
+    assert.throws(() => incidentService.trigger({ pattern: 'meteor' }), { code: 'UNKNOWN_INCIDENT_PATTERN' });
+    assert.throws(() => incidentService.trigger({ pattern: 'network_issues', durationSeconds: 0 }), { code: 'INVALID_INCIDENT' });
+    assert.throws(() => incidentService.trigger({ pattern: 'network_issues', peakErrorRate: 1.5 }), { code: 'INVALID_INCIDENT' });
+  });
+});
+
+describe('incident patterns', () => {
+  test('describe the status and code of every error they inject', () => {
+    incidentService.getState().patterns.forEach(pattern => {
+      Object.keys(pattern.errors).forEach(errorType => {
+        const { statusCode, code } = createDemoError(errorType);
+        assert.ok(pattern.description.includes(`${statusCode} ${code}`), `${pattern.key}: ${statusCode} ${code}`);
+      });
+    });
+  });
+});
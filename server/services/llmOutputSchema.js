@@ -0,0 +1,98 @@
+const Ajv = require('ajv');
+
+// JSON Schema for the product analysis the LLM is asked to return (see buildPrompt).
+// Only the fields a model can read off the product page are required; rating
+// distribution and value metrics are type-checked when present and otherwise
+// derived or filled in by normalizeStructuredData. Price analysis is never asked
+// of the model: it comes from observed price history (priceHistoryService).
+const PRODUCT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['basic_info', 'reviews', 'features'],
+  properties: {
+    basic_info: {
+      type: 'object',
+      required: ['title', 'current_price'],
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        current_price: { type: 'number', minimum: 0 },
+        original_price: { type: 'number', minimum: 0 },
+        discount_percent: { type: 'string', pattern: '^-?\\d+(\\.\\d)?%?$' },
+        availability: { type: 'string' },
+        category: { type: 'string' }
+      }
+    },
+    reviews: {
+      type: 'object',
+      required: ['average_rating', 'total_reviews'],
+      properties: {
+        average_rating: { type: 'number', minimum: 0, maximum: 5 },
+        total_reviews: { type: 'integer', minimum: 0 },
+        rating_distribution: {
+          type: 'object',
+          required: ['1', '2', '3', '4', '5'],
+          properties: {
+            1: { type: 'number', minimum: 0 },
+            2: { type: 'number', minimum: 0 },
+            3: { type: 'number', minimum: 0 },
+            4: { type: 'number', minimum: 0 },
+            5: { type: 'number', minimum: 0 }
+          }
+        }
+      }
+    },
+    shipping: {
+      type: 'object',
+      required: ['is_free', 'is_fast', 'description', 'estimated_days'],
+      properties: {
+        is_free: { type: 'boolean' },
+        is_fast: { type: 'boolean' },
+        description: { type: 'string' },
+        estimated_days: { type: 'number', minimum: 0 }
+      }
+    },
+    features: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    value_metrics: {
+      type: 'object',
+      properties: {
+        overall_score: { type: 'number' },
+        discount_score: { type: 'number' },
+        rating_score: { type: 'number' },
+        popularity_score: { type: 'number' },
+        recommendation: { type: 'string' }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(PRODUCT_ANALYSIS_SCHEMA);
+
+/**
+ * Validate parsed LLM output against PRODUCT_ANALYSIS_SCHEMA
+ * @param {object} data - Parsed LLM output
+ * @returns {{ valid: boolean, errors: string[] }} human-readable errors, suitable for a repair prompt
+ */
+const validateProductAnalysis = (data) => {
+  const valid = validate(data);
+  if (valid) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = validate.errors.map(error => {
+    const path = error.instancePath || '(root)';
+    if (error.keyword === 'required') {
+      return `${path} is missing required property "${error.params.missingProperty}"`;
+    }
+    return `${path} ${error.message}`;
+  });
+
+  return { valid: false, errors };
+};
+
+module.exports = {
+  PRODUCT_ANALYSIS_SCHEMA,
+  validateProductAnalysis
+};
@@ -0,0 +1,48 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateProductAnalysis } = require('./llmOutputSchema');
+
+const VALID = {
+  basic_info: { title: 'Wireless Headphones', current_price: 199.99, discount_percent: '20%' },
+  reviews: { average_rating: 4.3, total_reviews: 2847 },
+  features: ['Noise cancelling']
+};
+
+describe('validateProductAnalysis', () => {
+  test('accepts output with only the required fields', () => {
+    assert.deepEqual(validateProductAnalysis(VALID), { valid: true, errors: [] });
+  });
+
+  test('names each missing required property with its path', () => {
+    const { valid, errors } = validateProductAnalysis({ basic_info: { title: 'Headphones' }, features: [] });
+    assert.equal(valid, false);
+    assert.deepEqual(errors.sort(), [
+      '(root) is missing required property "reviews"',
+      '/basic_info is missing required property "current_price"'
+    ]);
+  });
+
+  test('reports every type and range error at once', () => {
+    const { errors } = validateProductAnalysis({
+      ...VALID,
+      basic_info: { title: '', current_price: '199.99', discount_percent: 'twenty' },
+      reviews: { average_rating: 7, total_reviews: 12.5 }
+    });
+    assert.deepEqual(errors.sort(), [
+      '/basic_info/current_price must be number',
+      '/basic_info/discount_percent must match pattern "^-?\\d+(\\.\\d)?%?$"',
+      '/basic_info/title must NOT have fewer than 1 characters',
+      '/reviews/average_rating must be <= 5',
+      '/reviews/total_reviews must be integer'
+    ]);
+  });
+
+  test('checks optional sections only when present', () => {
+    assert.equal(validateProductAnalysis({ ...VALID, shipping: { is_free: true } }).valid, false);
+    assert.equal(validateProductAnalysis({
+      ...VALID,
+      shipping: { is_free: true, is_fast: false, description: 'Free shipping', estimated_days: 5 }
+    }).valid, true);
+  });
+});
@@ -0,0 +1,122 @@
+const { Sentry, createLLMSpan, setLLMUsage, setLLMContent, finishSpan } = require('../../middleware/sentry');
+const { resolveUsage } = require('../../utils/tokenUtils');
+
+// Shared plumbing for LLM provider adapters.
+// Each adapter implements `generate(prompt, context)` and returns
+// `{ text, usage, finishReason }`; `complete()` wraps it in a `gen_ai.chat` span,
+// under `context.parentSpan` when given, and passes that span on as the adapter's parentSpan.
+// Adapters that can stream also implement `generateStream(prompt, context, onToken)`.
+// `complete()` is a single attempt: llmService owns timeouts-as-errors, retries and circuit breaking.
+class BaseProvider {
+  constructor({ name, label, model }) {
+    this.name = name;
+    this.label = label;
+    this.model = model;
+  }
+
+  // Whether the adapter has everything it needs (API keys, base URLs) to run
+  isConfigured() {
+    return true;
+  }
+
+  async complete(prompt, context = {}) {
+    const parent = context.parentSpan ||
+      (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+    const model = context.model || this.model;
+    const streamed = Boolean(context.onToken && this.generateStream);
+
+    const span = createLLMSpan(parent, 'chat', model, {
+      'gen_ai.system': this.name,
+      'gen_ai.response.streaming': streamed
+    });
+    setLLMContent(span, { prompt });
+    const adapterContext = { ...context, model, parentSpan: span || parent };
+
+    try {
+      let result;
+      if (streamed) {
+        result = await this.generateStream(prompt, adapterContext, context.onToken);
+      } else {
+        result = await this.generate(prompt, adapterContext);
+        // Non-streaming backends deliver the whole output as a single chunk
+        if (context.onToken) {
+          context.onToken(result.text);
+        }
+      }
+      const usage = result.usage || null;
+
+      // Backends that report no usage get the same local estimate llmService bills with
+      const spanUsage = resolveUsage(usage, prompt, result.text);
+      setLLMUsage(span, spanUsage);
+      setLLMContent(span, { response: result.text });
+      finishSpan(span, {
+        'gen_ai.response.model': model,
+        'gen_ai.response.finish_reasons': result.finishReason ? [result.finishReason] : undefined,
+        token_source: spanUsage.source
+      });
+
+      return {
+        provider: this.name,
+        model: model,
+        text: result.text,
+        usage: usage,
+        finishReason: result.finishReason || null
+      };
+    } catch (error) {
+      if (span) {
+        span.setStatus('internal_error');
+      }
+      finishSpan(span, {
+        'error.type': error.code || error.name,
+        error_message: error.message
+      });
+      throw error;
+    }
+  }
+
+  async generate() {
+    throw new Error(`${this.label} provider does not implement generate()`);
+  }
+
+  // Read a streamed HTTP body line by line (SSE `data:` lines or NDJSON)
+  readLines(stream, onLine) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      const handle = (line) => {
+        try {
+          if (line.trim()) onLine(line.trim());
+        } catch (error) {
+          stream.destroy();
+          reject(error);
+        }
+      };
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handle);
+      });
+      stream.on('end', () => {
+        handle(buffer);
+        resolve();
+      });
+      stream.on('error', reject);
+    });
+  }
+
+  // Build a usage object from whatever counters a backend reports
+  buildUsage(promptTokens, completionTokens) {
+    if (!Number.isFinite(promptTokens) && !Number.isFinite(completionTokens)) {
+      return null;
+    }
+    const prompt = Number.isFinite(promptTokens) ? promptTokens : 0;
+    const completion = Number.isFinite(completionTokens) ? completionTokens : 0;
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: prompt + completion
+    };
+  }
+}
+
+module.exports = BaseProvider;
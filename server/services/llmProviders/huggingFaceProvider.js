@@ -0,0 +1,57 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Hugging Face Inference API (text-generation task)
+class HuggingFaceProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'huggingface',
+      label: 'Hugging Face',
+      model: process.env.HF_MODEL || 'meta-llama/Llama-3.1-8B-Instruct'
+    });
+    this.apiKey = process.env.HUGGING_FACE_API_KEY;
+    this.baseUrl = process.env.HF_BASE_URL || 'https://api-inference.huggingface.co/models';
+    this.timeout = parseInt(process.env.HF_TIMEOUT_MS || process.env.LLM_TIMEOUT_MS || '60000');
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async generate(prompt, { model }) {
+    const endpoint = `${this.baseUrl}/${encodeURIComponent(model)}`;
+    const headers = {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+    const body = {
+      inputs: prompt,
+      parameters: {
+        max_new_tokens: 600,
+        temperature: 0.2,
+        return_full_text: false,
+        details: true
+      }
+    };
+
+    const response = await axios.post(endpoint, body, { headers, timeout: this.timeout });
+    const result = Array.isArray(response.data) ? response.data[0] : response.data;
+    const output = result?.generated_text || '';
+    if (!output || typeof output !== 'string') {
+      throw new Error('Unexpected Hugging Face response');
+    }
+
+    // `details` is only returned by TGI-backed models; usage stays null otherwise
+    const details = result.details || {};
+    return {
+      text: output,
+      usage: this.buildUsage(
+        Array.isArray(details.prefill) && details.prefill.length ? details.prefill.length : undefined,
+        details.generated_tokens
+      ),
+      finishReason: details.finish_reason || null
+    };
+  }
+}
+
+module.exports = HuggingFaceProvider;
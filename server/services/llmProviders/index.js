@@ -0,0 +1,48 @@
+const HuggingFaceProvider = require('./huggingFaceProvider');
+const OpenAIProvider = require('./openAIProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+// Registry of LLM provider adapters, keyed by the name used in
+// LLM_PROVIDER and in the per-request `provider` field
+const PROVIDERS = {
+  openai: new OpenAIProvider(),
+  ollama: new OllamaProvider(),
+  huggingface: new HuggingFaceProvider(),
+  mock: new MockProvider()
+};
+
+const getProvider = (name) => PROVIDERS[name] || null;
+
+// Resolve which adapter to use: explicit request > LLM_PROVIDER > Hugging Face if keyed > mock
+const resolveProvider = (requested) => {
+  if (requested) {
+    const provider = getProvider(requested);
+    if (!provider) {
+      const error = new Error(`Unknown LLM provider: ${requested}`);
+      error.code = 'UNSUPPORTED_PROVIDER';
+      throw error;
+    }
+    return provider;
+  }
+
+  const configured = process.env.LLM_PROVIDER && getProvider(process.env.LLM_PROVIDER);
+  if (configured) {
+    return configured;
+  }
+
+  return PROVIDERS.huggingface.isConfigured() ? PROVIDERS.huggingface : PROVIDERS.mock;
+};
+
+const listProviders = () => Object.values(PROVIDERS).map(provider => ({
+  name: provider.name,
+  label: provider.label,
+  model: provider.model,
+  configured: provider.isConfigured()
+}));
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  listProviders
+};
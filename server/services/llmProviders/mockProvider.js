@@ -0,0 +1,144 @@
+const BaseProvider = require('./baseProvider');
+const { nextRandom } = require('../../utils/random');
+const chaosService = require('../chaosService');
+const { createSpan, finishSpan } = require('../../middleware/sentry');
+
+// Mock LLM for demo purposes: builds the JSON a model would return
+// straight from the scraped fields, with realistic parsing latency
+class MockProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'mock',
+      label: 'Mock',
+      model: process.env.MOCK_LLM_MODEL || 'mock-product-parser'
+    });
+  }
+
+  // The whole output is built up front, then replayed as tokens
+  async generateStream(prompt, context, onToken) {
+    const result = await this.generate(prompt, context);
+    await this.streamText(result.text, onToken);
+    return result;
+  }
+
+  // Replay the output in small chunks to mimic token streaming
+  async streamText(text, onToken) {
+    const chunkSize = 24;
+    for (let i = 0; i < text.length; i += chunkSize) {
+      await new Promise(resolve => setTimeout(resolve, Math.floor(nextRandom() * 40) + 20));
+      onToken(text.slice(i, i + chunkSize));
+    }
+  }
+
+  async generate(prompt, { rawProductData, comparison, parentSpan }) {
+    if (comparison) {
+      return this.generateComparison(comparison.products, parentSpan);
+    }
+
+    // Add some processing variation to simulate real LLM behavior
+    const parsingSpan = createSpan(parentSpan, {
+      op: 'llm.parsing',
+      description: 'Parse product information from raw data'
+    });
+
+    // Baseline parsing work
+    await chaosService.injectLatency('llm_parsing');
+
+    // Occasionally add extra parsing latency (rarer than analysis/network)
+    const parsingExtraDelay = await chaosService.injectSlowdown('llm_parsing');
+    if (parsingExtraDelay && parsingSpan) {
+      parsingSpan.setTag('llm.parsing_slow', true);
+      parsingSpan.setData('llm_parsing_extra_delay_ms', parsingExtraDelay);
+    }
+
+    const currentPrice = parseFloat(String(rawProductData.price || '0').replace(/[^0-9.]/g, ''));
+    const originalPrice = rawProductData.originalPrice ?
+      parseFloat(String(rawProductData.originalPrice).replace(/[^0-9.]/g, '')) :
+      undefined;
+    const rating = parseFloat(rawProductData.rating);
+    const totalReviews = parseInt(String(rawProductData.reviewCount || '0').replace(/,/g, ''));
+
+    finishSpan(parsingSpan, {
+      price_extracted: currentPrice,
+      rating_extracted: rating,
+      features_count: rawProductData.features ? rawProductData.features.length : 0
+    });
+    chaosService.injectError('llm_parsing');
+
+    // Like a model, only report what the page actually had
+    const output = {
+      basic_info: {
+        title: rawProductData.title,
+        current_price: currentPrice,
+        original_price: originalPrice,
+        availability: rawProductData.availability,
+        category: rawProductData.category
+      },
+      features: rawProductData.features || []
+    };
+    if (Number.isFinite(rating) && Number.isFinite(totalReviews)) {
+      output.reviews = {
+        average_rating: rating,
+        total_reviews: totalReviews
+      };
+    }
+
+    return {
+      text: JSON.stringify(output),
+      usage: null,
+      finishReason: 'stop'
+    };
+  }
+
+  // Rank compared products by value score, rating and shipping, with the
+  // cheapest one nudged up, as a model weighing those trade-offs might
+  async generateComparison(products, parentSpan) {
+    const parsingSpan = createSpan(parentSpan, {
+      op: 'llm.parsing',
+      description: `Compare ${products.length} products`
+    });
+    await chaosService.injectLatency('llm_parsing');
+    await chaosService.injectSlowdown('llm_parsing');
+
+    const lowestPrice = Math.min(...products.map(product => product.basic_info.current_price));
+    const ranking = products
+      .map((product, index) => {
+        // overall_score runs to about 180, the rest adds up to about 55
+        const score = product.value_metrics.overall_score * 0.25 +
+          product.reviews.average_rating * 8 +
+          (product.shipping.is_free ? 5 : 0) +
+          (product.shipping.is_fast ? 5 : 0) +
+          (product.basic_info.current_price === lowestPrice ? 5 : 0);
+        const strengths = [
+          `value score ${product.value_metrics.overall_score}`,
+          `${product.reviews.average_rating} stars from ${product.reviews.total_reviews} reviews`,
+          product.shipping.is_free ? 'free shipping' : null,
+          product.basic_info.current_price === lowestPrice ? 'the lowest price' : null
+        ].filter(Boolean);
+        return {
+          product: index + 1,
+          score: Math.max(0, Math.min(100, Math.round(score))),
+          reason: `${product.basic_info.title} has ${strengths.join(', ')}.`
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    finishSpan(parsingSpan, { products_compared: products.length });
+    chaosService.injectError('llm_parsing');
+
+    const best = products[ranking[0].product - 1];
+    return {
+      text: JSON.stringify({
+        ranking,
+        recommendation: {
+          product: ranking[0].product,
+          summary: `Buy ${best.basic_info.title} from ${best.store} at $${best.basic_info.current_price}; it scores ${ranking[0].score}/100 here.`
+        }
+      }),
+      usage: null,
+      finishReason: 'stop'
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,116 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Local inference server: Ollama (`/api/chat`) or llama.cpp server (`/completion`)
+class OllamaProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'ollama',
+      label: 'Ollama',
+      model: process.env.OLLAMA_MODEL || 'llama3.1'
+    });
+    this.baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    this.apiStyle = process.env.OLLAMA_API_STYLE || 'ollama';
+    this.timeout = parseInt(process.env.OLLAMA_TIMEOUT_MS || process.env.LLM_TIMEOUT_MS || '120000');
+    if (this.apiStyle === 'llamacpp') {
+      this.label = 'llama.cpp';
+    }
+  }
+
+  isConfigured() {
+    return Boolean(process.env.OLLAMA_BASE_URL || process.env.OLLAMA_MODEL);
+  }
+
+  async generate(prompt, { model }) {
+    if (this.apiStyle === 'llamacpp') {
+      return this.generateLlamaCpp(prompt);
+    }
+
+    const body = {
+      model: model,
+      messages: [{ role: 'user', content: prompt }],
+      format: 'json',
+      stream: false,
+      options: { temperature: 0.2, num_predict: 600 }
+    };
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, body, { timeout: this.timeout });
+    const output = response.data?.message?.content;
+    if (!output || typeof output !== 'string') {
+      throw new Error('Unexpected Ollama response');
+    }
+
+    return {
+      text: output,
+      usage: this.buildUsage(response.data.prompt_eval_count, response.data.eval_count),
+      finishReason: response.data.done_reason || null
+    };
+  }
+
+  async generateStream(prompt, context, onToken) {
+    // llama.cpp streaming is not wired up; deliver its output in one chunk
+    if (this.apiStyle === 'llamacpp') {
+      const result = await this.generateLlamaCpp(prompt);
+      onToken(result.text);
+      return result;
+    }
+
+    const body = {
+      model: context.model,
+      messages: [{ role: 'user', content: prompt }],
+      format: 'json',
+      stream: true,
+      options: { temperature: 0.2, num_predict: 600 }
+    };
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+      timeout: this.timeout,
+      responseType: 'stream'
+    });
+
+    let output = '';
+    let finalEvent = {};
+    await this.readLines(response.data, (line) => {
+      const event = JSON.parse(line);
+      const delta = event.message?.content;
+      if (delta) {
+        output += delta;
+        onToken(delta);
+      }
+      if (event.done) finalEvent = event;
+    });
+
+    if (!output) {
+      throw new Error('Unexpected Ollama response');
+    }
+
+    return {
+      text: output,
+      usage: this.buildUsage(finalEvent.prompt_eval_count, finalEvent.eval_count),
+      finishReason: finalEvent.done_reason || null
+    };
+  }
+
+  async generateLlamaCpp(prompt) {
+    const body = {
+      prompt: prompt,
+      n_predict: 600,
+      temperature: 0.2,
+      stream: false
+    };
+
+    const response = await axios.post(`${this.baseUrl}/completion`, body, { timeout: this.timeout });
+    const output = response.data?.content;
+    if (!output || typeof output !== 'string') {
+      throw new Error('Unexpected llama.cpp response');
+    }
+
+    return {
+      text: output,
+      usage: this.buildUsage(response.data.tokens_evaluated, response.data.tokens_predicted),
+      finishReason: response.data.stopped_limit ? 'length' : 'stop'
+    };
+  }
+}
+
+module.exports = OllamaProvider;
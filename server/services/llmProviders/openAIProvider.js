@@ -0,0 +1,101 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// Any server speaking the OpenAI chat completions API
+// (OpenAI, Azure-style gateways, vLLM, LM Studio, llama.cpp `--api` mode, ...)
+class OpenAIProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'openai',
+      label: 'OpenAI-compatible',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    });
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.timeout = parseInt(process.env.OPENAI_TIMEOUT_MS || process.env.LLM_TIMEOUT_MS || '60000');
+  }
+
+  isConfigured() {
+    // Self-hosted OpenAI-compatible servers often run without a key
+    return Boolean(this.apiKey || process.env.OPENAI_BASE_URL);
+  }
+
+  async generate(prompt, { model }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    const body = {
+      model: model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 600,
+      temperature: 0.2
+    };
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, { headers, timeout: this.timeout });
+    const choice = response.data?.choices?.[0];
+    const output = choice?.message?.content;
+    if (!output || typeof output !== 'string') {
+      throw new Error('Unexpected OpenAI-compatible response');
+    }
+
+    const usage = response.data.usage || {};
+    return {
+      text: output,
+      usage: this.buildUsage(usage.prompt_tokens, usage.completion_tokens),
+      finishReason: choice.finish_reason || null
+    };
+  }
+
+  async generateStream(prompt, { model }, onToken) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    const body = {
+      model: model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 600,
+      temperature: 0.2,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+      headers,
+      timeout: this.timeout,
+      responseType: 'stream'
+    });
+
+    let output = '';
+    let finishReason = null;
+    let usage = null;
+    await this.readLines(response.data, (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const event = JSON.parse(payload);
+      const choice = event.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        output += delta;
+        onToken(delta);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (event.usage) usage = event.usage;
+    });
+
+    if (!output) {
+      throw new Error('Unexpected OpenAI-compatible response');
+    }
+
+    return {
+      text: output,
+      usage: usage ? this.buildUsage(usage.prompt_tokens, usage.completion_tokens) : null,
+      finishReason: finishReason
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
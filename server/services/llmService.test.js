@@ -0,0 +1,223 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Stand-in OpenAI-compatible server answering each request with the next queued response
+const responses = [];
+const prompts = [];
+let requestCount = 0;
+const server = http.createServer((req, res) => {
+  let requestBody = '';
+  req.on('data', chunk => { requestBody += chunk; });
+  req.on('end', () => {
+    requestCount++;
+    prompts.push(JSON.parse(requestBody).messages[0].content);
+    const { status = 200, headers = {}, body = {} } = responses.shift() || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+});
+
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.LLM_MAX_RETRIES = '2';
+process.env.LLM_RETRY_BASE_DELAY_MS = '1';
+process.env.LLM_RETRY_MAX_DELAY_MS = '50';
+process.env.LLM_BREAKER_FAILURE_THRESHOLD = '2';
+process.env.LLM_REPAIR_MAX_ATTEMPTS = '0';
+
+let llmService;
+let chaosService;
+
+const RAW_PRODUCT = { title: 'Wireless Headphones', price: '$199.99', rating: '4.3', reviewCount: '2,847', availability: 'In Stock' };
+const COMPLETION = {
+  choices: [{
+    message: { content: JSON.stringify({ basic_info: { title: 'Wireless Headphones', current_price: 199.99 } }) },
+    finish_reason: 'stop'
+  }],
+  usage: { prompt_tokens: 100, completion_tokens: 20 }
+};
+
+const analyze = (model) => llmService.parseProductData(RAW_PRODUCT, 'https://www.amazon.com/dp/B08N5WRWNW', { provider: 'openai', model });
+const breakerFor = (model) => llmService.getCircuitBreakers().find(b => b.name === `openai:${model}`);
+const queue = (...items) => { responses.length = 0; responses.push(...items); prompts.length = 0; requestCount = 0; };
+const completionOf = (content) => ({
+  choices: [{ message: { content: typeof content === 'string' ? content : JSON.stringify(content) }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 100, completion_tokens: 20 }
+});
+const VALID_OUTPUT = {
+  basic_info: { title: 'Wireless Headphones', current_price: 199.99 },
+  reviews: { average_rating: 4.3, total_reviews: 2847 },
+  features: ['Noise cancelling']
+};
+
+after(() => server.close());
+
+describe('LLM retries and circuit breaker', () => {
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+    llmService = require('./llmService');
+    chaosService = require('./chaosService');
+    chaosService.updateConfig({ enabled: false });
+  });
+
+  after(() => {
+    chaosService.reset();
+  });
+
+  test('retries a 503 and succeeds on the next attempt', async () => {
+    queue({ status: 503 }, { body: COMPLETION });
+    const result = await analyze('retry-then-ok');
+    assert.equal(requestCount, 2);
+    assert.equal(result.basic_info.current_price, 199.99);
+    assert.equal(breakerFor('retry-then-ok').consecutive_failures, 0);
+  });
+
+  test('waits at least Retry-After on a 429', async () => {
+    queue({ status: 429, headers: { 'Retry-After': '0.03' } }, { body: COMPLETION });
+    const startTime = Date.now();
+    await analyze('retry-after');
+    assert.ok(Date.now() - startTime >= 30);
+    assert.equal(requestCount, 2);
+  });
+
+  test('gives up without retrying when Retry-After exceeds the cap', async () => {
+    queue({ status: 429, headers: { 'Retry-After': '60' } });
+    await assert.rejects(analyze('retry-after-too-long'), { code: 'RATE_LIMITED' });
+    assert.equal(requestCount, 1);
+  });
+
+  test('5xx failures count against the circuit and open it', async () => {
+    queue({ status: 500 }, { status: 500 }, { status: 500 });
+    await assert.rejects(analyze('outage'), { code: 'LLM_FAILED' });
+    assert.equal(requestCount, 3);
+    assert.equal(breakerFor('outage').consecutive_failures, 1);
+
+    queue({ status: 502 }, { status: 502 }, { status: 502 });
+    await assert.rejects(analyze('outage'));
+    assert.equal(breakerFor('outage').state, 'open');
+
+    // While open, the analysis is routed to the mock without calling the backend
+    queue();
+    const result = await analyze('outage');
+    assert.equal(requestCount, 0);
+    assert.equal(result.llm_metadata.fallback_used, true);
+  });
+
+  test('4xx responses are not retried and do not count against the circuit', async () => {
+    for (const status of [400, 401, 404]) {
+      queue({ status });
+      await assert.rejects(analyze('bad-request'));
+      assert.equal(requestCount, 1);
+    }
+    assert.equal(breakerFor('bad-request').state, 'closed');
+    assert.equal(breakerFor('bad-request').consecutive_failures, 0);
+  });
+});
+
+describe('LLM output schema repair', () => {
+  before(() => {
+    chaosService.updateConfig({ enabled: false });
+    process.env.LLM_REPAIR_MAX_ATTEMPTS = '2';
+  });
+
+  after(() => {
+    process.env.LLM_REPAIR_MAX_ATTEMPTS = '0';
+    chaosService.reset();
+  });
+
+  test('re-prompts with the validation errors until the output conforms', async () => {
+    queue({ body: completionOf({ basic_info: { title: 'Wireless Headphones', current_price: '199.99' } }) }, { body: completionOf(VALID_OUTPUT) });
+    const { llm_metadata: metadata } = await analyze('repair-once');
+
+    assert.equal(requestCount, 2);
+    assert.equal(metadata.schema_valid, true);
+    assert.equal(metadata.repair_attempts, 1);
+    assert.deepEqual(metadata.validation_errors, []);
+    // Usage covers both calls
+    assert.equal(metadata.token_count, 240);
+
+    const [original, repair] = prompts;
+    assert.ok(repair.startsWith(original));
+    assert.match(repair, /Validation errors:/);
+    assert.match(repair, /- \/basic_info\/current_price must be number/);
+    assert.match(repair, /- \(root\) is missing required property "reviews"/);
+  });
+
+  test('stops after LLM_REPAIR_MAX_ATTEMPTS and keeps the last output, flagged invalid', async () => {
+    const invalid = { body: completionOf({ basic_info: { title: 'Wireless Headphones', current_price: 199.99 } }) };
+    queue(invalid, invalid, invalid, invalid);
+    const { llm_metadata: metadata } = await analyze('repair-exhausted');
+
+    assert.equal(requestCount, 3);
+    assert.equal(metadata.schema_valid, false);
+    assert.equal(metadata.repair_attempts, 2);
+    assert.ok(metadata.validation_errors.includes('(root) is missing required property "reviews"'));
+  });
+
+  test('repairs output that is not JSON, and fails when it never is', async () => {
+    queue({ body: completionOf('Sorry, here is the product:') }, { body: completionOf(VALID_OUTPUT) });
+    assert.equal((await analyze('repair-not-json')).llm_metadata.schema_valid, true);
+    assert.match(prompts[1], /Output is not valid JSON/);
+
+    const notJson = { body: completionOf('no JSON here') };
+    queue(notJson, notJson, notJson);
+    await assert.rejects(analyze('never-json'), (error) => error.originalError.code === 'LLM_INVALID_OUTPUT');
+    assert.equal(requestCount, 3);
+  });
+});
+
+describe('product comparison ranking', () => {
+  const product = (title, overallScore, price) => ({
+    store: 'Amazon',
+    basic_info: { title, current_price: price },
+    reviews: { average_rating: 4, total_reviews: 100 },
+    shipping: { is_free: true, is_fast: false, estimated_days: 3 },
+    value_metrics: { overall_score: overallScore, recommendation: 'Good Deal' }
+  });
+  const PRODUCTS = [product('Budget', 80, 50), product('Premium', 95, 300), product('Twin', 80, 40)];
+  const compare = (model) => llmService.compareProducts(PRODUCTS, { provider: 'openai', model });
+
+  before(() => chaosService.updateConfig({ enabled: false }));
+  after(() => chaosService.reset());
+
+  test('keeps the model\'s ranking when it ranks every product once', async () => {
+    queue({
+      body: completionOf({
+        ranking: [
+          { product: 3, score: 91.6, reason: 'Cheapest of the good ones' },
+          { product: 2, score: 140, reason: 'Best, but pricey' },
+          { product: 1, score: 'n/a' }
+        ],
+        recommendation: { product: 3, summary: 'Buy the Twin' }
+      })
+    });
+    const result = await compare('compare-llm');
+
+    assert.equal(result.llm_metadata.ranking_source, 'llm');
+    assert.deepEqual(result.ranking, [
+      { product: 2, score: 92, reason: 'Cheapest of the good ones' },
+      { product: 1, score: 100, reason: 'Best, but pricey' },
+      { product: 0, score: null, reason: '' }
+    ]);
+    assert.deepEqual(result.recommendation, { product: 2, summary: 'Buy the Twin' });
+    assert.match(prompts[0], /"product":3,"title":"Twin"/);
+  });
+
+  test('ranks by value score, then the lower price, when the model\'s ranking is unusable', async () => {
+    const unusable = [
+      { ranking: [{ product: 1 }, { product: 1 }, { product: 2 }] },
+      { ranking: [{ product: 1 }, { product: 2 }] },
+      { ranking: [{ product: 0 }, { product: 1 }, { product: 2 }] },
+      'I would pick the premium one.'
+    ];
+    for (const [index, answer] of unusable.entries()) {
+      queue({ body: completionOf(answer) });
+      const result = await compare(`compare-fallback-${index}`);
+      assert.equal(result.llm_metadata.ranking_source, 'computed');
+      assert.deepEqual(result.ranking.map(entry => entry.product), [1, 2, 0]);
+      assert.equal(result.recommendation.product, 1);
+      assert.match(result.recommendation.summary, /^Premium ranks first: value score 95/);
+    }
+  });
+});
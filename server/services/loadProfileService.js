@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('load_profiles');
+
+const BUILT_IN_PROFILES_DIR = path.join(__dirname, '../../simulator/profiles');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const MAX_PROFILE_DURATION_S = 24 * 60 * 60;
+
+const invalidProfile = (message) => {
+  const error = new Error(`Invalid load profile: ${message}`);
+  error.code = 'INVALID_LOAD_PROFILE';
+  return error;
+};
+
+const requireNumber = (definition, field, { min = 0, defaultValue } = {}) => {
+  const value = definition[field] === undefined ? defaultValue : definition[field];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+    throw invalidProfile(`"${field}" must be a number >= ${min}`);
+  }
+  return value;
+};
+
+// Each profile type expands to stages of { duration (s), from, to } where from/to
+// are session arrival rates per second, interpolated linearly over the stage
+const STAGE_BUILDERS = {
+  ramp: (d) => [
+    { duration: requireNumber(d, 'duration', { min: 1 }), from: requireNumber(d, 'from', { defaultValue: 0 }), to: requireNumber(d, 'to') }
+  ],
+  spike: (d) => {
+    const duration = requireNumber(d, 'duration', { min: 1 });
+    const baseline = requireNumber(d, 'baseline');
+    const peak = requireNumber(d, 'peak');
+    const spikeAt = requireNumber(d, 'spikeAt');
+    const spikeDuration = requireNumber(d, 'spikeDuration', { min: 1 });
+    if (spikeAt + spikeDuration > duration) {
+      throw invalidProfile('"spikeAt" + "spikeDuration" must fit within "duration"');
+    }
+    return [
+      { duration: spikeAt, from: baseline, to: baseline },
+      { duration: spikeDuration, from: peak, to: peak },
+      { duration: duration - spikeAt - spikeDuration, from: baseline, to: baseline }
+    ].filter(stage => stage.duration > 0);
+  },
+  soak: (d) => {
+    const rate = requireNumber(d, 'rate');
+    return [{ duration: requireNumber(d, 'duration', { min: 1 }), from: rate, to: rate }];
+  },
+  step: (d) => {
+    const start = requireNumber(d, 'start');
+    const step = requireNumber(d, 'step');
+    const steps = requireNumber(d, 'steps', { min: 1 });
+    const stepDuration = requireNumber(d, 'stepDuration', { min: 1 });
+    return Array.from({ length: Math.floor(steps) }, (_, i) => ({
+      duration: stepDuration,
+      from: start + step * i,
+      to: start + step * i
+    }));
+  },
+  stages: (d) => {
+    if (!Array.isArray(d.stages) || d.stages.length === 0) {
+      throw invalidProfile('"stages" must be a non-empty array');
+    }
+    return d.stages.map(stage => ({
+      duration: requireNumber(stage, 'duration', { min: 1 }),
+      from: requireNumber(stage, 'from', { defaultValue: stage.rate }),
+      to: requireNumber(stage, 'to', { defaultValue: stage.from === undefined ? stage.rate : stage.from })
+    }));
+  }
+};
+
+// Named traffic shapes for the simulator, loaded from JSON/YAML files
+// (simulator/profiles plus LOAD_PROFILES_DIR) or passed inline with a request
+class LoadProfileService {
+  constructor() {
+    this.profiles = new Map();
+
+    [BUILT_IN_PROFILES_DIR, process.env.LOAD_PROFILES_DIR]
+      .filter(Boolean)
+      .forEach(dir => this.loadDirectory(dir));
+  }
+
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      log.warn(`Load profile directory not found: ${dir}`, { dir });
+      return;
+    }
+    fs.readdirSync(dir)
+      .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file)))
+      .sort()
+      .forEach(file => {
+        try {
+          const profile = this.loadProfileFile(path.join(dir, file));
+          this.profiles.set(profile.name, profile);
+        } catch (error) {
+          log.error(`Skipping load profile ${file}`, { file, error });
+        }
+      });
+  }
+
+  // Read and compile one JSON/YAML profile; the name defaults to the file name
+  loadProfileFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const definition = path.extname(filePath) === '.json' ? JSON.parse(text) : yaml.load(text);
+    return this.compileProfile({
+      name: path.basename(filePath, path.extname(filePath)),
+      ...definition
+    });
+  }
+
+  /**
+   * Validate a profile definition and expand it to rate stages. Throws an
+   * INVALID_LOAD_PROFILE error describing the first problem found.
+   */
+  compileProfile(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw invalidProfile('expected an object');
+    }
+
+    const type = definition.type || (definition.stages ? 'stages' : undefined);
+    const buildStages = STAGE_BUILDERS[type];
+    if (!buildStages) {
+      throw invalidProfile(`"type" must be one of ${Object.keys(STAGE_BUILDERS).join(', ')}`);
+    }
+
+    const stages = buildStages(definition);
+    const durationS = stages.reduce((sum, stage) => sum + stage.duration, 0);
+    if (durationS > MAX_PROFILE_DURATION_S) {
+      throw invalidProfile(`total duration must be at most ${MAX_PROFILE_DURATION_S}s`);
+    }
+
+    // Area under the rate curve: how many sessions the profile starts
+    const expectedSessions = Math.round(stages.reduce((sum, stage) => sum + stage.duration * (stage.from + stage.to) / 2, 0));
+    if (expectedSessions < 1) {
+      throw invalidProfile('the rates never add up to a single session');
+    }
+
+    const requestsPerSession = definition.requestsPerSession === undefined
+      ? null
+      : requireNumber(definition, 'requestsPerSession', { min: 1 });
+    if (definition.behaviorMix !== undefined && (typeof definition.behaviorMix !== 'object' || Array.isArray(definition.behaviorMix))) {
+      throw invalidProfile('"behaviorMix" must map behavior keys to weights');
+    }
+
+    return {
+      name: String(definition.name || 'custom'),
+      description: definition.description || '',
+      type: type,
+      stages: stages.map(stage => ({ durationMs: stage.duration * 1000, from: stage.from, to: stage.to })),
+      durationMs: durationS * 1000,
+      expectedSessions: expectedSessions,
+      requestsPerSession: requestsPerSession ? Math.floor(requestsPerSession) : null,
+      behaviorMix: definition.behaviorMix || null
+    };
+  }
+
+  // Accept a registered profile name or an inline definition
+  resolveProfile(profile) {
+    if (typeof profile === 'string') {
+      const registered = this.profiles.get(profile);
+      if (!registered) {
+        const error = new Error(`Unknown load profile: ${profile}`);
+        error.code = 'UNKNOWN_LOAD_PROFILE';
+        throw error;
+      }
+      return registered;
+    }
+    return this.compileProfile(profile);
+  }
+
+  // Session arrival rate (per second) `elapsedMs` into the profile
+  getRateAt(profile, elapsedMs) {
+    let stageStart = 0;
+    for (const stage of profile.stages) {
+      if (elapsedMs < stageStart + stage.durationMs) {
+        const progress = (elapsedMs - stageStart) / stage.durationMs;
+        return stage.from + (stage.to - stage.from) * progress;
+      }
+      stageStart += stage.durationMs;
+    }
+    return 0;
+  }
+
+  listProfiles() {
+    return Array.from(this.profiles.values());
+  }
+}
+
+const loadProfileService = new LoadProfileService();
+
+module.exports = {
+  compileProfile: loadProfileService.compileProfile.bind(loadProfileService),
+  loadProfileFile: loadProfileService.loadProfileFile.bind(loadProfileService),
+  resolveProfile: loadProfileService.resolveProfile.bind(loadProfileService),
+  getRateAt: loadProfileService.getRateAt.bind(loadProfileService),
+  listProfiles: loadProfileService.listProfiles.bind(loadProfileService)
+};
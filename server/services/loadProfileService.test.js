@@ -0,0 +1,100 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileProfile, resolveProfile, getRateAt, listProfiles } = require('./loadProfileService');
+
+// Arrivals per second of profile time, accumulated the way the simulator
+// does it: rate x tick length, starting a session each time a whole one is due
+const arrivalSchedule = (profile, tickMs = 100) => {
+  const perSecond = new Array(Math.ceil(profile.durationMs / 1000)).fill(0);
+  let pending = 0;
+  for (let elapsed = 0; elapsed < profile.durationMs; elapsed += tickMs) {
+    for (pending += getRateAt(profile, elapsed) * tickMs / 1000; pending >= 1 - 1e-9; pending--) {
+      perSecond[Math.floor(elapsed / 1000)]++;
+    }
+  }
+  return perSecond;
+};
+
+describe('compileProfile', () => {
+  test('expands each type to rate stages', () => {
+    assert.deepEqual(compileProfile({ type: 'ramp', from: 1, to: 5, duration: 10 }).stages, [
+      { durationMs: 10000, from: 1, to: 5 }
+    ]);
+    assert.deepEqual(compileProfile({ type: 'spike', baseline: 1, peak: 10, duration: 30, spikeAt: 10, spikeDuration: 5 }).stages, [
+      { durationMs: 10000, from: 1, to: 1 },
+      { durationMs: 5000, from: 10, to: 10 },
+      { durationMs: 15000, from: 1, to: 1 }
+    ]);
+    assert.deepEqual(compileProfile({ type: 'step', start: 1, step: 2, steps: 3, stepDuration: 5 }).stages, [
+      { durationMs: 5000, from: 1, to: 1 },
+      { durationMs: 5000, from: 3, to: 3 },
+      { durationMs: 5000, from: 5, to: 5 }
+    ]);
+    assert.deepEqual(compileProfile({ stages: [{ duration: 2, rate: 4 }, { duration: 3, from: 4, to: 0 }] }).stages, [
+      { durationMs: 2000, from: 4, to: 4 },
+      { durationMs: 3000, from: 4, to: 0 }
+    ]);
+  });
+
+  test('counts the sessions under the rate curve', () => {
+    const profile = compileProfile({ type: 'ramp', from: 0, to: 2, duration: 60, requestsPerSession: 3 });
+    assert.equal(profile.durationMs, 60000);
+    assert.equal(profile.expectedSessions, 60);
+    assert.equal(profile.requestsPerSession, 3);
+  });
+
+  test('rejects invalid definitions', () => {
+    const invalid = [
+      null,
+      { type: 'wave', duration: 10 },
+      { type: 'ramp', to: 5 },
+      { type: 'soak', rate: -1, duration: 10 },
+      { type: 'spike', baseline: 1, peak: 5, duration: 10, spikeAt: 8, spikeDuration: 5 },
+      { type: 'soak', rate: 0.01, duration: 10 },
+      { type: 'soak', rate: 1, duration: 25 * 60 * 60 },
+      { type: 'soak', rate: 1, duration: 10, behaviorMix: ['casual_user'] }
+    ];
+    invalid.forEach(definition => assert.throws(() => compileProfile(definition), { code: 'INVALID_LOAD_PROFILE' }));
+  });
+});
+
+describe('getRateAt', () => {
+  test('interpolates within a stage and is zero after the profile ends', () => {
+    const profile = compileProfile({ stages: [{ duration: 10, from: 0, to: 10 }, { duration: 10, rate: 2 }] });
+    assert.equal(getRateAt(profile, 0), 0);
+    assert.equal(getRateAt(profile, 2500), 2.5);
+    assert.equal(getRateAt(profile, 10000), 2);
+    assert.equal(getRateAt(profile, 20000), 0);
+  });
+});
+
+describe('arrival schedules', () => {
+  test('start the expected sessions for every shipped profile', () => {
+    const shipped = listProfiles();
+    assert.deepEqual(shipped.map(profile => profile.name).sort(), ['ramp', 'soak', 'spike', 'step']);
+    shipped.forEach(profile => {
+      const total = arrivalSchedule(profile).reduce((sum, count) => sum + count, 0);
+      assert.ok(Math.abs(total - profile.expectedSessions) <= 1, `${profile.name}: ${total} of ${profile.expectedSessions}`);
+    });
+  });
+
+  test('follow the spike: baseline, burst, baseline', () => {
+    const perSecond = arrivalSchedule(resolveProfile('spike'));
+    assert.ok(perSecond.slice(0, 60).every(count => count <= 1));
+    assert.ok(perSecond.slice(61, 80).every(count => count === 6));
+    assert.ok(perSecond.slice(81).every(count => count <= 1));
+  });
+
+  test('climb steadily through a ramp', () => {
+    const perSecond = arrivalSchedule(compileProfile({ type: 'ramp', from: 0, to: 10, duration: 10 }));
+    perSecond.slice(1).forEach((count, index) => assert.ok(count >= perSecond[index]));
+    assert.ok(perSecond[0] <= 1 && perSecond[9] >= 9);
+    // Rates are sampled at the start of each tick, so a rising ramp runs a little behind
+    assert.ok(Math.abs(perSecond.reduce((sum, count) => sum + count, 0) - 50) <= 1);
+  });
+
+  test('rejects an unknown profile name', () => {
+    assert.throws(() => resolveProfile('tsunami'), { code: 'UNKNOWN_LOAD_PROFILE' });
+  });
+});
@@ -0,0 +1,254 @@
+const { createSinks } = require('./metricsSinks');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('metrics');
+
+// Bucket upper bounds (seconds) for duration histograms
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// New label combinations beyond this many per metric are dropped, so a
+// runaway label (e.g. a raw URL) cannot grow memory without bound
+const MAX_SERIES_PER_METRIC = 1000;
+
+// Every metric the app records; names get METRICS_PREFIX prepended
+const METRIC_DEFINITIONS = {
+  operation_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of top-level operations (product_analysis, product_comparison)',
+    labelNames: ['operation', 'outcome'],
+    buckets: DURATION_BUCKETS,
+    unit: 'second'
+  },
+  operation_errors_total: {
+    type: 'counter',
+    help: 'Failed operations by error code',
+    labelNames: ['operation', 'code']
+  },
+  analysis_stage_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of each analysis stage, including cache lookups',
+    labelNames: ['stage', 'store', 'cache'],
+    buckets: DURATION_BUCKETS,
+    unit: 'second'
+  },
+  llm_tokens_total: {
+    type: 'counter',
+    help: 'LLM tokens used, by prompt or completion',
+    labelNames: ['provider', 'model', 'type']
+  },
+  llm_cost_usd_total: {
+    type: 'counter',
+    help: 'Estimated LLM cost in US dollars',
+    labelNames: ['provider', 'model']
+  },
+  cache_requests_total: {
+    type: 'counter',
+    help: 'Cache lookups by layer and result (hit or miss)',
+    labelNames: ['layer', 'result']
+  },
+  simulations_active: {
+    type: 'gauge',
+    help: 'Traffic simulations currently running',
+    labelNames: []
+  },
+  process_uptime_seconds: {
+    type: 'gauge',
+    help: 'Seconds since the server process started',
+    labelNames: []
+  },
+  process_resident_memory_bytes: {
+    type: 'gauge',
+    help: 'Resident memory size of the server process',
+    labelNames: []
+  }
+};
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  return String(parseFloat(value.toFixed(9)));
+};
+
+// In-process registry of counters, gauges and histograms. Values are kept
+// for the Prometheus /metrics endpoint and every update is also pushed to the
+// sinks named in METRICS_SINKS (StatsD, Sentry).
+class MetricsService {
+  constructor() {
+    this.enabled = process.env.METRICS_ENABLED !== 'false';
+    this.prefix = process.env.METRICS_PREFIX === undefined ? 'llm_traffic_' : process.env.METRICS_PREFIX;
+    this.metrics = new Map();
+    Object.entries(METRIC_DEFINITIONS).forEach(([name, definition]) => {
+      const metric = {
+        ...definition,
+        name: `${this.prefix}${name}`,
+        series: new Map(),
+        droppedSeries: false
+      };
+      this.metrics.set(name, metric);
+      // Unlabelled metrics are exported as 0 before their first update
+      if (metric.labelNames.length === 0) this.getSeries(metric, {});
+    });
+    this.sinks = this.enabled ? createSinks() : [];
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  getMetric(name) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Unknown metric: ${name}`);
+    }
+    return metric;
+  }
+
+  // Only declared labels are kept, in declaration order; missing ones are ''
+  normalizeLabels(metric, labels) {
+    const normalized = {};
+    metric.labelNames.forEach(labelName => {
+      const value = labels[labelName];
+      normalized[labelName] = value === undefined || value === null ? '' : String(value);
+    });
+    return normalized;
+  }
+
+  getSeries(metric, labels) {
+    const key = metric.labelNames.map(labelName => labels[labelName]).join('\u0000');
+    let series = metric.series.get(key);
+    if (!series) {
+      if (metric.series.size >= MAX_SERIES_PER_METRIC) {
+        if (!metric.droppedSeries) {
+          metric.droppedSeries = true;
+          log.warn(`Metric ${metric.name} reached ${MAX_SERIES_PER_METRIC} label combinations; dropping new ones`, { metric: metric.name });
+        }
+        return null;
+      }
+      series = metric.type === 'histogram'
+        ? { labels, bucketCounts: new Array(metric.buckets.length).fill(0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  // Sinks must never fail the request that recorded the metric
+  dispatch(method, metric, value, labels) {
+    this.sinks.forEach(sink => {
+      try {
+        sink[method](metric.name, value, labels, metric);
+      } catch (error) {
+        log.warn(`Metrics sink ${sink.name} failed`, { sink: sink.name, error });
+      }
+    });
+  }
+
+  increment(name, labels = {}, value = 1) {
+    if (!this.enabled || !Number.isFinite(value) || value < 0) return;
+    const metric = this.getMetric(name);
+    const normalized = this.normalizeLabels(metric, labels);
+    const series = this.getSeries(metric, normalized);
+    if (series) series.value += value;
+    this.dispatch('increment', metric, value, normalized);
+  }
+
+  observe(name, value, labels = {}) {
+    if (!this.enabled || !Number.isFinite(value)) return;
+    const metric = this.getMetric(name);
+    const normalized = this.normalizeLabels(metric, labels);
+    const series = this.getSeries(metric, normalized);
+    if (series) {
+      const bucketIndex = metric.buckets.findIndex(bound => value <= bound);
+      if (bucketIndex !== -1) series.bucketCounts[bucketIndex]++;
+      series.sum += value;
+      series.count++;
+    }
+    this.dispatch('observe', metric, value, normalized);
+  }
+
+  setGauge(name, value, labels = {}) {
+    if (!this.enabled || !Number.isFinite(value)) return;
+    const metric = this.getMetric(name);
+    const normalized = this.normalizeLabels(metric, labels);
+    const series = this.getSeries(metric, normalized);
+    if (series) series.value = value;
+    this.dispatch('gauge', metric, value, normalized);
+  }
+
+  // Process gauges are sampled when scraped rather than pushed to sinks
+  collectProcessMetrics() {
+    const set = (name, value) => {
+      const metric = this.getMetric(name);
+      this.getSeries(metric, {}).value = value;
+    };
+    set('process_uptime_seconds', process.uptime());
+    set('process_resident_memory_bytes', process.memoryUsage().rss);
+  }
+
+  renderSeries(metric) {
+    const lines = [];
+    metric.series.forEach(series => {
+      if (metric.type === 'histogram') {
+        let cumulative = 0;
+        metric.buckets.forEach((bound, index) => {
+          cumulative += series.bucketCounts[index];
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+      } else {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Text exposition of every metric: Prometheus 0.0.4 by default, or
+   * OpenMetrics 1.0 (counter families without the _total suffix, # EOF trailer).
+   * Returns { contentType, body }.
+   */
+  render({ openMetrics = false } = {}) {
+    this.collectProcessMetrics();
+
+    const lines = [];
+    this.metrics.forEach(metric => {
+      const family = openMetrics && metric.type === 'counter'
+        ? metric.name.replace(/_total$/, '')
+        : metric.name;
+      lines.push(`# HELP ${family} ${metric.help}`);
+      lines.push(`# TYPE ${family} ${metric.type}`);
+      lines.push(...this.renderSeries(metric));
+    });
+    if (openMetrics) lines.push('# EOF');
+
+    return {
+      contentType: openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+      body: `${lines.join('\n')}\n`
+    };
+  }
+}
+
+const metricsService = new MetricsService();
+
+module.exports = {
+  isEnabled: metricsService.isEnabled.bind(metricsService),
+  increment: metricsService.increment.bind(metricsService),
+  observe: metricsService.observe.bind(metricsService),
+  setGauge: metricsService.setGauge.bind(metricsService),
+  render: metricsService.render.bind(metricsService)
+};
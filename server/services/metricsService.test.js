@@ -0,0 +1,94 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.METRICS_ENABLED = 'true';
+process.env.METRICS_PREFIX = 'test_';
+delete process.env.METRICS_SINKS;
+
+const metricsService = require('./metricsService');
+
+const lines = (options) => metricsService.render(options).body.split('\n');
+const sample = (options, prefix) => lines(options).filter(line => line.startsWith(prefix));
+
+describe('Prometheus text rendering', () => {
+  test('declares every family with HELP and TYPE and ends with a newline', () => {
+    const { contentType, body } = metricsService.render();
+    assert.equal(contentType, 'text/plain; version=0.0.4; charset=utf-8');
+    assert.ok(body.endsWith('\n'));
+    assert.ok(body.includes('# HELP test_operation_errors_total Failed operations by error code\n'));
+    assert.ok(body.includes('# TYPE test_operation_errors_total counter\n'));
+    assert.ok(body.includes('# TYPE test_operation_duration_seconds histogram\n'));
+    assert.ok(!body.includes('# EOF'));
+  });
+
+  test('exports unlabelled metrics as 0 before their first update', () => {
+    assert.deepEqual(sample({}, 'test_simulations_active'), ['test_simulations_active 0']);
+    metricsService.setGauge('simulations_active', 2);
+    assert.deepEqual(sample({}, 'test_simulations_active'), ['test_simulations_active 2']);
+    assert.match(sample({}, 'test_process_uptime_seconds ')[0], /^test_process_uptime_seconds \d/);
+  });
+
+  test('escapes backslashes, newlines and quotes in label values', () => {
+    metricsService.increment('operation_errors_total', { operation: 'a"b\\c\nd', code: 'X' });
+    assert.deepEqual(
+      sample({}, 'test_operation_errors_total{'),
+      ['test_operation_errors_total{operation="a\\"b\\\\c\\nd",code="X"} 1']
+    );
+  });
+
+  test('keeps declared labels in order, drops others and renders missing ones empty', () => {
+    metricsService.increment('cache_requests_total', { result: 'hit', layer: 'llm', url: 'https://example.com' });
+    metricsService.increment('cache_requests_total', { result: 'miss' }, 2);
+    assert.deepEqual(sample({}, 'test_cache_requests_total{'), [
+      'test_cache_requests_total{layer="llm",result="hit"} 1',
+      'test_cache_requests_total{layer="",result="miss"} 2'
+    ]);
+  });
+
+  test('renders cumulative histogram buckets, +Inf, _sum and _count', () => {
+    const labels = { operation: 'histogram_test', outcome: 'success' };
+    [0.07, 0.3, 100].forEach(value => metricsService.observe('operation_duration_seconds', value, labels));
+
+    const series = sample({}, 'test_operation_duration_seconds')
+      .filter(line => line.includes('operation="histogram_test"'));
+    assert.deepEqual(series, [
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="0.05"} 0',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="0.1"} 1',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="0.25"} 1',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="0.5"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="1"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="2.5"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="5"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="10"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="30"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="60"} 2',
+      'test_operation_duration_seconds_bucket{operation="histogram_test",outcome="success",le="+Inf"} 3',
+      'test_operation_duration_seconds_sum{operation="histogram_test",outcome="success"} 100.37',
+      'test_operation_duration_seconds_count{operation="histogram_test",outcome="success"} 3'
+    ]);
+  });
+
+  test('ignores negative and non-finite values and rejects unknown metrics', () => {
+    const labels = { provider: 'openai', model: 'gpt-4o-mini', type: 'prompt' };
+    metricsService.increment('llm_tokens_total', labels, 10);
+    metricsService.increment('llm_tokens_total', labels, -5);
+    metricsService.increment('llm_tokens_total', labels, NaN);
+    assert.deepEqual(sample({}, 'test_llm_tokens_total{'), [
+      'test_llm_tokens_total{provider="openai",model="gpt-4o-mini",type="prompt"} 10'
+    ]);
+    assert.throws(() => metricsService.increment('requests_total'), /Unknown metric: requests_total/);
+  });
+});
+
+describe('OpenMetrics rendering', () => {
+  test('names counter families without _total and ends with # EOF', () => {
+    const { contentType, body } = metricsService.render({ openMetrics: true });
+    assert.equal(contentType, 'application/openmetrics-text; version=1.0.0; charset=utf-8');
+    assert.ok(body.endsWith('# EOF\n'));
+    assert.ok(body.includes('# TYPE test_operation_errors counter\n'));
+    assert.ok(!body.includes('# TYPE test_operation_errors_total'));
+    // Samples keep the suffix
+    assert.ok(body.includes('\ntest_operation_errors_total{operation='));
+    assert.ok(body.includes('# TYPE test_operation_duration_seconds histogram\n'));
+  });
+});
@@ -0,0 +1,35 @@
+const StatsdSink = require('./statsdSink');
+const SentrySink = require('./sentrySink');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('metrics');
+
+// Push-based destinations for metric updates, keyed by the names used in
+// METRICS_SINKS (comma-separated). The Prometheus /metrics endpoint is pull-based
+// and always available, so it is not a sink.
+const SINKS = {
+  statsd: StatsdSink,
+  sentry: SentrySink
+};
+
+const getConfiguredSinkNames = () => (process.env.METRICS_SINKS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const isSinkEnabled = (name) => getConfiguredSinkNames().includes(name);
+
+// Instantiate the configured sinks; unknown names are reported and skipped
+const createSinks = () => getConfiguredSinkNames().flatMap(name => {
+  const Sink = SINKS[name];
+  if (!Sink) {
+    log.warn(`Unknown metrics sink "${name}" in METRICS_SINKS (expected ${Object.keys(SINKS).join(', ')})`);
+    return [];
+  }
+  return [new Sink()];
+});
+
+module.exports = {
+  createSinks,
+  isSinkEnabled
+};
@@ -0,0 +1,24 @@
+const Sentry = require('@sentry/node');
+
+// Forwards metric updates to Sentry's metrics aggregator, which batches them
+// per flush interval. Sentry.init only enables the aggregator when this sink
+// is configured (see isSinkEnabled), otherwise these calls are no-ops.
+class SentrySink {
+  constructor() {
+    this.name = 'sentry';
+  }
+
+  increment(name, value, labels) {
+    Sentry.metrics.increment(name, value, { tags: labels });
+  }
+
+  observe(name, value, labels, { unit }) {
+    Sentry.metrics.distribution(name, value, { tags: labels, unit: unit });
+  }
+
+  gauge(name, value, labels) {
+    Sentry.metrics.gauge(name, value, { tags: labels });
+  }
+}
+
+module.exports = SentrySink;
@@ -0,0 +1,60 @@
+const dgram = require('dgram');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('metrics.statsd');
+
+// Pushes every metric update to a StatsD daemon over UDP, fire-and-forget.
+// Durations recorded in seconds are sent as StatsD timers in milliseconds.
+// Labels are sent as DogStatsD-style tags (`|#key:value`) unless tagFormat is 'none'.
+class StatsdSink {
+  constructor({
+    host = process.env.METRICS_STATSD_HOST || '127.0.0.1',
+    port = parseInt(process.env.METRICS_STATSD_PORT || '8125'),
+    tagFormat = process.env.METRICS_STATSD_TAG_FORMAT || 'dogstatsd'
+  } = {}) {
+    this.name = 'statsd';
+    this.host = host;
+    this.port = port;
+    this.tagFormat = tagFormat;
+    this.socket = dgram.createSocket('udp4');
+    // The socket must not keep the process alive on shutdown
+    this.socket.unref();
+    this.warned = false;
+    this.socket.on('error', error => this.warnOnce(error));
+  }
+
+  warnOnce(error) {
+    if (this.warned) return;
+    this.warned = true;
+    log.warn(`StatsD sink ${this.host}:${this.port} failed`, { error });
+  }
+
+  formatTags(labels) {
+    const entries = Object.entries(labels);
+    if (this.tagFormat === 'none' || entries.length === 0) return '';
+    return `|#${entries.map(([key, value]) => `${key}:${String(value).replace(/[|#,:]/g, '_')}`).join(',')}`;
+  }
+
+  send(line) {
+    this.socket.send(line, this.port, this.host, error => {
+      if (error) this.warnOnce(error);
+    });
+  }
+
+  increment(name, value, labels) {
+    this.send(`${name}:${value}|c${this.formatTags(labels)}`);
+  }
+
+  observe(name, value, labels, { unit }) {
+    const line = unit === 'second'
+      ? `${name}:${Math.round(value * 1000)}|ms`
+      : `${name}:${value}|h`;
+    this.send(`${line}${this.formatTags(labels)}`);
+  }
+
+  gauge(name, value, labels) {
+    this.send(`${name}:${value}|g${this.formatTags(labels)}`);
+  }
+}
+
+module.exports = StatsdSink;
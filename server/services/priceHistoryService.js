@@ -0,0 +1,182 @@
+const path = require('path');
+const JsonlFile = require('../utils/jsonlFile');
+const { canonicalizeProductUrl, getProductId } = require('../utils/urlUtils');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('price_history');
+
+const DEFAULT_PRICE_HISTORY_FILE = path.join(__dirname, '../../data/price_history.jsonl');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every price observed for a product, keyed by the product id of its canonical URL.
+// Observations are appended to a JSON-lines file and grouped per product in memory.
+class PriceHistoryService {
+  constructor() {
+    this.enabled = process.env.PRICE_HISTORY_ENABLED !== 'false';
+    this.file = new JsonlFile(process.env.PRICE_HISTORY_FILE || DEFAULT_PRICE_HISTORY_FILE, 'price history');
+    this.maxPointsPerProduct = parseInt(process.env.PRICE_HISTORY_MAX_POINTS || '1000');
+    // Fewer observations than this and price_analysis falls back to a synthetic trend
+    this.minPoints = parseInt(process.env.PRICE_HISTORY_MIN_POINTS || '2');
+    this.products = new Map();
+
+    if (this.enabled) {
+      this.load();
+    }
+  }
+
+  load() {
+    let trimmed = false;
+    this.file.readAll().forEach(observation => {
+      trimmed = this.addObservation(observation) || trimmed;
+    });
+    if (trimmed) {
+      this.rewriteFile();
+    }
+    if (this.products.size > 0) {
+      log.info(`Loaded price history for ${this.products.size} products`, { file: this.file.filePath });
+    }
+  }
+
+  rewriteFile() {
+    const lines = [];
+    this.products.forEach(product => {
+      product.observations.forEach(observation => lines.push(this.toLine(product, observation)));
+    });
+    return this.file.rewrite(lines);
+  }
+
+  toLine(product, observation) {
+    return {
+      product_id: product.product_id,
+      canonical_url: product.canonical_url,
+      store: product.store,
+      title: product.title,
+      price: observation.price,
+      observed_at: observation.observed_at
+    };
+  }
+
+  // Add one observation in memory; returns true when old points had to be dropped
+  addObservation({ product_id, canonical_url, store, title, price, observed_at }) {
+    let product = this.products.get(product_id);
+    if (!product) {
+      product = { product_id, canonical_url, store, title, observations: [] };
+      this.products.set(product_id, product);
+    }
+    product.title = title || product.title;
+    product.observations.push({ price, observed_at });
+
+    if (product.observations.length > this.maxPointsPerProduct * 1.1) {
+      product.observations = product.observations.slice(-this.maxPointsPerProduct);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record the price seen on a product page. Returns the product id, which is
+   * also returned for invalid prices so callers can still link to the product.
+   */
+  recordPrice({ url, store, title, price, observedAt = new Date() }) {
+    const productId = getProductId(url);
+    if (!this.enabled || !Number.isFinite(price) || price <= 0) {
+      return productId;
+    }
+
+    const observation = {
+      product_id: productId,
+      canonical_url: canonicalizeProductUrl(url),
+      store: store || null,
+      title: title || null,
+      price: parseFloat(price.toFixed(2)),
+      observed_at: observedAt.toISOString()
+    };
+
+    if (this.addObservation(observation)) {
+      this.rewriteFile();
+    } else {
+      this.file.append(observation);
+    }
+
+    return productId;
+  }
+
+  summarize(observations) {
+    if (observations.length === 0) {
+      return {
+        observation_count: 0,
+        first_observed_at: null,
+        last_observed_at: null,
+        span_hours: 0,
+        lowest_price: null,
+        highest_price: null,
+        average_price: null
+      };
+    }
+    const prices = observations.map(o => o.price);
+    const first = observations[0].observed_at;
+    const last = observations[observations.length - 1].observed_at;
+    return {
+      observation_count: observations.length,
+      first_observed_at: first,
+      last_observed_at: last,
+      span_hours: parseFloat(((new Date(last) - new Date(first)) / (60 * 60 * 1000)).toFixed(1)),
+      lowest_price: Math.min(...prices),
+      highest_price: Math.max(...prices),
+      average_price: parseFloat((prices.reduce((sum, p) => sum + p, 0) / prices.length).toFixed(2))
+    };
+  }
+
+  /**
+   * Observed prices for the last `days` days, reduced to one closing price per
+   * day for the trend. `sufficient` is false when there are too few observations
+   * to base price analysis on.
+   */
+  getRecentHistory(productId, days = 7) {
+    const product = this.products.get(productId);
+    const since = Date.now() - days * DAY_MS;
+    const recent = product
+      ? product.observations.filter(o => new Date(o.observed_at).getTime() >= since)
+      : [];
+
+    const closingByDay = new Map();
+    recent.forEach(o => closingByDay.set(o.observed_at.slice(0, 10), o.price));
+
+    return {
+      ...this.summarize(recent),
+      sufficient: recent.length >= this.minPoints,
+      trend: Array.from(closingByDay.values())
+    };
+  }
+
+  getPriceHistory(productId, { from, to } = {}) {
+    const product = this.products.get(productId);
+    if (!product) return null;
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const observations = product.observations.filter(o => {
+      const observedAt = new Date(o.observed_at).getTime();
+      if (fromTime && observedAt < fromTime) return false;
+      if (toTime && observedAt > toTime) return false;
+      return true;
+    });
+
+    return {
+      product_id: product.product_id,
+      canonical_url: product.canonical_url,
+      store: product.store,
+      title: product.title,
+      summary: this.summarize(observations),
+      observations: observations
+    };
+  }
+}
+
+const priceHistoryService = new PriceHistoryService();
+
+module.exports = {
+  recordPrice: priceHistoryService.recordPrice.bind(priceHistoryService),
+  getRecentHistory: priceHistoryService.getRecentHistory.bind(priceHistoryService),
+  getPriceHistory: priceHistoryService.getPriceHistory.bind(priceHistoryService)
+};
@@ -0,0 +1,184 @@
+const apiKeyService = require('./apiKeyService');
+
+// Idle buckets refill to full, so past this many clients the full ones are dropped
+const MAX_TRACKED_BUCKETS = 10000;
+
+const parseLimit = (value) => {
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+const buildConfig = () => ({
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  burst: parseLimit(process.env.RATE_LIMIT_BURST) || 20,
+  refillPerSecond: parseLimit(process.env.RATE_LIMIT_PER_SECOND) || 2,
+  // Runs of this server's own simulator send every session from one address; sized
+  // for the shipped load profiles (the spike peaks at ~40 requests/s)
+  simulation: {
+    burst: parseLimit(process.env.SIMULATION_RATE_LIMIT_BURST) || 300,
+    refillPerSecond: parseLimit(process.env.SIMULATION_RATE_LIMIT_PER_SECOND) || 60
+  },
+  // Daily LLM quotas (UTC day); null means unlimited
+  quotas: {
+    client: {
+      tokens: parseLimit(process.env.QUOTA_DAILY_TOKENS),
+      cost_usd: parseLimit(process.env.QUOTA_DAILY_COST_USD)
+    },
+    global: {
+      tokens: parseLimit(process.env.QUOTA_GLOBAL_DAILY_TOKENS),
+      cost_usd: parseLimit(process.env.QUOTA_GLOBAL_DAILY_COST_USD)
+    }
+  }
+});
+
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+const msUntilUtcMidnight = () => {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime();
+};
+
+// Per-client token buckets for request rate plus daily LLM token/cost quotas.
+// Clients are identified by tenant (verified API key), otherwise by IP; an
+// X-Simulator-Session gets its own bucket nested inside its IP's bucket.
+// Simulations this server runs sign their requests and share a larger budget.
+class RateLimitService {
+  constructor() {
+    this.config = buildConfig();
+    this.buckets = new Map();
+    this.usageDay = utcDay();
+    this.usage = new Map();
+    this.globalUsage = { tokens: 0, cost_usd: 0 };
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  // Bucket spec with the default size and refill rate unless `limits` overrides them
+  bucket(id, limits = this.config) {
+    return { id, burst: limits.burst, refillPerSecond: limits.refillPerSecond };
+  }
+
+  /**
+   * Client for a request: { type, id, buckets }. `id` is what quotas are
+   * charged to; `buckets` lists the token buckets ({ id, burst, refillPerSecond })
+   * a request draws from, outermost first. Unverified keys and session headers
+   * are free to invent, so they never get a bucket that bypasses the IP's.
+   */
+  identifyClient(req) {
+    const tenantId = req.tenant && req.tenant.authenticated ? `tenant:${req.tenant.id}` : null;
+    const session = req.get('X-Simulator-Session');
+    const withSession = (outer) => session
+      ? [outer, this.bucket(`${outer.id}/session:${session.slice(0, 100)}`)]
+      : [outer];
+
+    const simulationId = apiKeyService.verifySimulationToken(req.get('X-Simulation-Token'));
+    if (simulationId) {
+      const id = `simulation:${simulationId}`;
+      return { type: 'simulation', id: tenantId || id, buckets: withSession(this.bucket(id, this.config.simulation)) };
+    }
+
+    if (tenantId) {
+      return { type: 'tenant', id: tenantId, buckets: [this.bucket(tenantId)] };
+    }
+
+    const id = `ip:${req.ip}`;
+    return { type: session ? 'simulator_session' : 'ip', id, buckets: withSession(this.bucket(id)) };
+  }
+
+  getBucket({ id, burst, refillPerSecond }, now) {
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      if (this.buckets.size >= MAX_TRACKED_BUCKETS) this.pruneBuckets(now);
+      bucket = { tokens: burst, updatedAt: now, burst, refillPerSecond };
+      this.buckets.set(id, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Take one token from each of the client's buckets, or from none of them
+   * if any is empty. Returns the X-RateLimit-* values of the emptiest bucket
+   * and, when refused, how long until every bucket has a token.
+   */
+  take(bucketSpecs, now = Date.now()) {
+    const buckets = bucketSpecs.map(spec => this.getBucket(spec, now));
+
+    const allowed = buckets.every(bucket => bucket.tokens >= 1);
+    if (allowed) buckets.forEach(bucket => { bucket.tokens -= 1; });
+
+    const emptiest = buckets.reduce((min, bucket) => (bucket.tokens < min.tokens ? bucket : min));
+    const { tokens, burst, refillPerSecond } = emptiest;
+    return {
+      allowed,
+      limit: burst,
+      remaining: Math.floor(tokens),
+      resetMs: (burst - tokens) / refillPerSecond * 1000,
+      retryAfterMs: allowed ? 0 : Math.max(...buckets.map(bucket => Math.max(0, 1 - bucket.tokens) / bucket.refillPerSecond * 1000))
+    };
+  }
+
+  pruneBuckets(now) {
+    for (const [id, bucket] of this.buckets) {
+      if (now - bucket.updatedAt >= bucket.burst / bucket.refillPerSecond * 1000) this.buckets.delete(id);
+    }
+  }
+
+  // Usage counters start over each UTC day
+  rollUsageDay() {
+    const today = utcDay();
+    if (today !== this.usageDay) {
+      this.usageDay = today;
+      this.usage.clear();
+      this.globalUsage = { tokens: 0, cost_usd: 0 };
+    }
+  }
+
+  /**
+   * The first daily quota the client (or everyone together) has used up, as
+   * { scope, metric, limit, used, retryAfterMs }, or null while within quota.
+   */
+  checkQuota(clientId) {
+    this.rollUsageDay();
+    const scopes = [
+      ['client', this.usage.get(clientId) || { tokens: 0, cost_usd: 0 }],
+      ['global', this.globalUsage]
+    ];
+
+    for (const [scope, used] of scopes) {
+      for (const metric of ['tokens', 'cost_usd']) {
+        const limit = this.config.quotas[scope][metric];
+        if (limit !== null && used[metric] >= limit) {
+          return { scope, metric, limit, used: used[metric], retryAfterMs: msUntilUtcMidnight() };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Charge an analysis' LLM usage to the client and the global total
+  recordUsage(clientId, { total_tokens = 0, cost_usd = 0 } = {}) {
+    this.rollUsageDay();
+    if (!this.usage.has(clientId)) {
+      this.usage.set(clientId, { tokens: 0, cost_usd: 0 });
+    }
+    [this.usage.get(clientId), this.globalUsage].forEach(used => {
+      used.tokens += total_tokens || 0;
+      used.cost_usd += cost_usd || 0;
+    });
+  }
+}
+
+const rateLimitService = new RateLimitService();
+
+module.exports = {
+  isEnabled: rateLimitService.isEnabled.bind(rateLimitService),
+  identifyClient: rateLimitService.identifyClient.bind(rateLimitService),
+  take: rateLimitService.take.bind(rateLimitService),
+  checkQuota: rateLimitService.checkQuota.bind(rateLimitService),
+  recordUsage: rateLimitService.recordUsage.bind(rateLimitService)
+};
@@ -0,0 +1,174 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RATE_LIMIT_BURST = '3';
+process.env.RATE_LIMIT_PER_SECOND = '1';
+const rateLimitService = require('./rateLimitService');
+const apiKeyService = require('./apiKeyService');
+const { resolveProfile, getRateAt } = require('./loadProfileService');
+const { listBehaviors } = require('./behaviorService');
+const { createRandom, randomInt } = require('../utils/random');
+
+// Only what identifyClient reads from an Express request
+const fakeRequest = ({ ip = '203.0.113.7', tenant = { id: 'public', authenticated: false }, headers = {} } = {}) => ({
+  ip,
+  tenant,
+  get: (name) => headers[name]
+});
+
+describe('identifyClient', () => {
+  test('uses the tenant bucket only for verified keys', () => {
+    assert.deepEqual(
+      rateLimitService.identifyClient(fakeRequest({ tenant: { id: 'acme', authenticated: true } })),
+      { type: 'tenant', id: 'tenant:acme', buckets: [{ id: 'tenant:acme', burst: 3, refillPerSecond: 1 }] }
+    );
+    assert.deepEqual(
+      rateLimitService.identifyClient(fakeRequest({ tenant: { id: 'public', authenticated: false, invalidKey: true }, headers: { 'X-API-Key': 'made-up' } })),
+      { type: 'ip', id: 'ip:203.0.113.7', buckets: [{ id: 'ip:203.0.113.7', burst: 3, refillPerSecond: 1 }] }
+    );
+  });
+
+  test('nests a simulator session under its IP', () => {
+    assert.deepEqual(
+      rateLimitService.identifyClient(fakeRequest({ headers: { 'X-Simulator-Session': 'abc' } })),
+      {
+        type: 'simulator_session',
+        id: 'ip:203.0.113.7',
+        buckets: [
+          { id: 'ip:203.0.113.7', burst: 3, refillPerSecond: 1 },
+          { id: 'ip:203.0.113.7/session:abc', burst: 3, refillPerSecond: 1 }
+        ]
+      }
+    );
+  });
+
+  test('gives signed simulation runs their own budget', () => {
+    const token = apiKeyService.createSimulationToken('sim_1');
+    assert.deepEqual(
+      rateLimitService.identifyClient(fakeRequest({ headers: { 'X-Simulation-Token': token, 'X-Simulator-Session': 'abc' } })),
+      {
+        type: 'simulation',
+        id: 'simulation:sim_1',
+        buckets: [
+          { id: 'simulation:sim_1', burst: 300, refillPerSecond: 60 },
+          { id: 'simulation:sim_1/session:abc', burst: 3, refillPerSecond: 1 }
+        ]
+      }
+    );
+    // Quotas still go to the tenant that started the run
+    assert.equal(
+      rateLimitService.identifyClient(fakeRequest({ tenant: { id: 'acme', authenticated: true }, headers: { 'X-Simulation-Token': token } })).id,
+      'tenant:acme'
+    );
+  });
+
+  test('ignores forged simulation tokens', () => {
+    const forged = `sim_2.${apiKeyService.createSimulationToken('sim_1').split('.')[1]}`;
+    assert.equal(rateLimitService.identifyClient(fakeRequest({ headers: { 'X-Simulation-Token': forged } })).type, 'ip');
+  });
+});
+
+describe('take', () => {
+  let clock = 0;
+  // Each test gets buckets no other test has touched
+  let prefix;
+  const bucket = (id) => ({ id, burst: 3, refillPerSecond: 1 });
+  beforeEach(() => {
+    clock += 1000000;
+    prefix = `test-${clock}`;
+  });
+
+  test('allows a burst, then refills at the configured rate', () => {
+    const client = [bucket(`${prefix}:client`)];
+    [2, 1, 0].forEach(remaining => {
+      const result = rateLimitService.take(client, clock);
+      assert.equal(result.allowed, true);
+      assert.equal(result.remaining, remaining);
+      assert.equal(result.limit, 3);
+    });
+
+    const refused = rateLimitService.take(client, clock);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfterMs, 1000);
+    assert.equal(refused.resetMs, 3000);
+
+    assert.equal(rateLimitService.take(client, clock + 500).allowed, false);
+    assert.equal(rateLimitService.take(client, clock + 1000).allowed, true);
+  });
+
+  test('never refills past the burst size', () => {
+    const client = [bucket(`${prefix}:client`)];
+    rateLimitService.take(client, clock);
+    assert.equal(rateLimitService.take(client, clock + 60000).remaining, 2);
+  });
+
+  test('new sessions from one IP share the IP bucket', () => {
+    const ip = bucket(`${prefix}:ip`);
+    for (let i = 0; i < 3; i++) {
+      assert.equal(rateLimitService.take([ip, bucket(`${ip.id}/session:${i}`)], clock).allowed, true);
+    }
+    const refused = rateLimitService.take([ip, bucket(`${ip.id}/session:fresh`)], clock);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.remaining, 0);
+  });
+
+  test('an empty session bucket refuses without charging the IP bucket', () => {
+    const ip = bucket(`${prefix}:ip`);
+    const session = bucket(`${ip.id}/session:busy`);
+    [1, 2, 3].forEach(() => rateLimitService.take([session], clock));
+
+    assert.equal(rateLimitService.take([ip, session], clock).allowed, false);
+    assert.equal(rateLimitService.take([ip], clock).remaining, 2);
+  });
+});
+
+// Replays a shipped profile the way simulatorService runs it (arrivals every
+// 100ms tick, weighted behaviors, think time between requests) with instant
+// responses, returning each request's time and session
+const replayProfile = (name) => {
+  const profile = resolveProfile(name);
+  const behaviors = listBehaviors();
+  const totalWeight = behaviors.reduce((sum, behavior) => sum + behavior.weight, 0);
+  const random = createRandom(name);
+  const requests = [];
+
+  let pending = 0;
+  let sessionIndex = 0;
+  for (let elapsed = 0; elapsed < profile.durationMs; elapsed += 100) {
+    for (pending += getRateAt(profile, elapsed) / 10; pending >= 1; pending--) {
+      let pick = random() * totalWeight;
+      const behavior = behaviors.find(candidate => (pick -= candidate.weight) < 0) || behaviors[behaviors.length - 1];
+      const length = profile.requestsPerSession || randomInt(random, behavior.sessionLength.min, behavior.sessionLength.max);
+      const session = `session_${sessionIndex++}`;
+      for (let i = 0, at = elapsed; i < length; i++) {
+        requests.push({ at, session });
+        at += randomInt(random, behavior.requestDelay.min, behavior.requestDelay.max);
+      }
+    }
+  }
+  return requests.sort((a, b) => a.at - b.at);
+};
+
+describe('shipped load profiles', () => {
+  const start = 1e12;
+
+  for (const name of ['ramp', 'spike', 'step']) {
+    test(`${name} runs within a simulation's budget`, () => {
+      const token = apiKeyService.createSimulationToken(`sim_${name}`);
+      const rejected = replayProfile(name).filter(({ at, session }) => {
+        const client = rateLimitService.identifyClient(fakeRequest({
+          headers: { 'X-Simulation-Token': token, 'X-Simulator-Session': session }
+        }));
+        return !rateLimitService.take(client.buckets, start + at).allowed;
+      });
+      assert.equal(rejected.length, 0);
+    });
+  }
+
+  test('would be throttled sharing one IP bucket at the default limits', () => {
+    const ip = { id: 'ip:replay', burst: 20, refillPerSecond: 2 };
+    const requests = replayProfile('spike');
+    const rejected = requests.filter(({ at }) => !rateLimitService.take([ip], start * 2 + at).allowed);
+    assert.ok(rejected.length > requests.length / 2);
+  });
+});
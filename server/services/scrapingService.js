@@ -1,9 +1,20 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { simulateDelay, simulateError } = require('../utils/demoUtils');
+const dns = require('dns');
+const net = require('net');
+const { nextRandom } = require('../utils/random');
+const chaosService = require('./chaosService');
 const { Sentry, createSpan, finishSpan } = require('../middleware/sentry');
+const { getExtractor } = require('./extractors');
+const { hostMatchesDomain, isPrivateAddress } = require('../utils/urlUtils');
+const { createLogger } = require('../utils/logger');
 
-// Mock product data for demo purposes (since actual scraping would be complex)
+const log = createLogger('scraping');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+const MAX_REDIRECTS = 5;
+
+// Mock product data, used when SCRAPING_MODE=mock (offline demos, simulator load)
 const MOCK_PRODUCT_DATA = {
   'amazon.com': {
     title: 'Wireless Noise-Cancelling Headphones',
@@ -46,69 +57,222 @@ const MOCK_PRODUCT_DATA = {
   }
 };
 
+// Live fetches are opt-in, so an unconfigured deploy makes no outbound requests
+const getScrapingMode = () => (process.env.SCRAPING_MODE || 'mock').toLowerCase();
+
+// Mock scraping: pick canned data by hostname and add some price variability
+const scrapeMockProduct = async (url) => {
+  // Injected scraping delay and occasional failures (see chaosService)
+  await chaosService.injectLatency('scraping');
+  chaosService.injectError('scraping');
+
+  // Determine which mock data to use based on URL
+  let mockData;
+  const parsedUrl = new URL(url);
+  const domain = parsedUrl.hostname.toLowerCase();
+  
+  if (domain.includes('amazon')) {
+    mockData = MOCK_PRODUCT_DATA['amazon.com'];
+  } else if (domain.includes('walmart')) {
+    mockData = MOCK_PRODUCT_DATA['walmart.com'];
+  } else if (domain.includes('target')) {
+    mockData = MOCK_PRODUCT_DATA['target.com'];
+  } else {
+    // Default fallback data
+    mockData = {
+      ...MOCK_PRODUCT_DATA['amazon.com'],
+      title: 'Generic Product',
+      price: '$' + (nextRandom() * 500 + 50).toFixed(2),
+      rating: (nextRandom() * 2 + 3).toFixed(1),
+      reviewCount: Math.floor(nextRandom() * 5000 + 100).toLocaleString()
+    };
+  }
+
+  // Add some variability to the data
+  const priceVariation = (nextRandom() - 0.5) * 0.2; // ±10% price variation
+  const basePrice = parseFloat(mockData.price.replace('$', ''));
+  const newPrice = basePrice * (1 + priceVariation);
+
+  return {
+    data: {
+      ...mockData,
+      price: '$' + newPrice.toFixed(2),
+      rawHtml: `<html><body>Mock HTML content for ${url}</body></html>`
+    },
+    extractor: 'mock',
+    userAgent: 'Demo-Scraper/1.0'
+  };
+};
+
+const createBlockedUrlError = (url, reason) => {
+  const error = new Error(`Refusing to fetch ${url}: ${reason}`);
+  error.code = 'BLOCKED_URL';
+  return error;
+};
+
+// Only http(s), and never a loopback name or a non-public IP literal (those
+// never reach the DNS lookup below)
+const assertFetchableUrl = (url) => {
+  const parsed = new URL(url);
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw createBlockedUrlError(url, `unsupported protocol ${parsed.protocol}`);
+  }
+  if (hostMatchesDomain(host, 'localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    throw createBlockedUrlError(url, 'non-public host');
+  }
+};
+
+// dns.lookup for axios that fails when a host resolves to a non-public address,
+// checked at connect time so a DNS answer cannot change between check and fetch
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(createBlockedUrlError(hostname, `resolves to non-public address ${blocked.address}`));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Fetch the product page over HTTP. Redirects are followed here rather than by
+// axios so every hop goes through the same URL and address checks.
+const fetchProductPage = async (url, transaction) => {
+  const userAgent = process.env.SCRAPING_USER_AGENT || DEFAULT_USER_AGENT;
+  const fetchSpan = createSpan(transaction, {
+    op: 'scraping.http',
+    description: `GET ${new URL(url).hostname}`
+  });
+  const fetchStart = Date.now();
+
+  try {
+    let currentUrl = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      assertFetchableUrl(currentUrl);
+      response = await axios.get(currentUrl, {
+        timeout: parseInt(process.env.SCRAPING_TIMEOUT_MS || '15000'),
+        maxContentLength: 5 * 1024 * 1024,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        lookup: publicOnlyLookup,
+        responseType: 'text',
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.9'
+        }
+      });
+      if (response.status < 300) break;
+
+      if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+        const error = new Error(response.headers.location
+          ? `More than ${MAX_REDIRECTS} redirects fetching ${url}`
+          : `Redirect without a Location header from ${currentUrl}`);
+        error.code = 'REDIRECT_FAILED';
+        error.response = response;
+        throw error;
+      }
+      currentUrl = new URL(response.headers.location, currentUrl).href;
+    }
+
+    finishSpan(fetchSpan, {
+      http_status: response.status,
+      response_bytes: Buffer.byteLength(response.data || ''),
+      fetch_duration_ms: Date.now() - fetchStart,
+      final_url: currentUrl
+    });
+
+    return { html: response.data, userAgent };
+  } catch (error) {
+    finishSpan(fetchSpan, {
+      http_status: error.response ? error.response.status : 0,
+      fetch_duration_ms: Date.now() - fetchStart,
+      error_message: error.message
+    });
+    throw error;
+  }
+};
+
+// Live scraping: fetch the page and run the store's cheerio extractor
+const scrapeLiveProduct = async (url, transaction) => {
+  const { html, userAgent } = await fetchProductPage(url, transaction);
+
+  const extractor = getExtractor(new URL(url).hostname);
+  const extractSpan = createSpan(transaction, {
+    op: 'scraping.extract',
+    description: `Extract product fields with ${extractor.name} extractor`
+  });
+
+  const { data, fallbacksUsed } = extractor.extract(cheerio.load(html), url);
+
+  if (extractSpan) {
+    extractSpan.setTag('extractor', extractor.name);
+  }
+  finishSpan(extractSpan, {
+    fields_found: Object.values(data).filter(v => (Array.isArray(v) ? v.length : v)).length,
+    fallback_fields: Object.keys(fallbacksUsed).join(',') || 'none',
+    html_bytes: Buffer.byteLength(html)
+  });
+
+  // Bot walls and non-product pages come back without a title or price
+  if (!data.title || !data.price) {
+    const error = new Error(`No product data found on page (extractor: ${extractor.name})`);
+    error.code = 'PARSING_FAILED';
+    throw error;
+  }
+
+  return {
+    data: {
+      ...data,
+      features: data.features || [],
+      rawHtmlBytes: Buffer.byteLength(html)
+    },
+    extractor: extractor.name,
+    fallbacksUsed,
+    userAgent
+  };
+};
+
 const scrapeProductPage = async (url) => {
   const startTime = Date.now();
+  const mode = getScrapingMode();
   
   // Get current transaction for creating child spans
   const transaction = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
   
+  // Create main scraping span
+  const scrapingSpan = createSpan(transaction, {
+    op: 'scraping.page',
+    description: `Scrape product page: ${url}`
+  });
+
   try {
-    // Create main scraping span
-    const scrapingSpan = createSpan(transaction, {
-      op: 'scraping.page',
-      description: `Scrape product page: ${url}`
-    });
-    
     if (scrapingSpan) {
       scrapingSpan.setTag('scraping_url', url);
-      scrapingSpan.setTag('scraping_method', 'mock_data'); // For demo purposes
+      scrapingSpan.setTag('scraping_method', mode === 'mock' ? 'mock_data' : 'live');
     }
 
-    // Simulate scraping delay
-    await simulateDelay('web_scraping', 500, 2000);
-    
-    // Simulate occasional scraping failures for demo
-    simulateError('scraping_failure', 0.08); // 8% failure rate
+    log.debug('Scraping product page', { url, mode });
 
-    console.log(`Scraping product from: ${url}`);
-    
-    // Determine which mock data to use based on URL
-    let mockData;
-    const parsedUrl = new URL(url);
-    const domain = parsedUrl.hostname.toLowerCase();
-    
-    if (domain.includes('amazon')) {
-      mockData = MOCK_PRODUCT_DATA['amazon.com'];
-    } else if (domain.includes('walmart')) {
-      mockData = MOCK_PRODUCT_DATA['walmart.com'];
-    } else if (domain.includes('target')) {
-      mockData = MOCK_PRODUCT_DATA['target.com'];
-    } else {
-      // Default fallback data
-      mockData = {
-        ...MOCK_PRODUCT_DATA['amazon.com'],
-        title: 'Generic Product',
-        price: '$' + (Math.random() * 500 + 50).toFixed(2),
-        rating: (Math.random() * 2 + 3).toFixed(1),
-        reviewCount: Math.floor(Math.random() * 5000 + 100).toLocaleString()
-      };
-    }
+    const result = mode === 'mock'
+      ? await scrapeMockProduct(url)
+      : await scrapeLiveProduct(url, transaction);
 
-    // Add some variability to the data
-    const priceVariation = (Math.random() - 0.5) * 0.2; // ±10% price variation
-    const basePrice = parseFloat(mockData.price.replace('$', ''));
-    const newPrice = basePrice * (1 + priceVariation);
-    
     const scrapedData = {
-      ...mockData,
-      price: '$' + newPrice.toFixed(2),
-      rawHtml: `<html><body>Mock HTML content for ${url}</body></html>`,
+      ...result.data,
       scrapingMetadata: {
         url: url,
         scrapedAt: new Date().toISOString(),
         duration: Date.now() - startTime,
         success: true,
-        userAgent: 'Demo-Scraper/1.0'
+        mode: mode,
+        extractor: result.extractor,
+        fallbacksUsed: result.fallbacksUsed || {},
+        userAgent: result.userAgent
       }
     };
 
@@ -127,10 +291,13 @@ const scrapeProductPage = async (url) => {
       validation_success: missingFields.length === 0
     });
 
+    if (scrapingSpan) {
+      scrapingSpan.setTag('extractor', result.extractor);
+    }
     finishSpan(scrapingSpan, {
       scraping_duration_ms: Date.now() - startTime,
       product_title: scrapedData.title,
-      product_price: newPrice,
+      product_price: parseFloat(scrapedData.price.replace(/[^0-9.]/g, '')),
       data_completeness_score: ((requiredFields.length - missingFields.length) / requiredFields.length * 100),
       scraping_success: true
     });
@@ -144,28 +311,36 @@ const scrapeProductPage = async (url) => {
         url: url,
         productTitle: scrapedData.title,
         duration: Date.now() - startTime,
-        dataFields: Object.keys(scrapedData).length
+        dataFields: Object.keys(scrapedData).length,
+        mode: mode,
+        extractor: result.extractor
       }
     });
 
-    console.log(`Successfully scraped product: ${scrapedData.title}`);
+    log.debug('Scraped product page', { url, title: scrapedData.title });
     return scrapedData;
 
   } catch (error) {
-    console.error('Scraping failed:', error);
+    log.error('Scraping failed', { url, error });
     
     const scrapingDuration = Date.now() - startTime;
+    if (scrapingSpan) {
+      scrapingSpan.setStatus('internal_error');
+    }
+    finishSpan(scrapingSpan, { scraping_duration_ms: scrapingDuration, scraping_success: false });
     
     // Capture scraping error in Sentry
     Sentry.captureException(error, {
       tags: {
         error_type: 'scraping_failed',
-        scraping_stage: 'page_fetch',
+        scraping_stage: error.code === 'PARSING_FAILED' ? 'extract' : 'page_fetch',
+        scraping_mode: mode,
         target_url: url
       },
       extra: {
         url: url,
         scraping_duration_ms: scrapingDuration,
+        http_status: error.response ? error.response.status : undefined,
         error_details: error.message
       },
       level: 'error'
@@ -195,9 +370,7 @@ const validateUrl = (url) => {
       'etsy.com', 'shopify.com', 'aliexpress.com'
     ];
     
-    const isSupported = supportedDomains.some(domain => 
-      parsedUrl.hostname.includes(domain)
-    );
+    const isSupported = supportedDomains.some(domain => hostMatchesDomain(parsedUrl.hostname, domain));
     
     // Add validation breadcrumb
     Sentry.addBreadcrumb({
@@ -0,0 +1,83 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const scrapingService = require('./scrapingService');
+const chaosService = require('./chaosService');
+const { createRandom, runWithRandom } = require('../utils/random');
+
+// Live mode must never reach the server's own network, whatever the URL says
+describe('scrapeProductPage (live) outbound fetch checks', () => {
+  let server;
+  let port;
+  let requests = 0;
+  const previousMode = process.env.SCRAPING_MODE;
+
+  before(async () => {
+    process.env.SCRAPING_MODE = 'live';
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end('<html><head><meta property="og:title" content="Internal"><meta property="product:price:amount" content="1"></head></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.close();
+    if (previousMode === undefined) delete process.env.SCRAPING_MODE;
+    else process.env.SCRAPING_MODE = previousMode;
+  });
+
+  const assertBlocked = async (url) => {
+    await assert.rejects(scrapingService.scrapeProductPage(url), (error) => {
+      assert.equal(error.code, 'SCRAPING_FAILED');
+      assert.equal(error.originalError.code, 'BLOCKED_URL');
+      return true;
+    });
+  };
+
+  test('refuses loopback, private and link-local IP literals', async () => {
+    await assertBlocked(`http://127.0.0.1:${port}/`);
+    await assertBlocked(`http://[::ffff:127.0.0.1]:${port}/`);
+    await assertBlocked('http://10.0.0.8/');
+    await assertBlocked('http://169.254.169.254/latest/meta-data/');
+    assert.equal(requests, 0);
+  });
+
+  test('refuses hosts that resolve to loopback', async () => {
+    await assertBlocked(`http://localhost:${port}/`);
+    assert.equal(requests, 0);
+  });
+
+  test('refuses non-http protocols', async () => {
+    await assertBlocked('file:///etc/passwd');
+  });
+});
+
+describe('scrapeProductPage (mock)', () => {
+  // No injected latency or failures
+  before(() => chaosService.updateConfig({ enabled: false }));
+  after(() => chaosService.reset());
+
+  test('is the default mode and returns canned data for the store', async () => {
+    const previousMode = process.env.SCRAPING_MODE;
+    delete process.env.SCRAPING_MODE;
+    try {
+      const data = await scrapingService.scrapeProductPage('https://www.walmart.com/ip/123');
+      assert.equal(data.scrapingMetadata.mode, 'mock');
+      assert.equal(data.title, 'Smart TV 55-inch 4K Ultra HD');
+    } finally {
+      if (previousMode !== undefined) process.env.SCRAPING_MODE = previousMode;
+    }
+  });
+
+  test('replays the same mock price and rating for the same request seed', async () => {
+    const scrape = (seed) => runWithRandom(createRandom(seed), async () => {
+      const { price, rating, reviewCount } = await scrapingService.scrapeProductPage('https://www.amazon.com/dp/B08N5WRWNW');
+      return { price, rating, reviewCount };
+    });
+
+    assert.deepEqual(await scrape('run-1:session:0'), await scrape('run-1:session:0'));
+    assert.notDeepEqual(await scrape('run-1:session:0'), await scrape('run-1:session:1'));
+  });
+});
@@ -1,8 +1,24 @@
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const { Sentry, createSpan, finishSpan } = require('../middleware/sentry');
+const { createRandom, randomInt, deriveSeed } = require('../utils/random');
+const { getRateAt } = require('./loadProfileService');
+const behaviorService = require('./behaviorService');
+const { PUBLIC_TENANT, createSimulationToken } = require('./apiKeyService');
+const LatencyHistogram = require('../utils/latencyHistogram');
+const RollingTimeSeries = require('../utils/rollingTimeSeries');
+const metricsService = require('./metricsService');
+const { createLogger, runWithLogContext } = require('../utils/logger');
 
-// Sample URLs for simulation
+const log = createLogger('simulator');
+
+// Where simulated users send their requests unless a run overrides baseUrl
+const DEFAULT_TARGET_URL = process.env.SIMULATOR_TARGET_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+// How often profile runs re-evaluate the arrival rate
+const PROFILE_TICK_MS = 100;
+
+// Sample URLs for simulation, used by behaviors without their own URL pool
 const SAMPLE_URLS = [
   'https://www.amazon.com/dp/B08N5WRWNW', // Wireless Headphones
   'https://www.amazon.com/dp/B07XJ8C8F7', // Smart Watch
@@ -16,41 +32,15 @@ const SAMPLE_URLS = [
   'https://www.etsy.com/listing/777888/handmade-item'
 ];
 
-// User behavior patterns for realistic simulation
-const USER_BEHAVIORS = [
-  {
-    name: 'Quick Browser',
-    weight: 0.3,
-    sessionLength: { min: 2, max: 5 },
-    requestDelay: { min: 500, max: 1500 },
-    errorTolerance: 0.8 // Will retry on errors
-  },
-  {
-    name: 'Thorough Researcher', 
-    weight: 0.4,
-    sessionLength: { min: 8, max: 15 },
-    requestDelay: { min: 2000, max: 5000 },
-    errorTolerance: 0.9 // High retry rate
-  },
-  {
-    name: 'Casual User',
-    weight: 0.2,
-    sessionLength: { min: 3, max: 8 },
-    requestDelay: { min: 1000, max: 3000 },
-    errorTolerance: 0.6 // Medium retry rate
-  },
-  {
-    name: 'Impatient User',
-    weight: 0.1,
-    sessionLength: { min: 1, max: 3 },
-    requestDelay: { min: 200, max: 800 },
-    errorTolerance: 0.3 // Low retry rate, gives up quickly
-  }
-];
-
 class SimulatorService {
   constructor() {
-    this.activeSimulations = new Map();
+    // Running and finished simulations by id; finished runs are kept (up to
+    // SIMULATION_HISTORY_LIMIT) so their final statistics stay queryable
+    this.simulations = new Map();
+    this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_SIMULATIONS || '5');
+    this.historyLimit = parseInt(process.env.SIMULATION_HISTORY_LIMIT || '50');
+    // Seconds of per-second throughput/error-rate points kept per simulation
+    this.timeSeriesSeconds = parseInt(process.env.SIMULATION_TIMESERIES_SECONDS || '300');
     this.statistics = {
       totalSessions: 0,
       completedSessions: 0,
@@ -62,29 +52,104 @@ class SimulatorService {
     };
   }
 
-  async startSimulation({ sessions, delay }) {
+  /**
+   * Start a simulation in the background. Besides `sessions` and `delay` (ms
+   * between session starts), runs can set `baseUrl` (target API), `concurrency`
+   * (max sessions in flight), `durationMs` (stop after this long, whichever of
+   * sessions/duration comes first), `behaviorMix` ({ behavior key: weight };
+   * default is every registered behavior at its own weight),
+   * `seed` (replays the same sessions, URLs, think times and, via the
+   * X-Simulation-Seed header, the API's injected delays and errors), `quiet` and `recordRequests` (keep a
+   * per-request log for reports). `simulation.completion` resolves when it ends.
+   * Runs belong to a `tenant`; an `apiKey` is sent with every simulated request
+   * (so they count as that tenant's traffic) and is never reported back.
+   *
+   * With a compiled load `profile` (see loadProfileService) sessions arrive at
+   * the profile's rate instead of every `delay` ms, and the run lasts as long
+   * as the profile; `sessions` is then only the expected count.
+   */
+  async startSimulation({
+    sessions,
+    delay,
+    name,
+    baseUrl = DEFAULT_TARGET_URL,
+    concurrency = null,
+    durationMs = null,
+    behaviorMix = null,
+    seed = null,
+    quiet = false,
+    recordRequests = false,
+    profile = null,
+    tenant = PUBLIC_TENANT,
+    apiKey = null
+  }) {
+    if (this.getRunningCount() >= this.maxConcurrent) {
+      const error = new Error(`At most ${this.maxConcurrent} simulations can run at once`);
+      error.code = 'SIMULATION_LIMIT_REACHED';
+      throw error;
+    }
+
     const simulationId = uuidv4();
     const startTime = new Date();
     
     const simulation = {
       id: simulationId,
+      name: name || `simulation-${simulationId.slice(0, 8)}`,
+      tenant: tenant,
+      apiKey: apiKey,
+      status: 'running',
       isRunning: true,
       startTime: startTime,
+      endTime: null,
       sessions: sessions,
       delay: delay,
+      baseUrl: baseUrl.replace(/\/+$/, ''),
+      concurrency: concurrency,
+      durationMs: profile ? profile.durationMs : durationMs,
+      seed: seed,
+      quiet: quiet,
+      behaviors: this.buildBehaviorMix(behaviorMix || (profile && profile.behaviorMix), tenant),
+      profile: profile,
+      arrivals: 0,
+      skippedArrivals: 0,
+      currentRate: null,
+      activeSessions: 0,
+      requestLog: recordRequests ? [] : null,
       completed: 0,
       failed: 0,
       statistics: {
         totalRequests: 0,
         successfulRequests: 0,
         failedRequests: 0,
-        responseTimes: [],
-        sessionDurations: [],
-        errorCounts: {}
+        errorCounts: {},
+        byBehavior: {},
+        // Response times by dimension (see recordLatency); histograms keep no raw values
+        latency: {
+          overall: new LatencyHistogram(),
+          byStore: {},
+          byBehavior: {},
+          byOutcome: {}
+        },
+        sessionDurations: new LatencyHistogram(),
+        timeSeries: new RollingTimeSeries(this.timeSeriesSeconds)
       }
     };
+    simulation.behaviors.forEach(behavior => {
+      simulation.statistics.byBehavior[behavior.key] = {
+        sessions: 0,
+        completedSessions: 0,
+        failedSessions: 0,
+        abandonedSessions: 0,
+        totalRequests: 0,
+        successfulRequests: 0,
+        failedRequests: 0,
+        retries: 0
+      };
+    });
 
-    this.activeSimulations.set(simulationId, simulation);
+    this.simulations.set(simulationId, simulation);
+    this.pruneFinishedSimulations();
+    metricsService.setGauge('simulations_active', this.getRunningCount());
 
     // Create Sentry transaction for the entire simulation
     const transaction = Sentry.startTransaction({
@@ -93,19 +158,28 @@ class SimulatorService {
     });
     
     transaction.setTag('simulation_id', simulationId);
+    transaction.setTag('simulation_name', simulation.name);
+    transaction.setTag('tenant', tenant);
     transaction.setTag('total_sessions', sessions.toString());
     transaction.setTag('session_delay', delay.toString());
+    transaction.setTag('load_profile', profile ? profile.name : 'none');
+    if (this.hasSeed(simulation)) {
+      transaction.setTag('simulation_seed', String(seed));
+    }
     transaction.setContext('simulation', {
       id: simulationId,
+      name: simulation.name,
       sessions: sessions,
       delay: delay,
+      profile: profile ? { name: profile.name, type: profile.type, stages: profile.stages } : null,
       startTime: startTime.toISOString()
     });
 
     // Start the simulation in the background
-    this.runSimulation(simulation, transaction).catch(error => {
-      console.error('❌ Simulation error:', error);
-      simulation.isRunning = false;
+    // Everything logged by the run carries its simulation_id
+    simulation.completion = runWithLogContext({ simulation_id: simulationId }, () => this.runSimulation(simulation, transaction)).catch(error => {
+      log.error('Simulation failed', { simulation_id: simulationId, error });
+      this.finishSimulation(simulation, 'failed');
       
       Sentry.captureException(error, {
         tags: {
@@ -121,73 +195,268 @@ class SimulatorService {
     return simulation;
   }
 
-  async stopSimulation(simulationId) {
-    const simulation = this.activeSimulations.get(simulationId);
+  async stopSimulation(simulationId, tenant = null) {
+    const simulation = this.simulations.get(simulationId);
     
-    if (!simulation) {
-      throw new Error('Simulation not found');
+    if (!simulation || !this.isVisible(simulation, tenant)) {
+      const error = new Error('Simulation not found');
+      error.code = 'SIMULATION_NOT_FOUND';
+      throw error;
     }
 
+    if (!simulation.isRunning) {
+      const error = new Error(`Simulation is already ${simulation.status}`);
+      error.code = 'SIMULATION_NOT_RUNNING';
+      throw error;
+    }
+
+    // In-flight sessions see isRunning=false and wind down; the run stays queryable
+    this.finishSimulation(simulation, 'stopped');
+
+    return { statistics: this.buildStatistics(simulation) };
+  }
+
+  // Mark a run as finished (completed, stopped or failed) once; later calls are no-ops
+  finishSimulation(simulation, status) {
+    if (!simulation.isRunning) return;
     simulation.isRunning = false;
-    
-    const statistics = {
-      duration: new Date() - simulation.startTime,
-      completed: simulation.completed,
-      failed: simulation.failed,
+    simulation.status = status;
+    simulation.endTime = new Date();
+    metricsService.setGauge('simulations_active', this.getRunningCount());
+  }
+
+  // Drop the oldest finished runs beyond the history limit
+  pruneFinishedSimulations() {
+    const finished = Array.from(this.simulations.values()).filter(s => !s.isRunning);
+    finished
+      .slice(0, Math.max(0, finished.length - this.historyLimit))
+      .forEach(s => this.simulations.delete(s.id));
+  }
+
+  getRunningCount() {
+    return Array.from(this.simulations.values()).filter(s => s.isRunning).length;
+  }
+
+  buildStatistics(simulation) {
+    return {
+      durationMs: (simulation.endTime || new Date()) - simulation.startTime,
+      completedSessions: simulation.completed,
+      failedSessions: simulation.failed,
       totalRequests: simulation.statistics.totalRequests,
       successfulRequests: simulation.statistics.successfulRequests,
       failedRequests: simulation.statistics.failedRequests,
-      avgResponseTime: this.calculateAvgResponseTime(simulation.statistics.responseTimes)
+      avgResponseTime: simulation.statistics.latency.overall.mean(),
+      errorBreakdown: simulation.statistics.errorCounts,
+      byBehavior: this.buildBehaviorStatistics(simulation),
+      latency: this.buildLatencyStatistics(simulation),
+      sessionDurations: simulation.statistics.sessionDurations.getSummary(),
+      peakThroughput: simulation.statistics.timeSeries.getPeakThroughput(),
+      timeSeries: simulation.statistics.timeSeries.getPoints()
+    };
+  }
+
+  buildLatencyStatistics(simulation) {
+    const { latency } = simulation.statistics;
+    const summarize = (histograms) => Object.fromEntries(
+      Object.entries(histograms).map(([key, histogram]) => [key, histogram.getSummary()])
+    );
+    return {
+      overall: latency.overall.getSummary(),
+      byStore: summarize(latency.byStore),
+      byBehavior: summarize(latency.byBehavior),
+      byOutcome: summarize(latency.byOutcome)
     };
+  }
+
+  // Record a finished request's response time overall, per store, persona and
+  // outcome (success, error, abandoned), and in the per-second series
+  recordLatency(simulation, { url, behavior, outcome, responseTime }) {
+    const { latency, timeSeries } = simulation.statistics;
+    const store = new URL(url).hostname.replace(/^www\./, '');
+    const dimensions = [
+      [latency.byStore, store],
+      [latency.byBehavior, behavior],
+      [latency.byOutcome, outcome]
+    ];
+
+    latency.overall.record(responseTime);
+    dimensions.forEach(([histograms, key]) => {
+      if (!histograms[key]) histograms[key] = new LatencyHistogram();
+      histograms[key].record(responseTime);
+    });
+    timeSeries.record({ success: outcome === 'success', responseTime });
+  }
 
-    this.activeSimulations.delete(simulationId);
-    return { statistics };
+  buildBehaviorStatistics(simulation) {
+    const byBehavior = {};
+    simulation.behaviors.forEach(behavior => {
+      const latency = simulation.statistics.latency.byBehavior[behavior.key];
+      byBehavior[behavior.key] = {
+        name: behavior.name,
+        ...simulation.statistics.byBehavior[behavior.key],
+        avgResponseTime: latency ? latency.mean() : 0,
+        p95ResponseTime: latency ? latency.percentile(95) : 0
+      };
+    });
+    return byBehavior;
   }
 
-  getSimulationStatus(simulationId) {
-    const simulation = this.activeSimulations.get(simulationId);
+  // With a tenant, simulations of other tenants are treated as missing
+  isVisible(simulation, tenant) {
+    return !tenant || simulation.tenant === tenant;
+  }
+
+  getSimulationStatus(simulationId, tenant = null) {
+    const simulation = this.simulations.get(simulationId);
     
-    if (!simulation) {
+    if (!simulation || !this.isVisible(simulation, tenant)) {
       return null;
     }
 
     return {
+      simulationId: simulation.id,
+      name: simulation.name,
+      tenant: simulation.tenant,
+      status: simulation.status,
+      isRunning: simulation.isRunning,
+      startTime: simulation.startTime,
+      endTime: simulation.endTime,
+      config: {
+        sessions: simulation.sessions,
+        delay: simulation.delay,
+        baseUrl: simulation.baseUrl,
+        concurrency: simulation.concurrency,
+        durationMs: simulation.durationMs,
+        seed: simulation.seed,
+        behaviorMix: simulation.behaviors.map(b => ({ key: b.key, weight: b.weight })),
+        profile: simulation.profile
+      },
       progress: {
         completed: simulation.completed,
+        failed: simulation.failed,
+        active: simulation.activeSessions,
         total: simulation.sessions,
-        percentage: Math.round((simulation.completed / simulation.sessions) * 100)
+        percentage: this.calculateProgress(simulation),
+        arrivals: simulation.arrivals,
+        skippedArrivals: simulation.skippedArrivals,
+        currentRate: simulation.currentRate
       },
-      statistics: {
-        totalRequests: simulation.statistics.totalRequests,
-        successfulRequests: simulation.statistics.successfulRequests,
-        failedRequests: simulation.statistics.failedRequests,
-        avgResponseTime: this.calculateAvgResponseTime(simulation.statistics.responseTimes),
-        errorBreakdown: simulation.statistics.errorCounts
-      }
+      statistics: this.buildStatistics(simulation)
     };
   }
 
+  // Share of sessions done, or of the time limit elapsed when that is further along
+  calculateProgress(simulation) {
+    if (!simulation.isRunning && simulation.status === 'completed') return 100;
+    const sessionShare = (simulation.completed + simulation.failed) / simulation.sessions;
+    const timeShare = simulation.durationMs
+      ? (Date.now() - simulation.startTime) / simulation.durationMs
+      : 0;
+    return Math.min(100, Math.round(Math.max(sessionShare, timeShare) * 100));
+  }
+
+  // Snapshot the behaviors `tenant` can use with a { behavior key: weight } mix (or
+  // their own weights) normalized to sum to 1; later registry changes don't affect the run
+  buildBehaviorMix(behaviorMix, tenant) {
+    const registered = behaviorService.listBehaviors(tenant);
+    const entries = behaviorMix
+      ? Object.entries(behaviorMix)
+      : registered.map(behavior => [behavior.key, behavior.weight]);
+    const unknown = entries.filter(([key]) => !behaviorService.getBehavior(key, tenant));
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + Number(weight), 0);
+    if (unknown.length > 0 || entries.some(([, weight]) => !(Number(weight) >= 0)) || !(totalWeight > 0)) {
+      const error = new Error(`Invalid behavior mix; behaviors: ${registered.map(b => b.key).join(', ')}`);
+      error.code = 'INVALID_BEHAVIOR_MIX';
+      throw error;
+    }
+
+    return entries
+      .filter(([, weight]) => Number(weight) > 0)
+      .map(([key, weight]) => ({
+        ...behaviorService.getBehavior(key, tenant),
+        weight: Number(weight) / totalWeight
+      }));
+  }
+
+  // Quiet runs (the CLI without --verbose) only log errors; per-request lines are debug level
+  log(simulation, level, message, fields) {
+    if (!simulation.quiet || level === 'error') {
+      log[level](message, fields);
+    }
+  }
+
+  // Running simulations first, then finished ones, newest first within each group
+  listSimulations(tenant = null) {
+    return Array.from(this.simulations.values())
+      .filter(simulation => this.isVisible(simulation, tenant))
+      .sort((a, b) => (b.isRunning - a.isRunning) || (b.startTime - a.startTime))
+      .map(simulation => this.getSimulationStatus(simulation.id));
+  }
+
+  // Most recently started simulation, for callers that don't track ids
+  getLatestSimulationId(tenant = null) {
+    let latest = null;
+    this.simulations.forEach(simulation => {
+      if (!this.isVisible(simulation, tenant)) return;
+      if (!latest || simulation.startTime >= latest.startTime) latest = simulation;
+    });
+    return latest ? latest.id : null;
+  }
+
   async runSimulation(simulation, transaction) {
-    console.log(`Starting simulation ${simulation.id} with ${simulation.sessions} sessions`);
+    this.log(simulation, 'info', `Starting simulation ${simulation.name}`, { sessions: simulation.sessions, base_url: simulation.baseUrl });
     
     const promises = [];
+    const slotWaiters = [];
+    const releaseSlot = () => {
+      simulation.activeSessions--;
+      const next = slotWaiters.shift();
+      if (next) next();
+    };
+
+    const startSession = (index) => {
+      simulation.activeSessions++;
+      simulation.arrivals++;
+      promises.push(this.simulateUserSession(simulation, index, transaction).finally(releaseSlot));
+    };
+
+    // Time-limited runs end like a completed run once the duration is up. Profile
+    // runs stop starting sessions when the profile ends but let in-flight ones finish.
+    const durationTimer = simulation.durationMs && !simulation.profile
+      ? setTimeout(() => this.finishSimulation(simulation, 'completed'), simulation.durationMs)
+      : null;
     
-    // Create all user sessions
-    for (let i = 0; i < simulation.sessions && simulation.isRunning; i++) {
-      const sessionPromise = this.simulateUserSession(simulation, i, transaction);
-      promises.push(sessionPromise);
-      
-      // Stagger session starts
-      if (i < simulation.sessions - 1) {
-        await new Promise(resolve => setTimeout(resolve, simulation.delay));
+    if (simulation.profile) {
+      await this.runProfileArrivals(simulation, startSession);
+    } else {
+      // Create all user sessions
+      for (let i = 0; i < simulation.sessions && simulation.isRunning; i++) {
+        // Respect the concurrency cap before starting another session
+        while (simulation.concurrency && simulation.activeSessions >= simulation.concurrency) {
+          await new Promise(resolve => slotWaiters.push(resolve));
+        }
+        if (!simulation.isRunning) break;
+
+        startSession(i);
+        
+        // Stagger session starts
+        if (i < simulation.sessions - 1) {
+          await new Promise(resolve => setTimeout(resolve, simulation.delay));
+        }
       }
     }
 
     // Wait for all sessions to complete
-    const results = await Promise.allSettled(promises);
+    await Promise.allSettled(promises);
+    if (durationTimer) clearTimeout(durationTimer);
     
-    simulation.isRunning = false;
-    console.log(`Simulation ${simulation.id} completed`);
+    this.finishSimulation(simulation, 'completed');
+    this.log(simulation, 'info', `Simulation ${simulation.name} ${simulation.status}`, {
+      completed_sessions: simulation.completed,
+      failed_sessions: simulation.failed,
+      total_requests: simulation.statistics.totalRequests,
+      failed_requests: simulation.statistics.failedRequests
+    });
 
     // Add final metrics to transaction
     if (transaction) {
@@ -197,18 +466,76 @@ class SimulatorService {
       transaction.setMeasurement('total_requests', simulation.statistics.totalRequests);
       transaction.setMeasurement('successful_requests', simulation.statistics.successfulRequests);
       transaction.setMeasurement('failed_requests', simulation.statistics.failedRequests);
-      transaction.setMeasurement('avg_response_time', this.calculateAvgResponseTime(simulation.statistics.responseTimes));
+      // Percentiles show the LLM tail latency an average hides
+      const latency = simulation.statistics.latency.overall;
+      transaction.setMeasurement('avg_response_time', latency.mean(), 'millisecond');
+      [50, 90, 95, 99].forEach(p => {
+        transaction.setMeasurement(`p${p}_response_time`, latency.percentile(p), 'millisecond');
+      });
+      transaction.setMeasurement('min_response_time', latency.min || 0, 'millisecond');
+      transaction.setMeasurement('max_response_time', latency.max || 0, 'millisecond');
+      transaction.setMeasurement('p95_session_duration', simulation.statistics.sessionDurations.percentile(95), 'millisecond');
+      transaction.setMeasurement('peak_throughput', simulation.statistics.timeSeries.getPeakThroughput());
+      transaction.setMeasurement('error_rate', simulation.statistics.totalRequests > 0
+        ? simulation.statistics.failedRequests / simulation.statistics.totalRequests
+        : 0, 'ratio');
+      if (simulation.profile) {
+        transaction.setMeasurement('skipped_arrivals', simulation.skippedArrivals);
+      }
       
-      transaction.setTag('simulation_completed', true);
+      transaction.setTag('simulation_completed', simulation.status === 'completed');
+      transaction.setTag('simulation_status', simulation.status);
       transaction.setStatus('ok');
       transaction.finish();
     }
   }
 
+  /**
+   * Open-model arrivals for profile runs: sessions start at the profile's rate
+   * whether or not earlier ones have finished, so slow responses pile up the way
+   * they would under real bursts. Arrivals over the concurrency cap are counted
+   * as skipped rather than delayed, keeping the offered rate intact.
+   */
+  async runProfileArrivals(simulation, startSession) {
+    const { profile } = simulation;
+    const profileStart = Date.now();
+    let lastTick = profileStart;
+    let pending = 0;
+
+    while (simulation.isRunning) {
+      const now = Date.now();
+      const elapsed = now - profileStart;
+      if (elapsed >= profile.durationMs) break;
+
+      simulation.currentRate = parseFloat(getRateAt(profile, elapsed).toFixed(2));
+      pending += simulation.currentRate * (now - lastTick) / 1000;
+      lastTick = now;
+
+      for (; pending >= 1; pending--) {
+        if (simulation.concurrency && simulation.activeSessions >= simulation.concurrency) {
+          simulation.skippedArrivals++;
+        } else {
+          startSession(simulation.arrivals);
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, PROFILE_TICK_MS));
+    }
+
+    simulation.currentRate = 0;
+  }
+
   async simulateUserSession(simulation, sessionIndex, parentTransaction) {
     const sessionStartTime = Date.now();
-    const userBehavior = this.selectUserBehavior();
+    // Each session draws from its own stream so seeded runs replay the same
+    // sessions however their requests interleave
+    const random = this.hasSeed(simulation)
+      ? createRandom(deriveSeed(simulation.seed, 'session', sessionIndex))
+      : Math.random;
+    const userBehavior = this.selectUserBehavior(simulation, random);
+    const behaviorStats = simulation.statistics.byBehavior[userBehavior.key];
     const sessionId = `session_${sessionIndex}_${Date.now()}`;
+    behaviorStats.sessions++;
     
     // Create a ROOT transaction for this session so it gets its own trace id
     const sessionTransaction = Sentry.startTransaction({
@@ -225,34 +552,42 @@ class SimulatorService {
     
     sessionTransaction.setTag('session_index', sessionIndex.toString());
     sessionTransaction.setTag('user_behavior', userBehavior.name);
+    sessionTransaction.setTag('user_behavior_key', userBehavior.key);
     sessionTransaction.setTag('session_id', sessionId);
     
-    console.log(`Starting ${userBehavior.name} session ${sessionIndex + 1}/${simulation.sessions}`);
+    this.log(simulation, 'debug', `Starting ${userBehavior.name} session ${sessionIndex + 1}/${simulation.sessions}`, { session_id: sessionId });
+
+    const session = {
+      id: sessionId,
+      index: sessionIndex,
+      behavior: userBehavior,
+      transaction: sessionTransaction,
+      random: random,
+      requestIndex: 0
+    };
     
     try {
-      const sessionLength = Math.floor(
-        Math.random() * (userBehavior.sessionLength.max - userBehavior.sessionLength.min) + 
-        userBehavior.sessionLength.min
-      );
+      const sessionLength = simulation.profile?.requestsPerSession ||
+        randomInt(random, userBehavior.sessionLength.min, userBehavior.sessionLength.max);
 
       // Spans do not support setMeasurement; use setData instead
       sessionTransaction.setData('planned_requests', sessionLength);
 
       // Simulate user requests in this session
       for (let req = 0; req < sessionLength && simulation.isRunning; req++) {
-        await this.simulateUserRequest(simulation, userBehavior, sessionId, sessionTransaction);
+        session.requestIndex = req;
+        await this.simulateUserRequest(simulation, session);
         
         // Wait between requests (user thinking time)
-        const thinkTime = Math.floor(
-          Math.random() * (userBehavior.requestDelay.max - userBehavior.requestDelay.min) + 
-          userBehavior.requestDelay.min
-        );
+        if (req === sessionLength - 1) break;
+        const thinkTime = randomInt(random, userBehavior.requestDelay.min, userBehavior.requestDelay.max);
         await new Promise(resolve => setTimeout(resolve, thinkTime));
       }
 
       simulation.completed++;
+      behaviorStats.completedSessions++;
       const sessionDuration = Date.now() - sessionStartTime;
-      simulation.statistics.sessionDurations.push(sessionDuration);
+      simulation.statistics.sessionDurations.record(sessionDuration);
       
       sessionTransaction.setData('session_duration_ms', sessionDuration);
       sessionTransaction.setTag('session_completed', true);
@@ -261,11 +596,13 @@ class SimulatorService {
       try { Sentry.getCurrentHub().configureScope(scope => scope.setSpan(undefined)); } catch (_) {}
       
     } catch (error) {
-      console.error(`❌ Session ${sessionIndex} failed:`, error.message);
+      this.log(simulation, 'warn', `${userBehavior.name} session ${sessionIndex + 1} failed`, { session_id: sessionId, error });
       simulation.failed++;
+      behaviorStats.failedSessions++;
+      if (error.abandoned) behaviorStats.abandonedSessions++;
       
-      // Track error types
-      const errorType = error.code || 'UNKNOWN_ERROR';
+      // Track error types (the API's error code when it answered, else the transport's)
+      const errorType = error.abandoned ? 'REQUEST_ABANDONED' : (error.response?.data?.code || error.code || 'UNKNOWN_ERROR');
       simulation.statistics.errorCounts[errorType] = 
         (simulation.statistics.errorCounts[errorType] || 0) + 1;
 
@@ -277,9 +614,11 @@ class SimulatorService {
     }
   }
 
-  async simulateUserRequest(simulation, userBehavior, sessionId, sessionTransaction) {
+  async simulateUserRequest(simulation, session, attempt = 1) {
+    const { id: sessionId, behavior: userBehavior, transaction: sessionTransaction, random } = session;
     const startTime = Date.now();
-    const url = this.getRandomUrl();
+    const url = this.getRandomUrl(userBehavior, random);
+    const behaviorStats = simulation.statistics.byBehavior[userBehavior.key];
     
     // Simulate basic frontend user actions to better impersonate a live user
     try {
@@ -287,7 +626,7 @@ class SimulatorService {
         op: 'ui.page.load',
         description: 'User opens app'
       });
-      await new Promise(r => setTimeout(r, Math.floor(Math.random() * 200) + 100));
+      await new Promise(r => setTimeout(r, randomInt(random, 100, 300)));
       pageSpan.setTag('component', 'frontend');
       pageSpan.setTag('simulated_ui', true);
       pageSpan.finish();
@@ -299,15 +638,15 @@ class SimulatorService {
       pasteSpan.setData('url', url);
       pasteSpan.setTag('component', 'frontend');
       pasteSpan.setTag('simulated_ui', true);
-      await new Promise(r => setTimeout(r, Math.floor(Math.random() * 200) + 100));
+      await new Promise(r => setTimeout(r, randomInt(random, 100, 300)));
       pasteSpan.finish();
 
-      const actionOp = Math.random() < 0.5 ? 'ui.key.enter' : 'ui.click';
+      const actionOp = random() < 0.5 ? 'ui.key.enter' : 'ui.click';
       const actionDesc = actionOp === 'ui.key.enter' ? 'Press Enter to analyze' : 'Click Analyze button';
       const actionSpan = sessionTransaction.startChild({ op: actionOp, description: actionDesc });
       actionSpan.setTag('component', 'frontend');
       actionSpan.setTag('simulated_ui', true);
-      await new Promise(r => setTimeout(r, Math.floor(Math.random() * 150) + 75));
+      await new Promise(r => setTimeout(r, randomInt(random, 75, 225)));
       actionSpan.finish();
     } catch (_) {}
 
@@ -323,22 +662,36 @@ class SimulatorService {
     
     try {
       simulation.statistics.totalRequests++;
+      behaviorStats.totalRequests++;
       
-      // Make actual API call to our own endpoint
-      const response = await axios.post('http://localhost:3001/api/analyze', {
+      // Make actual API call to our own endpoint; the user gives up after abandonAfterMs
+      const response = await axios.post(`${simulation.baseUrl}/api/analyze`, {
         url: url
       }, {
-        timeout: 30000, // 30 second timeout
+        timeout: userBehavior.abandonAfterMs,
         headers: {
           'User-Agent': `Simulator-${userBehavior.name}/${sessionId}`,
           'X-Simulator-Session': sessionId,
-          'X-Simulator-Behavior': userBehavior.name
+          'X-Simulator-Behavior': userBehavior.name,
+          'X-Simulation-Id': simulation.id,
+          // Lets this server's rate limiter give the run its own budget
+          'X-Simulation-Token': createSimulationToken(simulation.id),
+          ...(simulation.apiKey && { 'X-API-Key': simulation.apiKey }),
+          // Seeds the API's injected delays/errors for this request (see seededRandom middleware)
+          ...(this.hasSeed(simulation) && {
+            'X-Simulation-Seed': deriveSeed(simulation.seed, session.index, session.requestIndex, attempt)
+          })
         }
       });
 
       const responseTime = Date.now() - startTime;
-      simulation.statistics.responseTimes.push(responseTime);
       simulation.statistics.successfulRequests++;
+      behaviorStats.successfulRequests++;
+      this.recordLatency(simulation, { url, behavior: userBehavior.key, outcome: 'success', responseTime });
+      this.recordRequest(simulation, {
+        sessionId, behavior: userBehavior.key, url, attempt, startTime,
+        success: true, status: response.status, responseTime
+      });
       
       // Spans do not support setMeasurement; use setData instead
       requestSpan.setData('response_time_ms', responseTime);
@@ -362,60 +715,101 @@ class SimulatorService {
         });
         renderSpan.setTag('component', 'frontend');
         renderSpan.setTag('simulated_ui', true);
-        await new Promise(r => setTimeout(r, Math.floor(Math.random() * 250) + 100));
+        await new Promise(r => setTimeout(r, randomInt(random, 100, 350)));
         renderSpan.finish();
       } catch (_) {}
 
-      console.log(`${userBehavior.name} analyzed ${url} in ${responseTime}ms`);
+      this.log(simulation, 'debug', `${userBehavior.name} analyzed ${url}`, { session_id: sessionId, url, response_time_ms: responseTime });
       
     } catch (error) {
       const responseTime = Date.now() - startTime;
-      simulation.statistics.responseTimes.push(responseTime);
       simulation.statistics.failedRequests++;
+      behaviorStats.failedRequests++;
+      // axios reports its timeout as ECONNABORTED (or ETIMEDOUT); here that means the user left
+      error.abandoned = !error.response && ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code);
+      this.recordLatency(simulation, {
+        url,
+        behavior: userBehavior.key,
+        outcome: error.abandoned ? 'abandoned' : 'error',
+        responseTime
+      });
+      const errorCode = error.abandoned ? 'REQUEST_ABANDONED' : (error.response?.data?.code || error.code || 'UNKNOWN_ERROR');
+      this.recordRequest(simulation, {
+        sessionId, behavior: userBehavior.key, url, attempt, startTime,
+        success: false, status: error.response?.status || null, responseTime, errorCode
+      });
       
       requestSpan.setData('response_time_ms', responseTime);
       requestSpan.setTag('request_success', false);
-      requestSpan.setTag('error_code', error.code || 'UNKNOWN_ERROR');
+      requestSpan.setTag('error_code', errorCode);
       requestSpan.setTag('error_message', error.message);
       requestSpan.setStatus('internal_error');
       requestSpan.finish();
       
-      console.log(`${userBehavior.name} failed to analyze ${url}: ${error.message}`);
+      this.log(simulation, 'debug', `${userBehavior.name} ${error.abandoned ? 'abandoned' : 'failed to analyze'} ${url}`, {
+        session_id: sessionId, url, response_time_ms: responseTime, error_code: errorCode, error_message: error.message
+      });
       
-      // Decide whether to retry based on user behavior
-      if (Math.random() < userBehavior.errorTolerance) {
-        console.log(`${userBehavior.name} retrying request...`);
-        // Simulate retry delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        return this.simulateUserRequest(simulation, userBehavior, sessionId, sessionTransaction);
+      // Users who ran out of patience leave; others retry per their behavior's strategy
+      const { retry } = userBehavior;
+      // A 429/503 Retry-After (seconds) is a floor under the behavior's own backoff;
+      // nobody waits longer than their maxDelayMs (e.g. for a daily quota to reset)
+      const retryAfterMs = (parseFloat(error.response?.headers?.['retry-after']) || 0) * 1000;
+      if (simulation.isRunning && !error.abandoned && attempt < retry.maxAttempts &&
+          retryAfterMs <= retry.maxDelayMs && random() < retry.probability) {
+        const retryDelay = Math.max(behaviorService.getRetryDelay(retry, attempt, random), retryAfterMs);
+        this.log(simulation, 'debug', `${userBehavior.name} retrying request`, { session_id: sessionId, attempt, retry_delay_ms: retryDelay, retry_after: retryAfterMs > 0 });
+        behaviorStats.retries++;
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        return this.simulateUserRequest(simulation, session, attempt + 1);
       }
       
       throw error;
     }
   }
 
-  selectUserBehavior() {
-    const random = Math.random();
+  // Per-request log kept only for runs that asked for it (CLI reports)
+  recordRequest(simulation, { sessionId, behavior, url, attempt, startTime, success, status, responseTime, errorCode = null }) {
+    if (!simulation.requestLog) return;
+    simulation.requestLog.push({
+      timestamp: new Date(startTime).toISOString(),
+      session_id: sessionId,
+      behavior: behavior,
+      url: url,
+      attempt: attempt,
+      success: success,
+      status: status,
+      response_time_ms: responseTime,
+      error_code: errorCode
+    });
+  }
+
+  selectUserBehavior(simulation, random) {
+    const roll = random();
     let cumulativeWeight = 0;
     
-    for (const behavior of USER_BEHAVIORS) {
+    for (const behavior of simulation.behaviors) {
       cumulativeWeight += behavior.weight;
-      if (random <= cumulativeWeight) {
+      if (roll <= cumulativeWeight) {
         return behavior;
       }
     }
     
-    return USER_BEHAVIORS[0]; // Fallback
+    return simulation.behaviors[0]; // Fallback
+  }
+
+  getRandomUrl(userBehavior, random) {
+    const urls = userBehavior.urls || SAMPLE_URLS;
+    return urls[Math.floor(random() * urls.length)];
   }
 
-  getRandomUrl() {
-    return SAMPLE_URLS[Math.floor(Math.random() * SAMPLE_URLS.length)];
+  hasSeed(simulation) {
+    return simulation.seed !== null && simulation.seed !== undefined && simulation.seed !== '';
   }
 
-  calculateAvgResponseTime(responseTimes) {
-    if (responseTimes.length === 0) return 0;
-    const sum = responseTimes.reduce((a, b) => a + b, 0);
-    return Math.round(sum / responseTimes.length);
+  // Full simulation record (with request log) for reports
+  getSimulation(simulationId) {
+    return this.simulations.get(simulationId) || null;
   }
 }
 
@@ -424,5 +818,8 @@ const simulatorService = new SimulatorService();
 module.exports = {
   startSimulation: simulatorService.startSimulation.bind(simulatorService),
   stopSimulation: simulatorService.stopSimulation.bind(simulatorService),
-  getSimulationStatus: simulatorService.getSimulationStatus.bind(simulatorService)
+  getSimulationStatus: simulatorService.getSimulationStatus.bind(simulatorService),
+  listSimulations: simulatorService.listSimulations.bind(simulatorService),
+  getSimulation: simulatorService.getSimulation.bind(simulatorService),
+  getLatestSimulationId: simulatorService.getLatestSimulationId.bind(simulatorService)
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.MAX_CONCURRENT_SIMULATIONS = '2';
+
+const { Sentry } = require('../middleware/sentry');
+const simulatorService = require('./simulatorService');
+const apiKeyService = require('./apiKeyService');
+const { compileProfile } = require('./loadProfileService');
+
+// Stand-in API: answers every analysis after `responseDelayMs` and keeps the
+// requests' headers
+const requests = [];
+let responseDelayMs = 0;
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    requests.push({ at: Date.now(), headers: req.headers });
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    }, responseDelayMs);
+  });
+});
+
+let baseUrl;
+before(async () => {
+  // Session transactions only exist once Sentry is initialized; without a DSN nothing is sent
+  Sentry.init({ tracesSampleRate: 1.0 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+describe('load profile runs', () => {
+  test('start sessions at the profile\'s rate, stage by stage', async () => {
+    requests.length = 0;
+    responseDelayMs = 0;
+    const profile = compileProfile({ stages: [{ duration: 1, rate: 4 }, { duration: 1, rate: 12 }], requestsPerSession: 1 });
+    const simulation = await simulatorService.startSimulation({
+      sessions: profile.expectedSessions, delay: 0, baseUrl, profile, quiet: true
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const afterFirstStage = simulation.arrivals;
+    await simulation.completion;
+
+    assert.ok(afterFirstStage >= 3 && afterFirstStage <= 6, `${afterFirstStage} arrivals in the first second`);
+    assert.ok(simulation.arrivals >= 15 && simulation.arrivals <= 16, `${simulation.arrivals} arrivals`);
+    assert.equal(requests.length, simulation.arrivals);
+    assert.equal(simulation.skippedArrivals, 0);
+    assert.equal(simulation.status, 'completed');
+  });
+
+  test('skip arrivals over the concurrency cap instead of delaying them', async () => {
+    requests.length = 0;
+    responseDelayMs = 1500;
+    const profile = compileProfile({ type: 'soak', rate: 10, duration: 1, requestsPerSession: 1 });
+    const simulation = await simulatorService.startSimulation({
+      sessions: profile.expectedSessions, delay: 0, baseUrl, profile, concurrency: 3, quiet: true
+    });
+    await simulation.completion;
+
+    assert.equal(simulation.arrivals, 3);
+    assert.ok(simulation.arrivals + simulation.skippedArrivals >= 9);
+  });
+});
+
+describe('concurrent simulations', () => {
+  // Short sessions so stopped runs wind down quickly
+  const start = (tenant, name) => simulatorService.startSimulation({
+    sessions: 100, delay: 1000, baseUrl, tenant, name, behaviorMix: { impatient_user: 1 }, quiet: true
+  });
+
+  test('run side by side up to the limit, each addressed by id and tenant', async () => {
+    responseDelayMs = 0;
+    const acme = await start('acme', 'acme-run');
+    const globex = await start('globex', 'globex-run');
+    await assert.rejects(start('acme', 'one-too-many'), { code: 'SIMULATION_LIMIT_REACHED' });
+
+    assert.equal(simulatorService.getSimulationStatus(acme.id, 'acme').name, 'acme-run');
+    assert.equal(simulatorService.getSimulationStatus(acme.id, 'globex'), null);
+    assert.deepEqual(simulatorService.listSimulations('globex').map(s => s.simulationId), [globex.id]);
+    assert.equal(simulatorService.getLatestSimulationId('acme'), acme.id);
+
+    await assert.rejects(simulatorService.stopSimulation(acme.id, 'globex'), { code: 'SIMULATION_NOT_FOUND' });
+    await simulatorService.stopSimulation(acme.id, 'acme');
+    assert.equal(simulatorService.getSimulationStatus(globex.id).isRunning, true);
+
+    // Stopped runs stay queryable and free their slot
+    const stopped = simulatorService.getSimulationStatus(acme.id, 'acme');
+    assert.equal(stopped.status, 'stopped');
+    assert.ok(stopped.endTime);
+    await assert.rejects(simulatorService.stopSimulation(acme.id, 'acme'), { code: 'SIMULATION_NOT_RUNNING' });
+    const replacement = await start('acme', 'replacement');
+
+    // Running runs are listed before finished ones
+    assert.deepEqual(simulatorService.listSimulations('acme').map(s => s.name).slice(0, 2), ['replacement', 'acme-run']);
+
+    await simulatorService.stopSimulation(globex.id);
+    await simulatorService.stopSimulation(replacement.id);
+    await Promise.all([acme.completion, globex.completion, replacement.completion]);
+  });
+
+  test('simulated requests carry the run\'s id, key and signed simulation token', async () => {
+    requests.length = 0;
+    const simulation = await simulatorService.startSimulation({
+      sessions: 1, delay: 0, baseUrl, tenant: 'acme', apiKey: 'ak_test', behaviorMix: { impatient_user: 1 }, quiet: true
+    });
+    await simulation.completion;
+
+    assert.ok(requests.length >= 1);
+    const [{ headers }] = requests;
+    assert.equal(headers['x-simulation-id'], simulation.id);
+    assert.equal(headers['x-api-key'], 'ak_test');
+    assert.equal(apiKeyService.verifySimulationToken(headers['x-simulation-token']), simulation.id);
+    assert.equal(simulatorService.getSimulationStatus(simulation.id).config.apiKey, undefined);
+  });
+});
@@ -0,0 +1,66 @@
+const OtlpExporter = require('./otlpExporter');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('tracing');
+
+// Extra destinations for the spans recorded through Sentry (createSpan,
+// createLLMSpan, Sentry.startSpan and the automatic HTTP spans). Sentry stays
+// the primary tracer; each finished, sampled transaction and its finished child
+// spans are handed to every configured exporter with the same ids, names, ops
+// and attributes.
+const EXPORTERS = {
+  otlp: OtlpExporter
+};
+
+let activeExporters = [];
+
+// Exporters from OTEL_TRACES_EXPORTER (comma-separated, default "otlp");
+// the OTLP exporter only runs when a collector endpoint is configured
+const createExporters = (options) => (process.env.OTEL_TRACES_EXPORTER || 'otlp')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => name && name !== 'none')
+  .flatMap(name => {
+    const Exporter = EXPORTERS[name];
+    if (!Exporter) {
+      log.warn(`Unknown span exporter "${name}" in OTEL_TRACES_EXPORTER (expected ${Object.keys(EXPORTERS).join(', ')})`);
+      return [];
+    }
+    const exporter = new Exporter(options);
+    return exporter.isConfigured() ? [exporter] : [];
+  });
+
+// Subscribe the configured exporters to a Sentry client's finished transactions;
+// `options` go to each exporter (e.g. { serviceName })
+const setupSpanExporters = (client, options = {}) => {
+  activeExporters = createExporters(options);
+  if (!client || !client.on || activeExporters.length === 0) return [];
+
+  client.on('finishTransaction', transaction => {
+    if (transaction.sampled !== true) return;
+
+    const spans = transaction.spanRecorder
+      ? transaction.spanRecorder.spans.filter(span => span !== transaction && span.endTimestamp)
+      : [];
+    const spanJson = [transaction, ...spans].map(span => span.toJSON());
+
+    activeExporters.forEach(exporter => {
+      try {
+        exporter.exportSpans(spanJson);
+      } catch (error) {
+        log.warn(`Span exporter ${exporter.name} failed`, { exporter: exporter.name, error });
+      }
+    });
+  });
+
+  activeExporters.forEach(exporter => log.info(`Exporting spans via ${exporter.name}`, { endpoint: exporter.endpoint }));
+  return activeExporters;
+};
+
+// Send whatever the exporters still have queued (e.g. before the CLI exits)
+const flushSpanExporters = () => Promise.all(activeExporters.map(exporter => exporter.flush()));
+
+module.exports = {
+  setupSpanExporters,
+  flushSpanExporters
+};
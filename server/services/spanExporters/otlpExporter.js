@@ -0,0 +1,191 @@
+const axios = require('axios');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('tracing.otlp');
+
+// OTLP span kinds and status codes (opentelemetry-proto trace.proto)
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const STATUS_CODE = { UNSET: 0, OK: 1, ERROR: 2 };
+
+// `key1=value1,key2=value2`, the format of OTEL_EXPORTER_OTLP_HEADERS and OTEL_RESOURCE_ATTRIBUTES
+const parseKeyValueList = (value) => {
+  const pairs = {};
+  (value || '').split(',').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      pairs[decodeURIComponent(pair.slice(0, separator).trim())] = decodeURIComponent(pair.slice(separator + 1).trim());
+    }
+  });
+  return pairs;
+};
+
+// Traces URL from OTEL_EXPORTER_OTLP_TRACES_ENDPOINT (used as is) or OTEL_EXPORTER_OTLP_ENDPOINT (+ /v1/traces)
+const getTracesEndpoint = () => {
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+    return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  }
+  if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+    return `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces`;
+  }
+  return null;
+};
+
+const toAnyValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  // Arrays of primitives (e.g. gen_ai.response.finish_reasons) stay arrays
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return { arrayValue: { values: value.filter(item => item !== null && item !== undefined).map(toAnyValue) } };
+  }
+  return { stringValue: JSON.stringify(value) };
+};
+
+const toAttributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+// Sentry timestamps are float seconds; OTLP wants integer nanoseconds as a string
+const toUnixNano = (seconds) => (BigInt(Math.round(seconds * 1e6)) * 1000n).toString();
+
+const getSpanKind = (op) => {
+  if (op === 'http.server') return SPAN_KIND.SERVER;
+  if (op === 'http.client') return SPAN_KIND.CLIENT;
+  return SPAN_KIND.INTERNAL;
+};
+
+// Sentry statuses are 'ok' or an error name such as 'internal_error' or 'deadline_exceeded'
+const toStatus = (status) => {
+  if (!status) return { code: STATUS_CODE.UNSET };
+  if (status === 'ok') return { code: STATUS_CODE.OK };
+  return { code: STATUS_CODE.ERROR, message: status };
+};
+
+/**
+ * Batches finished spans and POSTs them as OTLP/HTTP JSON to a collector
+ * (Jaeger, the OpenTelemetry Collector, ...). Span and trace ids are the
+ * Sentry ones, so a trace can be looked up by the same id in both tools.
+ * Batching follows the OTEL_BSP_* batch span processor settings.
+ */
+class OtlpExporter {
+  constructor({
+    endpoint = getTracesEndpoint(),
+    headers = parseKeyValueList(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+    timeoutMs = parseInt(process.env.OTEL_EXPORTER_OTLP_TIMEOUT || '10000'),
+    scheduleDelayMs = parseInt(process.env.OTEL_BSP_SCHEDULE_DELAY || '5000'),
+    maxBatchSize = parseInt(process.env.OTEL_BSP_MAX_EXPORT_BATCH_SIZE || '512'),
+    maxQueueSize = parseInt(process.env.OTEL_BSP_MAX_QUEUE_SIZE || '2048'),
+    serviceName = process.env.OTEL_SERVICE_NAME || 'llm-traffic-demo'
+  } = {}) {
+    this.name = 'otlp';
+    this.endpoint = endpoint;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    this.maxBatchSize = maxBatchSize;
+    this.maxQueueSize = maxQueueSize;
+    this.resource = {
+      attributes: toAttributes({
+        'service.name': serviceName,
+        'service.version': process.env.SENTRY_RELEASE || '1.0.0',
+        'deployment.environment': process.env.SENTRY_ENVIRONMENT || 'development',
+        ...parseKeyValueList(process.env.OTEL_RESOURCE_ATTRIBUTES)
+      })
+    };
+    this.queue = [];
+    this.droppedSpans = 0;
+    this.failing = false;
+    this.pendingExport = Promise.resolve();
+
+    this.timer = setInterval(() => this.flush(), scheduleDelayMs);
+    // A pending batch must not keep the process alive
+    this.timer.unref();
+  }
+
+  isConfigured() {
+    return Boolean(this.endpoint);
+  }
+
+  // Convert Sentry span JSON (span.toJSON()) to an OTLP span
+  toOtlpSpan(span) {
+    const measurements = {};
+    Object.entries(span.measurements || {}).forEach(([name, measurement]) => {
+      measurements[`measurement.${name}`] = measurement.value;
+    });
+
+    return {
+      traceId: span.trace_id,
+      spanId: span.span_id,
+      parentSpanId: span.parent_span_id || undefined,
+      name: span.description || span.op || '<unnamed span>',
+      kind: getSpanKind(span.op),
+      startTimeUnixNano: toUnixNano(span.start_timestamp),
+      endTimeUnixNano: toUnixNano(span.timestamp),
+      attributes: toAttributes({
+        ...(span.tags || {}),
+        ...(span.data || {}),
+        ...measurements,
+        'sentry.op': span.op
+      }),
+      status: toStatus(span.status)
+    };
+  }
+
+  exportSpans(spans) {
+    spans.forEach(span => {
+      if (this.queue.length >= this.maxQueueSize) {
+        this.droppedSpans++;
+        return;
+      }
+      this.queue.push(this.toOtlpSpan(span));
+    });
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  async send(batch) {
+    try {
+      await axios.post(this.endpoint, {
+        resourceSpans: [{
+          resource: this.resource,
+          scopeSpans: [{
+            scope: { name: 'sentry-llm-traffic-demo', version: '1.0.0' },
+            spans: batch
+          }]
+        }]
+      }, {
+        timeout: this.timeoutMs,
+        headers: { 'Content-Type': 'application/json', ...this.headers }
+      });
+      if (this.failing) {
+        log.info('OTLP export recovered', { endpoint: this.endpoint });
+        this.failing = false;
+      }
+    } catch (error) {
+      // Warn once per outage rather than once per batch
+      if (!this.failing) {
+        log.warn('OTLP export failed', { endpoint: this.endpoint, error });
+        this.failing = true;
+      }
+    }
+  }
+
+  // Send everything queued, in batches of maxBatchSize; resolves once sent (or failed)
+  flush() {
+    if (this.droppedSpans > 0) {
+      log.warn(`OTLP export queue full; dropped ${this.droppedSpans} spans`, { dropped_spans: this.droppedSpans });
+      this.droppedSpans = 0;
+    }
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.maxBatchSize);
+      this.pendingExport = this.pendingExport.then(() => this.send(batch));
+    }
+    return this.pendingExport;
+  }
+}
+
+module.exports = OtlpExporter;
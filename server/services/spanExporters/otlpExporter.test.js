@@ -0,0 +1,138 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Sentry, createSpan, createLLMSpan, setLLMUsage, finishSpan } = require('../../middleware/sentry');
+const { setupSpanExporters, flushSpanExporters } = require('./index');
+
+// Stand-in OTLP/HTTP collector that keeps every request it receives
+const startCollector = async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, endpoint: `http://127.0.0.1:${server.address().port}/v1/traces` };
+};
+
+const attributesOf = (span) => Object.fromEntries(span.attributes.map(({ key, value }) => [key, value]));
+
+describe('OTLP span export', () => {
+  let collector;
+
+  before(async () => {
+    collector = await startCollector();
+    // No DSN: nothing goes to Sentry, but the client still emits finishTransaction
+    Sentry.init({ tracesSampleRate: 1.0, defaultIntegrations: false });
+    setupSpanExporters(Sentry.getCurrentHub().getClient(), {
+      endpoint: collector.endpoint,
+      headers: { 'x-collector-token': 'secret' },
+      serviceName: 'llm-traffic-test',
+      scheduleDelayMs: 60000
+    });
+  });
+
+  after(async () => {
+    await Sentry.close();
+    collector.server.close();
+  });
+
+  test('posts a finished transaction and its child spans as resourceSpans', async () => {
+    const transaction = Sentry.startTransaction({
+      name: 'product.analyze',
+      op: 'http.server',
+      startTimestamp: 1700000000.25
+    });
+    transaction.setTag('store_name', 'Amazon');
+
+    const agentSpan = createLLMSpan(transaction, 'invoke_agent', 'gpt-4o-mini', {
+      'gen_ai.agent.name': 'product_parser',
+      'gen_ai.system': 'openai'
+    });
+    agentSpan.startTimestamp = 1700000000.5;
+    const chatSpan = createLLMSpan(agentSpan, 'chat', 'gpt-4o-mini', { 'gen_ai.system': 'openai' });
+    chatSpan.startTimestamp = 1700000000.75;
+    setLLMUsage(chatSpan, { prompt_tokens: 120, completion_tokens: 30 });
+    chatSpan.setStatus('deadline_exceeded');
+    chatSpan.finish(1700000001.5);
+    finishSpan(agentSpan, { 'gen_ai.response.finish_reasons': ['stop'], cost_usd: 0.0125 });
+    agentSpan.endTimestamp = 1700000001.75;
+
+    // Still open when the transaction ends, so it is not exported
+    createSpan(transaction, { op: 'cache.get', description: 'unfinished' });
+
+    transaction.setStatus('ok');
+    transaction.finish(1700000002);
+    await flushSpanExporters();
+
+    assert.equal(collector.requests.length, 1);
+    const [request] = collector.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/traces');
+    assert.match(request.headers['content-type'], /^application\/json/);
+    assert.equal(request.headers['x-collector-token'], 'secret');
+
+    const [resourceSpans] = request.body.resourceSpans;
+    assert.deepEqual(attributesOf(resourceSpans.resource)['service.name'], { stringValue: 'llm-traffic-test' });
+
+    const spans = resourceSpans.scopeSpans[0].spans;
+    assert.deepEqual(spans.map(span => span.name), ['product.analyze', 'invoke_agent product_parser', 'chat gpt-4o-mini']);
+    const [root, agent, chat] = spans;
+
+    // Ids and parent links are Sentry's
+    spans.forEach(span => assert.equal(span.traceId, transaction.traceId));
+    assert.equal(root.spanId, transaction.spanId);
+    assert.equal(root.parentSpanId, undefined);
+    assert.equal(agent.spanId, agentSpan.spanId);
+    assert.equal(agent.parentSpanId, transaction.spanId);
+    assert.equal(chat.spanId, chatSpan.spanId);
+    assert.equal(chat.parentSpanId, agentSpan.spanId);
+
+    // Server transaction vs internal spans
+    assert.equal(root.kind, 2);
+    assert.equal(agent.kind, 1);
+
+    // Float seconds become integer nanoseconds, as strings
+    assert.equal(root.startTimeUnixNano, '1700000000250000000');
+    assert.equal(root.endTimeUnixNano, '1700000002000000000');
+    assert.equal(chat.startTimeUnixNano, '1700000000750000000');
+    assert.equal(chat.endTimeUnixNano, '1700000001500000000');
+
+    // ok -> OK, unset -> UNSET, any other Sentry status -> ERROR with the status as message
+    assert.deepEqual(root.status, { code: 1 });
+    assert.deepEqual(agent.status, { code: 0 });
+    assert.deepEqual(chat.status, { code: 2, message: 'deadline_exceeded' });
+
+    const rootAttributes = attributesOf(root);
+    assert.deepEqual(rootAttributes['sentry.op'], { stringValue: 'http.server' });
+    assert.deepEqual(rootAttributes.store_name, { stringValue: 'Amazon' });
+
+    const agentAttributes = attributesOf(agent);
+    assert.deepEqual(agentAttributes['sentry.op'], { stringValue: 'gen_ai.invoke_agent' });
+    assert.deepEqual(agentAttributes['gen_ai.operation.name'], { stringValue: 'invoke_agent' });
+    assert.deepEqual(agentAttributes['gen_ai.agent.name'], { stringValue: 'product_parser' });
+    assert.deepEqual(agentAttributes['gen_ai.response.finish_reasons'], { arrayValue: { values: [{ stringValue: 'stop' }] } });
+    assert.deepEqual(agentAttributes.cost_usd, { doubleValue: 0.0125 });
+
+    const chatAttributes = attributesOf(chat);
+    assert.deepEqual(chatAttributes['sentry.op'], { stringValue: 'gen_ai.chat' });
+    assert.deepEqual(chatAttributes['gen_ai.system'], { stringValue: 'openai' });
+    assert.deepEqual(chatAttributes['gen_ai.request.model'], { stringValue: 'gpt-4o-mini' });
+    assert.deepEqual(chatAttributes['gen_ai.usage.input_tokens'], { intValue: '120' });
+    assert.deepEqual(chatAttributes['gen_ai.usage.output_tokens'], { intValue: '30' });
+    assert.deepEqual(chatAttributes['gen_ai.usage.total_tokens'], { intValue: '150' });
+  });
+
+  test('skips unsampled transactions', async () => {
+    const before = collector.requests.length;
+    const transaction = Sentry.startTransaction({ name: 'unsampled', op: 'http.server', sampled: false });
+    transaction.finish();
+    await flushSpanExporters();
+    assert.equal(collector.requests.length, before);
+  });
+});
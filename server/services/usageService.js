@@ -0,0 +1,81 @@
+const metricsService = require('./metricsService');
+
+// Aggregate LLM token and cost statistics since server start
+class UsageService {
+  constructor() {
+    this.startedAt = new Date();
+    this.totals = this.createBucket();
+    this.byModel = new Map();
+    this.byProvider = new Map();
+  }
+
+  createBucket() {
+    return {
+      analyses: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      estimated_token_analyses: 0,
+      total_cost_usd: 0
+    };
+  }
+
+  recordUsage({ provider, model, usage, cost }) {
+    const buckets = [
+      this.totals,
+      this.getBucket(this.byModel, model),
+      this.getBucket(this.byProvider, provider)
+    ];
+
+    buckets.forEach(bucket => {
+      bucket.analyses++;
+      bucket.prompt_tokens += usage.prompt_tokens;
+      bucket.completion_tokens += usage.completion_tokens;
+      bucket.total_tokens += usage.total_tokens;
+      bucket.total_cost_usd += cost.total_cost_usd;
+      if (usage.source === 'estimate') {
+        bucket.estimated_token_analyses++;
+      }
+    });
+
+    metricsService.increment('llm_tokens_total', { provider, model, type: 'prompt' }, usage.prompt_tokens);
+    metricsService.increment('llm_tokens_total', { provider, model, type: 'completion' }, usage.completion_tokens);
+    metricsService.increment('llm_cost_usd_total', { provider, model }, cost.total_cost_usd);
+  }
+
+  getBucket(map, key) {
+    if (!map.has(key)) {
+      map.set(key, this.createBucket());
+    }
+    return map.get(key);
+  }
+
+  summarize(bucket) {
+    return {
+      ...bucket,
+      total_cost_usd: parseFloat(bucket.total_cost_usd.toFixed(6)),
+      avg_tokens_per_analysis: bucket.analyses ? Math.round(bucket.total_tokens / bucket.analyses) : 0,
+      avg_cost_per_analysis_usd: bucket.analyses ? parseFloat((bucket.total_cost_usd / bucket.analyses).toFixed(8)) : 0
+    };
+  }
+
+  getUsageStats() {
+    const byKey = (map) => Object.fromEntries(
+      Array.from(map.entries()).map(([key, bucket]) => [key, this.summarize(bucket)])
+    );
+
+    return {
+      since: this.startedAt.toISOString(),
+      totals: this.summarize(this.totals),
+      by_model: byKey(this.byModel),
+      by_provider: byKey(this.byProvider)
+    };
+  }
+}
+
+const usageService = new UsageService();
+
+module.exports = {
+  recordUsage: usageService.recordUsage.bind(usageService),
+  getUsageStats: usageService.getUsageStats.bind(usageService)
+};
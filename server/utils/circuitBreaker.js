@@ -0,0 +1,71 @@
+/**
+ * Consecutive-failure circuit breaker.
+ *
+ * closed: calls go through; `failureThreshold` failures in a row open it.
+ * open: calls are refused for `cooldownMs`, then one trial call is let through (half_open).
+ * half_open: the trial's success closes the breaker, its failure opens it again.
+ *
+ * `onStateChange(breaker, from, to)` is called on every transition.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, cooldownMs = 30000, onStateChange = () => {} } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.onStateChange = onStateChange;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  transition(to) {
+    const from = this.state;
+    if (from === to) return;
+    this.state = to;
+    this.openedAt = to === 'open' ? Date.now() : this.openedAt;
+    this.onStateChange(this, from, to);
+  }
+
+  // Whether a call may go through now; in half_open only one trial at a time
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.transition('half_open');
+    }
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.trialInFlight = false;
+    this.consecutiveFailures = 0;
+    this.transition('closed');
+  }
+
+  recordFailure(error) {
+    this.trialInFlight = false;
+    this.consecutiveFailures++;
+    this.lastError = error ? error.code || error.message : null;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.transition('open');
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      opened_at: this.state === 'closed' || !this.openedAt ? null : new Date(this.openedAt).toISOString(),
+      retry_at: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      last_error: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
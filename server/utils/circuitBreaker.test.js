@@ -0,0 +1,67 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('./circuitBreaker');
+
+const failure = (code) => Object.assign(new Error(code), { code });
+
+describe('CircuitBreaker', () => {
+  test('opens after failureThreshold consecutive failures', () => {
+    const transitions = [];
+    const breaker = new CircuitBreaker('openai:gpt-4o-mini', {
+      failureThreshold: 3,
+      onStateChange: (b, from, to) => transitions.push(`${from}->${to}`)
+    });
+
+    breaker.recordFailure(failure('LLM_TIMEOUT'));
+    breaker.recordFailure(failure('LLM_TIMEOUT'));
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure(failure('LLM_UNAVAILABLE'));
+
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.allowRequest(), false);
+    assert.deepEqual(transitions, ['closed->open']);
+    assert.equal(breaker.getStatus().last_error, 'LLM_UNAVAILABLE');
+    assert.equal(breaker.getStatus().consecutive_failures, 3);
+  });
+
+  test('a success in between resets the count', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2 });
+    breaker.recordFailure(failure('LLM_TIMEOUT'));
+    breaker.recordSuccess();
+    breaker.recordFailure(failure('LLM_TIMEOUT'));
+    assert.equal(breaker.state, 'closed');
+  });
+
+  test('lets one trial through after the cooldown and closes on its success', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure(failure('LLM_TIMEOUT'));
+
+    Date.now.mock.mockImplementation(() => now + 999);
+    assert.equal(breaker.allowRequest(), false);
+    assert.equal(breaker.getStatus().retry_at, new Date(now + 1000).toISOString());
+
+    Date.now.mock.mockImplementation(() => now + 1000);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, 'half_open');
+    assert.equal(breaker.allowRequest(), false, 'only one trial at a time');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  test('reopens when the trial fails', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker('test', { failureThreshold: 5, cooldownMs: 1000 });
+    for (let i = 0; i < 5; i++) breaker.recordFailure(failure('RATE_LIMITED'));
+
+    Date.now.mock.mockImplementation(() => now + 1000);
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure(failure('RATE_LIMITED'));
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.getStatus().opened_at, new Date(now + 1000).toISOString());
+  });
+});
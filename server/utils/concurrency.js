@@ -0,0 +1,24 @@
+/**
+ * Map `items` through async `fn(item, index)` with at most `limit` calls in
+ * flight. Results keep the input order; the first rejection rejects the whole
+ * map, so callers that want every outcome should catch inside `fn`.
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -1,40 +1,10 @@
-// Utility functions for creating realistic demo conditions with artificial delays and errors
+// Utility functions for creating realistic demo conditions with artificial delays and errors.
+// Randomness comes from nextRandom() so seeded requests replay the same delays and errors.
+const { nextRandom } = require('./random');
+const metricsService = require('../services/metricsService');
+const { createLogger } = require('./logger');
 
-/**
- * Simulate network delays and processing time for demo purposes
- * @param {string} operation - Name of the operation being delayed
- * @param {number} minMs - Minimum delay in milliseconds
- * @param {number} maxMs - Maximum delay in milliseconds
- */
-const simulateDelay = async (operation, minMs = 500, maxMs = 2000) => {
-  const baseDelay = Math.floor(Math.random() * (maxMs - minMs) + minMs);
-  
-  // Add extra delay based on environment settings
-  const artificialLatency = parseInt(process.env.ARTIFICIAL_LATENCY_MS) || 0;
-  const totalDelay = baseDelay + artificialLatency;
-  
-  console.log(`Simulating ${operation} delay: ${totalDelay}ms`);
-  
-  return new Promise(resolve => {
-    setTimeout(resolve, totalDelay);
-  });
-};
-
-/**
- * Simulate random errors for demo purposes
- * @param {string} errorType - Type of error to simulate
- * @param {number} probability - Probability of error (0.0 to 1.0)
- */
-const simulateError = (errorType, probability = 0.1) => {
-  const random = Math.random();
-  const errorRate = parseFloat(process.env.ERROR_RATE_PERCENT) / 100 || 0.1;
-  
-  if (random < probability * errorRate) {
-    const error = createDemoError(errorType);
-    console.log(`Simulating ${errorType} error:`, error.message);
-    throw error;
-  }
-};
+const log = createLogger('demo');
 
 /**
  * Create specific demo errors with realistic error codes and messages
@@ -107,7 +77,7 @@ const getOperationLatency = (operationType) => {
  * @param {number} variationPercent - Percentage of variation (0.1 = 10%)
  */
 const addVariation = (baseValue, variationPercent = 0.2) => {
-  const variation = (Math.random() - 0.5) * 2 * variationPercent;
+  const variation = (nextRandom() - 0.5) * 2 * variationPercent;
   return baseValue * (1 + variation);
 };
 
@@ -119,11 +89,11 @@ const getPerformanceMultiplier = () => {
   
   // Simulate higher latency during "peak hours" (9-17 UTC)
   if (hour >= 9 && hour <= 17) {
-    return 1.3 + (Math.random() * 0.4); // 1.3x to 1.7x slower
+    return 1.3 + (nextRandom() * 0.4); // 1.3x to 1.7x slower
   }
   
   // Off-peak hours
-  return 0.8 + (Math.random() * 0.4); // 0.8x to 1.2x normal speed
+  return 0.8 + (nextRandom() * 0.4); // 0.8x to 1.2x normal speed
 };
 
 /**
@@ -152,7 +122,7 @@ const getErrorScenario = () => {
   ];
 
   // Select scenario based on current conditions
-  const random = Math.random();
+  const random = nextRandom();
   const hour = new Date().getHours();
   
   // Higher error rates during peak hours
@@ -166,7 +136,8 @@ const getErrorScenario = () => {
 };
 
 /**
- * Log performance metrics for demo analysis
+ * Log an operation's outcome and record it in the metrics registry
+ * (operation_duration_seconds, plus operation_errors_total by error code)
  */
 const logPerformanceMetric = (operation, startTime, success = true, error = null) => {
   const duration = Date.now() - startTime;
@@ -182,14 +153,22 @@ const logPerformanceMetric = (operation, startTime, success = true, error = null
     logData.error_message = error.message;
   }
 
-  // In Phase 2, this will integrate with Sentry
-  console.log('Performance Metric:', JSON.stringify(logData));
+  metricsService.observe('operation_duration_seconds', duration / 1000, {
+    operation,
+    outcome: success ? 'success' : 'error'
+  });
+  if (!success) {
+    metricsService.increment('operation_errors_total', {
+      operation,
+      code: (error && error.code) || 'UNKNOWN'
+    });
+  }
+
+  log.info(`${operation} ${success ? 'succeeded' : 'failed'}`, logData);
   return logData;
 };
 
 module.exports = {
-  simulateDelay,
-  simulateError,
   createDemoError,
   getOperationLatency,
   addVariation,
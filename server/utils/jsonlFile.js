@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { Sentry } = require('../middleware/sentry');
+const { createLogger } = require('./logger');
+
+const log = createLogger('storage');
+
+// Append-only JSON-lines file used by the history stores: one record per line,
+// writes queued so appends and full rewrites never interleave
+class JsonlFile {
+  constructor(filePath, label) {
+    this.filePath = filePath;
+    this.label = label;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Read every record synchronously (startup only); skips a torn last line
+  readAll() {
+    try {
+      if (!fs.existsSync(this.filePath)) return [];
+      return fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (_) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      log.error(`Failed to load ${this.label}`, { file: this.filePath, error });
+      Sentry.captureException(error, {
+        tags: { error_type: 'history_load_failed' },
+        extra: { history_file: this.filePath }
+      });
+      return [];
+    }
+  }
+
+  enqueue(operation) {
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await operation();
+      })
+      .catch(error => {
+        log.error(`Failed to persist ${this.label}`, { file: this.filePath, error });
+        Sentry.captureException(error, {
+          tags: { error_type: 'history_write_failed' },
+          extra: { history_file: this.filePath }
+        });
+      });
+    return this.writeQueue;
+  }
+
+  append(record) {
+    return this.enqueue(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`));
+  }
+
+  // Replace the file contents atomically (used to compact after deletes/trims)
+  rewrite(records) {
+    return this.enqueue(async () => {
+      const content = records.map(record => JSON.stringify(record)).join('\n');
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, content ? `${content}\n` : '');
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+  }
+}
+
+module.exports = JsonlFile;
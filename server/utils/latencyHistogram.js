@@ -0,0 +1,89 @@
+// Log-linear buckets, each ~2% wide, give percentiles within ~1% in constant
+// memory (a few hundred buckets up to 10 minutes) however many values arrive
+const BUCKET_GROWTH = 1.02;
+const LOG_GROWTH = Math.log(BUCKET_GROWTH);
+
+// Upper bounds (ms) of the coarse histogram reported to clients
+const DEFAULT_REPORT_BOUNDS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * HDR-style latency histogram: records millisecond values into fixed-precision
+ * buckets and answers min/max/mean and percentiles without keeping the values.
+ */
+class LatencyHistogram {
+  constructor({ reportBounds = DEFAULT_REPORT_BOUNDS } = {}) {
+    this.reportBounds = reportBounds;
+    this.buckets = new Map();
+    this.reportCounts = new Array(reportBounds.length + 1).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+  }
+
+  // Bucket 0 holds values below 1ms; bucket i covers [GROWTH^(i-1), GROWTH^i)
+  bucketIndex(value) {
+    return value < 1 ? 0 : Math.floor(Math.log(value) / LOG_GROWTH) + 1;
+  }
+
+  record(value) {
+    const ms = Math.max(0, Number(value) || 0);
+    const index = this.bucketIndex(ms);
+    this.buckets.set(index, (this.buckets.get(index) || 0) + 1);
+
+    const reportIndex = this.reportBounds.findIndex(bound => ms <= bound);
+    this.reportCounts[reportIndex === -1 ? this.reportBounds.length : reportIndex]++;
+
+    this.count++;
+    this.sum += ms;
+    this.min = this.min === null ? ms : Math.min(this.min, ms);
+    this.max = this.max === null ? ms : Math.max(this.max, ms);
+  }
+
+  // Value at or below which p% of recorded values fall (bucket midpoint, clamped to min/max)
+  percentile(p) {
+    if (this.count === 0) return 0;
+    const rank = Math.max(1, Math.ceil(p / 100 * this.count));
+    const indexes = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+
+    let seen = 0;
+    for (const index of indexes) {
+      seen += this.buckets.get(index);
+      if (seen >= rank) {
+        const lower = index === 0 ? 0 : Math.pow(BUCKET_GROWTH, index - 1);
+        const upper = Math.pow(BUCKET_GROWTH, index);
+        return Math.round(Math.min(this.max, Math.max(this.min, (lower + upper) / 2)));
+      }
+    }
+    return Math.round(this.max);
+  }
+
+  mean() {
+    return this.count > 0 ? Math.round(this.sum / this.count) : 0;
+  }
+
+  /**
+   * { count, min, max, mean, p50, p90, p95, p99, histogram }, where histogram lists
+   * { le, count } per report bound (le null for the overflow bucket)
+   */
+  getSummary() {
+    const summary = {
+      count: this.count,
+      min: this.min === null ? 0 : Math.round(this.min),
+      max: this.max === null ? 0 : Math.round(this.max),
+      mean: this.mean()
+    };
+    PERCENTILES.forEach(p => {
+      summary[`p${p}`] = this.percentile(p);
+    });
+    summary.histogram = this.reportCounts.map((count, index) => ({
+      le: index < this.reportBounds.length ? this.reportBounds[index] : null,
+      count: count
+    }));
+    return summary;
+  }
+}
+
+module.exports = LatencyHistogram;
@@ -0,0 +1,64 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const LatencyHistogram = require('./latencyHistogram');
+const { createRandom } = require('./random');
+
+// Exact percentile (nearest rank) of sorted values
+const exactPercentile = (sorted, p) => sorted[Math.max(1, Math.ceil(p / 100 * sorted.length)) - 1];
+
+describe('LatencyHistogram', () => {
+  test('reports zeros before anything is recorded', () => {
+    const summary = new LatencyHistogram().getSummary();
+    assert.deepEqual(
+      { count: summary.count, min: summary.min, max: summary.max, mean: summary.mean, p50: summary.p50, p99: summary.p99 },
+      { count: 0, min: 0, max: 0, mean: 0, p50: 0, p99: 0 }
+    );
+    assert.ok(summary.histogram.every(bucket => bucket.count === 0));
+  });
+
+  test('keeps percentiles within ~2% of the exact values', () => {
+    const random = createRandom('latency');
+    const histogram = new LatencyHistogram();
+    // Log-normal-ish latencies between ~20ms and ~20s
+    const values = Array.from({ length: 20000 }, () => Math.round(20 * Math.pow(1000, random())));
+    values.forEach(value => histogram.record(value));
+    const sorted = [...values].sort((a, b) => a - b);
+
+    const summary = histogram.getSummary();
+    [50, 90, 95, 99].forEach(p => {
+      const exact = exactPercentile(sorted, p);
+      const error = Math.abs(summary[`p${p}`] - exact) / exact;
+      assert.ok(error <= 0.02, `p${p}: ${summary[`p${p}`]} vs exact ${exact}`);
+    });
+    assert.equal(summary.count, values.length);
+    assert.equal(summary.min, sorted[0]);
+    assert.equal(summary.max, sorted[sorted.length - 1]);
+    assert.equal(summary.mean, Math.round(values.reduce((sum, value) => sum + value, 0) / values.length));
+  });
+
+  test('clamps percentiles to the recorded min and max', () => {
+    const histogram = new LatencyHistogram();
+    histogram.record(1000);
+    assert.equal(histogram.percentile(50), 1000);
+    assert.equal(histogram.percentile(99), 1000);
+  });
+
+  test('counts values into the report buckets, upper bound inclusive', () => {
+    const histogram = new LatencyHistogram({ reportBounds: [100, 1000] });
+    [0.4, 100, 101, 1000, 1001, 90000].forEach(value => histogram.record(value));
+    assert.deepEqual(histogram.getSummary().histogram, [
+      { le: 100, count: 2 },
+      { le: 1000, count: 2 },
+      { le: null, count: 2 }
+    ]);
+  });
+
+  test('records negative and non-numeric values as 0ms', () => {
+    const histogram = new LatencyHistogram();
+    [-5, 'slow', undefined].forEach(value => histogram.record(value));
+    const summary = histogram.getSummary();
+    assert.equal(summary.count, 3);
+    assert.equal(summary.max, 0);
+    assert.equal(summary.p99, 0);
+  });
+});
@@ -0,0 +1,140 @@
+// Structured logger: one JSON object per line with level, module, message and
+// the correlation ids of the current context, so any line can be matched to its
+// Sentry trace. trace_id/span_id come from the active Sentry span; request_id,
+// simulation_id and other fields from runWithLogContext() (see middleware/requestContext).
+//
+// LOG_LEVEL sets the default level (debug, info, warn, error, silent) and
+// LOG_LEVELS overrides it per module, e.g. "simulator=warn,scraping=debug";
+// a module also matches overrides for its dot-separated parents ("llm" covers "llm.provider").
+// LOG_FORMAT=pretty prints one readable line per entry instead of JSON.
+const { AsyncLocalStorage } = require('async_hooks');
+const Sentry = require('@sentry/node');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const parseLevel = (value, fallback) => {
+  const level = String(value || '').trim().toLowerCase();
+  return LEVELS[level] ? level : fallback;
+};
+
+const parseModuleLevels = (value) => {
+  const levels = {};
+  (value || '').split(',').forEach(entry => {
+    const [module, level] = entry.split('=').map(part => (part || '').trim());
+    if (module && LEVELS[level]) levels[module] = level;
+  });
+  return levels;
+};
+
+const config = {
+  level: parseLevel(process.env.LOG_LEVEL, 'info'),
+  moduleLevels: parseModuleLevels(process.env.LOG_LEVELS),
+  format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'
+};
+
+const logContext = new AsyncLocalStorage();
+
+// Run `fn` (and everything it awaits) with `fields` added to every log entry; nests
+const runWithLogContext = (fields, fn) => logContext.run({ ...(logContext.getStore() || {}), ...fields }, fn);
+
+// Most specific LOG_LEVELS entry for `module` ("a.b.c", then "a.b", then "a"), else LOG_LEVEL
+const getModuleLevel = (module) => {
+  for (let name = module; name; name = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : '') {
+    if (config.moduleLevels[name]) return config.moduleLevels[name];
+  }
+  return config.level;
+};
+
+// Change a module's level at runtime (e.g. the CLI simulator's --verbose)
+const setLevel = (module, level) => {
+  if (!LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+  if (module) {
+    config.moduleLevels[module] = level;
+  } else {
+    config.level = level;
+  }
+};
+
+const getTraceFields = () => {
+  try {
+    const span = (Sentry.getActiveSpan && Sentry.getActiveSpan()) || Sentry.getCurrentHub().getScope().getTransaction();
+    return span ? { trace_id: span.traceId, span_id: span.spanId } : {};
+  } catch (_) {
+    return {};
+  }
+};
+
+// Errors don't JSON.stringify; keep what's useful for debugging
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...(error.statusCode && { status: error.statusCode }),
+  ...(error.response && error.response.status && { status: error.response.status }),
+  stack: error.stack
+});
+
+const serializeFields = (fields) => {
+  const serialized = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return serialized;
+};
+
+const formatPretty = ({ timestamp, level, module, message, ...fields }) => {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${timestamp} ${level.toUpperCase().padEnd(5)} [${module}] ${message}${details ? ` ${details}` : ''}`;
+};
+
+const write = (level, module, message, fields) => {
+  if (LEVELS[level] < LEVELS[getModuleLevel(module)]) return;
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    module,
+    message,
+    ...getTraceFields(),
+    ...(logContext.getStore() || {}),
+    ...serializeFields(fields)
+  };
+
+  let line;
+  try {
+    line = config.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  } catch (_) {
+    // Circular or otherwise unserializable fields: keep the line, drop the fields
+    line = JSON.stringify({ timestamp: entry.timestamp, level, module, message, fields_dropped: true });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+
+  // Errors are also kept as breadcrumbs on the scope, so they show up on the next Sentry event
+  if (level === 'error') {
+    Sentry.addBreadcrumb({
+      category: `log.${module}`,
+      level: 'error',
+      message,
+      data: entry.error ? { error: entry.error.message, code: entry.error.code } : undefined
+    });
+  }
+};
+
+/**
+ * Logger for one module: `log.info(message, fields)`. Pass an Error as
+ * `fields.error` to get its name, message, code and stack.
+ */
+const createLogger = (module) => ({
+  debug: (message, fields = {}) => write('debug', module, message, fields),
+  info: (message, fields = {}) => write('info', module, message, fields),
+  warn: (message, fields = {}) => write('warn', module, message, fields),
+  error: (message, fields = {}) => write('error', module, message, fields)
+});
+
+module.exports = {
+  createLogger,
+  runWithLogContext,
+  setLevel
+};
@@ -0,0 +1,62 @@
+// Seedable random number generators so simulation runs can be replayed.
+// createRandom(seed) returns a `() => number` in [0, 1) like Math.random;
+// without a seed it is Math.random itself.
+//
+// Demo code draws from getRandom(), which is the generator injected with
+// runWithRandom() for the current async context (e.g. one seeded API request)
+// or else the process-wide default, seeded by DEMO_RANDOM_SEED when set.
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Turn any string/number seed into a 32-bit integer (FNV-1a)
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast, and good enough for traffic generation
+const createRandom = (seed) => {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.random;
+  }
+
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Integer in [min, max) drawn from `random`
+const randomInt = (random, min, max) => Math.floor(random() * (max - min) + min);
+
+// Seed for an independent sub-stream, e.g. deriveSeed(42, 'session', 3), so
+// concurrent sessions/requests don't depend on the order they draw numbers in
+const deriveSeed = (seed, ...parts) => [seed, ...parts].join(':');
+
+const randomContext = new AsyncLocalStorage();
+const defaultRandom = createRandom(process.env.DEMO_RANDOM_SEED);
+
+const getRandom = () => randomContext.getStore() || defaultRandom;
+
+// Next number from getRandom(); a drop-in for Math.random() in demo code
+const nextRandom = () => getRandom()();
+
+// Run `fn` (and everything it awaits) with `random` as getRandom()
+const runWithRandom = (random, fn) => randomContext.run(random, fn);
+
+module.exports = {
+  createRandom,
+  randomInt,
+  deriveSeed,
+  getRandom,
+  nextRandom,
+  runWithRandom
+};
@@ -0,0 +1,71 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom, randomInt, deriveSeed, getRandom, nextRandom, runWithRandom } = require('./random');
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+  test('replays the same sequence for the same seed', () => {
+    assert.deepEqual(draw(createRandom(42), 20), draw(createRandom(42), 20));
+    assert.deepEqual(draw(createRandom(42), 5), draw(createRandom('42'), 5));
+  });
+
+  test('gives different seeds different sequences', () => {
+    assert.notDeepEqual(draw(createRandom(42), 5), draw(createRandom(43), 5));
+    assert.notDeepEqual(draw(createRandom('run-a'), 5), draw(createRandom('run-b'), 5));
+  });
+
+  test('draws evenly from [0, 1)', () => {
+    const values = draw(createRandom('uniformity'), 10000);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+
+    const buckets = new Array(10).fill(0);
+    values.forEach(value => buckets[Math.floor(value * 10)]++);
+    buckets.forEach(count => assert.ok(count > 900 && count < 1100, `bucket count ${count}`));
+  });
+
+  test('is Math.random without a seed', () => {
+    [undefined, null, ''].forEach(seed => assert.equal(createRandom(seed), Math.random));
+  });
+});
+
+describe('randomInt', () => {
+  test('stays within [min, max)', () => {
+    const random = createRandom(7);
+    const values = Array.from({ length: 1000 }, () => randomInt(random, 3, 6));
+    assert.deepEqual([...new Set(values)].sort(), [3, 4, 5]);
+  });
+});
+
+describe('deriveSeed', () => {
+  test('gives each sub-stream its own reproducible sequence', () => {
+    assert.equal(deriveSeed(42, 'session', 3), '42:session:3');
+    assert.deepEqual(draw(createRandom(deriveSeed(42, 'session', 3)), 5), draw(createRandom(deriveSeed(42, 'session', 3)), 5));
+    assert.notDeepEqual(draw(createRandom(deriveSeed(42, 'session', 3)), 5), draw(createRandom(deriveSeed(42, 'session', 4)), 5));
+  });
+});
+
+describe('runWithRandom', () => {
+  test('scopes the generator to the async context, across awaits', async () => {
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+    // Two interleaved contexts each see their own seed's sequence
+    const run = (seed) => runWithRandom(createRandom(seed), async () => {
+      const values = [];
+      for (let i = 0; i < 3; i++) {
+        values.push(nextRandom());
+        await tick();
+      }
+      return values;
+    });
+
+    const [first, second] = await Promise.all([run('a'), run('b')]);
+    assert.deepEqual(first, draw(createRandom('a'), 3));
+    assert.deepEqual(second, draw(createRandom('b'), 3));
+  });
+
+  test('falls back to the default generator outside a context', () => {
+    const seeded = createRandom(1);
+    runWithRandom(seeded, () => assert.equal(getRandom(), seeded));
+    assert.notEqual(getRandom(), seeded);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Per-second request counts over the last `windowSeconds`: throughput, errors
+ * and mean latency for each second, in memory bounded by the window size.
+ */
+class RollingTimeSeries {
+  constructor(windowSeconds = 300) {
+    this.windowSeconds = windowSeconds;
+    // Seconds (epoch) in the order they were first seen, so the oldest is dropped first
+    this.seconds = new Map();
+  }
+
+  record({ success, responseTime }, time = Date.now()) {
+    const second = Math.floor(time / 1000);
+    let point = this.seconds.get(second);
+    if (!point) {
+      point = { requests: 0, errors: 0, totalResponseTime: 0 };
+      this.seconds.set(second, point);
+      this.prune(second);
+    }
+    point.requests++;
+    if (!success) point.errors++;
+    point.totalResponseTime += responseTime;
+  }
+
+  prune(latestSecond) {
+    for (const second of this.seconds.keys()) {
+      if (second > latestSecond - this.windowSeconds) break;
+      this.seconds.delete(second);
+    }
+  }
+
+  /**
+   * Points oldest first as { timestamp, requests, errors, errorRate,
+   * avgResponseTime }; seconds without requests are filled with zeros
+   */
+  getPoints() {
+    if (this.seconds.size === 0) return [];
+    const recorded = Array.from(this.seconds.keys());
+    const first = Math.min(...recorded);
+    const last = Math.max(...recorded);
+
+    const points = [];
+    for (let second = first; second <= last; second++) {
+      const point = this.seconds.get(second) || { requests: 0, errors: 0, totalResponseTime: 0 };
+      points.push({
+        timestamp: new Date(second * 1000).toISOString(),
+        requests: point.requests,
+        errors: point.errors,
+        errorRate: point.requests > 0 ? parseFloat((point.errors / point.requests).toFixed(3)) : 0,
+        avgResponseTime: point.requests > 0 ? Math.round(point.totalResponseTime / point.requests) : 0
+      });
+    }
+    return points;
+  }
+
+  // Busiest second in the window (requests/second)
+  getPeakThroughput() {
+    let peak = 0;
+    this.seconds.forEach(point => {
+      peak = Math.max(peak, point.requests);
+    });
+    return peak;
+  }
+}
+
+module.exports = RollingTimeSeries;
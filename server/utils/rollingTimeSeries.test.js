@@ -0,0 +1,37 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const RollingTimeSeries = require('./rollingTimeSeries');
+
+const START = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+describe('RollingTimeSeries', () => {
+  test('aggregates requests per second and fills idle seconds with zeros', () => {
+    const series = new RollingTimeSeries(60);
+    series.record({ success: true, responseTime: 100 }, START);
+    series.record({ success: false, responseTime: 300 }, START + 999);
+    series.record({ success: true, responseTime: 50 }, START + 2500);
+
+    assert.deepEqual(series.getPoints(), [
+      { timestamp: '2024-01-01T12:00:00.000Z', requests: 2, errors: 1, errorRate: 0.5, avgResponseTime: 200 },
+      { timestamp: '2024-01-01T12:00:01.000Z', requests: 0, errors: 0, errorRate: 0, avgResponseTime: 0 },
+      { timestamp: '2024-01-01T12:00:02.000Z', requests: 1, errors: 0, errorRate: 0, avgResponseTime: 50 }
+    ]);
+    assert.equal(series.getPeakThroughput(), 2);
+  });
+
+  test('drops seconds that fall out of the window', () => {
+    const series = new RollingTimeSeries(3);
+    [0, 1, 2, 3, 4].forEach(second => series.record({ success: true, responseTime: 10 }, START + second * 1000));
+
+    const points = series.getPoints();
+    assert.equal(points.length, 3);
+    assert.equal(points[0].timestamp, '2024-01-01T12:00:02.000Z');
+    assert.equal(points[2].timestamp, '2024-01-01T12:00:04.000Z');
+  });
+
+  test('is empty before anything is recorded', () => {
+    const series = new RollingTimeSeries();
+    assert.deepEqual(series.getPoints(), []);
+    assert.equal(series.getPeakThroughput(), 0);
+  });
+});
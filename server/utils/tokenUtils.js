@@ -0,0 +1,124 @@
+// Token accounting helpers: local token estimates and per-model pricing
+const { createLogger } = require('./logger');
+
+const log = createLogger('llm.pricing');
+
+// Approximate list prices in USD per 1M tokens. Override or extend with
+// LLM_PRICING_JSON='{"my-model": {"input": 0.5, "output": 1.5}}'
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'meta-llama/Llama-3.1-8B-Instruct': { input: 0.18, output: 0.18 },
+  'meta-llama/Llama-3.1-70B-Instruct': { input: 0.88, output: 0.88 },
+  'mistralai/Mistral-7B-Instruct-v0.3': { input: 0.20, output: 0.20 }
+};
+
+// Providers that run on our own hardware and have no per-token price
+const FREE_PROVIDERS = ['ollama', 'mock'];
+
+/**
+ * Estimate the token count of a string without a model-specific tokenizer.
+ * Words count as one token per ~4 characters, digits and punctuation as one each,
+ * which lands within ~10-15% of BPE tokenizers for English/JSON text.
+ * @param {string} text - Text to estimate
+ */
+const estimateTokens = (text) => {
+  if (!text) return 0;
+  const pieces = String(text).match(/[A-Za-z]+|\d|[^\sA-Za-z\d]/g) || [];
+  return pieces.reduce((count, piece) => count + Math.max(1, Math.ceil(piece.length / 4)), 0);
+};
+
+/**
+ * Resolve token usage for a completion: provider-reported counts when present,
+ * otherwise local estimates of the prompt and output text
+ * @param {object|null} usage - Usage reported by the provider
+ * @param {string} prompt - Prompt sent to the model
+ * @param {string} output - Text returned by the model
+ */
+const resolveUsage = (usage, prompt, output) => {
+  if (usage && Number.isFinite(usage.prompt_tokens) && Number.isFinite(usage.completion_tokens)) {
+    return {
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens,
+      total_tokens: usage.prompt_tokens + usage.completion_tokens,
+      source: 'provider'
+    };
+  }
+
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = estimateTokens(output);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    source: 'estimate'
+  };
+};
+
+const getPricingTable = () => {
+  if (!process.env.LLM_PRICING_JSON) return MODEL_PRICING;
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.LLM_PRICING_JSON) };
+  } catch (error) {
+    log.warn('Ignoring invalid LLM_PRICING_JSON', { error });
+    return MODEL_PRICING;
+  }
+};
+
+// Dated snapshots such as gpt-4o-2024-08-06 cost the same as their base model
+const SNAPSHOT_SUFFIX = /-\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Look up the price for a model: an exact match, or the base model of a dated
+ * snapshot. Other variants (gpt-4.1-nano is not gpt-4.1) are unpriced.
+ * @param {string} model - Model identifier
+ * @param {string} provider - Provider name, used for free local backends
+ */
+const getModelPricing = (model, provider) => {
+  const table = getPricingTable();
+  if (table[model]) return table[model];
+
+  const baseModel = model && model.replace(SNAPSHOT_SUFFIX, '');
+  if (baseModel && baseModel !== model && table[baseModel]) return table[baseModel];
+
+  if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+  return null;
+};
+
+/**
+ * Calculate the dollar cost of a completion
+ * @param {string} model - Model identifier
+ * @param {string} provider - Provider name
+ * @param {object} usage - Resolved usage ({ prompt_tokens, completion_tokens })
+ */
+const calculateCost = (model, provider, usage) => {
+  const pricing = getModelPricing(model, provider);
+  if (!pricing) {
+    return {
+      input_cost_usd: 0,
+      output_cost_usd: 0,
+      total_cost_usd: 0,
+      pricing_known: false
+    };
+  }
+
+  const inputCost = (usage.prompt_tokens / 1e6) * pricing.input;
+  const outputCost = (usage.completion_tokens / 1e6) * pricing.output;
+  return {
+    input_cost_usd: parseFloat(inputCost.toFixed(8)),
+    output_cost_usd: parseFloat(outputCost.toFixed(8)),
+    total_cost_usd: parseFloat((inputCost + outputCost).toFixed(8)),
+    pricing_known: true
+  };
+};
+
+module.exports = {
+  MODEL_PRICING,
+  estimateTokens,
+  resolveUsage,
+  getModelPricing,
+  calculateCost
+};
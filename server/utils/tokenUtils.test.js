@@ -0,0 +1,23 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getModelPricing, calculateCost, MODEL_PRICING } = require('./tokenUtils');
+
+describe('getModelPricing', () => {
+  test('prices listed models and their dated snapshots', () => {
+    assert.equal(getModelPricing('gpt-4.1', 'openai'), MODEL_PRICING['gpt-4.1']);
+    assert.equal(getModelPricing('gpt-4o-2024-08-06', 'openai'), MODEL_PRICING['gpt-4o']);
+    assert.equal(getModelPricing('gpt-4o-mini-2024-07-18', 'openai'), MODEL_PRICING['gpt-4o-mini']);
+  });
+
+  test('leaves other variants of a listed model unpriced', () => {
+    assert.equal(getModelPricing('gpt-4.1-nano', 'openai'), null);
+    assert.equal(getModelPricing('gpt-4o-audio-preview', 'openai'), null);
+    assert.equal(getModelPricing('gpt-4.1-2025', 'openai'), null);
+    assert.equal(calculateCost('gpt-4.1-nano', 'openai', { prompt_tokens: 1000, completion_tokens: 1000 }).pricing_known, false);
+  });
+
+  test('treats local backends as free', () => {
+    assert.deepEqual(getModelPricing('llama3.1:8b', 'ollama'), { input: 0, output: 0 });
+  });
+});
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Query parameters that only track where a click came from and never change the product
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(ref|ref_|tag|psc|th|pf_rd_\w+|pd_rd_\w+|qid|sr|keywords|crid|sprefix|content-id)$/i,
+  /^(gclid|fbclid|msclkid|dclid|yclid|mc_cid|mc_eid|_ga|_gl)$/i,
+  /^(_trksid|_trkparms|hash|mkcid|mkevt|campid|toolid|customid)$/i, // eBay
+  /^(spm|scm|pvid|algo_\w+|aff_\w+|sk|gps-id|_t)$/i, // AliExpress
+  /^(athcpid|athpgid|athznid|athieid|athstid|athguid|athena|wmlspartner|affiliates_ad_id|sourceid|veh|cmpid|lnm|afid)$/i, // Walmart/Target
+  /^(irclickid|irgwc|clickid|cjevent|skuId_ref)$/i
+];
+
+const isTrackingParam = (name) => TRACKING_PARAMS.some(pattern => pattern.test(name));
+
+// Amazon product URLs carry a slug and referral path around the ASIN; all of
+// /dp/ASIN, /gp/product/ASIN and /<slug>/dp/ASIN/ref=... are the same product
+const AMAZON_ASIN_PATTERN = /\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/asin)\/([A-Z0-9]{10})(?:[/?]|$)/i;
+
+/**
+ * Normalize a product URL so every link to the same product maps to one string:
+ * https, lowercase host without `www.`, no fragment, no tracking parameters,
+ * remaining parameters sorted, no trailing slash, Amazon reduced to /dp/ASIN.
+ */
+const canonicalizeProductUrl = (url) => {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.toLowerCase().replace(/^(www|m|smile)\./, '');
+
+  const asinMatch = hostname.includes('amazon.') ? parsed.pathname.match(AMAZON_ASIN_PATTERN) : null;
+  if (asinMatch) {
+    return `https://${hostname}/dp/${asinMatch[1].toUpperCase()}`;
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  return `https://${hostname}${pathname === '/' ? '' : pathname}${query ? `?${query}` : ''}`;
+};
+
+// Stable short id for a product, derived from its canonical URL
+const getProductId = (url) => {
+  return crypto.createHash('sha1').update(canonicalizeProductUrl(url)).digest('hex').slice(0, 16);
+};
+
+// True when `hostname` is `domain` itself or one of its subdomains; a bare
+// substring test would also accept amazon.attacker.net
+const hostMatchesDomain = (hostname, domain) => {
+  const host = hostname.toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+};
+
+// Addresses a scraper must never reach: unspecified, loopback, private,
+// carrier-grade NAT, link-local (cloud metadata), benchmarking, multicast, reserved
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// True for an IP literal outside the public internet (IPv4-mapped IPv6 included)
+const isPrivateAddress = (address) => {
+  const lower = address.toLowerCase();
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  // WHATWG URL parsing rewrites [::ffff:127.0.0.1] to [::ffff:7f00:1]
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+module.exports = {
+  canonicalizeProductUrl,
+  getProductId,
+  hostMatchesDomain,
+  isPrivateAddress
+};
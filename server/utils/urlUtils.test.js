@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalizeProductUrl, getProductId, hostMatchesDomain, isPrivateAddress } = require('./urlUtils');
+
+describe('canonicalizeProductUrl', () => {
+  test('reduces every form of an Amazon product link to /dp/ASIN', () => {
+    [
+      'https://www.amazon.com/dp/B08N5WRWNW',
+      'http://amazon.com/Wireless-Headphones/dp/b08n5wrwnw/ref=sr_1_3?keywords=headphones&qid=1',
+      'https://smile.amazon.com/gp/product/B08N5WRWNW?psc=1#reviews',
+      'https://m.amazon.com/gp/aw/d/B08N5WRWNW'
+    ].forEach(url => assert.equal(canonicalizeProductUrl(url), 'https://amazon.com/dp/B08N5WRWNW'));
+  });
+
+  test('drops tracking parameters, the fragment and trailing slashes, and sorts the rest', () => {
+    assert.equal(
+      canonicalizeProductUrl('http://WWW.Walmart.com/ip/tv/123456/?utm_source=x&selected=true&athcpid=9&color=blue#top'),
+      'https://walmart.com/ip/tv/123456?color=blue&selected=true'
+    );
+    assert.equal(canonicalizeProductUrl('https://www.ebay.com/itm/1234?_trksid=p1&hash=item1'), 'https://ebay.com/itm/1234');
+    assert.equal(canonicalizeProductUrl('https://shop.example/'), 'https://shop.example');
+  });
+
+  test('keeps parameters that select a different product', () => {
+    assert.notEqual(
+      canonicalizeProductUrl('https://www.target.com/p/shirt?preselect=1'),
+      canonicalizeProductUrl('https://www.target.com/p/shirt?preselect=2')
+    );
+  });
+
+  test('gives every link to one product the same id', () => {
+    assert.equal(
+      getProductId('https://www.amazon.com/dp/B08N5WRWNW?tag=aff-20'),
+      getProductId('https://amazon.com/x/dp/B08N5WRWNW/')
+    );
+    assert.match(getProductId('https://www.amazon.com/dp/B08N5WRWNW'), /^[0-9a-f]{16}$/);
+  });
+});
+
+describe('hostMatchesDomain', () => {
+  test('matches the domain and its subdomains only', () => {
+    assert.equal(hostMatchesDomain('amazon.com', 'amazon.com'), true);
+    assert.equal(hostMatchesDomain('WWW.AMAZON.COM', 'amazon.com'), true);
+    assert.equal(hostMatchesDomain('amazon.com.attacker.net', 'amazon.com'), false);
+    assert.equal(hostMatchesDomain('notamazon.com', 'amazon.com'), false);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test('flags loopback, private, link-local and IPv4-mapped addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe']
+      .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  });
+
+  test('passes public addresses and non-IP strings', () => {
+    ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:5db8:d822', 'amazon.com']
+      .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+});
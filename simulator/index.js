@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+// Command-line traffic simulator: runs SimulatorService sessions against any
+// deployment of the API and writes a JSON/CSV report. See `npm run simulate -- --help`.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const { Sentry } = require('../server/middleware/sentry');
+const { setupSpanExporters, flushSpanExporters } = require('../server/services/spanExporters');
+const { setLevel } = require('../server/utils/logger');
+const simulatorService = require('../server/services/simulatorService');
+const loadProfileService = require('../server/services/loadProfileService');
+const behaviorService = require('../server/services/behaviorService');
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+Options:
+  -u, --base-url <url>       API to target (default: $SIMULATOR_TARGET_URL or http://localhost:3001)
+  -k, --api-key <key>        API key sent with every request (default: $SIMULATOR_API_KEY)
+  -n, --sessions <count>     User sessions to run (default: 50)
+  -c, --concurrency <count>  Max sessions in flight at once (default: 10)
+      --delay <ms>           Delay between session starts (default: 500)
+  -d, --duration <seconds>   Stop after this long, even if sessions remain
+  -p, --profile <name|file>  Shape traffic with a load profile (replaces --sessions,
+                             --delay and --duration)
+  -m, --mix <weights>        Behavior mix, e.g. quick_browser=3,impatient_user=1
+  -b, --behaviors <file>     Register extra behaviors from a JSON/YAML file (one or a list)
+  -s, --seed <seed>          Seed for replayable session/URL/think-time choices
+      --name <name>          Run name (default: simulation-<id>)
+  -o, --out <path>           Report path without extension (default: simulation-reports/<name>)
+      --format <list>        Report formats: json,csv (default: json,csv)
+      --max-error-rate <0-1> Exit with code 1 if the failed request ratio is higher
+  -v, --verbose              Log every session and request
+  -h, --help                 Show this help
+
+Behaviors: ${behaviorService.listBehaviors().map(b => b.key).join(', ')}
+Profiles:  ${loadProfileService.listProfiles().map(p => p.name).join(', ')}
+`;
+
+const fail = (message) => {
+  console.error(`Error: ${message}\n`);
+  console.error(USAGE);
+  process.exit(2);
+};
+
+const parsePositiveInt = (value, flag) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) fail(`${flag} must be a positive integer`);
+  return number;
+};
+
+const parseMix = (value) => {
+  const mix = {};
+  value.split(',').forEach(part => {
+    const [key, weight] = part.split('=').map(p => p.trim());
+    if (!key || weight === undefined || !(Number(weight) >= 0)) {
+      fail(`--mix entries look like behavior=weight, got "${part}"`);
+    }
+    mix[key] = Number(weight);
+  });
+  return mix;
+};
+
+// A built-in/LOAD_PROFILES_DIR profile name, or a path to a JSON/YAML profile file
+const loadProfile = (value) => {
+  try {
+    return fs.existsSync(value)
+      ? loadProfileService.loadProfileFile(value)
+      : loadProfileService.resolveProfile(value);
+  } catch (error) {
+    fail(`--profile: ${error.message}`);
+  }
+};
+
+const registerBehaviors = (file) => {
+  try {
+    behaviorService.loadBehaviorFile(file).forEach(behavior => behaviorService.registerBehavior(behavior));
+  } catch (error) {
+    fail(`--behaviors: ${error.message}`);
+  }
+};
+
+const parseOptions = () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      options: {
+        'base-url': { type: 'string', short: 'u' },
+        'api-key': { type: 'string', short: 'k' },
+        sessions: { type: 'string', short: 'n', default: '50' },
+        concurrency: { type: 'string', short: 'c', default: '10' },
+        delay: { type: 'string', default: '500' },
+        duration: { type: 'string', short: 'd' },
+        profile: { type: 'string', short: 'p' },
+        mix: { type: 'string', short: 'm' },
+        behaviors: { type: 'string', short: 'b' },
+        seed: { type: 'string', short: 's' },
+        name: { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        format: { type: 'string', default: 'json,csv' },
+        'max-error-rate': { type: 'string' },
+        verbose: { type: 'boolean', short: 'v', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }).values;
+  } catch (error) {
+    fail(error.message);
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const baseUrl = parsed['base-url'] || process.env.SIMULATOR_TARGET_URL || 'http://localhost:3001';
+  try {
+    new URL(baseUrl);
+  } catch (error) {
+    fail(`--base-url is not a valid URL: ${baseUrl}`);
+  }
+
+  const formats = parsed.format.split(',').map(f => f.trim()).filter(Boolean);
+  if (formats.length === 0 || formats.some(f => !['json', 'csv'].includes(f))) {
+    fail('--format accepts json, csv or json,csv');
+  }
+
+  const maxErrorRate = parsed['max-error-rate'] !== undefined ? Number(parsed['max-error-rate']) : null;
+  if (maxErrorRate !== null && !(maxErrorRate >= 0 && maxErrorRate <= 1)) {
+    fail('--max-error-rate must be between 0 and 1');
+  }
+
+  const delay = Number(parsed.delay);
+  if (!Number.isInteger(delay) || delay < 0) fail('--delay must be a non-negative integer');
+
+  const profile = parsed.profile ? loadProfile(parsed.profile) : null;
+  if (parsed.behaviors) registerBehaviors(parsed.behaviors);
+
+  return {
+    baseUrl,
+    apiKey: parsed['api-key'] || process.env.SIMULATOR_API_KEY || null,
+    profile,
+    sessions: profile ? profile.expectedSessions : parsePositiveInt(parsed.sessions, '--sessions'),
+    concurrency: parsePositiveInt(parsed.concurrency, '--concurrency'),
+    delay,
+    durationMs: parsed.duration !== undefined ? parsePositiveInt(parsed.duration, '--duration') * 1000 : null,
+    behaviorMix: parsed.mix ? parseMix(parsed.mix) : null,
+    seed: parsed.seed !== undefined ? parsed.seed : null,
+    name: parsed.name,
+    out: parsed.out,
+    formats,
+    maxErrorRate,
+    verbose: parsed.verbose
+  };
+};
+
+// Sentry must be initialized for the session transactions to exist; without a
+// DSN nothing is sent, with one the simulator's traces continue into the target API
+const setupSentry = () => {
+  Sentry.init({
+    dsn: process.env.SIMULATOR_SENTRY_DSN || process.env.SENTRY_DSN,
+    environment: process.env.SENTRY_ENVIRONMENT || 'development',
+    release: process.env.SENTRY_RELEASE || '1.0.0',
+    tracesSampleRate: 1.0,
+    integrations: [
+      new Sentry.Integrations.Http({ tracing: true })
+    ],
+    initialScope: {
+      tags: { demo_app: 'llm_traffic', component: 'simulator_cli' }
+    }
+  });
+  setupSpanExporters(Sentry.getCurrentHub().getClient(), {
+    serviceName: process.env.OTEL_SERVICE_NAME || 'llm-traffic-simulator'
+  });
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+const summarizeRequests = (requests) => {
+  const times = requests.map(r => r.response_time_ms).sort((a, b) => a - b);
+  const successful = requests.filter(r => r.success).length;
+  return {
+    requests: requests.length,
+    successful: successful,
+    failed: requests.length - successful,
+    error_rate: requests.length > 0 ? parseFloat(((requests.length - successful) / requests.length).toFixed(4)) : 0,
+    avg_response_time_ms: times.length > 0 ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) : 0,
+    p50_response_time_ms: percentile(times, 50),
+    p95_response_time_ms: percentile(times, 95),
+    p99_response_time_ms: percentile(times, 99),
+    max_response_time_ms: times.length > 0 ? times[times.length - 1] : 0
+  };
+};
+
+const buildReport = (simulation) => {
+  const status = simulatorService.getSimulationStatus(simulation.id);
+  const requests = simulation.requestLog || [];
+
+  const byBehavior = {};
+  simulation.behaviors.forEach(behavior => {
+    const stats = status.statistics.byBehavior[behavior.key];
+    byBehavior[behavior.key] = {
+      name: behavior.name,
+      sessions: stats.sessions,
+      completed_sessions: stats.completedSessions,
+      failed_sessions: stats.failedSessions,
+      abandoned_sessions: stats.abandonedSessions,
+      retries: stats.retries,
+      ...summarizeRequests(requests.filter(r => r.behavior === behavior.key))
+    };
+  });
+
+  const errorCodes = {};
+  requests.filter(r => !r.success).forEach(r => {
+    errorCodes[r.error_code] = (errorCodes[r.error_code] || 0) + 1;
+  });
+
+  return {
+    simulation_id: status.simulationId,
+    name: status.name,
+    status: status.status,
+    start_time: status.startTime,
+    end_time: status.endTime,
+    config: status.config,
+    sessions: {
+      planned: status.progress.total,
+      started: status.progress.arrivals,
+      skipped: status.progress.skippedArrivals,
+      completed: status.progress.completed,
+      failed: status.progress.failed
+    },
+    summary: summarizeRequests(requests),
+    by_behavior: byBehavior,
+    request_errors: errorCodes,
+    session_errors: status.statistics.errorBreakdown,
+    latency: status.statistics.latency,
+    session_durations: status.statistics.sessionDurations,
+    time_series: status.statistics.timeSeries
+  };
+};
+
+const toCsv = (requests) => {
+  const columns = ['timestamp', 'session_id', 'behavior', 'url', 'attempt', 'success', 'status', 'response_time_ms', 'error_code'];
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(',')]
+    .concat(requests.map(request => columns.map(column => escape(request[column])).join(',')))
+    .join('\n') + '\n';
+};
+
+const writeReports = (report, requests, options) => {
+  const basePath = options.out || path.join('simulation-reports', report.name);
+  fs.mkdirSync(path.dirname(path.resolve(basePath)), { recursive: true });
+
+  const written = [];
+  if (options.formats.includes('json')) {
+    fs.writeFileSync(`${basePath}.json`, JSON.stringify(report, null, 2) + '\n');
+    written.push(`${basePath}.json`);
+  }
+  if (options.formats.includes('csv')) {
+    fs.writeFileSync(`${basePath}.csv`, toCsv(requests));
+    written.push(`${basePath}.csv`);
+  }
+  return written;
+};
+
+const formatProgress = (simulation) => {
+  const status = simulatorService.getSimulationStatus(simulation.id);
+  const elapsed = Math.round((Date.now() - simulation.startTime) / 1000);
+  const stats = status.statistics;
+  const rate = simulation.profile
+    ? ` | ${status.progress.currentRate}/s (${status.progress.skippedArrivals} skipped)`
+    : '';
+  return `[${elapsed}s] ${status.progress.percentage}%${rate} | sessions ${status.progress.completed + status.progress.failed}/${status.progress.total}` +
+    ` (${status.progress.active} active, ${status.progress.failed} failed)` +
+    ` | requests ${stats.totalRequests} (${stats.successfulRequests} ok, ${stats.failedRequests} failed)` +
+    ` | avg ${stats.avgResponseTime}ms`;
+};
+
+const main = async () => {
+  const options = parseOptions();
+  setupSentry();
+  // The per-session and per-request lines are debug level
+  if (options.verbose) setLevel('simulator', 'debug');
+
+  let simulation;
+  try {
+    simulation = await simulatorService.startSimulation({
+      sessions: options.sessions,
+      delay: options.delay,
+      name: options.name,
+      baseUrl: options.baseUrl,
+      apiKey: options.apiKey,
+      concurrency: options.concurrency,
+      durationMs: options.durationMs,
+      behaviorMix: options.behaviorMix,
+      seed: options.seed,
+      quiet: !options.verbose,
+      recordRequests: true,
+      profile: options.profile
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+
+  console.log(`Simulation ${simulation.name} (${simulation.id})`);
+  console.log(`Target ${simulation.baseUrl} | ` +
+    (options.profile
+      ? `${options.profile.name} profile, ~${options.sessions} sessions over ${options.profile.durationMs / 1000}s`
+      : `${options.sessions} sessions`) +
+    `, concurrency ${options.concurrency}` +
+    (options.durationMs && !options.profile ? `, max ${options.durationMs / 1000}s` : '') +
+    (options.seed !== null ? `, seed ${options.seed}` : ''));
+
+  // Ctrl+C stops starting new work, lets in-flight requests finish and still writes the report
+  process.once('SIGINT', () => {
+    console.log('\nStopping simulation...');
+    simulatorService.stopSimulation(simulation.id).catch(() => {});
+  });
+
+  const interactive = process.stdout.isTTY && !options.verbose;
+  const progressTimer = setInterval(() => {
+    if (interactive) {
+      process.stdout.write(`\r\x1b[2K${formatProgress(simulation)}`);
+    } else {
+      console.log(formatProgress(simulation));
+    }
+  }, interactive ? 1000 : 5000);
+
+  await simulation.completion;
+  clearInterval(progressTimer);
+  if (interactive) process.stdout.write('\n');
+  console.log(formatProgress(simulation));
+
+  const report = buildReport(simulation);
+  const written = writeReports(report, simulation.requestLog, options);
+
+  console.log(`\n${report.status}: ${report.summary.requests} requests, ${(report.summary.error_rate * 100).toFixed(1)}% failed,` +
+    ` p50 ${report.summary.p50_response_time_ms}ms, p95 ${report.summary.p95_response_time_ms}ms`);
+  written.forEach(file => console.log(`Report written to ${file}`));
+
+  await Promise.all([Sentry.flush(5000), flushSpanExporters()]);
+
+  if (options.maxErrorRate !== null && report.summary.error_rate > options.maxErrorRate) {
+    console.error(`Error rate ${report.summary.error_rate} exceeds --max-error-rate ${options.maxErrorRate}`);
+    process.exit(1);
+  }
+  process.exit(0);
+};
+
+main().catch(error => {
+  console.error('Simulation failed:', error);
+  process.exit(1);
+});